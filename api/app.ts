@@ -15,6 +15,8 @@ import authRoutes from './routes/auth.js'
 import productRoutes from './routes/products.js'
 import commentRoutes from './routes/comments.js'
 import recommendationRoutes from './routes/recommendations.js'
+import geminiRoutes from './routes/geminiProducts.js'
+import strategyRoutes from './routes/strategies.js'
 
 // for esm mode
 const __filename = fileURLToPath(import.meta.url)
@@ -25,6 +27,13 @@ dotenv.config()
 
 const app: express.Application = express()
 
+// Behind a proxy (e.g. Vercel), TRUST_PROXY lets req.ip be the caller's address, which usage is accounted to
+// when no API key is sent: a hop count such as "1", or values accepted by Express like "loopback"
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY)
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY)
+}
+
 app.use(cors())
 app.use(express.json({ limit: '10mb' }))
 app.use(express.urlencoded({ extended: true, limit: '10mb' }))
@@ -33,9 +42,18 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }))
  * API Routes
  */
 app.use('/api/auth', authRoutes)
-app.use('/api/products', productRoutes)
+// Stored products need Supabase, whose client cannot be created without its configuration, so they replace
+// the in-memory catalog routes only when it is set
+if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
+  const { default: supabaseProductRoutes } = await import('./routes/supabaseProducts.js')
+  app.use('/api/products', supabaseProductRoutes)
+} else {
+  app.use('/api/products', productRoutes)
+}
 app.use('/api/comments', commentRoutes)
 app.use('/api/recommendations', recommendationRoutes)
+app.use('/api/gemini', geminiRoutes)
+app.use('/api/strategies', strategyRoutes)
 
 /**
  * health
@@ -0,0 +1,72 @@
+/**
+ * Brand dictionary used to normalize and match brand names, loaded into the brand normalizer at startup.
+ *
+ * Each entry has the canonical spelling in `brand`, other spellings of the same brand in `aliases`, and
+ * optionally the `parent` company. A product of a sub-brand matches its parent: preferring or excluding
+ * "Apple" also covers Beats, while excluding "Beats" leaves Apple products alone.
+ * Case, diacritics, punctuation and suffixes such as "Inc" or "Electronics" are folded before lookup,
+ * so they need no alias of their own. Aliases are also matched in free text, so avoid ones that are
+ * everyday words (a product line such as "Echo" would turn "echo cancellation" into a brand preference).
+ */
+
+/**
+ * @typedef {Object} BrandAlias
+ * @property {string} brand - Canonical spelling
+ * @property {string[]} [aliases] - Other names for the same brand
+ * @property {string} [parent] - Canonical name of the owning brand
+ */
+
+/**
+ * @type {BrandAlias[]}
+ */
+export const BRAND_ALIASES = [
+  { brand: 'Apple', aliases: ['Apple Computer'] },
+  { brand: 'Beats', aliases: ['Beats by Dre', 'Beats by Dr. Dre'], parent: 'Apple' },
+  { brand: 'Samsung' },
+  { brand: 'Harman', aliases: ['Harman Kardon'], parent: 'Samsung' },
+  { brand: 'JBL', parent: 'Harman' },
+  { brand: 'Google' },
+  { brand: 'Fitbit', parent: 'Google' },
+  { brand: 'Nest', aliases: ['Google Nest'], parent: 'Google' },
+  { brand: 'Sony' },
+  { brand: 'Bose' },
+  { brand: 'Anker' },
+  { brand: 'Soundcore', aliases: ['Anker Soundcore'], parent: 'Anker' },
+  { brand: 'Sennheiser' },
+  { brand: 'Jabra' },
+  { brand: 'Audio-Technica', aliases: ['Audio Technica', 'Audiotechnica'] },
+  { brand: 'Skullcandy' },
+  { brand: 'Microsoft' },
+  { brand: 'Dell' },
+  { brand: 'Alienware', parent: 'Dell' },
+  { brand: 'HP', aliases: ['Hewlett-Packard', 'Hewlett Packard'] },
+  { brand: 'HyperX', parent: 'HP' },
+  { brand: 'Lenovo' },
+  { brand: 'Motorola', parent: 'Lenovo' },
+  { brand: 'ASUS', aliases: ['ASUSTeK'] },
+  { brand: 'ROG', aliases: ['Republic of Gamers'], parent: 'ASUS' },
+  { brand: 'Acer' },
+  { brand: 'MSI', aliases: ['Micro-Star'] },
+  { brand: 'Razer' },
+  { brand: 'LG' },
+  { brand: 'Huawei' },
+  { brand: 'Xiaomi' },
+  { brand: 'Redmi', parent: 'Xiaomi' },
+  { brand: 'OnePlus', aliases: ['One Plus'] },
+  { brand: 'Nokia' },
+  { brand: 'Garmin' },
+  { brand: 'Amazfit' },
+  { brand: 'Logitech', aliases: ['Logitech G'] },
+  { brand: 'Corsair' },
+  { brand: 'SteelSeries' },
+  { brand: 'Canon' },
+  { brand: 'Nikon' },
+  { brand: 'Fujifilm', aliases: ['Fuji'] },
+  { brand: 'Panasonic' },
+  { brand: 'GoPro' },
+  { brand: 'DJI' },
+  { brand: 'Amazon' },
+  { brand: 'Nintendo' },
+];
+
+export default BRAND_ALIASES;
@@ -0,0 +1,55 @@
+/**
+ * Aspect dictionaries used to break comment sentiment down by product aspect.
+ *
+ * `default` aspects apply to every product. A category's own aspects are added on top and replace a
+ * default aspect with the same `aspect` id. Categories are matched case-insensitively, and a product
+ * category containing a dictionary key uses it ("Wireless Headphones" uses `headphones`). Terms are
+ * lowercase words or phrases matched against cleaned comment text, with hyphens read as spaces.
+ * More categories can be added at runtime with registerAspectDictionary in commentAnalysisService.
+ */
+
+/**
+ * @typedef {Object} AspectDefinition
+ * @property {string} aspect - Aspect id reported in CommentAnalysis.aspectSentiment
+ * @property {string[]} terms - Words and phrases that mention the aspect
+ */
+
+/**
+ * @type {Record<string, AspectDefinition[]>}
+ */
+export const ASPECT_DICTIONARIES = {
+  default: [
+    { aspect: 'price', terms: ['price', 'priced', 'cost', 'money', 'value', 'expensive', 'cheap', 'affordable', 'overpriced', 'pricey', 'deal'] },
+    { aspect: 'build', terms: ['build', 'build quality', 'materials', 'plastic', 'metal', 'sturdy', 'flimsy', 'well made', 'well built', 'cheaply made'] },
+    { aspect: 'design', terms: ['design', 'looks', 'look', 'style', 'stylish', 'color', 'colour', 'finish', 'elegant', 'sleek', 'beautiful', 'ugly'] },
+    { aspect: 'durability', terms: ['durable', 'durability', 'reliable', 'reliability', 'lasted', 'lasts', 'long lasting', 'broke', 'broken', 'stopped working', 'died', 'holds up', 'wear'] },
+    { aspect: 'ease of use', terms: ['easy to use', 'setup', 'set up', 'intuitive', 'instructions', 'user friendly', 'confusing', 'complicated'] },
+    { aspect: 'customer service', terms: ['customer service', 'customer support', 'support', 'warranty', 'refund', 'replacement', 'seller'] },
+    { aspect: 'shipping', terms: ['shipping', 'delivery', 'delivered', 'arrived', 'packaging', 'package'] },
+  ],
+  smartphones: [
+    { aspect: 'battery', terms: ['battery', 'battery life', 'charge', 'charging', 'charger'] },
+    { aspect: 'camera', terms: ['camera', 'photos', 'pictures', 'video', 'selfie', 'zoom', 'night mode'] },
+    { aspect: 'display', terms: ['display', 'screen', 'brightness', 'refresh rate'] },
+    { aspect: 'performance', terms: ['performance', 'speed', 'fast', 'slow', 'lag', 'laggy', 'smooth', 'processor', 'gaming'] },
+    { aspect: 'software', terms: ['software', 'updates', 'update', 'android', 'ios', 'apps', 'bloatware', 'ads', 'bugs', 'buggy'] },
+  ],
+  headphones: [
+    { aspect: 'sound', terms: ['sound', 'sound quality', 'audio', 'bass', 'treble', 'mids', 'soundstage', 'volume'] },
+    { aspect: 'noise cancellation', terms: ['noise cancellation', 'noise cancelling', 'anc', 'isolation', 'transparency mode'] },
+    { aspect: 'comfort', terms: ['comfort', 'comfortable', 'uncomfortable', 'fit', 'fits', 'ear cushions', 'ear pads', 'headband', 'tight'] },
+    { aspect: 'battery', terms: ['battery', 'battery life', 'charge', 'charging', 'case'] },
+    { aspect: 'connectivity', terms: ['bluetooth', 'connection', 'connects', 'disconnects', 'pairing', 'range', 'latency'] },
+    { aspect: 'microphone', terms: ['mic', 'microphone', 'calls'] },
+  ],
+  laptops: [
+    { aspect: 'battery', terms: ['battery', 'battery life', 'charge', 'charging', 'charger'] },
+    { aspect: 'display', terms: ['display', 'screen', 'brightness', 'resolution'] },
+    { aspect: 'performance', terms: ['performance', 'speed', 'fast', 'slow', 'lag', 'processor', 'ram', 'gaming', 'boot'] },
+    { aspect: 'keyboard', terms: ['keyboard', 'keys', 'typing', 'trackpad', 'touchpad'] },
+    { aspect: 'thermals', terms: ['fan', 'fans', 'heat', 'hot', 'overheating', 'thermals', 'noise'] },
+    { aspect: 'portability', terms: ['weight', 'heavy', 'light', 'lightweight', 'portable', 'thin'] },
+  ],
+};
+
+export default ASPECT_DICTIONARIES;
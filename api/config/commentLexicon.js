@@ -0,0 +1,123 @@
+/**
+ * Word lists used by the comment analysis engine to score review text locally.
+ *
+ * Sentiment scores run from -3 (very negative) to 3 (very positive) and are looked up after the text is
+ * lowercased and stripped of punctuation, so entries are single lowercase words. Quality indicators and
+ * common issues are matched as whole words or phrases; a match preceded by a negation ("not sturdy",
+ * "no overheating") is not counted.
+ */
+
+/**
+ * @type {Record<string, number>}
+ */
+export const SENTIMENT_LEXICON = {
+  // Positive
+  amazing: 3, awesome: 3, excellent: 3, exceptional: 3, fantastic: 3, flawless: 3, incredible: 3,
+  love: 3, loved: 3, loves: 3, outstanding: 3, perfect: 3, superb: 3, wonderful: 3, best: 3,
+  beautiful: 2, brilliant: 2, comfortable: 2, durable: 2, easy: 1, effortless: 2, elegant: 2,
+  enjoy: 2, enjoyed: 2, fast: 1, favorite: 2, glad: 2, good: 2, great: 3, happy: 2, impressed: 2,
+  impressive: 2, intuitive: 2, nice: 2, pleased: 2, premium: 2, recommend: 2, recommended: 2,
+  reliable: 2, satisfied: 2, smooth: 2, solid: 2, sturdy: 2, stylish: 2, quiet: 1, worth: 2,
+  affordable: 1, bright: 1, clear: 1, crisp: 2, decent: 1, fine: 1, helpful: 1, like: 1, liked: 1,
+  responsive: 2, sharp: 1, works: 1, fun: 2, gorgeous: 3, lightweight: 1, snappy: 2, upgrade: 1,
+  // Negative
+  awful: -3, broke: -3, broken: -3, defective: -3, garbage: -3, hate: -3, hated: -3, horrible: -3,
+  junk: -3, terrible: -3, useless: -3, worst: -3, refund: -2, returned: -2, returning: -2, scam: -3,
+  annoying: -2, bad: -2, buggy: -2, cheap: -1, cheaply: -2, crash: -2, crashes: -2, died: -3,
+  disappointed: -2, disappointing: -2, expensive: -1, fail: -2, failed: -2, fails: -2, faulty: -3,
+  flimsy: -2, frustrating: -2, glitchy: -2, hot: -1, laggy: -2, loud: -1, mediocre: -1, noisy: -2,
+  overpriced: -2, poor: -2, poorly: -2, problem: -1, problems: -1, regret: -2, slow: -2,
+  stopped: -2, uncomfortable: -2, unreliable: -2, unusable: -3, waste: -3, weak: -1, wobbly: -2,
+  heavy: -1, issue: -1, issues: -1, lag: -2, overheating: -2, overheats: -2, dull: -1, fragile: -2,
+  drains: -2, dies: -2, disconnects: -2, freezes: -2, hurts: -2, sluggish: -2, pricey: -1, bulky: -1,
+};
+
+/**
+ * Words that flip the sentiment of the next few words
+ */
+export const NEGATIONS = [
+  'not', 'no', 'never', 'none', 'nothing', 'nobody', 'neither', 'nor', 'without', 'hardly', 'barely',
+  'dont', 'doesnt', 'didnt', 'isnt', 'wasnt', 'arent', 'werent', 'wont', 'cant', 'couldnt', 'shouldnt', 'wouldnt',
+];
+
+/**
+ * Multipliers applied to the next sentiment word
+ */
+export const INTENSIFIERS = {
+  absolutely: 1.5, extremely: 1.5, incredibly: 1.5, really: 1.3, very: 1.3, super: 1.3, so: 1.2,
+  totally: 1.3, highly: 1.3, truly: 1.3, quite: 1.1,
+  slightly: 0.6, somewhat: 0.7, fairly: 0.8, bit: 0.7, little: 0.7, kinda: 0.7,
+};
+
+/**
+ * Words ignored when extracting keywords and phrases
+ */
+export const STOPWORDS = [
+  'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because',
+  'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'even', 'every',
+  'for', 'from', 'get', 'got', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'him', 'his', 'how',
+  'i', 'if', 'im', 'in', 'into', 'is', 'it', 'its', 'ive', 'just', 'me', 'more', 'most', 'much', 'my',
+  'of', 'off', 'on', 'one', 'only', 'or', 'other', 'our', 'out', 'over', 'own', 'product', 'same', 'she',
+  'should', 'since', 'some', 'still', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there',
+  'these', 'they', 'thing', 'this', 'those', 'through', 'to', 'too', 'use', 'used', 'using', 'up', 'us',
+  'was', 'we', 'well', 'were', 'what', 'when', 'which', 'while', 'who', 'why', 'will', 'with', 'would',
+  'you', 'your', 'yet', 'bought', 'buy', 'feel', 'feels', 'felt', 'gets', 'make', 'makes', 'made', 'day', 'days', 'month', 'months', 'week', 'weeks', 'year', 'years',
+  ...NEGATIONS,
+  ...Object.keys(INTENSIFIERS),
+];
+
+/**
+ * Sentiment words that say how a reviewer feels but not about what. They are skipped as single keywords
+ * and kept inside phrases such as "great value".
+ */
+export const GENERIC_KEYWORDS = [
+  'amazing', 'awesome', 'best', 'excellent', 'fantastic', 'good', 'great', 'happy', 'like', 'liked',
+  'love', 'loved', 'nice', 'perfect', 'recommend', 'recommended', 'works', 'bad', 'terrible', 'worst',
+];
+
+/**
+ * Positive qualities reviewers mention, reported as CommentAnalysis.qualityIndicators
+ * @type {Array<{ indicator: string; terms: string[] }>}
+ */
+export const QUALITY_INDICATORS = [
+  { indicator: 'excellent build quality', terms: ['build quality', 'well built', 'well made', 'solid build', 'sturdy', 'premium materials'] },
+  { indicator: 'long-lasting battery', terms: ['battery life', 'battery lasts', 'long lasting battery', 'all day battery', 'lasts all day'] },
+  { indicator: 'smooth performance', terms: ['smooth', 'fast', 'snappy', 'responsive', 'no lag'] },
+  { indicator: 'great sound', terms: ['sound quality', 'great sound', 'clear sound', 'rich bass', 'crisp audio'] },
+  { indicator: 'great display', terms: ['display', 'screen', 'bright screen', 'vivid colors'] },
+  { indicator: 'great camera', terms: ['camera', 'photos', 'pictures'] },
+  { indicator: 'comfortable to use', terms: ['comfortable', 'ergonomic', 'fits well', 'lightweight'] },
+  { indicator: 'great value', terms: ['great value', 'good value', 'worth it', 'worth the money', 'worth every penny', 'bang for the buck'] },
+  { indicator: 'durable and reliable', terms: ['durable', 'reliable', 'long lasting', 'still works', 'holds up'] },
+  { indicator: 'elegant design', terms: ['design', 'beautiful', 'elegant', 'stylish', 'sleek', 'looks great'] },
+  { indicator: 'easy to use', terms: ['easy to use', 'easy setup', 'easy to set up', 'intuitive', 'user friendly'] },
+];
+
+/**
+ * Problems reviewers report, reported as CommentAnalysis.commonIssues
+ * @type {Array<{ issue: string; terms: string[] }>}
+ */
+export const COMMON_ISSUES = [
+  { issue: 'expensive', terms: ['expensive', 'overpriced', 'pricey', 'too much money'] },
+  { issue: 'poor battery life', terms: ['battery drains', 'battery dies', 'poor battery', 'bad battery', 'battery is weak'] },
+  { issue: 'overheating', terms: ['overheating', 'overheats', 'gets hot', 'heating'] },
+  { issue: 'stopped working', terms: ['stopped working', 'broke', 'broken', 'died', 'dead on arrival', 'defective', 'faulty'] },
+  { issue: 'poor build quality', terms: ['flimsy', 'cheaply made', 'cheap plastic', 'fragile', 'wobbly'] },
+  { issue: 'connectivity problems', terms: ['disconnects', 'connection drops', 'bluetooth issues', 'wont connect', 'pairing issues'] },
+  { issue: 'software bugs', terms: ['buggy', 'crashes', 'glitchy', 'bugs', 'freezes'] },
+  { issue: 'slow performance', terms: ['slow', 'laggy', 'lag', 'sluggish'] },
+  { issue: 'heavy', terms: ['heavy', 'bulky'] },
+  { issue: 'uncomfortable', terms: ['uncomfortable', 'hurts', 'painful', 'too tight'] },
+  { issue: 'noisy', terms: ['noisy', 'too loud', 'fan noise', 'buzzing'] },
+  { issue: 'poor customer support', terms: ['customer service', 'customer support', 'no response', 'warranty claim'] },
+];
+
+/**
+ * Phrases typical of promotional or incentivized reviews. Links in a comment are flagged as well.
+ */
+export const PROMOTIONAL_PHRASES = [
+  'use code', 'use my code', 'promo code', 'discount code', 'coupon code', 'click here', 'link in bio',
+  'check out my', 'visit our', 'visit my', 'dm me', 'message me', 'whatsapp', 'telegram', 'free gift',
+  'buy now', 'order now', 'limited time offer', 'received this product for free', 'received it for free',
+  'in exchange for', 'for an honest review', 'for my honest review', 'best product ever', 'must buy',
+];
@@ -0,0 +1,52 @@
+/**
+ * Sample customer comments for the demo products in api/services/productService.ts (ids '1' to '5').
+ *
+ * They are analyzed like any submitted comments the first time an analysis of a demo product is asked for,
+ * so recommendations work before anyone posts comments. Turn this off with COMMENT_ANALYSIS_SEED_DEMO=false.
+ */
+
+/**
+ * @type {Record<string, { content: string; rating: number; createdAt: string }[]>}
+ */
+export const DEMO_COMMENTS = {
+  '1': [
+    { content: 'Premium build quality, the titanium frame feels solid and light. The camera is superb in low light.', rating: 5, createdAt: '2024-09-22T10:15:00Z' },
+    { content: 'Battery life is excellent, easily a day and a half. Smooth performance in every game I tried.', rating: 5, createdAt: '2024-10-03T18:40:00Z' },
+    { content: 'Great display and the best video I have shot on a phone, but it is expensive.', rating: 4, createdAt: '2024-10-19T08:05:00Z' },
+    { content: 'Beautiful design and premium materials. A bit heavy for one hand use.', rating: 4, createdAt: '2024-11-07T21:30:00Z' },
+    { content: 'Reliable and fast. iOS updates keep coming, worth every penny for me.', rating: 5, createdAt: '2024-12-01T13:20:00Z' },
+    { content: 'Camera zoom is impressive although the charging is slow compared to other phones.', rating: 4, createdAt: '2025-01-11T16:45:00Z' },
+  ],
+  '2': [
+    { content: 'The display is amazing, bright and sharp even outside. The S Pen is a nice extra.', rating: 5, createdAt: '2024-09-28T09:10:00Z' },
+    { content: 'Versatile camera with a great zoom. Photos look excellent day and night.', rating: 5, createdAt: '2024-10-12T17:25:00Z' },
+    { content: 'Powerful performance and all day battery. It is pricey and quite big though.', rating: 4, createdAt: '2024-10-30T11:50:00Z' },
+    { content: 'Premium build, solid and durable. Too many features to learn at first.', rating: 4, createdAt: '2024-11-18T20:00:00Z' },
+    { content: 'Smooth screen, fast processor, and the battery life is reliable. Highly recommend.', rating: 5, createdAt: '2024-12-09T07:35:00Z' },
+    { content: 'Good phone but the software has some bloatware I had to remove.', rating: 4, createdAt: '2025-01-20T14:15:00Z' },
+  ],
+  '3': [
+    { content: 'Excellent camera, the AI photo features are impressive and night mode is brilliant.', rating: 5, createdAt: '2024-09-25T12:00:00Z' },
+    { content: 'Clean Android with no bloatware and seven years of updates. Great value.', rating: 5, createdAt: '2024-10-08T19:15:00Z' },
+    { content: 'Good battery life but it gets warm when gaming, some overheating on long calls.', rating: 4, createdAt: '2024-10-27T08:45:00Z' },
+    { content: 'Reliable phone with smooth software. Limited storage options for the price.', rating: 4, createdAt: '2024-11-14T16:30:00Z' },
+    { content: 'The pictures are amazing and the screen is bright. Happy with it.', rating: 5, createdAt: '2024-12-05T10:20:00Z' },
+    { content: 'Solid phone, though the charging is slow and the processor is not the fastest.', rating: 4, createdAt: '2025-01-15T18:05:00Z' },
+  ],
+  '4': [
+    { content: 'Super fast charging, a full charge in under half an hour. Great value for the money.', rating: 5, createdAt: '2024-09-30T11:40:00Z' },
+    { content: 'Smooth performance and clean software. OxygenOS is fast and intuitive.', rating: 5, createdAt: '2024-10-16T15:55:00Z' },
+    { content: 'Battery life is excellent. The camera could be better in low light.', rating: 4, createdAt: '2024-11-02T09:25:00Z' },
+    { content: 'Reliable build and a nice display. No wireless charging in my region.', rating: 4, createdAt: '2024-11-21T19:10:00Z' },
+    { content: 'Fast and smooth for gaming, worth it at this price.', rating: 5, createdAt: '2024-12-12T12:35:00Z' },
+    { content: 'Good phone, although photos are average compared to the flagships.', rating: 4, createdAt: '2025-01-24T17:00:00Z' },
+  ],
+  '5': [
+    { content: 'Impressive camera for the price, the Leica colors look great.', rating: 5, createdAt: '2024-10-01T10:30:00Z' },
+    { content: 'Affordable and the battery lasts all day. Good value overall.', rating: 4, createdAt: '2024-10-20T14:50:00Z' },
+    { content: 'The display is bright and smooth. The software has ads and bloatware though.', rating: 4, createdAt: '2024-11-09T08:20:00Z' },
+    { content: 'Fast charging and solid performance. Updates are slow to arrive.', rating: 4, createdAt: '2024-11-28T20:45:00Z' },
+    { content: 'Great photos in daylight, but the night mode is disappointing.', rating: 4, createdAt: '2024-12-16T11:05:00Z' },
+    { content: 'Nice design and reliable so far. Happy with the purchase.', rating: 5, createdAt: '2025-01-27T16:25:00Z' },
+  ],
+};
@@ -0,0 +1,39 @@
+/**
+ * Static exchange rates, used when no live rate source is configured or the live source is unreachable.
+ *
+ * Rates are units of each currency per one unit of `base`. They are approximate mid-market rates
+ * as of `asOf`; refresh them from time to time, or set EXCHANGE_RATE_SOURCE=http for live rates.
+ */
+
+/**
+ * @type {import('../services/currencyService.js').ExchangeRates}
+ */
+export const STATIC_EXCHANGE_RATES = {
+  base: 'USD',
+  asOf: '2024-12-01',
+  source: 'static',
+  rates: {
+    USD: 1,
+    EUR: 0.946,
+    GBP: 0.787,
+    JPY: 149.8,
+    CAD: 1.401,
+    AUD: 1.536,
+    NZD: 1.69,
+    CHF: 0.881,
+    SEK: 10.92,
+    NOK: 11.05,
+    DKK: 7.06,
+    PLN: 4.07,
+    CNY: 7.245,
+    HKD: 7.78,
+    SGD: 1.34,
+    KRW: 1394,
+    INR: 84.49,
+    MXN: 20.37,
+    BRL: 6.01,
+    ZAR: 18.06,
+  },
+};
+
+export default STATIC_EXCHANGE_RATES;
@@ -0,0 +1,246 @@
+/**
+ * Prompt templates used for product search, loaded into the prompt registry at startup.
+ *
+ * Each template is identified by `id` and an integer `version`, and can be scoped to a strategy type,
+ * a product category and a locale ('*' matches anything). Never edit a published version in place:
+ * add a new version so results stay comparable across prompt revisions.
+ *
+ * Placeholders: `{{name}}` inserts an escaped value, `{{{name}}}` inserts trusted text as-is,
+ * and `{{#name}}...{{/name}}` keeps its contents only when `name` has a value.
+ */
+
+/**
+ * @typedef {Object} PromptTemplate
+ * @property {string} id - Template id (e.g. 'product-search')
+ * @property {number} version - Version number, increasing with each revision
+ * @property {string} [strategy] - Strategy type the template is written for ('*' for all)
+ * @property {string} [category] - Product category the template is written for ('*' for all)
+ * @property {string} [locale] - Locale or language the template is written in ('*' for all)
+ * @property {string} description - What changed in this version
+ * @property {string} template - Template text
+ */
+
+const STRATEGY_CONSTRAINTS_V1 = `Shopping Strategy: {{strategyType}}
+{{#maxPrice}}Maximum Price: \${{maxPrice}}{{/maxPrice}}
+{{#minPrice}}Minimum Price: \${{minPrice}}{{/minPrice}}
+{{#preferredBrands}}Preferred Brands: {{preferredBrands}}{{/preferredBrands}}
+{{#excludedBrands}}Excluded Brands: {{excludedBrands}}{{/excludedBrands}}
+{{#minRating}}Minimum Rating: {{minRating}}/5{{/minRating}}
+{{#category}}Category: {{category}}{{/category}}`;
+
+const PRODUCT_FORMAT_V1 = `Please provide a JSON array of 5-10 products that match this criteria. Each product should include:
+{
+  "name": "Product Name",
+  "price": 999.99,
+  "brand": "Brand Name",
+  "category": "Category",
+  "imageUrl": "https://example.com/image.jpg",
+  "productUrl": "https://example.com/product",
+  "rating": 4.5,
+  "reviewCount": 100,
+  "sourcePlatform": "Amazon/BestBuy/etc",
+  "description": "Brief product description",
+  "features": ["feature1", "feature2", "feature3"],
+  "specifications": {
+    "key": "value"
+  }
+}`;
+
+const STRATEGY_CONSTRAINTS_V2 = `Shopping Strategy: {{strategyType}}
+Currency: {{currency}}
+{{#maxPrice}}Maximum Price: {{maxPrice}} {{currency}}{{/maxPrice}}
+{{#minPrice}}Minimum Price: {{minPrice}} {{currency}}{{/minPrice}}
+{{#preferredBrands}}Preferred Brands: {{preferredBrands}}{{/preferredBrands}}
+{{#excludedBrands}}Excluded Brands: {{excludedBrands}}{{/excludedBrands}}
+{{#minRating}}Minimum Rating: {{minRating}}/5{{/minRating}}
+{{#category}}Category: {{category}}{{/category}}`;
+
+const PRODUCT_FORMAT_V2 = `Please provide a JSON array of 5-10 products that match this criteria. Give every price in {{currency}} as sold in that currency's market, and say which currency it is in. Each product should include:
+{
+  "name": "Product Name",
+  "price": 999.99,
+  "currency": "{{currency}}",
+  "brand": "Brand Name",
+  "category": "Category",
+  "imageUrl": "https://example.com/image.jpg",
+  "productUrl": "https://example.com/product",
+  "rating": 4.5,
+  "reviewCount": 100,
+  "sourcePlatform": "Amazon/BestBuy/etc",
+  "description": "Brief product description",
+  "features": ["feature1", "feature2", "feature3"],
+  "specifications": {
+    "key": "value"
+  }
+}`;
+
+const STRATEGY_GUIDELINES_V1 = `Strategy Guidelines:
+- **Fancy**: Focus on premium brands, high-quality materials, luxury features, latest technology
+- **Cost-effective**: Balance price and quality, good value for money, reliable brands
+- **Price-priority**: Lowest price options, basic functionality, acceptable quality`;
+
+const STRATEGY_GUIDELINES_V3 = `Strategy Guidelines ({{strategyName}}): {{strategyGuidelines}}`;
+
+/**
+ * @type {PromptTemplate[]}
+ */
+export const PROMPT_TEMPLATES = [
+  {
+    id: 'product-search',
+    version: 1,
+    strategy: '*',
+    category: '*',
+    locale: 'en',
+    description: 'Original search prompt',
+    template: `You are a product search assistant. Based on the customer's request and their shopping strategy, find the best products.
+
+Customer Request: "{{customerInput}}"
+
+${STRATEGY_CONSTRAINTS_V1}
+
+${PRODUCT_FORMAT_V1}
+
+${STRATEGY_GUIDELINES_V1}
+
+Return only the JSON array, no additional text.`,
+  },
+  {
+    id: 'product-search-followup',
+    version: 1,
+    strategy: '*',
+    category: '*',
+    locale: 'en',
+    description: 'Refine earlier results from a follow-up message',
+    template: `You are a product search assistant. Based on the customer's request and their shopping strategy, find the best products.
+
+Customer Request: "{{customerInput}}"
+
+${STRATEGY_CONSTRAINTS_V1}
+
+${PRODUCT_FORMAT_V1}
+
+${STRATEGY_GUIDELINES_V1}
+
+This is a follow-up in an ongoing conversation. Refine the previous results to satisfy the customer's latest message.
+
+Conversation so far:
+{{{transcript}}}
+
+Previously Recommended Products: {{{previousProducts}}}
+
+Follow-up Request: "{{followUp}}"
+
+Refinement Guidelines:
+- Keep previously recommended products that still fit, copying their fields exactly, and re-rank them best first
+- Drop products that no longer fit the follow-up and add new products where needed
+- Treat the follow-up as narrowing the earlier request unless the customer clearly changes topic
+
+Return only the JSON array, no additional text.`,
+  },
+  {
+    id: 'product-search',
+    version: 2,
+    strategy: '*',
+    category: '*',
+    locale: 'en',
+    description: 'Price bounds and product prices in the requested currency',
+    template: `You are a product search assistant. Based on the customer's request and their shopping strategy, find the best products.
+
+Customer Request: "{{customerInput}}"
+
+${STRATEGY_CONSTRAINTS_V2}
+
+${PRODUCT_FORMAT_V2}
+
+${STRATEGY_GUIDELINES_V1}
+
+Return only the JSON array, no additional text.`,
+  },
+  {
+    id: 'product-search-followup',
+    version: 2,
+    strategy: '*',
+    category: '*',
+    locale: 'en',
+    description: 'Price bounds and product prices in the requested currency',
+    template: `You are a product search assistant. Based on the customer's request and their shopping strategy, find the best products.
+
+Customer Request: "{{customerInput}}"
+
+${STRATEGY_CONSTRAINTS_V2}
+
+${PRODUCT_FORMAT_V2}
+
+${STRATEGY_GUIDELINES_V1}
+
+This is a follow-up in an ongoing conversation. Refine the previous results to satisfy the customer's latest message.
+
+Conversation so far:
+{{{transcript}}}
+
+Previously Recommended Products: {{{previousProducts}}}
+
+Follow-up Request: "{{followUp}}"
+
+Refinement Guidelines:
+- Keep previously recommended products that still fit, copying their fields exactly, and re-rank them best first
+- Drop products that no longer fit the follow-up and add new products where needed
+- Treat the follow-up as narrowing the earlier request unless the customer clearly changes topic
+
+Return only the JSON array, no additional text.`,
+  },
+  {
+    id: 'product-search',
+    version: 3,
+    strategy: '*',
+    category: '*',
+    locale: 'en',
+    description: 'Guidelines of the requested strategy only, so custom strategies get their own',
+    template: `You are a product search assistant. Based on the customer's request and their shopping strategy, find the best products.
+
+Customer Request: "{{customerInput}}"
+
+${STRATEGY_CONSTRAINTS_V2}
+
+${PRODUCT_FORMAT_V2}
+
+${STRATEGY_GUIDELINES_V3}
+
+Return only the JSON array, no additional text.`,
+  },
+  {
+    id: 'product-search-followup',
+    version: 3,
+    strategy: '*',
+    category: '*',
+    locale: 'en',
+    description: 'Guidelines of the requested strategy only, so custom strategies get their own',
+    template: `You are a product search assistant. Based on the customer's request and their shopping strategy, find the best products.
+
+Customer Request: "{{customerInput}}"
+
+${STRATEGY_CONSTRAINTS_V2}
+
+${PRODUCT_FORMAT_V2}
+
+${STRATEGY_GUIDELINES_V3}
+
+This is a follow-up in an ongoing conversation. Refine the previous results to satisfy the customer's latest message.
+
+Conversation so far:
+{{{transcript}}}
+
+Previously Recommended Products: {{{previousProducts}}}
+
+Follow-up Request: "{{followUp}}"
+
+Refinement Guidelines:
+- Keep previously recommended products that still fit, copying their fields exactly, and re-rank them best first
+- Drop products that no longer fit the follow-up and add new products where needed
+- Treat the follow-up as narrowing the earlier request unless the customer clearly changes topic
+
+Return only the JSON array, no additional text.`,
+  },
+];
+
+export default PROMPT_TEMPLATES;
@@ -0,0 +1,108 @@
+/**
+ * Built-in shopping strategies and the scoring factors strategy definitions can weight.
+ *
+ * Built-in strategies are read-only; custom strategies are created through /api/strategies and
+ * stored by the strategy service. Both use the same definition shape.
+ */
+
+/**
+ * Factors recommendationService knows how to score, each from 0 to 1
+ */
+export const SCORING_FACTORS = {
+  brandReputation: 'Reputation of the product brand',
+  premiumFeatures: 'Reviews mentioning premium, luxury or high-end qualities',
+  qualityIndicators: 'Positive mentions of build quality',
+  designAesthetics: 'Reviews praising design and looks',
+  valueRatio: 'Balance of a low price and a high rating',
+  durability: 'Reviews mentioning durability and reliability',
+  worthItMentions: 'Reviews saying the product is worth the money',
+  longTermSatisfaction: 'Share of positive reviews',
+  priceCompetitiveness: 'How low the price is',
+  basicQualityThreshold: 'Whether the rating reaches 4/5',
+  avoidConcerningIssues: 'How few common issues reviewers report',
+};
+
+/**
+ * @type {import('../services/strategyService.js').ShoppingStrategyDefinition[]}
+ */
+export const BUILT_IN_STRATEGIES = [
+  {
+    id: 'fancy',
+    name: 'Fancy',
+    description: 'Prioritizes premium products with excellent design and brand reputation',
+    icon: '✨',
+    characteristics: [
+      'Focuses on luxury and premium brands',
+      'Emphasizes high-quality materials and craftsmanship',
+      'Prioritizes latest technology and features',
+      'Values brand reputation and prestige'
+    ],
+    examplePrompts: [
+      'Find me the most premium smartphone',
+      'I want the best quality laptop money can buy',
+      'Show me luxury headphones with excellent design'
+    ],
+    guidelines: 'Focus on premium brands, high-quality materials, luxury features, latest technology',
+    weights: {
+      brandReputation: 0.3,
+      premiumFeatures: 0.25,
+      qualityIndicators: 0.25,
+      designAesthetics: 0.2,
+    },
+    defaults: {},
+    builtIn: true,
+  },
+  {
+    id: 'cost-effective',
+    name: 'Cost-Effective',
+    description: 'Balances price and quality for the best value-for-money products',
+    icon: '💰',
+    characteristics: [
+      'Optimizes price-to-performance ratio',
+      'Looks for reliable mid-range options',
+      'Considers long-term value and durability',
+      'Balances features with affordability'
+    ],
+    examplePrompts: [
+      'Find me a good value smartphone under $500',
+      'Best laptop for the money',
+      'Affordable headphones with decent quality'
+    ],
+    guidelines: 'Balance price and quality, good value for money, reliable brands',
+    weights: {
+      valueRatio: 0.4,
+      durability: 0.3,
+      worthItMentions: 0.2,
+      longTermSatisfaction: 0.1,
+    },
+    defaults: {},
+    builtIn: true,
+  },
+  {
+    id: 'price-priority',
+    name: 'Price Priority',
+    description: 'Focuses on the most affordable options while maintaining basic quality',
+    icon: '🏷️',
+    characteristics: [
+      'Prioritizes lowest price options',
+      'Accepts basic functionality over premium features',
+      'Focuses on essential needs only',
+      'Minimizes cost while maintaining usability'
+    ],
+    examplePrompts: [
+      'Cheapest smartphone that works well',
+      'Most affordable laptop for basic tasks',
+      'Budget headphones under $50'
+    ],
+    guidelines: 'Lowest price options, basic functionality, acceptable quality',
+    weights: {
+      priceCompetitiveness: 0.5,
+      basicQualityThreshold: 0.3,
+      avoidConcerningIssues: 0.2,
+    },
+    defaults: {},
+    builtIn: true,
+  },
+];
+
+export default BUILT_IN_STRATEGIES;
@@ -5,12 +5,13 @@ dotenv.config();
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
+const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
 if (!supabaseUrl || !supabaseAnonKey) {
   throw new Error('Missing Supabase environment variables. Please check your .env file.');
 }
 
-export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
+const clientOptions = {
   auth: {
     persistSession: false,
     autoRefreshToken: false,
@@ -23,6 +24,28 @@ export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
   db: {
     schema: 'public',
   },
-});
+};
+
+export const supabase = createClient(supabaseUrl, supabaseAnonKey, clientOptions);
+
+/**
+ * Client with the service role, for tables only the API server may write (sessions, recorded searches,
+ * strategies, comment analyses) and for maintenance scripts. It bypasses row level security, so the key
+ * must never leave the server. null when SUPABASE_SERVICE_ROLE_KEY is not set.
+ */
+export const supabaseService = supabaseServiceRoleKey
+  ? createClient(supabaseUrl, supabaseServiceRoleKey, clientOptions)
+  : null;
+
+/**
+ * The service role client, or an error saying it is needed
+ * @param {string} purpose - What needs it, e.g. 'the supabase session store'
+ */
+export const requireServiceClient = (purpose) => {
+  if (!supabaseService) {
+    throw new Error(`SUPABASE_SERVICE_ROLE_KEY is required for ${purpose}`);
+  }
+  return supabaseService;
+};
 
 export default supabase;
\ No newline at end of file
@@ -4,13 +4,20 @@ import { analyzeComments as analyzeCommentsService, getCommentAnalysis as getCom
 export const analyzeComments = async (req: Request, res: Response) => {
   try {
     const { productId } = req.params;
-    const { comments } = req.body;
+    const { comments, category } = req.body;
 
     if (!comments || !Array.isArray(comments)) {
       return res.status(400).json({ error: 'Comments array is required' });
     }
 
-    const analysis = await analyzeCommentsService(productId, comments);
+    const invalid = comments.findIndex(comment => typeof comment !== 'string' && typeof comment?.content !== 'string');
+    if (invalid >= 0) {
+      return res.status(400).json({ error: `Comment ${invalid} must be a string or have a string content field` });
+    }
+
+    const analysis = await analyzeCommentsService(productId, comments, {
+      category: typeof category === 'string' ? category : undefined
+    });
     res.json(analysis);
   } catch (error) {
     console.error('Error analyzing comments:', error);
@@ -1,10 +1,47 @@
 import { Request, Response } from 'express';
 import { RecommendationRequest } from '../types/strategy';
 import { generateRecommendations } from '../services/recommendationService';
+import { getShoppingStrategy, validateStrategyWeights } from '../services/strategyService.js';
+import { isSupportedCurrency } from '../services/currencyService.js';
+
+const isStringArray = (value: unknown): boolean => Array.isArray(value) && value.every(entry => typeof entry === 'string');
+
+/**
+ * Error message for malformed user preferences, or null when they are valid or absent
+ */
+const validateUserPreferences = (preferences: RecommendationRequest['userPreferences']): string | null => {
+  if (preferences === undefined || preferences === null) return null;
+  if (typeof preferences !== 'object') return 'userPreferences must be an object';
+
+  const { priceRange, preferredBrands, excludedKeywords, mode } = preferences;
+
+  if (priceRange !== undefined) {
+    if (typeof priceRange?.min !== 'number' || typeof priceRange?.max !== 'number' || priceRange.min < 0 || priceRange.min > priceRange.max) {
+      return 'userPreferences.priceRange must have numeric min and max with 0 <= min <= max';
+    }
+    if (priceRange.currency !== undefined && !isSupportedCurrency(priceRange.currency)) {
+      return 'userPreferences.priceRange.currency must be a supported ISO 4217 code';
+    }
+  }
+
+  if (preferredBrands !== undefined && !isStringArray(preferredBrands)) {
+    return 'userPreferences.preferredBrands must be an array of strings';
+  }
+
+  if (excludedKeywords !== undefined && !isStringArray(excludedKeywords)) {
+    return 'userPreferences.excludedKeywords must be an array of strings';
+  }
+
+  if (mode !== undefined && mode !== 'hard' && mode !== 'soft') {
+    return 'userPreferences.mode must be "hard" or "soft"';
+  }
+
+  return null;
+};
 
 export const getRecommendations = async (req: Request, res: Response) => {
   try {
-    const { products, strategy, userPreferences }: RecommendationRequest = req.body;
+    const { products, strategy, userPreferences, weights }: RecommendationRequest = req.body;
 
     if (!products || !Array.isArray(products) || products.length === 0) {
       return res.status(400).json({ error: 'Products array is required' });
@@ -14,7 +51,24 @@ export const getRecommendations = async (req: Request, res: Response) => {
       return res.status(400).json({ error: 'Strategy is required' });
     }
 
-    const recommendations = await generateRecommendations(products, strategy, userPreferences);
+    const preferencesError = validateUserPreferences(userPreferences);
+    if (preferencesError) {
+      return res.status(400).json({ error: preferencesError });
+    }
+
+    if (weights !== undefined) {
+      const errors = validateStrategyWeights(weights);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid weights', details: errors });
+      }
+    }
+
+    const { data: definition } = await getShoppingStrategy(strategy);
+    if (!definition) {
+      return res.status(400).json({ error: `Unknown strategy "${strategy}"` });
+    }
+
+    const recommendations = await generateRecommendations(products, strategy, userPreferences, weights);
     res.json(recommendations);
   } catch (error) {
     console.error('Error generating recommendations:', error);
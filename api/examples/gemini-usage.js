@@ -4,6 +4,7 @@ import { generateSearchMetadata } from '../services/geminiDataTransformer.js';
 
 /**
  * Example usage of Gemini product search functionality
+ * Set LLM_PROVIDER=local to run the examples offline against the fixture catalog
  */
 
 // Example 1: Search for products with different strategies
@@ -35,10 +36,11 @@ async function exampleSearch() {
 
     try {
       // Search for products
-      const result = await searchProductsWithGemini(query, strategy);
+      const result = await searchProductsWithGemini(query, { type: strategy });
       
       console.log(`✅ Found ${result.products.length} products`);
       console.log(`🎯 Strategy applied: ${result.strategy}`);
+      console.log(`🤖 Provider: ${result.metadata.provider} (${result.metadata.model})`);
       console.log(`⏱️  Search time: ${result.metadata.searchTime}ms\n`);
 
       // Display first few products
@@ -55,8 +57,10 @@ async function exampleSearch() {
       const metadata = generateSearchMetadata(query, strategy, result.products);
       console.log(`📊 Search Metadata:`);
       console.log(`   Products found: ${metadata.productCount}`);
-      console.log(`   Price range: $${metadata.priceRange.min} - $${metadata.priceRange.max}`);
-      console.log(`   Average price: $${metadata.priceRange.average.toFixed(2)}`);
+      if (metadata.priceRange) {
+        console.log(`   Price range: $${metadata.priceRange.min} - $${metadata.priceRange.max}`);
+        console.log(`   Average price: $${metadata.priceRange.average.toFixed(2)}`);
+      }
       console.log(`   Unique brands: ${metadata.brandCount}`);
       console.log(`   Categories: ${metadata.categoryCount}\n`);
 
@@ -85,7 +89,7 @@ async function exampleSearchAndStore() {
     console.log(`   Store in database: ${searchConfig.storeInDatabase}\n`);
 
     // Search for products
-    const searchResult = await searchProductsWithGemini(searchConfig.query, searchConfig.strategy);
+    const searchResult = await searchProductsWithGemini(searchConfig.query, { type: searchConfig.strategy });
     
     if (searchResult.products.length === 0) {
       console.log('⚠️  No products found to store');
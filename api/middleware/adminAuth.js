@@ -0,0 +1,39 @@
+import { timingSafeEqual } from 'crypto';
+
+/**
+ * Whether a presented key is the configured one, compared in constant time
+ * @param {string|undefined} presented
+ * @param {string} expected
+ * @returns {boolean}
+ */
+const keyMatches = (presented, expected) => {
+  if (typeof presented !== 'string') return false;
+
+  const a = Buffer.from(presented);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+};
+
+/**
+ * Guard admin endpoints with the x-admin-key header. Without an ADMIN_API_KEY the endpoints are disabled (503)
+ * rather than open, so a deployment that forgets the key does not expose them.
+ */
+export const requireAdminKey = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin endpoints are disabled until ADMIN_API_KEY is configured'
+    });
+  }
+
+  if (!keyMatches(req.get('x-admin-key'), adminKey)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Valid x-admin-key header is required'
+    });
+  }
+
+  next();
+};
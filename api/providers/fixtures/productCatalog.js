@@ -0,0 +1,338 @@
+/**
+ * Fixture product catalog used by the local LLM provider.
+ * Entries follow the GeminiProduct shape plus a `keywords` list used for matching.
+ */
+export const LOCAL_PRODUCT_CATALOG = [
+  {
+    name: 'iPhone 15 Pro Max',
+    price: 1199,
+    brand: 'Apple',
+    category: 'Smartphones',
+    imageUrl: 'https://m.media-amazon.com/images/I/iphone-15-pro-max.jpg',
+    productUrl: 'https://www.amazon.com/dp/B0CHX1W1XY',
+    rating: 4.8,
+    reviewCount: 2547,
+    sourcePlatform: 'Amazon',
+    description: 'Titanium flagship with A17 Pro chip and 5x telephoto camera',
+    features: ['A17 Pro chip', '5x optical zoom', 'Titanium design', 'USB-C'],
+    specifications: { storage: '256GB', display: '6.7-inch OLED', battery: '4422mAh' },
+    keywords: ['smartphone', 'phone', 'iphone', 'premium', 'camera', 'ios']
+  },
+  {
+    name: 'Samsung Galaxy S24 Ultra',
+    price: 1299,
+    brand: 'Samsung',
+    category: 'Smartphones',
+    imageUrl: 'https://pisces.bbystatic.com/image2/galaxy-s24-ultra.jpg',
+    productUrl: 'https://www.bestbuy.com/site/galaxy-s24-ultra/6569840.p',
+    rating: 4.7,
+    reviewCount: 1892,
+    sourcePlatform: 'BestBuy',
+    description: 'Android flagship with built-in S Pen and 200MP camera',
+    features: ['S Pen', '200MP camera', 'Galaxy AI', 'Titanium frame'],
+    specifications: { storage: '256GB', display: '6.8-inch AMOLED', battery: '5000mAh' },
+    keywords: ['smartphone', 'phone', 'android', 'galaxy', 'premium', 'camera']
+  },
+  {
+    name: 'Google Pixel 8a',
+    price: 499,
+    brand: 'Google',
+    category: 'Smartphones',
+    imageUrl: 'https://m.media-amazon.com/images/I/pixel-8a.jpg',
+    productUrl: 'https://www.amazon.com/dp/B0D1Y7FZZM',
+    rating: 4.5,
+    reviewCount: 1310,
+    sourcePlatform: 'Amazon',
+    description: 'Mid-range Pixel with flagship camera processing and 7 years of updates',
+    features: ['Tensor G3', 'Magic Eraser', '7 years of OS updates'],
+    specifications: { storage: '128GB', display: '6.1-inch OLED', battery: '4492mAh' },
+    keywords: ['smartphone', 'phone', 'android', 'pixel', 'value', 'camera']
+  },
+  {
+    name: 'Samsung Galaxy A15 5G',
+    price: 199,
+    brand: 'Samsung',
+    category: 'Smartphones',
+    imageUrl: 'https://i5.walmartimages.com/asr/galaxy-a15.jpg',
+    productUrl: 'https://www.walmart.com/ip/Samsung-Galaxy-A15-5G/5069436340',
+    rating: 4.3,
+    reviewCount: 3120,
+    sourcePlatform: 'Walmart',
+    description: 'Affordable 5G phone with large display and long battery life',
+    features: ['5G', '90Hz display', 'Two-day battery'],
+    specifications: { storage: '128GB', display: '6.5-inch AMOLED', battery: '5000mAh' },
+    keywords: ['smartphone', 'phone', 'android', 'budget', 'cheap', 'affordable']
+  },
+  {
+    name: 'Moto G Play 2024',
+    price: 149,
+    brand: 'Motorola',
+    category: 'Smartphones',
+    imageUrl: 'https://m.media-amazon.com/images/I/moto-g-play.jpg',
+    productUrl: 'https://www.amazon.com/dp/B0CRKQ9QV7',
+    rating: 4.1,
+    reviewCount: 2204,
+    sourcePlatform: 'Amazon',
+    description: 'Entry-level phone for calls, texts and everyday apps',
+    features: ['Three-day battery', '50MP camera', 'Dolby Atmos speakers'],
+    specifications: { storage: '64GB', display: '6.5-inch LCD', battery: '5000mAh' },
+    keywords: ['smartphone', 'phone', 'android', 'budget', 'cheap', 'basic']
+  },
+  {
+    name: 'MacBook Pro 14-inch M3 Pro',
+    price: 1999,
+    brand: 'Apple',
+    category: 'Laptops',
+    imageUrl: 'https://pisces.bbystatic.com/image2/macbook-pro-14.jpg',
+    productUrl: 'https://www.bestbuy.com/site/macbook-pro-14-m3-pro/6534615.p',
+    rating: 4.8,
+    reviewCount: 980,
+    sourcePlatform: 'BestBuy',
+    description: 'Pro laptop with Liquid Retina XDR display and all-day battery',
+    features: ['M3 Pro chip', 'Liquid Retina XDR', '18-hour battery'],
+    specifications: { ram: '18GB', storage: '512GB SSD', display: '14.2-inch' },
+    keywords: ['laptop', 'notebook', 'macbook', 'premium', 'work', 'creative']
+  },
+  {
+    name: 'ASUS ROG Zephyrus G14',
+    price: 1599,
+    brand: 'ASUS',
+    category: 'Laptops',
+    imageUrl: 'https://c1.neweggimages.com/productimage/rog-zephyrus-g14.jpg',
+    productUrl: 'https://www.newegg.com/asus-rog-zephyrus-g14/p/N82E16834235001',
+    rating: 4.6,
+    reviewCount: 645,
+    sourcePlatform: 'Newegg',
+    description: 'Compact gaming laptop with RTX graphics and OLED display',
+    features: ['RTX 4070', '120Hz OLED', 'Aluminium chassis'],
+    specifications: { ram: '32GB', storage: '1TB SSD', display: '14-inch OLED' },
+    keywords: ['laptop', 'gaming', 'notebook', 'rtx', 'premium']
+  },
+  {
+    name: 'Lenovo IdeaPad Slim 3',
+    price: 549,
+    brand: 'Lenovo',
+    category: 'Laptops',
+    imageUrl: 'https://m.media-amazon.com/images/I/ideapad-slim-3.jpg',
+    productUrl: 'https://www.amazon.com/dp/B0CKXR8VXN',
+    rating: 4.4,
+    reviewCount: 1502,
+    sourcePlatform: 'Amazon',
+    description: 'Lightweight everyday laptop for students and office work',
+    features: ['Ryzen 7', 'Full HD display', 'Rapid charge'],
+    specifications: { ram: '16GB', storage: '512GB SSD', display: '15.6-inch' },
+    keywords: ['laptop', 'notebook', 'student', 'students', 'work', 'value']
+  },
+  {
+    name: 'Acer Chromebook 314',
+    price: 229,
+    brand: 'Acer',
+    category: 'Laptops',
+    imageUrl: 'https://i5.walmartimages.com/asr/chromebook-314.jpg',
+    productUrl: 'https://www.walmart.com/ip/Acer-Chromebook-314/915456742',
+    rating: 4.2,
+    reviewCount: 2870,
+    sourcePlatform: 'Walmart',
+    description: 'Affordable Chromebook for web browsing and schoolwork',
+    features: ['ChromeOS', '10-hour battery', 'Lightweight'],
+    specifications: { ram: '4GB', storage: '64GB eMMC', display: '14-inch' },
+    keywords: ['laptop', 'chromebook', 'budget', 'cheap', 'affordable', 'browsing', 'student']
+  },
+  {
+    name: 'Sony WH-1000XM5',
+    price: 399,
+    brand: 'Sony',
+    category: 'Headphones',
+    imageUrl: 'https://m.media-amazon.com/images/I/sony-wh1000xm5.jpg',
+    productUrl: 'https://www.amazon.com/dp/B09XS7JWHH',
+    rating: 4.6,
+    reviewCount: 8420,
+    sourcePlatform: 'Amazon',
+    description: 'Industry-leading noise cancelling wireless headphones',
+    features: ['Adaptive noise cancelling', '30-hour battery', 'Multipoint'],
+    specifications: { battery: '30 hours', weight: '250g', connectivity: 'Bluetooth 5.2' },
+    keywords: ['headphones', 'wireless', 'noise', 'cancelling', 'bluetooth', 'premium']
+  },
+  {
+    name: 'Bose QuietComfort Ultra Headphones',
+    price: 429,
+    brand: 'Bose',
+    category: 'Headphones',
+    imageUrl: 'https://pisces.bbystatic.com/image2/bose-qc-ultra.jpg',
+    productUrl: 'https://www.bestbuy.com/site/bose-quietcomfort-ultra/6554367.p',
+    rating: 4.5,
+    reviewCount: 2130,
+    sourcePlatform: 'BestBuy',
+    description: 'Premium noise cancelling headphones with immersive audio',
+    features: ['Immersive audio', 'CustomTune', '24-hour battery'],
+    specifications: { battery: '24 hours', weight: '254g', connectivity: 'Bluetooth 5.3' },
+    keywords: ['headphones', 'wireless', 'noise', 'cancelling', 'bluetooth', 'premium', 'luxury']
+  },
+  {
+    name: 'Beats Studio Pro',
+    price: 349,
+    brand: 'Beats',
+    category: 'Headphones',
+    imageUrl: 'https://m.media-amazon.com/images/I/beats-studio-pro.jpg',
+    productUrl: 'https://www.amazon.com/dp/B0C8PR4W22',
+    rating: 4.4,
+    reviewCount: 5310,
+    sourcePlatform: 'Amazon',
+    description: 'Wireless noise cancelling headphones with spatial audio',
+    features: ['Spatial audio', 'USB-C audio', '40-hour battery'],
+    specifications: { battery: '40 hours', weight: '260g', connectivity: 'Bluetooth 5.3' },
+    keywords: ['headphones', 'wireless', 'noise', 'cancelling', 'bluetooth']
+  },
+  {
+    name: 'Sony WH-CH720N',
+    price: 149,
+    brand: 'Sony',
+    category: 'Headphones',
+    imageUrl: 'https://i5.walmartimages.com/asr/sony-wh-ch720n.jpg',
+    productUrl: 'https://www.walmart.com/ip/Sony-WH-CH720N/1527389023',
+    rating: 4.4,
+    reviewCount: 3980,
+    sourcePlatform: 'Walmart',
+    description: 'Lightweight noise cancelling headphones with long battery life',
+    features: ['Noise cancelling', '35-hour battery', 'Lightweight'],
+    specifications: { battery: '35 hours', weight: '192g', connectivity: 'Bluetooth 5.2' },
+    keywords: ['headphones', 'wireless', 'noise', 'cancelling', 'bluetooth', 'value']
+  },
+  {
+    name: 'Soundcore Q20i',
+    price: 39,
+    brand: 'Anker',
+    category: 'Headphones',
+    imageUrl: 'https://m.media-amazon.com/images/I/soundcore-q20i.jpg',
+    productUrl: 'https://www.amazon.com/dp/B0C3HCD34R',
+    rating: 4.3,
+    reviewCount: 41200,
+    sourcePlatform: 'Amazon',
+    description: 'Budget hybrid noise cancelling headphones',
+    features: ['Hybrid ANC', '40-hour battery', 'App EQ'],
+    specifications: { battery: '40 hours', weight: '240g', connectivity: 'Bluetooth 5.0' },
+    keywords: ['headphones', 'wireless', 'noise', 'cancelling', 'budget', 'cheap', 'affordable']
+  },
+  {
+    name: 'HyperX Cloud III Wireless',
+    price: 169,
+    brand: 'HyperX',
+    category: 'Headphones',
+    imageUrl: 'https://c1.neweggimages.com/productimage/hyperx-cloud-iii.jpg',
+    productUrl: 'https://www.newegg.com/hyperx-cloud-iii-wireless/p/N82E16826104321',
+    rating: 4.5,
+    reviewCount: 1120,
+    sourcePlatform: 'Newegg',
+    description: 'Wireless gaming headset with 120-hour battery',
+    features: ['DTS Spatial Audio', '120-hour battery', 'Detachable mic'],
+    specifications: { battery: '120 hours', weight: '330g', connectivity: '2.4GHz wireless' },
+    keywords: ['headphones', 'headset', 'gaming', 'wireless']
+  },
+  {
+    name: 'Apple Watch Ultra 2',
+    price: 799,
+    brand: 'Apple',
+    category: 'Smartwatches',
+    imageUrl: 'https://m.media-amazon.com/images/I/apple-watch-ultra-2.jpg',
+    productUrl: 'https://www.amazon.com/dp/B0CSVFMSP3',
+    rating: 4.8,
+    reviewCount: 1760,
+    sourcePlatform: 'Amazon',
+    description: 'Rugged titanium smartwatch for outdoor adventures',
+    features: ['Titanium case', 'Dual-frequency GPS', '36-hour battery'],
+    specifications: { case: '49mm titanium', battery: '36 hours', waterResistance: '100m' },
+    keywords: ['smartwatch', 'watch', 'premium', 'luxury', 'fitness', 'outdoor']
+  },
+  {
+    name: 'Garmin Forerunner 265',
+    price: 449,
+    brand: 'Garmin',
+    category: 'Smartwatches',
+    imageUrl: 'https://pisces.bbystatic.com/image2/garmin-forerunner-265.jpg',
+    productUrl: 'https://www.bestbuy.com/site/garmin-forerunner-265/6539672.p',
+    rating: 4.7,
+    reviewCount: 890,
+    sourcePlatform: 'BestBuy',
+    description: 'AMOLED running watch with training readiness insights',
+    features: ['AMOLED display', 'Training readiness', '13-day battery'],
+    specifications: { case: '46mm', battery: '13 days', waterResistance: '50m' },
+    keywords: ['smartwatch', 'watch', 'fitness', 'running', 'gps']
+  },
+  {
+    name: 'Amazfit Bip 5',
+    price: 89,
+    brand: 'Amazfit',
+    category: 'Smartwatches',
+    imageUrl: 'https://m.media-amazon.com/images/I/amazfit-bip-5.jpg',
+    productUrl: 'https://www.amazon.com/dp/B0CBTT6N2R',
+    rating: 4.2,
+    reviewCount: 6540,
+    sourcePlatform: 'Amazon',
+    description: 'Affordable smartwatch with GPS and 10-day battery',
+    features: ['GPS', '10-day battery', 'Bluetooth calling'],
+    specifications: { case: '46mm', battery: '10 days', waterResistance: 'IP68' },
+    keywords: ['smartwatch', 'watch', 'fitness', 'budget', 'cheap', 'affordable']
+  },
+  {
+    name: 'Logitech G Pro X Superlight 2',
+    price: 159,
+    brand: 'Logitech',
+    category: 'Gaming Accessories',
+    imageUrl: 'https://m.media-amazon.com/images/I/g-pro-x-superlight-2.jpg',
+    productUrl: 'https://www.amazon.com/dp/B0CGYDYS5P',
+    rating: 4.7,
+    reviewCount: 4310,
+    sourcePlatform: 'Amazon',
+    description: 'Ultra-light wireless esports gaming mouse',
+    features: ['60g weight', 'HERO 2 sensor', 'LIGHTSPEED wireless'],
+    specifications: { weight: '60g', dpi: '32000', battery: '95 hours' },
+    keywords: ['mouse', 'gaming', 'wireless', 'esports', 'premium']
+  },
+  {
+    name: 'Razer DeathAdder Essential',
+    price: 24,
+    brand: 'Razer',
+    category: 'Gaming Accessories',
+    imageUrl: 'https://i5.walmartimages.com/asr/deathadder-essential.jpg',
+    productUrl: 'https://www.walmart.com/ip/Razer-DeathAdder-Essential/836548367',
+    rating: 4.5,
+    reviewCount: 25400,
+    sourcePlatform: 'Walmart',
+    description: 'Ergonomic wired gaming mouse at an entry-level price',
+    features: ['6400 DPI sensor', 'Ergonomic shape', 'Mechanical switches'],
+    specifications: { weight: '96g', dpi: '6400', connectivity: 'Wired USB' },
+    keywords: ['mouse', 'gaming', 'wired', 'budget', 'cheap']
+  },
+  {
+    name: 'iPad Air 11-inch M2',
+    price: 599,
+    brand: 'Apple',
+    category: 'Tablets',
+    imageUrl: 'https://pisces.bbystatic.com/image2/ipad-air-m2.jpg',
+    productUrl: 'https://www.bestbuy.com/site/ipad-air-11-m2/6565837.p',
+    rating: 4.8,
+    reviewCount: 1450,
+    sourcePlatform: 'BestBuy',
+    description: 'Thin and light tablet with M2 chip and Apple Pencil Pro support',
+    features: ['M2 chip', 'Apple Pencil Pro support', 'Landscape camera'],
+    specifications: { storage: '128GB', display: '11-inch Liquid Retina' },
+    keywords: ['tablet', 'ipad', 'premium', 'drawing', 'student']
+  },
+  {
+    name: 'Amazon Fire HD 10',
+    price: 139,
+    brand: 'Amazon',
+    category: 'Tablets',
+    imageUrl: 'https://m.media-amazon.com/images/I/fire-hd-10.jpg',
+    productUrl: 'https://www.amazon.com/dp/B0BL5M6NK4',
+    rating: 4.5,
+    reviewCount: 52800,
+    sourcePlatform: 'Amazon',
+    description: 'Affordable 10-inch tablet for streaming and reading',
+    features: ['1080p display', '13-hour battery', 'Alexa built-in'],
+    specifications: { storage: '32GB', display: '10.1-inch' },
+    keywords: ['tablet', 'budget', 'cheap', 'affordable', 'streaming', 'reading']
+  }
+];
+
+export default LOCAL_PRODUCT_CATALOG;
@@ -0,0 +1,75 @@
+import { getGeminiModel, GEMINI_CONFIG } from '../config/gemini.js';
+
+/**
+ * Create an LLM provider backed by Google Gemini
+ * @returns {import('./index.js').LLMProvider}
+ */
+export const createGeminiProvider = () => {
+  let model = null;
+
+  // Resolve the model lazily so selecting another provider never requires a Google key
+  const getModel = () => {
+    if (!model) {
+      model = getGeminiModel();
+    }
+    return model;
+  };
+
+  return {
+    name: 'gemini',
+
+    async generateContent(prompt, { signal } = {}) {
+      const result = await getModel().generateContent(prompt, { signal });
+      const response = await result.response;
+      const usage = response.usageMetadata || {};
+
+      return {
+        text: response.text(),
+        usage: {
+          promptTokens: usage.promptTokenCount || 0,
+          responseTokens: usage.candidatesTokenCount || 0,
+          totalTokens: usage.totalTokenCount || 0,
+        },
+        model: GEMINI_CONFIG.model,
+        provider: 'gemini',
+      };
+    },
+
+    async generateContentStream(prompt, { signal } = {}) {
+      const result = await getModel().generateContentStream(prompt, { signal });
+
+      const stream = (async function* () {
+        for await (const chunk of result.stream) {
+          yield chunk.text();
+        }
+      })();
+
+      const response = result.response.then((final) => {
+        const usage = final.usageMetadata || {};
+        return {
+          text: final.text(),
+          usage: {
+            promptTokens: usage.promptTokenCount || 0,
+            responseTokens: usage.candidatesTokenCount || 0,
+            totalTokens: usage.totalTokenCount || 0,
+          },
+          model: GEMINI_CONFIG.model,
+          provider: 'gemini',
+        };
+      });
+
+      return { stream, response };
+    },
+
+    getMetadata() {
+      return {
+        name: 'gemini',
+        vendor: 'Google',
+        model: GEMINI_CONFIG.model,
+        offline: false,
+      };
+    },
+  };
+};
+
+export default createGeminiProvider;
@@ -0,0 +1,115 @@
+import dotenv from 'dotenv';
+import { createGeminiProvider } from './geminiProvider.js';
+import { createLocalProvider } from './localProvider.js';
+import { createResilientProvider, RESILIENCE_CONFIG } from './resilientProvider.js';
+
+dotenv.config();
+
+/**
+ * @typedef {Object} LLMUsage
+ * @property {number} promptTokens - Tokens consumed by the prompt
+ * @property {number} responseTokens - Tokens produced in the response
+ * @property {number} totalTokens - Prompt plus response tokens
+ */
+
+/**
+ * @typedef {Object} LLMResponse
+ * @property {string} text - Raw text produced by the model
+ * @property {LLMUsage} usage - Token usage for the call
+ * @property {string} model - Model that produced the response
+ * @property {string} provider - Provider name
+ */
+
+/**
+ * @typedef {Object} LLMProviderMetadata
+ * @property {string} name - Provider name used for selection
+ * @property {string} vendor - Vendor behind the provider
+ * @property {string} model - Model identifier
+ * @property {boolean} offline - Whether the provider works without network access
+ */
+
+/**
+ * @typedef {Object} LLMStreamResult
+ * @property {AsyncIterable<string>} stream - Text chunks as the model produces them
+ * @property {Promise<LLMResponse>} response - Resolves with the complete response once streaming ends
+ */
+
+/**
+ * @typedef {Object} LLMCallOptions
+ * @property {AbortSignal} [signal] - Aborts the call (used for timeouts)
+ */
+
+/**
+ * @typedef {Object} LLMProvider
+ * @property {string} name - Provider name
+ * @property {(prompt: string, options?: LLMCallOptions) => Promise<LLMResponse>} generateContent - Generate a completion for a prompt
+ * @property {(prompt: string, options?: LLMCallOptions) => Promise<LLMStreamResult>} [generateContentStream] - Stream a completion (optional)
+ * @property {() => LLMProviderMetadata} getMetadata - Describe the provider
+ * @property {() => import('./resilientProvider.js').CircuitState} [getHealth] - Circuit breaker state (resilient providers)
+ */
+
+/**
+ * Factories for the available providers, keyed by name
+ */
+const providerFactories = {
+  gemini: createGeminiProvider,
+  local: createLocalProvider,
+};
+
+const providerInstances = {};
+
+/**
+ * Name of the provider to use when none is requested explicitly
+ */
+export const getDefaultProviderName = () => process.env.LLM_PROVIDER || 'gemini';
+
+/**
+ * Register an additional provider factory so other vendors can be slotted in
+ * @param {string} name - Provider name
+ * @param {() => LLMProvider} factory - Factory creating the provider
+ */
+export const registerLLMProvider = (name, factory) => {
+  if (!name || typeof factory !== 'function') {
+    throw new Error('Provider name and factory function are required');
+  }
+
+  providerFactories[name] = factory;
+  delete providerInstances[name];
+};
+
+/**
+ * List the names of all registered providers
+ * @returns {string[]}
+ */
+export const getAvailableProviders = () => Object.keys(providerFactories);
+
+/**
+ * Get an LLM provider instance by name (defaults to the LLM_PROVIDER setting).
+ * Instances are wrapped with timeouts, retries and a circuit breaker unless LLM_RESILIENCE=false.
+ * @param {string} [name] - Provider name
+ * @returns {LLMProvider}
+ */
+export const getLLMProvider = (name = getDefaultProviderName()) => {
+  const factory = providerFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Available providers: ${getAvailableProviders().join(', ')}`);
+  }
+
+  if (!providerInstances[name]) {
+    const provider = factory();
+    providerInstances[name] = RESILIENCE_CONFIG.enabled ? createResilientProvider(provider) : provider;
+  }
+
+  return providerInstances[name];
+};
+
+/**
+ * Circuit breaker state of every provider created so far
+ * @returns {Object<string, import('./resilientProvider.js').CircuitState|null>}
+ */
+export const getProviderHealth = () => Object.fromEntries(
+  Object.entries(providerInstances).map(([name, provider]) => [name, provider.getHealth ? provider.getHealth() : null])
+);
+
+export default getLLMProvider;
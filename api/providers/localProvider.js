@@ -0,0 +1,251 @@
+import { LOCAL_PRODUCT_CATALOG } from './fixtures/productCatalog.js';
+import { STATIC_EXCHANGE_RATES } from '../config/exchangeRates.js';
+import { convertAmount, roundToCurrency } from '../services/currencyService.js';
+
+const LOCAL_MODEL_NAME = 'local-fixture-v1';
+const MAX_RESULTS = 8;
+const MIN_RESULTS = 3;
+const STREAM_CHUNK_SIZE = 64;
+// Fixture prices are in US dollars
+const FIXTURE_CURRENCY = 'USD';
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'best', 'find', 'for', 'me', 'my', 'of', 'on', 'or', 'show',
+  'that', 'the', 'to', 'under', 'want', 'with', 'i', 'need', 'looking', 'good',
+  'more', 'only', 'just', 'one', 'ones', 'something'
+]);
+
+const CHEAPER_PATTERN = /\b(cheaper|less expensive|lower price|budget|affordable)\b/i;
+const PRICIER_PATTERN = /\b(more expensive|premium|higher end|high-end|fancier|better quality)\b/i;
+
+/**
+ * Rough token estimate used in place of real tokenizer counts
+ */
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+/**
+ * Pull the customer request out of a search prompt, falling back to the whole prompt
+ */
+const extractCustomerRequest = (prompt) => {
+  const match = prompt.match(/Customer Request:\s*"([\s\S]*?)"\s*\n/);
+  return match ? match[1] : prompt;
+};
+
+/**
+ * Pull the follow-up message out of a refinement prompt
+ */
+const extractFollowUp = (prompt) => {
+  const match = prompt.match(/Follow-up Request:\s*"([\s\S]*?)"\s*\n/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Read the previously recommended products embedded in a refinement prompt
+ */
+const extractPreviousProducts = (prompt) => {
+  const match = prompt.match(/Previously Recommended Products:\s*(\[.*\])\s*\n/);
+  if (!match) return [];
+
+  try {
+    return JSON.parse(match[1]);
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Read the structured constraints a search prompt carries
+ */
+const extractPromptConstraints = (prompt) => {
+  const readNumber = (label) => {
+    const match = prompt.match(new RegExp(`${label}:\\s*\\$?([\\d.]+)`));
+    return match ? parseFloat(match[1]) : undefined;
+  };
+  const readList = (label) => {
+    const match = prompt.match(new RegExp(`${label}:\\s*(.+)`));
+    return match ? match[1].split(',').map(item => item.trim().toLowerCase()).filter(Boolean) : [];
+  };
+  const strategyMatch = prompt.match(/Shopping Strategy:\s*([\w-]+)/);
+  const currencyMatch = prompt.match(/^Currency:\s*([A-Za-z]{3})\b/m);
+
+  return {
+    strategy: strategyMatch ? strategyMatch[1] : undefined,
+    currency: currencyMatch ? currencyMatch[1].toUpperCase() : FIXTURE_CURRENCY,
+    maxPrice: readNumber('Maximum Price'),
+    minPrice: readNumber('Minimum Price'),
+    excludedBrands: readList('Excluded Brands'),
+  };
+};
+
+/**
+ * Quote a fixture product in the currency the prompt asks for, as a model would
+ */
+const inCurrency = (product, currency) => {
+  const price = convertAmount(product.price, FIXTURE_CURRENCY, currency, STATIC_EXCHANGE_RATES);
+  return price === null
+    ? { ...product, currency: FIXTURE_CURRENCY }
+    : { ...product, price: roundToCurrency(price, currency), currency };
+};
+
+const tokenize = (text) => text
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+
+const relevanceScore = (product, tokens) => {
+  const haystack = tokenize([
+    product.name,
+    product.brand,
+    product.category,
+    product.description,
+    ...(product.keywords || []),
+  ].join(' '));
+
+  return tokens.filter(token => haystack.some(word => word === token || word === `${token}s` || `${word}s` === token)).length;
+};
+
+const strategyComparator = (strategy) => {
+  switch (strategy) {
+    case 'fancy':
+      return (a, b) => b.price - a.price;
+    case 'price-priority':
+      return (a, b) => a.price - b.price;
+    case 'cost-effective':
+      return (a, b) => (b.rating / b.price) - (a.rating / a.price);
+    default:
+      return () => 0;
+  }
+};
+
+/**
+ * Create a deterministic LLM provider that answers search and follow-up prompts from a fixture catalog.
+ * The same prompt always yields the same response, so it is safe for tests and offline development.
+ * @param {Object} [options]
+ * @param {Object[]} [options.catalog] - Catalog to answer from (defaults to the bundled fixture catalog)
+ * @param {(prompt: string) => string} [options.responder] - Override producing the raw response text
+ * @returns {import('./index.js').LLMProvider}
+ */
+export const createLocalProvider = (options = {}) => {
+  const catalog = options.catalog || LOCAL_PRODUCT_CATALOG;
+
+  // Catalog products relevant to the request and allowed by its constraints, best first
+  const rankCatalog = (prompt) => {
+    const tokens = tokenize(extractCustomerRequest(prompt));
+    const constraints = extractPromptConstraints(prompt);
+
+    const matches = catalog
+      .map((product, index) => ({ product: inCurrency(product, constraints.currency), index, score: relevanceScore(product, tokens) }))
+      .filter(({ product, score }) => {
+        if (score === 0) return false;
+        if (constraints.maxPrice !== undefined && product.price > constraints.maxPrice) return false;
+        if (constraints.minPrice !== undefined && product.price < constraints.minPrice) return false;
+        return !constraints.excludedBrands.includes(product.brand.toLowerCase());
+      });
+
+    const compareForStrategy = strategyComparator(constraints.strategy);
+    return matches.sort((a, b) => (b.score - a.score) || compareForStrategy(a.product, b.product) || (a.index - b.index));
+  };
+
+  const formatProducts = (products) => JSON.stringify(
+    products.slice(0, MAX_RESULTS).map(({ keywords, ...geminiProduct }) => geminiProduct),
+    null,
+    2
+  );
+
+  // Prefer the best matches, topping up with weaker ones only when there are too few
+  const selectBestMatches = (matches) => {
+    const topScore = matches[0]?.score || 0;
+    const bestMatches = matches.filter(({ score }) => score === topScore);
+    const selected = bestMatches.length >= MIN_RESULTS ? bestMatches : matches.slice(0, MIN_RESULTS);
+    return selected.map(({ product }) => product);
+  };
+
+  const answerSearchPrompt = (prompt) => formatProducts(selectBestMatches(rankCatalog(prompt)));
+
+  // Narrow or re-rank the earlier request's matches according to the follow-up message
+  const answerFollowUpPrompt = (prompt, followUp) => {
+    const followUpTokens = tokenize(followUp);
+    const previous = extractPreviousProducts(prompt);
+    let candidates = selectBestMatches(rankCatalog(prompt));
+
+    const brands = new Set(catalog.map(product => product.brand).filter(brand => followUpTokens.includes(brand.toLowerCase())));
+    if (brands.size > 0) {
+      candidates = candidates.filter(product => brands.has(product.brand));
+    }
+
+    const previousAverage = previous.length > 0
+      ? previous.reduce((sum, product) => sum + product.price, 0) / previous.length
+      : undefined;
+
+    if (CHEAPER_PATTERN.test(followUp) && previousAverage !== undefined) {
+      candidates = candidates.filter(product => product.price < previousAverage).sort((a, b) => a.price - b.price);
+    } else if (PRICIER_PATTERN.test(followUp) && previousAverage !== undefined) {
+      candidates = candidates.filter(product => product.price > previousAverage).sort((a, b) => b.price - a.price);
+    } else if (followUpTokens.length > 0 && brands.size === 0 && previous.length > 0) {
+      // Re-rank the earlier results; the stable sort keeps their order among equally relevant products
+      candidates = previous
+        .map(product => ({ product, score: relevanceScore(product, followUpTokens) }))
+        .sort((a, b) => b.score - a.score)
+        .map(({ product }) => product);
+    }
+
+    return formatProducts(candidates);
+  };
+
+  const answerPrompt = (prompt) => {
+    // The fixture catalog has no opinion on constraints; rule-based extraction covers them
+    if (prompt.startsWith('Extract shopping constraints')) {
+      return '{}';
+    }
+
+    const followUp = extractFollowUp(prompt);
+    return followUp ? answerFollowUpPrompt(prompt, followUp) : answerSearchPrompt(prompt);
+  };
+
+  const provider = {
+    name: 'local',
+
+    async generateContent(prompt) {
+      const text = options.responder ? options.responder(prompt) : answerPrompt(prompt);
+      const promptTokens = estimateTokens(prompt);
+      const responseTokens = estimateTokens(text);
+
+      return {
+        text,
+        usage: {
+          promptTokens,
+          responseTokens,
+          totalTokens: promptTokens + responseTokens,
+        },
+        model: LOCAL_MODEL_NAME,
+        provider: 'local',
+      };
+    },
+
+    async generateContentStream(prompt) {
+      const response = await provider.generateContent(prompt);
+
+      // Replay the response in fixed-size chunks to mimic incremental generation
+      const stream = (async function* () {
+        for (let offset = 0; offset < response.text.length; offset += STREAM_CHUNK_SIZE) {
+          yield response.text.slice(offset, offset + STREAM_CHUNK_SIZE);
+        }
+      })();
+
+      return { stream, response: Promise.resolve(response) };
+    },
+
+    getMetadata() {
+      return {
+        name: 'local',
+        vendor: 'fixture',
+        model: LOCAL_MODEL_NAME,
+        offline: true,
+      };
+    },
+  };
+
+  return provider;
+};
+
+export default createLocalProvider;
@@ -0,0 +1,232 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Resilience configuration, read from the environment
+ */
+export const RESILIENCE_CONFIG = {
+  enabled: process.env.LLM_RESILIENCE !== 'false',
+  timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '30000', 10),
+  maxRetries: parseInt(process.env.LLM_MAX_RETRIES || '2', 10),
+  baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '500', 10),
+  maxDelayMs: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS || '8000', 10),
+  failureThreshold: parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+  resetTimeoutMs: parseInt(process.env.LLM_CIRCUIT_RESET_MS || '30000', 10),
+};
+
+/**
+ * HTTP statuses worth retrying: rate limits and transient server errors
+ */
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Network error codes worth retrying
+ */
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'LLM_TIMEOUT'];
+
+const RETRYABLE_MESSAGE = /\b(408|429|500|502|503|504)\b|rate limit|resource exhausted|quota|overloaded|unavailable|timed? ?out|fetch failed|socket hang up/i;
+
+/**
+ * Whether an error is transient, so the call may succeed when retried
+ * @param {any} error
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) => {
+  if (!error) return false;
+  if (RETRYABLE_STATUSES.includes(error.status)) return true;
+  if (RETRYABLE_CODES.includes(error.code) || RETRYABLE_CODES.includes(error.cause?.code)) return true;
+  return RETRYABLE_MESSAGE.test(error.message || '');
+};
+
+/**
+ * Whether an error means the provider is down or overloaded (as opposed to a bad request or bad output)
+ * @param {any} error
+ * @returns {boolean}
+ */
+export const isProviderUnavailableError = (error) => error?.code === 'CIRCUIT_OPEN' || isRetryableError(error);
+
+/**
+ * Exponential backoff with full jitter: a random delay up to base * 2^attempt, capped
+ * @param {number} attempt - Zero-based retry number
+ * @param {{ baseDelayMs: number; maxDelayMs: number; random?: () => number }} options
+ * @returns {number}
+ */
+export const getBackoffDelay = (attempt, { baseDelayMs, maxDelayMs, random = Math.random }) => Math.round(
+  random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt)
+);
+
+/**
+ * @typedef {Object} CircuitState
+ * @property {'closed'|'open'|'half-open'} state - closed lets calls through, open fails fast, half-open lets one trial call through
+ * @property {number} consecutiveFailures - Failures since the last success
+ * @property {string|null} openedAt - When the circuit last opened
+ * @property {string|null} retryAt - When an open circuit lets a trial call through
+ * @property {string|null} lastError - Message of the last failure
+ */
+
+/**
+ * Create a circuit breaker that opens after consecutive failures and lets a trial call through after a cool-down
+ * @param {{ failureThreshold?: number; resetTimeoutMs?: number; now?: () => number }} [options]
+ */
+export const createCircuitBreaker = ({
+  failureThreshold = RESILIENCE_CONFIG.failureThreshold,
+  resetTimeoutMs = RESILIENCE_CONFIG.resetTimeoutMs,
+  now = Date.now
+} = {}) => {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastError = null;
+
+  return {
+    /**
+     * Whether a call may go through; moves an open circuit to half-open once the cool-down has passed
+     * @returns {boolean}
+     */
+    canRequest() {
+      if (state === 'open' && now() - openedAt >= resetTimeoutMs) {
+        state = 'half-open';
+        trialInFlight = false;
+      }
+
+      if (state === 'half-open') {
+        if (trialInFlight) return false;
+        trialInFlight = true;
+        return true;
+      }
+
+      return state === 'closed';
+    },
+
+    recordSuccess() {
+      state = 'closed';
+      consecutiveFailures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+
+    /**
+     * @param {Error} error
+     */
+    recordFailure(error) {
+      consecutiveFailures++;
+      lastError = error?.message || null;
+      trialInFlight = false;
+
+      if (state === 'half-open' || consecutiveFailures >= failureThreshold) {
+        if (state !== 'open') {
+          console.warn(`🔌 Circuit opened after ${consecutiveFailures} consecutive failure(s): ${lastError}`);
+        }
+        state = 'open';
+        openedAt = now();
+      }
+    },
+
+    /**
+     * @returns {CircuitState}
+     */
+    getState() {
+      return {
+        state,
+        consecutiveFailures,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        retryAt: state === 'open' ? new Date(openedAt + resetTimeoutMs).toISOString() : null,
+        lastError,
+      };
+    },
+  };
+};
+
+const createTimeoutError = (timeoutMs) => Object.assign(new Error(`LLM call timed out after ${timeoutMs}ms`), { code: 'LLM_TIMEOUT' });
+
+const createCircuitOpenError = (name, breaker) => Object.assign(
+  new Error(`LLM provider "${name}" is unavailable (circuit open until ${breaker.getState().retryAt})`),
+  { code: 'CIRCUIT_OPEN' }
+);
+
+/**
+ * Run a call with an abort signal, rejecting if it takes longer than the timeout
+ * @template T
+ * @param {(signal: AbortSignal) => Promise<T>} call
+ * @param {number} timeoutMs
+ * @returns {Promise<T>}
+ */
+const withTimeout = (call, timeoutMs) => {
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(createTimeoutError(timeoutMs));
+    }, timeoutMs);
+  });
+
+  return Promise.race([call(controller.signal), timeout]).finally(() => clearTimeout(timer));
+};
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wrap a provider with per-call timeouts, retries with exponential backoff and jitter, and a circuit breaker.
+ * Streaming calls get the timeout, retries and breaker for opening the stream; a stream that fails
+ * midway is not retried, since its chunks have already been delivered.
+ * @param {import('./index.js').LLMProvider} provider
+ * @param {Partial<typeof RESILIENCE_CONFIG> & { breaker?: ReturnType<typeof createCircuitBreaker>; sleep?: (ms: number) => Promise<void>; random?: () => number }} [options]
+ * @returns {import('./index.js').LLMProvider & { getHealth: () => CircuitState }}
+ */
+export const createResilientProvider = (provider, options = {}) => {
+  const config = { ...RESILIENCE_CONFIG, ...options };
+  const breaker = options.breaker || createCircuitBreaker(config);
+  const sleep = options.sleep || defaultSleep;
+
+  const call = async (method, prompt) => {
+    for (let attempt = 0; ; attempt++) {
+      if (!breaker.canRequest()) {
+        throw createCircuitOpenError(provider.name, breaker);
+      }
+
+      try {
+        const result = await withTimeout(signal => provider[method](prompt, { signal }), config.timeoutMs);
+        breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        if (!isRetryableError(error)) {
+          // The provider answered; a bad request says nothing about its health
+          breaker.recordSuccess();
+          throw error;
+        }
+
+        breaker.recordFailure(error);
+
+        // Retrying into an open circuit would only fail fast, so give up now
+        if (attempt >= config.maxRetries || breaker.getState().state === 'open') {
+          throw error;
+        }
+
+        const delay = getBackoffDelay(attempt, config);
+        console.warn(`🔁 ${provider.name} call failed (${error.message}), retry ${attempt + 1}/${config.maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  };
+
+  return {
+    ...provider,
+    name: provider.name,
+
+    generateContent: (prompt) => call('generateContent', prompt),
+
+    ...(typeof provider.generateContentStream === 'function' && {
+      generateContentStream: (prompt) => call('generateContentStream', prompt),
+    }),
+
+    getMetadata: () => provider.getMetadata(),
+
+    getHealth: () => breaker.getState(),
+  };
+};
+
+export default createResilientProvider;
@@ -1,86 +1,372 @@
 import { Router } from 'express';
-import { searchAndStoreProducts, searchProductsWithGemini } from '../services/geminiProductSearch.js';
-import { ShoppingStrategy } from '../types/strategy.js';
+import { searchAndStoreProducts, searchProductsWithGemini, streamSearchProducts, hybridSearchProducts } from '../services/geminiProductSearch.js';
+import { listCacheEntries, purgeSearchCache, getSearchCacheStats } from '../services/searchCache.js';
+import {
+  createSearchSession,
+  sendSessionMessage,
+  getSearchSession,
+  listSearchSessions,
+  deleteSearchSession
+} from '../services/searchSessionService.js';
+import { recordSearch, listSearches, getSearch, rerunSearch } from '../services/searchHistoryService.js';
+import { listPromptTemplates } from '../services/promptRegistry.js';
+import { getProviderHealth } from '../providers/index.js';
+import { checkQuota, recordSearchRequest, identifyClient, getUsageReport } from '../services/usageService.js';
+import { isSupportedCurrency } from '../services/currencyService.js';
+import { getShoppingStrategy, listShoppingStrategies } from '../services/strategyService.js';
+import { requireAdminKey } from '../middleware/adminAuth.js';
 
 const router = Router();
 
 /**
- * POST /api/gemini/search
- * Search for products using Gemini AI based on customer input and strategy
+ * Reject requests with an API key that was not issued (401)
+ * @returns {string|null} Client id of the request, or null once the response is sent
+ */
+const requireClientId = (req, res) => {
+  const clientId = identifyClient({ apiKey: req.get('x-api-key'), ip: req.ip });
+
+  if (!clientId) {
+    res.status(401).json({
+      success: false,
+      error: 'Unknown x-api-key'
+    });
+  }
+  return clientId;
+};
+
+/**
+ * Identify the API client from its x-api-key (or its address) and reject the request with 429 once its daily quota
+ * is used up. Admitted requests count towards the client's daily searches.
  */
-router.post('/search', async (req, res) => {
+const enforceUsageQuota = async (req, res, next) => {
+  const clientId = requireClientId(req, res);
+  if (!clientId) return;
+  res.locals.clientId = clientId;
+
   try {
-    const { customerInput, strategy, storeResults = true } = req.body;
+    const quota = await checkQuota(clientId);
 
-    // Validate required fields
-    if (!customerInput || typeof customerInput !== 'string' || customerInput.trim().length === 0) {
-      return res.status(400).json({
+    if (!quota.allowed) {
+      const retryAfter = Math.max(1, Math.ceil((new Date(quota.resetAt).getTime() - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
         success: false,
-        error: 'Customer input is required and must be a non-empty string'
+        error: `Daily quota exceeded for client "${clientId}": ${quota.exceeded.map(({ metric, limit }) => `${metric} (${limit})`).join(', ')}`,
+        quota: { exceeded: quota.exceeded, resetAt: quota.resetAt }
       });
     }
 
-    if (!strategy || !strategy.type) {
+    await recordSearchRequest(clientId);
+  } catch (error) {
+    // Accounting problems never block searches
+    console.warn('⚠️ Quota check failed:', error.message);
+  }
+
+  next();
+};
+
+/**
+ * Status for a failed search: 503 when the provider is unavailable and no fallback results exist
+ */
+const searchFailureStatus = (result) => (result.unavailable ? 503 : 500);
+
+/**
+ * Prefix for the response message when results come from a fallback source
+ */
+const degradedNotice = (degraded) => (degraded
+  ? `AI search is unavailable, showing ${degraded.source === 'stale-cache' ? 'earlier cached' : 'catalog'} results. `
+  : '');
+
+/**
+ * Summary of what storing the results did, for a response message
+ * @param {{ created: number; updated: number; unchanged: number }} [storage]
+ */
+const storageNotice = (storage) => (storage
+  ? ` (${storage.created} new, ${storage.updated} updated, ${storage.unchanged} unchanged)`
+  : '');
+
+/**
+ * Validate a search request body
+ * @returns {Promise<string|null>} Error message, or null when the request is valid
+ */
+const validateSearchRequest = async (customerInput, strategy, { minTrustScore, locale, promptVersion } = {}) => {
+  if (!customerInput || typeof customerInput !== 'string' || customerInput.trim().length === 0) {
+    return 'Customer input is required and must be a non-empty string';
+  }
+
+  if (!strategy || !strategy.type) {
+    return 'Strategy object with type is required';
+  }
+
+  const { data: definition } = await getShoppingStrategy(strategy.type);
+  if (!definition) {
+    const { data: strategies } = await listShoppingStrategies();
+    return `Invalid strategy type. Must be one of: ${strategies.map(({ id }) => id).join(', ')}`;
+  }
+
+  if (strategy.maxPrice !== undefined && (typeof strategy.maxPrice !== 'number' || strategy.maxPrice < 0)) {
+    return 'Max price must be a non-negative number';
+  }
+
+  if (strategy.minPrice !== undefined && (typeof strategy.minPrice !== 'number' || strategy.minPrice < 0)) {
+    return 'Min price must be a non-negative number';
+  }
+
+  if (strategy.currency !== undefined && !isSupportedCurrency(strategy.currency)) {
+    return 'Currency must be a supported ISO 4217 code such as "USD" or "EUR"';
+  }
+
+  if (strategy.minRating !== undefined && (typeof strategy.minRating !== 'number' || strategy.minRating < 0 || strategy.minRating > 5)) {
+    return 'Min rating must be a number between 0 and 5';
+  }
+
+  if (strategy.preferredBrands && !Array.isArray(strategy.preferredBrands)) {
+    return 'Preferred brands must be an array';
+  }
+
+  if (strategy.excludedBrands && !Array.isArray(strategy.excludedBrands)) {
+    return 'Excluded brands must be an array';
+  }
+
+  if (strategy.category !== undefined && typeof strategy.category !== 'string') {
+    return 'Category must be a string';
+  }
+
+  return validateSearchOptions({ minTrustScore, locale, promptVersion });
+};
+
+/**
+ * Validate the search options of a request body, which follow-up messages and re-runs accept without a search
+ * of their own
+ * @returns {string|null} Error message, or null when the options are valid
+ */
+const validateSearchOptions = ({ minTrustScore, locale, promptVersion } = {}) => {
+  if (minTrustScore !== undefined && (typeof minTrustScore !== 'number' || minTrustScore < 0 || minTrustScore > 1)) {
+    return 'Min trust score must be a number between 0 and 1';
+  }
+
+  if (locale !== undefined && (typeof locale !== 'string' || !/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/i.test(locale))) {
+    return 'Locale must be a language tag such as "en" or "en-US"';
+  }
+
+  if (promptVersion !== undefined && (!Number.isInteger(promptVersion) || promptVersion < 1)) {
+    return 'Prompt version must be a positive integer';
+  }
+
+  return null;
+};
+
+/**
+ * POST /api/gemini/search
+ * Search for products using Gemini AI based on customer input and strategy
+ */
+router.post('/search', enforceUsageQuota, async (req, res) => {
+  try {
+    const { customerInput, strategy, storeResults = true, bypassCache = false, dropLowTrust, minTrustScore, locale, promptVersion } = req.body;
+
+    const validationError = await validateSearchRequest(customerInput, strategy, { minTrustScore, locale, promptVersion });
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error: 'Strategy object with type is required'
+        error: validationError
       });
     }
 
-    // Validate strategy type
-    const validStrategies: ShoppingStrategy['type'][] = ['fancy', 'cost-effective', 'price-priority'];
-    if (!validStrategies.includes(strategy.type)) {
-      return res.status(400).json({
+    console.log(`🔍 Gemini search request: "${customerInput}" with ${strategy.type} strategy`);
+
+    // Perform search and optionally store results
+    const result = await searchAndStoreProducts(customerInput, strategy, storeResults, {
+      bypassCache, dropLowTrust, minTrustScore, locale, promptVersion, clientId: res.locals.clientId
+    });
+
+    if (!result.success) {
+      return res.status(searchFailureStatus(result)).json({
         success: false,
-        error: `Invalid strategy type. Must be one of: ${validStrategies.join(', ')}`
+        error: result.errors[0] || 'Failed to search products'
       });
     }
 
-    // Validate strategy parameters
-    if (strategy.maxPrice !== undefined && (typeof strategy.maxPrice !== 'number' || strategy.maxPrice < 0)) {
+    // Searches are recorded so they can be listed and re-run, fallback results flagged as degraded
+    const { data: search } = await recordSearch(customerInput, strategy, result, { clientId: res.locals.clientId });
+
+    res.json({
+      success: true,
+      data: {
+        searchId: search?.id ?? null,
+        products: result.products,
+        stored: result.stored,
+        storage: result.storage,
+        totalFound: result.products.length,
+        strategy: strategy.type,
+        constraints: result.constraints,
+        validation: result.validation,
+        verification: result.verification,
+        prompt: result.metadata?.prompt,
+        degraded: result.degraded || null,
+        usage: result.usage,
+        cache: result.cache
+      },
+      message: degradedNotice(result.degraded) + (storeResults 
+        ? `Found ${result.products.length} products and stored ${result.stored} in database${storageNotice(result.storage)}`
+        : `Found ${result.products.length} products`)
+    });
+
+  } catch (error) {
+    console.error('❌ Error in Gemini search route:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during product search'
+    });
+  }
+});
+
+/**
+ * POST /api/gemini/search/hybrid
+ * Search the stored catalog and Gemini in parallel, returning one ranked list labelled with each product's origin and freshness
+ */
+router.post('/search/hybrid', enforceUsageQuota, async (req, res) => {
+  try {
+    const { customerInput, strategy, storeResults = true, bypassCache = false, dropLowTrust, minTrustScore, locale, promptVersion } = req.body;
+
+    const validationError = await validateSearchRequest(customerInput, strategy, { minTrustScore, locale, promptVersion });
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error: 'Max price must be a non-negative number'
+        error: validationError
       });
     }
 
-    if (strategy.minPrice !== undefined && (typeof strategy.minPrice !== 'number' || strategy.minPrice < 0)) {
-      return res.status(400).json({
+    console.log(`🔀 Hybrid search request: "${customerInput}" with ${strategy.type} strategy`);
+
+    const result = await hybridSearchProducts(customerInput, strategy, {
+      storeResults, bypassCache, dropLowTrust, minTrustScore, locale, promptVersion, clientId: res.locals.clientId
+    });
+
+    if (!result.success) {
+      return res.status(searchFailureStatus(result)).json({
         success: false,
-        error: 'Min price must be a non-negative number'
+        error: result.error || 'Failed to search products'
       });
     }
 
-    if (strategy.minRating !== undefined && (typeof strategy.minRating !== 'number' || strategy.minRating < 0 || strategy.minRating > 5)) {
+    const { gemini, catalog } = result.sources;
+
+    res.json({
+      success: true,
+      data: {
+        products: result.products,
+        stored: result.stored,
+        storage: result.storage,
+        totalFound: result.products.length,
+        strategy: strategy.type,
+        origins: result.origins,
+        sources: result.sources,
+        constraints: result.constraints,
+        verification: result.verification,
+        prompt: result.metadata?.prompt,
+        usage: result.usage
+      },
+      message: degradedNotice(gemini.degraded)
+        + (!gemini.success ? 'AI search failed, showing catalog results only. ' : '')
+        + (!catalog.success ? 'Catalog search failed, showing AI results only. ' : '')
+        + `Found ${result.products.length} products (${result.origins.both + result.origins.catalog} already in the catalog, ${result.origins.gemini} new)`
+        + (storeResults ? ` and stored ${result.stored} in database${storageNotice(result.storage)}` : '')
+    });
+
+  } catch (error) {
+    console.error('❌ Error in hybrid search route:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during product search'
+    });
+  }
+});
+
+/**
+ * POST /api/gemini/search/stream
+ * Stream search results as Server-Sent Events while Gemini generates them.
+ * Events: start, product, rejected, dropped, degraded, storage, complete, error
+ */
+router.post('/search/stream', enforceUsageQuota, async (req, res) => {
+  const { customerInput, strategy, storeResults = false, bypassCache = false, dropLowTrust, minTrustScore, locale, promptVersion } = req.body;
+
+  try {
+    const validationError = await validateSearchRequest(customerInput, strategy, { minTrustScore, locale, promptVersion });
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error: 'Min rating must be a number between 0 and 5'
+        error: validationError
       });
     }
+  } catch (error) {
+    console.error('❌ Error validating Gemini stream request:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error during product search'
+    });
+  }
 
-    if (strategy.preferredBrands && !Array.isArray(strategy.preferredBrands)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Preferred brands must be an array'
-      });
+  console.log(`📡 Gemini stream request: "${customerInput}" with ${strategy.type} strategy`);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const events = streamSearchProducts(customerInput, strategy, {
+    storeResults, bypassCache, dropLowTrust, minTrustScore, locale, promptVersion, clientId: res.locals.clientId
+  });
+
+  // Stop generating (and storing) once the client goes away
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+    events.return(undefined);
+  });
+
+  try {
+    for await (const event of events) {
+      if (closed) break;
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    }
+  } catch (error) {
+    console.error('❌ Error in Gemini stream route:', error);
+    if (!closed) {
+      res.write(`event: error\ndata: ${JSON.stringify({ error: 'Internal server error during product search' })}\n\n`);
     }
+  }
+
+  res.end();
+});
+
+/**
+ * POST /api/gemini/search-only
+ * Search for products using Gemini AI without storing in database
+ */
+router.post('/search-only', enforceUsageQuota, async (req, res) => {
+  try {
+    const { customerInput, strategy, bypassCache = false, locale, promptVersion } = req.body;
 
-    if (strategy.excludedBrands && !Array.isArray(strategy.excludedBrands)) {
+    const validationError = await validateSearchRequest(customerInput, strategy, { locale, promptVersion });
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error: 'Excluded brands must be an array'
+        error: validationError
       });
     }
 
-    console.log(`🔍 Gemini search request: "${customerInput}" with ${strategy.type} strategy`);
+    console.log(`🔍 Gemini search-only request: "${customerInput}" with ${strategy.type} strategy`);
 
-    // Perform search and optionally store results
-    const result = await searchAndStoreProducts(customerInput, strategy, storeResults);
+    // Perform search without storing
+    const result = await searchProductsWithGemini(customerInput, strategy, { bypassCache, locale, promptVersion, clientId: res.locals.clientId });
 
     if (!result.success) {
-      return res.status(500).json({
+      return res.status(searchFailureStatus(result)).json({
         success: false,
-        error: result.errors[0] || 'Failed to search products'
+        error: result.error || 'Failed to search products'
       });
     }
 
@@ -88,17 +374,21 @@ router.post('/search', async (req, res) => {
       success: true,
       data: {
         products: result.products,
-        stored: result.stored,
         totalFound: result.products.length,
-        strategy: strategy.type
+        strategy: strategy.type,
+        constraints: result.constraints,
+        validation: result.validation,
+        verification: result.verification,
+        prompt: result.metadata?.prompt,
+        degraded: result.degraded || null,
+        usage: result.usage,
+        cache: result.cache
       },
-      message: storeResults 
-        ? `Found ${result.products.length} products and stored ${result.stored} in database`
-        : `Found ${result.products.length} products`
+      message: `${degradedNotice(result.degraded)}Found ${result.products.length} products`
     });
 
   } catch (error) {
-    console.error('❌ Error in Gemini search route:', error);
+    console.error('❌ Error in Gemini search-only route:', error);
     res.status(500).json({
       success: false,
       error: 'Internal server error during product search'
@@ -107,117 +397,427 @@ router.post('/search', async (req, res) => {
 });
 
 /**
- * POST /api/gemini/search-only
- * Search for products using Gemini AI without storing in database
+ * POST /api/gemini/sessions
+ * Start a conversational search session with an initial search
  */
-router.post('/search-only', async (req, res) => {
+router.post('/sessions', enforceUsageQuota, async (req, res) => {
   try {
-    const { customerInput, strategy } = req.body;
+    const { customerInput, strategy, title, locale, promptVersion } = req.body;
 
-    // Validate required fields (same as above)
-    if (!customerInput || typeof customerInput !== 'string' || customerInput.trim().length === 0) {
+    const validationError = await validateSearchRequest(customerInput, strategy, { locale, promptVersion });
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error: 'Customer input is required and must be a non-empty string'
+        error: validationError
       });
     }
 
-    if (!strategy || !strategy.type) {
+    const { data, error } = await createSearchSession({ customerInput, strategy, title }, { locale, promptVersion, clientId: res.locals.clientId });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: `Started session with ${data.products.length} products`
+    });
+  } catch (error) {
+    console.error('❌ Error creating search session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while creating session'
+    });
+  }
+});
+
+/**
+ * GET /api/gemini/sessions
+ * List the calling client's sessions, most recent first
+ */
+router.get('/sessions', async (req, res) => {
+  try {
+    const clientId = requireClientId(req, res);
+    if (!clientId) return;
+
+    const limit = parseInt(req.query.limit) || 50;
+    const { data, error } = await listSearchSessions({ limit, clientId });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('❌ Error listing search sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while listing sessions'
+    });
+  }
+});
+
+/**
+ * GET /api/gemini/sessions/:id
+ * Get a session of the calling client with its full conversation history and current products
+ */
+router.get('/sessions/:id', async (req, res) => {
+  try {
+    const clientId = requireClientId(req, res);
+    if (!clientId) return;
+
+    const { data, error } = await getSearchSession(req.params.id, { clientId });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('❌ Error fetching search session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while fetching session'
+    });
+  }
+});
+
+/**
+ * POST /api/gemini/sessions/:id/messages
+ * Send a follow-up ("cheaper", "only Sony", ...) that refines the session's products
+ */
+router.post('/sessions/:id/messages', enforceUsageQuota, async (req, res) => {
+  try {
+    const { message, locale, promptVersion } = req.body;
+
+    if (!message || typeof message !== 'string' || message.trim().length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'Strategy object with type is required'
+        error: 'Message is required and must be a non-empty string'
       });
     }
 
-    console.log(`🔍 Gemini search-only request: "${customerInput}" with ${strategy.type} strategy`);
+    const validationError = validateSearchOptions({ locale, promptVersion });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
 
-    // Perform search without storing
-    const result = await searchProductsWithGemini(customerInput, strategy);
+    const { data, error } = await sendSessionMessage(req.params.id, message, { locale, promptVersion, clientId: res.locals.clientId });
 
-    if (!result.success) {
+    if (error) {
       return res.status(500).json({
         success: false,
-        error: result.error || 'Failed to search products'
+        error: error.message
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
       });
     }
 
     res.json({
       success: true,
-      data: {
-        products: result.products,
-        totalFound: result.products.length,
-        strategy: strategy.type
-      },
-      message: `Found ${result.products.length} products`
+      data,
+      message: data.messages[data.messages.length - 1].content
+    });
+  } catch (error) {
+    console.error('❌ Error sending session message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while refining products'
     });
+  }
+});
+
+/**
+ * DELETE /api/gemini/sessions/:id
+ * Delete a session of the calling client
+ */
+router.delete('/sessions/:id', async (req, res) => {
+  try {
+    const clientId = requireClientId(req, res);
+    if (!clientId) return;
+
+    const { data, error } = await deleteSearchSession(req.params.id, { clientId });
 
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session deleted'
+    });
   } catch (error) {
-    console.error('❌ Error in Gemini search-only route:', error);
+    console.error('❌ Error deleting search session:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error during product search'
+      error: 'Internal server error while deleting session'
     });
   }
 });
 
+// Most searches listed per request
+const MAX_SEARCHES_LIMIT = 100;
+
 /**
- * GET /api/gemini/strategies
- * Get available shopping strategies with descriptions
+ * Parse optional ?limit= and ?offset= of a listing, capping limit at `max`
+ * @returns {{ limit: number; offset: number; error: string|null }}
+ */
+const parsePage = ({ limit, offset }, { defaultLimit, max }) => {
+  const parsedLimit = limit === undefined ? defaultLimit : Number(limit);
+  const parsedOffset = offset === undefined ? 0 : Number(offset);
+
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || !Number.isInteger(parsedOffset) || parsedOffset < 0) {
+    return { limit: 0, offset: 0, error: 'limit must be a whole number of at least 1 and offset a whole number of at least 0' };
+  }
+
+  return { limit: Math.min(parsedLimit, max), offset: parsedOffset, error: null };
+};
+
+/**
+ * GET /api/gemini/searches
+ * List the searches the client recorded, most recent first, without their products
  */
-router.get('/strategies', (req, res) => {
-  const strategies = [
-    {
-      type: 'fancy',
-      name: 'Fancy',
-      description: 'Prioritizes premium products with excellent design and brand reputation',
-      icon: '✨',
-      characteristics: [
-        'Focuses on luxury and premium brands',
-        'Emphasizes high-quality materials and craftsmanship',
-        'Prioritizes latest technology and features',
-        'Values brand reputation and prestige'
-      ],
-      examplePrompts: [
-        'Find me the most premium smartphone',
-        'I want the best quality laptop money can buy',
-        'Show me luxury headphones with excellent design'
-      ]
-    },
-    {
-      type: 'cost-effective',
-      name: 'Cost-Effective',
-      description: 'Balances price and quality for the best value-for-money products',
-      icon: '💰',
-      characteristics: [
-        'Optimizes price-to-performance ratio',
-        'Looks for reliable mid-range options',
-        'Considers long-term value and durability',
-        'Balances features with affordability'
-      ],
-      examplePrompts: [
-        'Find me a good value smartphone under $500',
-        'Best laptop for the money',
-        'Affordable headphones with decent quality'
-      ]
-    },
-    {
-      type: 'price-priority',
-      name: 'Price Priority',
-      description: 'Focuses on the most affordable options while maintaining basic quality',
-      icon: '🏷️',
-      characteristics: [
-        'Prioritizes lowest price options',
-        'Accepts basic functionality over premium features',
-        'Focuses on essential needs only',
-        'Minimizes cost while maintaining usability'
-      ],
-      examplePrompts: [
-        'Cheapest smartphone that works well',
-        'Most affordable laptop for basic tasks',
-        'Budget headphones under $50'
-      ]
+router.get('/searches', async (req, res) => {
+  try {
+    const clientId = requireClientId(req, res);
+    if (!clientId) return;
+
+    const page = parsePage(req.query, { defaultLimit: 50, max: MAX_SEARCHES_LIMIT });
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        error: page.error
+      });
     }
-  ];
+
+    const { data, error } = await listSearches({ limit: page.limit, offset: page.offset, clientId });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('❌ Error listing searches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while listing searches'
+    });
+  }
+});
+
+/**
+ * GET /api/gemini/searches/:id
+ * Get a search the client recorded with the products it returned and their catalog entries
+ */
+router.get('/searches/:id', async (req, res) => {
+  try {
+    const clientId = requireClientId(req, res);
+    if (!clientId) return;
+
+    const { data, error } = await getSearch(req.params.id, { clientId });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('❌ Error fetching search:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while fetching search'
+    });
+  }
+});
+
+/**
+ * POST /api/gemini/searches/:id/rerun
+ * Run a search the client recorded again and compare the new results with the original ones
+ */
+router.post('/searches/:id/rerun', enforceUsageQuota, async (req, res) => {
+  try {
+    const { storeResults = true, locale, promptVersion } = req.body ?? {};
+
+    const validationError = validateSearchOptions({ locale, promptVersion });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const { data, error, unavailable } = await rerunSearch(req.params.id, {
+      storeResults, locale, promptVersion, clientId: res.locals.clientId
+    });
+
+    if (error) {
+      return res.status(searchFailureStatus({ unavailable })).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Search not found'
+      });
+    }
+
+    const { added, removed, changed, unchanged } = data.diff;
+    res.json({
+      success: true,
+      data,
+      message: `Found ${data.search.products.length} products: ${added.length} new, ${removed.length} gone, ${changed.length} changed, ${unchanged} unchanged`
+    });
+  } catch (error) {
+    console.error('❌ Error re-running search:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while re-running search'
+    });
+  }
+});
+
+/**
+ * Validate optional YYYY-MM-DD report bounds
+ * @returns {string|null} Error message, or null when the range is valid
+ */
+const validateUsageRange = ({ from, to }) => {
+  const isDay = (value) => value === undefined || (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value));
+
+  if (!isDay(from) || !isDay(to)) {
+    return 'from and to must be dates in YYYY-MM-DD format';
+  }
+
+  if (from && to && from > to) {
+    return 'from must not be after to';
+  }
+
+  return null;
+};
+
+/**
+ * GET /api/gemini/usage
+ * Usage and remaining quota of the calling client (x-api-key, else its address) today, or over ?from=&to=
+ */
+router.get('/usage', async (req, res) => {
+  const validationError = validateUsageRange(req.query);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError
+    });
+  }
+
+  const clientId = requireClientId(req, res);
+  if (!clientId) return;
+
+  try {
+    const [report, quota] = await Promise.all([
+      getUsageReport({ from: req.query.from, to: req.query.to, clientId }),
+      checkQuota(clientId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        clientId,
+        ...report,
+        quota: { limits: quota.quota, exceeded: quota.exceeded, resetAt: quota.resetAt }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error reading usage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read usage'
+    });
+  }
+});
+
+/**
+ * GET /api/gemini/strategies
+ * Get available shopping strategies with descriptions, custom strategies included
+ */
+router.get('/strategies', async (req, res) => {
+  const { data, error } = await listShoppingStrategies();
+
+  if (error) {
+    // Built-in strategies are still listed when custom ones cannot be read
+    console.warn('⚠️ Custom strategies unavailable:', error.message);
+  }
+
+  const strategies = data.map(definition => ({
+    type: definition.id,
+    name: definition.name,
+    description: definition.description || '',
+    icon: definition.icon || '🛒',
+    characteristics: definition.characteristics || [],
+    examplePrompts: definition.examplePrompts || [],
+    builtIn: definition.builtIn
+  }));
 
   res.json({
     success: true,
@@ -256,4 +856,106 @@ router.get('/examples', (req, res) => {
   });
 });
 
+/**
+ * GET /api/gemini/admin/cache
+ * Inspect search cache entries and hit/miss statistics
+ */
+router.get('/admin/cache', requireAdminKey, async (req, res) => {
+  try {
+    const [entries, stats] = await Promise.all([listCacheEntries(), getSearchCacheStats()]);
+
+    res.json({
+      success: true,
+      data: { stats, entries }
+    });
+  } catch (error) {
+    console.error('❌ Error reading search cache:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read search cache'
+    });
+  }
+});
+
+/**
+ * GET /api/gemini/admin/prompts
+ * List registered prompt templates with the active pins and experiments
+ */
+router.get('/admin/prompts', requireAdminKey, (req, res) => {
+  const { templates, pins, experiments } = listPromptTemplates();
+
+  res.json({
+    success: true,
+    data: {
+      templates: templates.map(({ template, ...info }) => ({ ...info, length: template.length })),
+      pins,
+      experiments
+    }
+  });
+});
+
+/**
+ * GET /api/gemini/admin/providers
+ * Circuit breaker state of each LLM provider in use
+ */
+router.get('/admin/providers', requireAdminKey, (req, res) => {
+  res.json({
+    success: true,
+    data: getProviderHealth()
+  });
+});
+
+/**
+ * GET /api/gemini/admin/usage
+ * Usage of every client per day, today or over ?from=&to=, optionally for one ?clientId=
+ */
+router.get('/admin/usage', requireAdminKey, async (req, res) => {
+  const validationError = validateUsageRange(req.query);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError
+    });
+  }
+
+  try {
+    const { from, to, clientId } = req.query;
+    const report = await getUsageReport({ from, to, clientId: typeof clientId === 'string' ? clientId : undefined });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('❌ Error reading usage report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read usage report'
+    });
+  }
+});
+
+/**
+ * DELETE /api/gemini/admin/cache
+ * Purge the whole search cache, or a single entry with ?key=
+ */
+router.delete('/admin/cache', requireAdminKey, async (req, res) => {
+  try {
+    const { key } = req.query;
+    const purged = await purgeSearchCache(typeof key === 'string' ? key : undefined);
+
+    res.json({
+      success: true,
+      data: { purged },
+      message: `Purged ${purged} cache entr${purged === 1 ? 'y' : 'ies'}`
+    });
+  } catch (error) {
+    console.error('❌ Error purging search cache:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to purge search cache'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
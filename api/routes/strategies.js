@@ -0,0 +1,163 @@
+import { Router } from 'express';
+import {
+  listShoppingStrategies,
+  getShoppingStrategy,
+  createShoppingStrategy,
+  updateShoppingStrategy,
+  deleteShoppingStrategy
+} from '../services/strategyService.js';
+import { SCORING_FACTORS } from '../config/shoppingStrategies.js';
+import { requireAdminKey } from '../middleware/adminAuth.js';
+
+const router = Router();
+
+/**
+ * Status for a failed strategy write: 400 for an invalid definition, 409 for a duplicate id, 403 for built-in strategies
+ */
+const writeFailureStatus = (error) => {
+  switch (error.code) {
+    case 'INVALID_STRATEGY':
+      return 400;
+    case 'STRATEGY_EXISTS':
+      return 409;
+    case 'BUILT_IN_STRATEGY':
+      return 403;
+    default:
+      return 500;
+  }
+};
+
+const writeFailure = (res, error, fallbackMessage) => res.status(writeFailureStatus(error)).json({
+  success: false,
+  error: writeFailureStatus(error) === 500 ? fallbackMessage : error.message,
+  details: error.details
+});
+
+/**
+ * GET /api/strategies
+ * List built-in and custom shopping strategies
+ */
+router.get('/', async (req, res) => {
+  const { data, error } = await listShoppingStrategies();
+
+  if (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to list strategies'
+    });
+  }
+
+  res.json({
+    success: true,
+    data,
+    message: `Found ${data.length} strategies`
+  });
+});
+
+/**
+ * GET /api/strategies/factors
+ * List the scoring factors a strategy can weight
+ */
+router.get('/factors', (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(SCORING_FACTORS).map(([id, description]) => ({ id, description }))
+  });
+});
+
+/**
+ * GET /api/strategies/:id
+ * Get one strategy definition
+ */
+router.get('/:id', async (req, res) => {
+  const { data, error } = await getShoppingStrategy(req.params.id);
+
+  if (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch strategy'
+    });
+  }
+
+  if (!data) {
+    return res.status(404).json({
+      success: false,
+      error: 'Strategy not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data
+  });
+});
+
+/**
+ * POST /api/strategies
+ * Define a custom strategy: { id, name, guidelines, weights, defaults?, description?, icon?, characteristics?, examplePrompts? }
+ * (admin only: guidelines become part of the search prompt)
+ */
+router.post('/', requireAdminKey, async (req, res) => {
+  const { data, error } = await createShoppingStrategy(req.body);
+
+  if (error) {
+    return writeFailure(res, error, 'Failed to create strategy');
+  }
+
+  res.status(201).json({
+    success: true,
+    data,
+    message: `Strategy "${data.id}" created`
+  });
+});
+
+/**
+ * PUT /api/strategies/:id
+ * Replace fields of a custom strategy (admin only)
+ */
+router.put('/:id', requireAdminKey, async (req, res) => {
+  const { data, error } = await updateShoppingStrategy(req.params.id, req.body);
+
+  if (error) {
+    return writeFailure(res, error, 'Failed to update strategy');
+  }
+
+  if (!data) {
+    return res.status(404).json({
+      success: false,
+      error: 'Strategy not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data,
+    message: `Strategy "${data.id}" updated`
+  });
+});
+
+/**
+ * DELETE /api/strategies/:id
+ * Delete a custom strategy (admin only)
+ */
+router.delete('/:id', requireAdminKey, async (req, res) => {
+  const { data, error } = await deleteShoppingStrategy(req.params.id);
+
+  if (error) {
+    return writeFailure(res, error, 'Failed to delete strategy');
+  }
+
+  if (!data) {
+    return res.status(404).json({
+      success: false,
+      error: 'Strategy not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Strategy deleted'
+  });
+});
+
+export default router;
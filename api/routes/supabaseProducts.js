@@ -1,11 +1,30 @@
 import { Router } from 'express';
-import { createProduct, getAllProducts, getProductById, updateProduct, deleteProduct, searchProducts } from '../services/supabaseProductService.js';
+import { createProduct, bulkUpsertProducts, getAllProducts, getProductById, updateProduct, deleteProduct, searchProducts } from '../services/supabaseProductService.js';
+import { getPriceHistory, withPriceTrends } from '../services/priceHistoryService.js';
+import { requireAdminKey } from '../middleware/adminAuth.js';
 
 const router = Router();
 
+// Largest page of products a listing or search returns, each of which has its price history read
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Page and page size of a listing, clamped to the first page and to 1..MAX_PAGE_SIZE products
+ * @param {string} page
+ * @param {string} limit
+ * @param {number} defaultLimit
+ * @returns {{ pageNum: number; limitNum: number; offset: number }}
+ */
+const parsePagination = (page, limit, defaultLimit) => {
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || defaultLimit, 1), MAX_PAGE_SIZE);
+  return { pageNum, limitNum, offset: (pageNum - 1) * limitNum };
+};
+
 /**
  * GET /api/products
- * Get all products with optional filtering and pagination
+ * Get all products with optional filtering and pagination, each with its price trend
+ * Specifications are filtered with spec[key]=value, e.g. ?spec[ram]=8GB&spec[storage]=256GB
  */
 router.get('/', async (req, res) => {
   try {
@@ -18,13 +37,12 @@ router.get('/', async (req, res) => {
       maxPrice,
       minRating,
       sourcePlatform,
+      spec,
       orderBy = 'created_at',
       order = 'desc'
     } = req.query;
 
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const offset = (pageNum - 1) * limitNum;
+    const { pageNum, limitNum, offset } = parsePagination(page, limit, 50);
 
     // Build filters object
     const filters = {};
@@ -34,6 +52,15 @@ router.get('/', async (req, res) => {
     if (maxPrice) filters.maxPrice = parseFloat(maxPrice);
     if (minRating) filters.minRating = parseFloat(minRating);
     if (sourcePlatform) filters.sourcePlatform = sourcePlatform;
+    if (spec !== undefined) {
+      if (typeof spec !== 'object' || Array.isArray(spec) || !Object.values(spec).every(value => typeof value === 'string')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Specification filters must be given as spec[key]=value, once per key'
+        });
+      }
+      filters.specifications = spec;
+    }
 
     const options = {
       limit: limitNum,
@@ -56,7 +83,7 @@ router.get('/', async (req, res) => {
 
     res.json({
       success: true,
-      data,
+      data: await withPriceTrends(data),
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -90,9 +117,7 @@ router.get('/search', async (req, res) => {
       });
     }
 
-    const limitNum = parseInt(limit);
-    const pageNum = parseInt(page);
-    const offset = (pageNum - 1) * limitNum;
+    const { pageNum, limitNum, offset } = parsePagination(page, limit, 20);
 
     const options = { limit: limitNum, offset };
 
@@ -109,7 +134,7 @@ router.get('/search', async (req, res) => {
 
     res.json({
       success: true,
-      data,
+      data: await withPriceTrends(data),
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -128,9 +153,40 @@ router.get('/search', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/products/:id/price-history
+ * Prices a product has been stored at over the last `days` (PRICE_TREND_DAYS by default), with their trend
+ */
+router.get('/:id/price-history', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const days = req.query.days === undefined ? undefined : Number(req.query.days);
+
+    const { data, error } = await getPriceHistory(id, { days });
+
+    if (error) {
+      return res.status(error.message === 'Product not found' ? 404 : 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error in GET /products/:id/price-history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 /**
  * GET /api/products/:id
- * Get a single product by ID
+ * Get a single product by ID, with its price trend
  */
 router.get('/:id', async (req, res) => {
   try {
@@ -158,9 +214,11 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    const [product] = await withPriceTrends([data]);
+
     res.json({
       success: true,
-      data
+      data: product
     });
   } catch (error) {
     console.error('Error in GET /products/:id:', error);
@@ -171,15 +229,50 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/products/bulk
+ * Create or update many products at once, reporting what happened to each one
+ * Body: { products: CreateProductData[] }
+ */
+router.post('/bulk', requireAdminKey, async (req, res) => {
+  try {
+    const { products } = req.body ?? {};
+
+    const { data, error, summary } = await bulkUpsertProducts(products);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        results: data,
+        summary
+      },
+      message: `Imported ${data.length - summary.rejected} of ${data.length} products (${summary.created} created, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.rejected} rejected)`
+    });
+  } catch (error) {
+    console.error('Error in POST /products/bulk:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 /**
  * POST /api/products
- * Create a new product
+ * Create a new product, or update the price, rating and review count of the same product already stored
  */
-router.post('/', async (req, res) => {
+router.post('/', requireAdminKey, async (req, res) => {
   try {
     const productData = req.body;
 
-    const { data, error } = await createProduct(productData);
+    const { data, error, action } = await createProduct(productData);
 
     if (error) {
       return res.status(400).json({
@@ -188,10 +281,11 @@ router.post('/', async (req, res) => {
       });
     }
 
-    res.status(201).json({
+    res.status(action === 'created' ? 201 : 200).json({
       success: true,
       data,
-      message: 'Product created successfully'
+      action,
+      message: `Product ${action === 'unchanged' ? 'already stored' : `${action} successfully`}`
     });
   } catch (error) {
     console.error('Error in POST /products:', error);
@@ -206,7 +300,7 @@ router.post('/', async (req, res) => {
  * PUT /api/products/:id
  * Update an existing product
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireAdminKey, async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
@@ -251,7 +345,7 @@ router.put('/:id', async (req, res) => {
  * DELETE /api/products/:id
  * Delete a product
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireAdminKey, async (req, res) => {
   try {
     const { id } = req.params;
 
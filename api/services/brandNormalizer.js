@@ -0,0 +1,260 @@
+import dotenv from 'dotenv';
+import { BRAND_ALIASES } from '../config/brandAliases.js';
+
+dotenv.config();
+
+/**
+ * Brand normalization: folds case, diacritics, punctuation and corporate suffixes, resolves aliases
+ * to a canonical brand, tolerates small misspellings, and knows which brands belong to which parent.
+ */
+
+/**
+ * @typedef {import('../config/brandAliases.js').BrandAlias} BrandAlias
+ */
+
+/**
+ * @typedef {Object} ResolvedBrand
+ * @property {string} brand - Canonical spelling, or the trimmed input when the brand is unknown
+ * @property {boolean} known - Whether the brand is in the dictionary
+ * @property {string} key - Folded form used for comparisons
+ * @property {'exact'|'fuzzy'|null} match - How the input was matched to the dictionary
+ */
+
+export const BRAND_CONFIG = {
+  // Minimum similarity (0-1) for a misspelled brand to count as a known one
+  fuzzyThreshold: parseFloat(process.env.BRAND_FUZZY_THRESHOLD || '0.8'),
+};
+
+/**
+ * Keys this short (HP, LG, JBL) are too easy to hit by accident, so they only match exactly
+ */
+const MIN_FUZZY_KEY_LENGTH = 4;
+
+/**
+ * Trailing words that name the company form rather than the brand
+ */
+const CORPORATE_SUFFIXES = [
+  'inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'ltd', 'limited', 'llc', 'plc',
+  'gmbh', 'ag', 'sa', 'electronics', 'international', 'technologies', 'technology'
+];
+
+/**
+ * Remove accents and other combining marks ("Nokía" -> "Nokia"), keeping the string length for
+ * precomposed characters so match positions still line up with the original text
+ * @param {string} text
+ * @returns {string}
+ */
+export const stripDiacritics = (text = '') => text.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC');
+
+/**
+ * Fold a brand name to its comparison key: "Sony Electronics Inc." -> "sony", "Audio-Technica" -> "audiotechnica"
+ * @param {string} name
+ * @returns {string}
+ */
+export const foldBrand = (name = '') => {
+  const tokens = stripDiacritics(String(name))
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[.'’]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+  while (tokens.length > 1 && CORPORATE_SUFFIXES.includes(tokens[tokens.length - 1])) {
+    tokens.pop();
+  }
+
+  return tokens.join('');
+};
+
+/**
+ * Optimal string alignment distance: edits, counting a swap of adjacent letters as one
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+};
+
+/**
+ * Similarity of two folded keys, from 0 (unrelated) to 1 (identical)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export const brandSimilarity = (a, b) => {
+  if (a === b) return 1;
+  if (a.length < MIN_FUZZY_KEY_LENGTH || b.length < MIN_FUZZY_KEY_LENGTH) return 0;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+};
+
+/** @type {Map<string, BrandAlias>} canonical key -> entry */
+const brands = new Map();
+/** @type {Map<string, string>} folded name or alias -> canonical key */
+const lookup = new Map();
+/** @type {Map<string, ResolvedBrand>} */
+const resolved = new Map();
+
+/**
+ * Add a brand, or extend an existing one with more aliases or a parent
+ * @param {BrandAlias} entry
+ */
+export const registerBrand = (entry) => {
+  const key = foldBrand(entry?.brand);
+  if (!key) {
+    throw new Error('Brand name is required');
+  }
+
+  const existing = brands.get(key);
+  const merged = {
+    brand: existing?.brand || entry.brand.trim(),
+    aliases: [...new Set([...(existing?.aliases || []), ...(entry.aliases || [])])],
+    parent: entry.parent ?? existing?.parent,
+  };
+
+  if (merged.parent && foldBrand(merged.parent) === key) {
+    throw new Error(`Brand ${merged.brand} cannot be its own parent`);
+  }
+
+  const aliasKeys = [merged.brand, ...merged.aliases].map(name => [name, foldBrand(name)]);
+  for (const [name, aliasKey] of aliasKeys) {
+    const owner = lookup.get(aliasKey);
+    if (owner && owner !== key) {
+      throw new Error(`Brand alias "${name}" already belongs to ${brands.get(owner).brand}`);
+    }
+  }
+
+  brands.set(key, merged);
+  aliasKeys.forEach(([, aliasKey]) => lookup.set(aliasKey, key));
+  resolved.clear();
+};
+
+BRAND_ALIASES.forEach(registerBrand);
+
+/**
+ * Resolve a brand name to its canonical form
+ * @param {string} name
+ * @returns {ResolvedBrand}
+ */
+export const resolveBrand = (name) => {
+  const input = typeof name === 'string' ? name.trim() : '';
+  const key = foldBrand(input);
+
+  if (resolved.has(key)) {
+    const cached = resolved.get(key);
+    return cached.known ? cached : { ...cached, brand: input };
+  }
+
+  let result = { brand: input, known: false, key, match: null };
+
+  if (lookup.has(key)) {
+    const canonicalKey = lookup.get(key);
+    result = { brand: brands.get(canonicalKey).brand, known: true, key: canonicalKey, match: 'exact' };
+  } else if (key) {
+    let bestKey = null;
+    let bestScore = 0;
+    for (const [aliasKey, canonicalKey] of lookup) {
+      const score = brandSimilarity(key, aliasKey);
+      if (score > bestScore) {
+        bestKey = canonicalKey;
+        bestScore = score;
+      }
+    }
+
+    if (bestKey && bestScore >= BRAND_CONFIG.fuzzyThreshold) {
+      result = { brand: brands.get(bestKey).brand, known: true, key: bestKey, match: 'fuzzy' };
+    }
+  }
+
+  resolved.set(key, result);
+  return result;
+};
+
+/**
+ * Canonical spelling of a brand, or the trimmed input when the brand is unknown
+ * @param {string} name
+ * @returns {string}
+ */
+export const canonicalBrand = (name) => resolveBrand(name).brand;
+
+/**
+ * Keys of a brand and every brand above it ("Beats" -> beats, apple)
+ * @param {string} key - Canonical key
+ * @returns {string[]}
+ */
+const lineage = (key) => {
+  const chain = [key];
+  let parent = brands.get(key)?.parent;
+
+  while (parent) {
+    const parentKey = foldBrand(parent);
+    if (chain.includes(parentKey)) break;
+    chain.push(parentKey);
+    parent = brands.get(parentKey)?.parent;
+  }
+
+  return chain;
+};
+
+/**
+ * Whether a product's brand satisfies a brand filter: the same brand, an alias or misspelling of it,
+ * or one of its sub-brands (a Beats product matches "Apple", an Apple product does not match "Beats")
+ * @param {string} productBrand
+ * @param {string} filterBrand
+ * @returns {boolean}
+ */
+export const brandMatches = (productBrand, filterBrand) => {
+  const product = resolveBrand(productBrand);
+  const filter = resolveBrand(filterBrand);
+  if (!product.key || !filter.key) return false;
+
+  if (product.known) {
+    return lineage(product.key).includes(filter.key);
+  }
+
+  return brandSimilarity(product.key, filter.key) >= BRAND_CONFIG.fuzzyThreshold;
+};
+
+/**
+ * Whether a product's brand matches any brand in a list
+ * @param {string} productBrand
+ * @param {string[]} filterBrands
+ * @returns {boolean}
+ */
+export const matchesAnyBrand = (productBrand, filterBrands = []) => filterBrands
+  .some(filterBrand => brandMatches(productBrand, filterBrand));
+
+/**
+ * Every spelling that a brand filter should match in stored data: the brand, its sub-brands, and their aliases
+ * @param {string} name
+ * @returns {string[]}
+ */
+export const getBrandFamily = (name) => {
+  const { key, known, brand } = resolveBrand(name);
+  if (!known) return brand ? [brand] : [];
+
+  return [...brands.entries()]
+    .filter(([candidateKey]) => lineage(candidateKey).includes(key))
+    .flatMap(([, entry]) => [entry.brand, ...entry.aliases]);
+};
+
+/**
+ * Every brand name and alias in the dictionary, longest first so text matching prefers "Beats by Dre" over "Beats"
+ * @returns {string[]}
+ */
+export const getKnownBrandNames = () => [...brands.values()]
+  .flatMap(entry => [entry.brand, ...entry.aliases])
+  .sort((a, b) => b.length - a.length);
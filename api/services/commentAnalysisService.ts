@@ -1,182 +1,554 @@
-import { CommentAnalysis } from '../types/comment';
-
-// Mock comment analysis data
-const mockCommentAnalysis: { [productId: string]: CommentAnalysis } = {
-  '1': {
-    productId: '1',
-    totalComments: 2547,
-    averageRating: 4.8,
-    sentimentDistribution: {
-      positive: 2150,
-      negative: 150,
-      neutral: 247
-    },
-    topKeywords: [
-      { keyword: 'premium', frequency: 892 },
-      { keyword: 'quality', frequency: 756 },
-      { keyword: 'camera', frequency: 634 },
-      { keyword: 'battery', frequency: 521 },
-      { keyword: 'design', frequency: 487 }
-    ],
-    qualityIndicators: [
-      { indicator: 'excellent build quality', mentions: 445 },
-      { indicator: 'premium materials', mentions: 389 },
-      { indicator: 'long-lasting battery', mentions: 334 },
-      { indicator: 'superb camera', mentions: 298 },
-      { indicator: 'smooth performance', mentions: 276 }
-    ],
-    commonIssues: ['expensive', 'heavy', 'learning curve'],
-    positiveAspects: ['build quality', 'camera system', 'battery life', 'display', 'performance']
-  },
-  '2': {
-    productId: '2',
-    totalComments: 1892,
-    averageRating: 4.7,
-    sentimentDistribution: {
-      positive: 1583,
-      negative: 132,
-      neutral: 177
-    },
-    topKeywords: [
-      { keyword: 'display', frequency: 654 },
-      { keyword: 'camera', frequency: 589 },
-      { keyword: 'battery', frequency: 521 },
-      { keyword: 'performance', frequency: 467 },
-      { keyword: 'premium', frequency: 423 }
-    ],
-    qualityIndicators: [
-      { indicator: 'amazing display', mentions: 398 },
-      { indicator: 'versatile camera', mentions: 356 },
-      { indicator: 'all-day battery', mentions: 298 },
-      { indicator: 'powerful performance', mentions: 267 },
-      { indicator: 'premium build', mentions: 234 }
-    ],
-    commonIssues: ['pricey', 'complex features', 'size'],
-    positiveAspects: ['display quality', 'camera versatility', 'battery life', 'S Pen', 'performance']
-  },
-  '3': {
-    productId: '3',
-    totalComments: 1234,
-    averageRating: 4.6,
-    sentimentDistribution: {
-      positive: 1021,
-      negative: 98,
-      neutral: 115
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { AspectSentiment, CommentAnalysis, CommentInput } from '../types/comment';
+import { getProductById } from './productService';
+import { assessReviewAuthenticity, REVIEW_AUTHENTICITY_CONFIG } from './reviewAuthenticity';
+import {
+  SENTIMENT_LEXICON,
+  NEGATIONS,
+  INTENSIFIERS,
+  STOPWORDS,
+  GENERIC_KEYWORDS,
+  QUALITY_INDICATORS,
+  COMMON_ISSUES
+} from '../config/commentLexicon.js';
+import { ASPECT_DICTIONARIES } from '../config/commentAspects.js';
+import { DEMO_COMMENTS } from '../config/demoComments.js';
+
+dotenv.config();
+
+/**
+ * Comment analysis configuration, read from the environment
+ */
+export const COMMENT_ANALYSIS_CONFIG = {
+  store: process.env.COMMENT_ANALYSIS_STORE || 'memory',
+  filePath: process.env.COMMENT_ANALYSIS_FILE || path.join(process.cwd(), '.data', 'comment-analyses.json'),
+  topKeywords: parseInt(process.env.COMMENT_ANALYSIS_TOP_KEYWORDS || '10', 10),
+  // Analyze the sample comments of the demo products when they have no analysis yet
+  seedDemo: process.env.COMMENT_ANALYSIS_SEED_DEMO !== 'false',
+};
+
+// Comments scoring above this are positive, and below minus this negative
+const SENTIMENT_THRESHOLD = 0.05;
+// Number of words before a sentiment word or term that a negation reaches
+const NEGATION_WINDOW = 3;
+// Longest phrase counted as a keyword
+const MAX_NGRAM = 3;
+const MAX_ASPECTS = 5;
+// Example snippets kept per aspect, and their length
+const ASPECT_SNIPPETS = 3;
+const SNIPPET_LENGTH = 160;
+
+const NEGATION_WORDS = new Set<string>(NEGATIONS);
+const STOPWORD_SET = new Set<string>(STOPWORDS);
+const GENERIC_KEYWORD_SET = new Set<string>(GENERIC_KEYWORDS);
+
+const HTML_ENTITIES: Record<string, string> = {
+  '&amp;': '&',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&apos;': "'",
+  '&lt;': '<',
+  '&gt;': '>',
+  '&nbsp;': ' '
+};
+
+export interface CommentAnalysisStore {
+  get(productId: string): Promise<CommentAnalysis | null>;
+  save(analysis: CommentAnalysis): Promise<void>;
+}
+
+/**
+ * In-memory store, lost on restart (useful for tests)
+ */
+export const createMemoryCommentAnalysisStore = (): CommentAnalysisStore & { list(): Promise<CommentAnalysis[]> } => {
+  const analyses = new Map<string, CommentAnalysis>();
+
+  return {
+    async get(productId) {
+      return analyses.get(productId) || null;
     },
-    topKeywords: [
-      { keyword: 'camera', frequency: 445 },
-      { keyword: 'pure android', frequency: 389 },
-      { keyword: 'ai features', frequency: 334 },
-      { keyword: 'battery', frequency: 298 },
-      { keyword: 'value', frequency: 267 }
-    ],
-    qualityIndicators: [
-      { indicator: 'excellent camera', mentions: 298 },
-      { indicator: 'clean android', mentions: 234 },
-      { indicator: 'great value', mentions: 198 },
-      { indicator: 'ai photography', mentions: 167 },
-      { indicator: 'reliable battery', mentions: 145 }
-    ],
-    commonIssues: ['heating', 'limited storage', 'availability'],
-    positiveAspects: ['camera quality', 'stock android', 'ai features', 'price point', 'google integration']
-  },
-  '4': {
-    productId: '4',
-    totalComments: 892,
-    averageRating: 4.5,
-    sentimentDistribution: {
-      positive: 734,
-      negative: 89,
-      neutral: 69
+    async save(analysis) {
+      analyses.set(analysis.productId, analysis);
     },
-    topKeywords: [
-      { keyword: 'fast charging', frequency: 334 },
-      { keyword: 'performance', frequency: 298 },
-      { keyword: 'value', frequency: 267 },
-      { keyword: 'oxygen os', frequency: 234 },
-      { keyword: 'smooth', frequency: 198 }
-    ],
-    qualityIndicators: [
-      { indicator: 'super fast charging', mentions: 234 },
-      { indicator: 'smooth performance', mentions: 198 },
-      { indicator: 'great value', mentions: 167 },
-      { indicator: 'clean software', mentions: 145 },
-      { indicator: 'reliable build', mentions: 123 }
-    ],
-    commonIssues: ['camera could be better', 'no wireless charging', 'availability'],
-    positiveAspects: ['charging speed', 'performance', 'software', 'price', 'build quality']
-  },
-  '5': {
-    productId: '5',
-    totalComments: 567,
-    averageRating: 4.4,
-    sentimentDistribution: {
-      positive: 456,
-      negative: 67,
-      neutral: 44
+    async list() {
+      return [...analyses.values()];
+    }
+  };
+};
+
+/**
+ * Store backed by a JSON file, so analyses survive restarts without a database
+ */
+export const createFileCommentAnalysisStore = ({ filePath = COMMENT_ANALYSIS_CONFIG.filePath } = {}): CommentAnalysisStore => {
+  const memory = createMemoryCommentAnalysisStore();
+
+  try {
+    const saved: CommentAnalysis[] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    saved.forEach(analysis => memory.save(analysis));
+  } catch {
+    // No analyses file yet
+  }
+
+  // Writes are chained so concurrent saves never interleave in the file; a failed write still fails its save
+  let writing: Promise<void> = Promise.resolve();
+  const persist = (): Promise<void> => {
+    const write = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, JSON.stringify(await memory.list()));
+    });
+    writing = write.catch(() => undefined);
+    return write;
+  };
+
+  return {
+    get: (productId) => memory.get(productId),
+    async save(analysis) {
+      await memory.save(analysis);
+      await persist();
+    }
+  };
+};
+
+/**
+ * Store backed by the Supabase comment_analyses table, written with the service role (clients may only read it)
+ */
+export const createSupabaseCommentAnalysisStore = (): CommentAnalysisStore => {
+  // Loaded on demand so the other stores never require Supabase to be configured
+  const getClient = async () => (await import('../config/supabase.js')).requireServiceClient('the supabase comment analysis store');
+
+  return {
+    async get(productId) {
+      const supabase = await getClient();
+      const { data, error } = await supabase.from('comment_analyses').select('analysis').eq('product_id', productId).maybeSingle();
+      if (error) throw new Error(`Database error: ${error.message}`);
+      return data ? data.analysis : null;
     },
-    topKeywords: [
-      { keyword: 'affordable', frequency: 234 },
-      { keyword: 'camera', frequency: 198 },
-      { keyword: 'battery', frequency: 167 },
-      { keyword: 'value', frequency: 145 },
-      { keyword: 'miui', frequency: 123 }
-    ],
-    qualityIndicators: [
-      { indicator: 'affordable price', mentions: 167 },
-      { indicator: 'good camera', mentions: 145 },
-      { indicator: 'decent battery', mentions: 123 },
-      { indicator: 'great value', mentions: 98 },
-      { indicator: 'solid build', mentions: 87 }
-    ],
-    commonIssues: ['miui ads', 'bloatware', 'availability'],
-    positiveAspects: ['price', 'camera', 'battery life', 'build quality', 'features']
+    async save(analysis) {
+      const supabase = await getClient();
+      const { error } = await supabase.from('comment_analyses').upsert({
+        product_id: analysis.productId,
+        analysis,
+        analyzed_at: analysis.analyzedAt
+      });
+      if (error) throw new Error(`Database error: ${error.message}`);
+    }
+  };
+};
+
+const createConfiguredStore = (): CommentAnalysisStore => {
+  switch (COMMENT_ANALYSIS_CONFIG.store) {
+    case 'supabase':
+      return createSupabaseCommentAnalysisStore();
+    case 'file':
+      return createFileCommentAnalysisStore();
+    case 'memory':
+      return createMemoryCommentAnalysisStore();
+    default:
+      throw new Error(`Unknown comment analysis store "${COMMENT_ANALYSIS_CONFIG.store}". Use "memory", "file" or "supabase".`);
   }
 };
 
-export const analyzeComments = async (productId: string, comments: any[]): Promise<CommentAnalysis> => {
-  // Simulate analysis delay
-  await new Promise(resolve => setTimeout(resolve, 1000));
-  
-  // For demo purposes, return mock analysis
-  // In real implementation, this would:
-  // 1. Clean and preprocess comments
-  // 2. Apply sentiment analysis
-  // 3. Extract keywords
-  // 4. Identify quality indicators
-  // 5. Detect common issues and positive aspects
-  
-  if (mockCommentAnalysis[productId]) {
-    return mockCommentAnalysis[productId];
+let analysisStore: CommentAnalysisStore | null = null;
+
+const getStore = (): CommentAnalysisStore => {
+  if (!analysisStore) {
+    analysisStore = createConfiguredStore();
   }
-  
-  // Return default analysis for unknown products
+  return analysisStore;
+};
+
+/**
+ * Replace the backing store
+ */
+export const setCommentAnalysisStore = (store: CommentAnalysisStore | null) => {
+  analysisStore = store;
+};
+
+interface AspectDefinition {
+  aspect: string;
+  terms: string[];
+}
+
+const aspectDictionaries = new Map<string, AspectDefinition[]>(Object.entries(ASPECT_DICTIONARIES));
+
+/**
+ * Add or replace the aspect dictionary of a product category
+ */
+export const registerAspectDictionary = (category: string, aspects: AspectDefinition[]) => {
+  aspectDictionaries.set(category.trim().toLowerCase(), aspects);
+};
+
+/**
+ * Default aspects merged with those of the category, the category's taking precedence
+ */
+export const getAspectDictionary = (category?: string | null): AspectDefinition[] => {
+  const folded = (category || '').trim().toLowerCase();
+  const key = aspectDictionaries.has(folded)
+    ? folded
+    : [...aspectDictionaries.keys()].find(name => name !== 'default' && folded.includes(name));
+  const aspects = new Map<string, AspectDefinition>();
+
+  [...(aspectDictionaries.get('default') || []), ...(key ? aspectDictionaries.get(key) || [] : [])]
+    .forEach(definition => aspects.set(definition.aspect, definition));
+
+  return [...aspects.values()];
+};
+
+const stripMarkup = (text: string): string => text
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&(amp|quot|#39|apos|lt|gt|nbsp);/g, entity => HTML_ENTITIES[entity])
+  .replace(/https?:\/\/\S+|www\.\S+/g, ' ');
+
+/**
+ * Strip markup, links, accents and apostrophes, and squeeze stretched letters ("sooooo" becomes "soo")
+ */
+export const cleanCommentText = (text: string): string => stripMarkup(text)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .replace(/-/g, ' ')
+  .replace(/([a-z])\1{2,}/g, '$1$1')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Split text into clauses, each with its original wording and its cleaned words. Sentences are split at
+ * contrast words as well, so "great sound but flimsy" scores the sound and the build separately.
+ */
+const toClauses = (text: string): { text: string; tokens: string[] }[] => stripMarkup(text)
+  .split(/[.!?;:,\n]+|\b(?:but|however|although|though|except)\b/i)
+  .map(clause => ({ text: clause.replace(/\s+/g, ' ').trim(), tokens: cleanCommentText(clause).match(/[a-z0-9]+/g) || [] }))
+  .filter(clause => clause.tokens.length > 0);
+
+const isNegated = (tokens: string[], index: number): boolean =>
+  tokens.slice(Math.max(0, index - NEGATION_WINDOW), index).some(token => NEGATION_WORDS.has(token));
+
+/**
+ * Raw lexicon score of a clause. Intensifiers scale the next sentiment word and a negation
+ * reverses and softens it ("not good" is mildly negative rather than as bad as "bad").
+ */
+const scoreClause = (tokens: string[]): { score: number; hits: number } => {
+  let score = 0;
+  let hits = 0;
+
+  tokens.forEach((token, index) => {
+    const value = SENTIMENT_LEXICON[token];
+    if (!value) return;
+
+    let weight = INTENSIFIERS[tokens[index - 1]] ?? 1;
+    if (isNegated(tokens, index)) {
+      weight *= -0.5;
+    }
+
+    score += value * weight;
+    hits++;
+  });
+
+  return { score, hits };
+};
+
+/**
+ * Squash a raw score into -1..1
+ */
+const normalizeScore = (score: number): number => score / Math.sqrt(score * score + 15);
+
+/**
+ * Index of the first occurrence of a phrase in a clause, or -1. Negated occurrences are skipped unless
+ * `includeNegated` is set.
+ */
+const findTerm = (tokens: string[], term: string[], includeNegated = false): number => {
+  for (let index = 0; index <= tokens.length - term.length; index++) {
+    if (term.every((word, offset) => tokens[index + offset] === word) && (includeNegated || !isNegated(tokens, index))) {
+      return index;
+    }
+  }
+  return -1;
+};
+
+const isKeyword = (ngram: string[]): boolean => {
+  if (STOPWORD_SET.has(ngram[0]) || STOPWORD_SET.has(ngram[ngram.length - 1])) return false;
+  if (ngram.some(word => /^\d+$/.test(word))) return false;
+  return ngram.length > 1 || (ngram[0].length > 2 && !GENERIC_KEYWORD_SET.has(ngram[0]));
+};
+
+/**
+ * Aspects are the things reviews talk about, so they carry no sentiment words
+ */
+const isAspect = (ngram: string[]): boolean =>
+  ngram.length <= 2 && isKeyword(ngram) && ngram.every(word => !STOPWORD_SET.has(word) && !SENTIMENT_LEXICON[word]);
+
+const ngramsOf = (tokens: string[]): string[][] => {
+  const ngrams: string[][] = [];
+  for (let size = 1; size <= MAX_NGRAM; size++) {
+    for (let index = 0; index + size <= tokens.length; index++) {
+      ngrams.push(tokens.slice(index, index + size));
+    }
+  }
+  return ngrams;
+};
+
+interface AnalyzedComment {
+  sentiment: number;
+  rating: number | null;
+  tokens: string[];
+  // How much the comment counts in the analysis, lowered for comments flagged as suspicious
+  weight: number;
+  keywords: Set<string>;
+  indicators: Set<string>;
+  issues: Set<string>;
+  positiveAspects: Set<string>;
+  negativeAspects: Set<string>;
+  // Sentiment of the clauses mentioning each dictionary aspect, and the strongest of them
+  aspectMentions: Map<string, { score: number; snippet: string }>;
+}
+
+interface CommentParts {
+  index: number;
+  text: string;
+  rating: number | null;
+  createdAt: Date | null;
+}
+
+const toCommentParts = (comment: CommentInput, index: number): CommentParts => {
+  if (typeof comment === 'string') {
+    return { index, text: comment, rating: null, createdAt: null };
+  }
+
+  const rating = Number(comment?.rating);
+  const createdAt = comment?.createdAt ? new Date(comment.createdAt) : null;
   return {
+    index,
+    text: typeof comment?.content === 'string' ? comment.content : '',
+    rating: rating >= 1 && rating <= 5 ? rating : null,
+    createdAt: createdAt && !Number.isNaN(createdAt.getTime()) ? createdAt : null
+  };
+};
+
+/**
+ * Score one comment and collect what it mentions. Text without sentiment words falls back to the rating.
+ */
+const analyzeComment = (text: string, rating: number | null, aspects: AspectDefinition[]): AnalyzedComment => {
+  const clauses = toClauses(text);
+  const result: AnalyzedComment = {
+    sentiment: 0,
+    rating,
+    tokens: clauses.flatMap(clause => clause.tokens),
+    weight: 1,
+    keywords: new Set(),
+    indicators: new Set(),
+    issues: new Set(),
+    positiveAspects: new Set(),
+    negativeAspects: new Set(),
+    aspectMentions: new Map()
+  };
+
+  let totalScore = 0;
+  let totalHits = 0;
+  const aspectClauses = new Map<string, { score: number; text: string }[]>();
+
+  for (const { text: clauseText, tokens } of clauses) {
+    const { score, hits } = scoreClause(tokens);
+    totalScore += score;
+    totalHits += hits;
+
+    for (const ngram of ngramsOf(tokens)) {
+      if (!isKeyword(ngram)) continue;
+      const phrase = ngram.join(' ');
+      result.keywords.add(phrase);
+
+      if (isAspect(ngram) && score > 0) result.positiveAspects.add(phrase);
+      if (isAspect(ngram) && score < 0) result.negativeAspects.add(phrase);
+    }
+
+    if (score > 0) {
+      QUALITY_INDICATORS
+        .filter(({ terms }) => terms.some(term => findTerm(tokens, term.split(' ')) >= 0))
+        .forEach(({ indicator }) => result.indicators.add(indicator));
+    } else {
+      COMMON_ISSUES
+        .filter(({ terms }) => terms.some(term => findTerm(tokens, term.split(' ')) >= 0))
+        .forEach(({ issue }) => result.issues.add(issue));
+    }
+
+    aspects
+      .filter(({ terms }) => terms.some(term => findTerm(tokens, term.split(' '), true) >= 0))
+      .forEach(({ aspect }) => aspectClauses.set(aspect, [...(aspectClauses.get(aspect) || []), { score, text: clauseText }]));
+  }
+
+  aspectClauses.forEach((mentions, aspect) => {
+    const strongest = mentions.reduce((best, mention) => Math.abs(mention.score) > Math.abs(best.score) ? mention : best);
+    result.aspectMentions.set(aspect, {
+      score: normalizeScore(mentions.reduce((sum, mention) => sum + mention.score, 0)),
+      snippet: strongest.text.length > SNIPPET_LENGTH ? `${strongest.text.slice(0, SNIPPET_LENGTH - 1)}…` : strongest.text
+    });
+  });
+
+  if (totalHits > 0) {
+    result.sentiment = normalizeScore(totalScore);
+  } else if (rating !== null) {
+    result.sentiment = (rating - 3) / 2;
+  }
+
+  return result;
+};
+
+/**
+ * Comments counted by weight, so flagged comments count only in part
+ */
+const weightedCount = (comments: AnalyzedComment[]): number =>
+  Math.round(comments.reduce((sum, comment) => sum + comment.weight, 0));
+
+/**
+ * Count how many comments mention each entry, most mentioned first. Entries left with no
+ * mentions once flagged comments are discounted are dropped.
+ */
+const countMentions = (comments: AnalyzedComment[], pick: (comment: AnalyzedComment) => Set<string>): [string, number][] => {
+  const counts = new Map<string, number>();
+  comments.forEach(comment => pick(comment).forEach(entry => counts.set(entry, (counts.get(entry) || 0) + comment.weight)));
+  return [...counts.entries()]
+    .map(([entry, count]): [string, number] => [entry, Math.round(count)])
+    .filter(([, count]) => count > 0)
+    .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b));
+};
+
+/**
+ * Drop words and phrases mentioned exactly as often as a longer phrase containing them ("battery" when
+ * every mention is of "battery life")
+ */
+const preferPhrases = (counts: [string, number][]): [string, number][] => counts
+  .filter(([phrase, count]) => !counts.some(([other, otherCount]) =>
+    otherCount === count && other !== phrase && ` ${other} `.includes(` ${phrase} `)));
+
+/**
+ * Most mentioned keywords and phrases. A phrase needs at least two mentions.
+ */
+const extractTopKeywords = (comments: AnalyzedComment[], limit: number): CommentAnalysis['topKeywords'] =>
+  preferPhrases(countMentions(comments, comment => comment.keywords)
+    .filter(([keyword, frequency]) => !keyword.includes(' ') || frequency >= 2))
+    .slice(0, limit)
+    .map(([keyword, frequency]) => ({ keyword, frequency }));
+
+/**
+ * Sentiment per dictionary aspect, most mentioned first. Snippets lead with the most positive and the
+ * most negative mention so both sides of a mixed aspect are shown.
+ */
+const summarizeAspects = (comments: AnalyzedComment[]): AspectSentiment[] => {
+  const mentionsByAspect = new Map<string, { score: number; snippet: string; weight: number }[]>();
+  comments.forEach(comment => comment.aspectMentions.forEach((mention, aspect) =>
+    mentionsByAspect.set(aspect, [...(mentionsByAspect.get(aspect) || []), { ...mention, weight: comment.weight }])));
+
+  const count = (mentions: { weight: number }[]) => Math.round(mentions.reduce((sum, mention) => sum + mention.weight, 0));
+
+  return [...mentionsByAspect.entries()]
+    .map(([aspect, mentions]) => {
+      // Quote flagged comments only when nothing else mentions the aspect
+      const trusted = mentions.filter(mention => mention.weight === 1);
+      const quotable = trusted.length > 0 ? trusted : mentions;
+      const byScore = [...quotable].sort((a, b) => b.score - a.score);
+      const leading = [byScore[0], byScore[byScore.length - 1]].filter(mention => Math.abs(mention.score) > SENTIMENT_THRESHOLD);
+      const byStrength = [...quotable].sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+      const totalWeight = mentions.reduce((sum, mention) => sum + mention.weight, 0) || 1;
+
+      return {
+        aspect,
+        mentions: count(mentions),
+        positive: count(mentions.filter(mention => mention.score > SENTIMENT_THRESHOLD)),
+        negative: count(mentions.filter(mention => mention.score < -SENTIMENT_THRESHOLD)),
+        neutral: count(mentions.filter(mention => Math.abs(mention.score) <= SENTIMENT_THRESHOLD)),
+        score: Math.round(mentions.reduce((sum, mention) => sum + mention.score * mention.weight, 0) / totalWeight * 100) / 100,
+        snippets: [...new Set([...leading, ...byStrength].map(mention => mention.snippet))].slice(0, ASPECT_SNIPPETS)
+      };
+    })
+    .filter(entry => entry.mentions > 0)
+    .sort((a, b) => b.mentions - a.mentions || a.aspect.localeCompare(b.aspect));
+};
+
+/**
+ * Run the analysis pipeline over a product's comments and store the result. Aspects come from the
+ * dictionary of `options.category`, or of the product's category when it is not given. Comments
+ * flagged as suspicious count with REVIEW_FLAGGED_WEIGHT in every figure except totalComments.
+ */
+export const analyzeComments = async (
+  productId: string,
+  comments: CommentInput[],
+  options: { category?: string } = {}
+): Promise<CommentAnalysis> => {
+  const category = options.category ?? (await getProductById(productId))?.category;
+  const aspects = getAspectDictionary(category);
+  const parts = comments
+    .map(toCommentParts)
+    .filter(({ text, rating }) => text.trim() || rating !== null);
+  const analyzed = parts.map(({ text, rating }) => analyzeComment(text, rating, aspects));
+
+  const { flags, authenticity } = assessReviewAuthenticity(parts.map((part, position) => ({
+    ...part,
+    tokens: analyzed[position].tokens
+  })));
+  analyzed.forEach((comment, position) => {
+    if (flags[position].length > 0) {
+      comment.weight = REVIEW_AUTHENTICITY_CONFIG.flaggedWeight;
+    }
+  });
+
+  const weighted = analyzed.filter(comment => comment.weight > 0);
+  const totalWeight = weighted.reduce((sum, comment) => sum + comment.weight, 0);
+  const rated = weighted.filter(comment => comment.rating !== null);
+  const ratedWeight = rated.reduce((sum, comment) => sum + comment.weight, 0);
+  const averageSentiment = totalWeight > 0
+    ? weighted.reduce((sum, comment) => sum + comment.sentiment * comment.weight, 0) / totalWeight
+    : 0;
+  // Without ratings, place the sentiment on the 1-5 scale so rating-based scoring still works
+  const averageRating = ratedWeight > 0
+    ? rated.reduce((sum, comment) => sum + comment.rating * comment.weight, 0) / ratedWeight
+    : 3 + 2 * averageSentiment;
+
+  const praised = new Map(countMentions(analyzed, comment => comment.positiveAspects));
+  const criticised = new Map(countMentions(analyzed, comment => comment.negativeAspects));
+  const issues = countMentions(analyzed, comment => comment.issues).map(([issue]) => issue);
+  const positiveAspects = preferPhrases([...praised.entries()]
+    .filter(([aspect, count]) => count > (criticised.get(aspect) || 0)));
+  // Aspects criticised at least twice and more often than praised are issues too
+  const criticisedAspects = preferPhrases([...criticised.entries()]
+    .filter(([aspect, count]) => count >= 2 && count > (praised.get(aspect) || 0)));
+
+  const analysis: CommentAnalysis = {
     productId,
-    totalComments: comments.length,
-    averageRating: 4.0,
+    totalComments: analyzed.length,
+    averageRating: Math.round(averageRating * 10) / 10,
     sentimentDistribution: {
-      positive: Math.floor(comments.length * 0.7),
-      negative: Math.floor(comments.length * 0.1),
-      neutral: Math.floor(comments.length * 0.2)
+      positive: weightedCount(analyzed.filter(comment => comment.sentiment > SENTIMENT_THRESHOLD)),
+      negative: weightedCount(analyzed.filter(comment => comment.sentiment < -SENTIMENT_THRESHOLD)),
+      neutral: weightedCount(analyzed.filter(comment => Math.abs(comment.sentiment) <= SENTIMENT_THRESHOLD))
     },
-    topKeywords: [
-      { keyword: 'quality', frequency: 50 },
-      { keyword: 'value', frequency: 40 },
-      { keyword: 'performance', frequency: 35 }
-    ],
-    qualityIndicators: [
-      { indicator: 'good quality', mentions: 30 },
-      { indicator: 'fair price', mentions: 25 }
-    ],
-    commonIssues: ['none significant'],
-    positiveAspects: ['general satisfaction']
+    topKeywords: extractTopKeywords(analyzed, COMMENT_ANALYSIS_CONFIG.topKeywords),
+    qualityIndicators: countMentions(analyzed, comment => comment.indicators)
+      .map(([indicator, mentions]) => ({ indicator, mentions })),
+    commonIssues: [...new Set([...issues, ...criticisedAspects.map(([aspect]) => aspect)])].slice(0, MAX_ASPECTS),
+    positiveAspects: positiveAspects.slice(0, MAX_ASPECTS).map(([aspect]) => aspect),
+    aspectSentiment: summarizeAspects(analyzed),
+    authenticity,
+    averageSentiment: Math.round(averageSentiment * 100) / 100,
+    analyzedAt: new Date().toISOString()
   };
+
+  await getStore().save(analysis);
+  console.log(`💬 Analyzed ${analysis.totalComments} comments for product ${productId} (${authenticity.flaggedComments} flagged as suspicious)`);
+
+  return analysis;
 };
 
+/**
+ * Latest stored analysis of a product's comments. Demo products without one are analyzed from their
+ * sample comments (see api/config/demoComments.js) unless COMMENT_ANALYSIS_SEED_DEMO is false.
+ */
 export const getCommentAnalysis = async (productId: string): Promise<CommentAnalysis | null> => {
-  // Simulate database lookup delay
-  await new Promise(resolve => setTimeout(resolve, 200));
-  
-  return mockCommentAnalysis[productId] || null;
+  const analysis = await getStore().get(productId);
+
+  if (!analysis && COMMENT_ANALYSIS_CONFIG.seedDemo && DEMO_COMMENTS[productId]) {
+    return analyzeComments(productId, DEMO_COMMENTS[productId]);
+  }
+  return analysis;
 };
\ No newline at end of file
@@ -0,0 +1,346 @@
+import { getKnownBrandNames, resolveBrand, canonicalBrand, stripDiacritics } from './brandNormalizer.js';
+
+/**
+ * Extract shopping constraints (price bounds, brands, rating floor, category) from free text
+ * and merge them into a SearchStrategy.
+ *
+ * Precedence, highest first: explicit strategy fields, rules applied to the text, LLM assist.
+ * Brand lists are taken whole from the highest-precedence source that has one.
+ */
+
+/**
+ * @typedef {Object} ExtractedConstraints
+ * @property {number} [maxPrice] - Upper price bound
+ * @property {number} [minPrice] - Lower price bound
+ * @property {string[]} [preferredBrands] - Brands the customer asked for
+ * @property {string[]} [excludedBrands] - Brands the customer ruled out
+ * @property {number} [minRating] - Rating floor (0-5)
+ * @property {string} [category] - Product category hint
+ * @property {Object<string, string>} [evidence] - Phrase each constraint was read from, keyed by field
+ */
+
+/**
+ * @typedef {Object} ConstraintResolution
+ * @property {import('./geminiProductSearch.js').SearchStrategy} strategy - Strategy with derived constraints merged in
+ * @property {ExtractedConstraints} extracted - Constraints found by the rules
+ * @property {ExtractedConstraints|null} llm - Constraints suggested by the LLM assist, when it ran
+ * @property {Object<string, { value: any; source: 'explicit'|'text'|'llm' }>} applied - Final value and source per field
+ * @property {{ field: string; value: any; source: string; reason: string }[]} ignored - Derived values that lost to a higher-precedence source or conflicted
+ */
+
+const CONSTRAINT_FIELDS = ['maxPrice', 'minPrice', 'preferredBrands', 'excludedBrands', 'minRating', 'category'];
+const SOURCE_ORDER = ['explicit', 'text', 'llm'];
+
+/**
+ * Brands that double as store names; "on Amazon" is about where to buy, not what to buy
+ */
+const STORE_PREFIX = /\b(?:on|at|via|from)\s+$/i;
+
+const CATEGORY_HINTS = [
+  { category: 'Headphones', pattern: /\b(?:headphones?|earbuds?|earphones?|headsets?|airpods)\b/i },
+  { category: 'Smartwatches', pattern: /\b(?:smart ?watch(?:es)?|watch(?:es)?|fitness trackers?)\b/i },
+  { category: 'Smartphones', pattern: /\b(?:smart ?phones?|phones?|iphones?|android phones?)\b/i },
+  { category: 'Laptops', pattern: /\b(?:laptops?|notebooks?|macbooks?|chromebooks?|ultrabooks?)\b/i },
+  { category: 'Tablets', pattern: /\b(?:tablets?|ipads?)\b/i },
+  { category: 'Cameras', pattern: /\b(?:cameras?|dslr|mirrorless)\b/i },
+  { category: 'Gaming Accessories', pattern: /\b(?:gaming (?:mouse|mice|keyboards?|controllers?)|mouse|mice)\b/i },
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Brand names and aliases from the brand dictionary, recognised in free text
+const BRAND_PATTERN = getKnownBrandNames().map(escapeRegExp).join('|');
+const BRAND_LIST = `(?:${BRAND_PATTERN})(?:\\s*(?:,|\\/|\\bor\\b|\\band\\b|\\bnor\\b)\\s*(?:${BRAND_PATTERN}))*`;
+const EXCLUSION_PATTERN = new RegExp(
+  `\\b(?:not|no|except|excluding|exclude|without|avoid|other than|anything but|alternatives? to)\\s+(?:any\\s+)?(${BRAND_LIST})\\b`,
+  'gi'
+);
+
+// A number, optionally with a currency sign, thousands separators and a "k" suffix
+const AMOUNT = '\\$?\\s*(\\d{1,3}(?:,\\d{3})+|\\d+(?:\\.\\d+)?)\\s*(k\\b)?';
+// Units that mean a number is not a price
+const NOT_PRICE = '(?!\\s*(?:\\+\\s*)?(?:stars?|-star|inch(?:es)?|in\\b|"|gb|tb|mb|hz|mp|mah|hours?|hrs?|%|watts?|w\\b|mm|grams?|g\\b|lbs?|kg|years?|months?|days?))';
+
+const PRICE_RANGE_PATTERNS = [
+  new RegExp(`\\bbetween\\s+${AMOUNT}\\s*(?:and|to|-)\\s*${AMOUNT}${NOT_PRICE}`, 'i'),
+  new RegExp(`\\$\\s*(\\d{1,3}(?:,\\d{3})+|\\d+(?:\\.\\d+)?)\\s*(k\\b)?\\s*(?:-|–|to)\\s*${AMOUNT}`, 'i'),
+];
+const MAX_PRICE_PATTERNS = [
+  new RegExp(`(?:\\b(?:under|below|less than|cheaper than|lower than|no more than|not more than|max(?:imum)?(?: price)?(?: of)?|up to|within|budget(?: of| is)?|at most)|<=?)\\s*${AMOUNT}${NOT_PRICE}`, 'i'),
+  new RegExp(`${AMOUNT}${NOT_PRICE}\\s*(?:or less|or under|or below|max|and under|tops)\\b`, 'i'),
+];
+const MIN_PRICE_PATTERNS = [
+  new RegExp(`(?:\\b(?:over|above|more than|at least|min(?:imum)?(?: price)?(?: of)?|starting at)|>=?)\\s*${AMOUNT}${NOT_PRICE}`, 'i'),
+  new RegExp(`${AMOUNT}${NOT_PRICE}\\s*(?:or more|and up|and above|or above|plus)\\b`, 'i'),
+];
+const RATING_PATTERNS = [
+  /\b(\d(?:\.\d+)?)\s*(?:\+|or more|or higher|or above|and up|and above)?\s*(?:-\s*)?stars?\b/i,
+  /\brat(?:ed|ing)\s*(?:of\s*)?(?:at least|over|above|>=?|of)?\s*(\d(?:\.\d+)?)\b/i,
+];
+
+/**
+ * Parse an amount matched by AMOUNT
+ * @returns {number}
+ */
+const parseAmount = (digits, thousands) => parseFloat(digits.replace(/,/g, '')) * (thousands ? 1000 : 1);
+
+/**
+ * Find brand mentions in their canonical spelling, skipping store names used as stores
+ * @param {string} text
+ * @returns {string[]}
+ */
+const findBrands = (text) => {
+  const found = [];
+  const folded = stripDiacritics(text);
+  const pattern = new RegExp(`\\b(${BRAND_PATTERN})\\b`, 'gi');
+  let match;
+
+  while ((match = pattern.exec(folded)) !== null) {
+    if (STORE_PREFIX.test(folded.slice(0, match.index))) continue;
+
+    const { brand, known } = resolveBrand(match[1]);
+    if (known && !found.includes(brand)) {
+      found.push(brand);
+    }
+  }
+
+  return found;
+};
+
+/**
+ * Extract constraints from free text with deterministic rules
+ * @param {string} text - Customer input
+ * @returns {ExtractedConstraints}
+ */
+export const extractConstraintsFromText = (text) => {
+  const constraints = { evidence: {} };
+  if (!text || typeof text !== 'string') return constraints;
+
+  const set = (field, value, phrase) => {
+    constraints[field] = value;
+    constraints.evidence[field] = phrase.trim();
+  };
+
+  // Price bounds: a range wins over one-sided phrases
+  const range = PRICE_RANGE_PATTERNS.map(pattern => text.match(pattern)).find(Boolean);
+  if (range) {
+    const low = parseAmount(range[1], range[2]);
+    const high = parseAmount(range[3], range[4]);
+    set('minPrice', Math.min(low, high), range[0]);
+    set('maxPrice', Math.max(low, high), range[0]);
+  } else {
+    const max = MAX_PRICE_PATTERNS.map(pattern => text.match(pattern)).find(Boolean);
+    if (max) {
+      set('maxPrice', parseAmount(max[1], max[2]), max[0]);
+    }
+
+    const min = MIN_PRICE_PATTERNS.map(pattern => text.match(pattern)).find(Boolean);
+    // Without a currency sign, small numbers after "at least"/"over" are more likely ratings
+    if (min && (min[0].includes('$') || parseAmount(min[1], min[2]) > 5)) {
+      set('minPrice', parseAmount(min[1], min[2]), min[0]);
+    }
+  }
+
+  for (const pattern of RATING_PATTERNS) {
+    const match = text.match(pattern);
+    const rating = match ? parseFloat(match[1]) : NaN;
+    if (rating > 0 && rating <= 5) {
+      set('minRating', rating, match[0]);
+      break;
+    }
+  }
+
+  // Brands: anything named after a negation is excluded, other mentions are preferred
+  const excluded = [];
+  const exclusionPhrases = [];
+  for (const match of stripDiacritics(text).matchAll(EXCLUSION_PATTERN)) {
+    exclusionPhrases.push(match[0]);
+    findBrands(match[1]).forEach(brand => {
+      if (!excluded.includes(brand)) excluded.push(brand);
+    });
+  }
+  if (excluded.length > 0) {
+    set('excludedBrands', excluded, exclusionPhrases.join('; '));
+  }
+
+  const preferred = findBrands(text).filter(brand => !excluded.includes(brand));
+  if (preferred.length > 0) {
+    set('preferredBrands', preferred, preferred.join(', '));
+  }
+
+  const hint = CATEGORY_HINTS.find(({ pattern }) => pattern.test(text));
+  if (hint) {
+    set('category', hint.category, text.match(hint.pattern)[0]);
+  }
+
+  return constraints;
+};
+
+/**
+ * Build the prompt used by the optional LLM assist
+ * @param {string} text
+ * @returns {string}
+ */
+function generateConstraintPrompt(text) {
+  return `Extract shopping constraints from the customer's request.
+
+Customer Request: "${text}"
+
+Return a JSON object with these fields, using null for anything the customer did not state:
+{
+  "maxPrice": number|null,
+  "minPrice": number|null,
+  "preferredBrands": string[]|null,
+  "excludedBrands": string[]|null,
+  "minRating": number|null,
+  "category": string|null
+}
+
+Return only the JSON object, no additional text.`;
+}
+
+/**
+ * Keep only well-formed constraint values from untrusted model output
+ * @param {any} raw
+ * @returns {ExtractedConstraints}
+ */
+const sanitizeConstraints = (raw) => {
+  const constraints = {};
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return constraints;
+
+  for (const field of ['maxPrice', 'minPrice']) {
+    if (typeof raw[field] === 'number' && raw[field] >= 0) constraints[field] = raw[field];
+  }
+  if (typeof raw.minRating === 'number' && raw.minRating > 0 && raw.minRating <= 5) {
+    constraints.minRating = raw.minRating;
+  }
+  for (const field of ['preferredBrands', 'excludedBrands']) {
+    if (Array.isArray(raw[field])) {
+      const brands = [...new Set(raw[field].filter(brand => typeof brand === 'string' && brand.trim()).map(canonicalBrand))];
+      if (brands.length > 0) constraints[field] = brands;
+    }
+  }
+  if (typeof raw.category === 'string' && raw.category.trim()) {
+    constraints.category = raw.category.trim();
+  }
+
+  return constraints;
+};
+
+/**
+ * Ask the model to extract constraints. Failures are logged and yield no constraints.
+ * @param {string} text
+ * @param {import('../providers/index.js').LLMProvider} provider
+ * @returns {Promise<ExtractedConstraints>}
+ */
+export const extractConstraintsWithLLM = async (text, provider) => {
+  try {
+    const response = await provider.generateContent(generateConstraintPrompt(text));
+    const start = response.text.indexOf('{');
+    const end = response.text.lastIndexOf('}');
+
+    if (start === -1 || end <= start) {
+      throw new Error('No JSON object in response');
+    }
+
+    return sanitizeConstraints(JSON.parse(response.text.slice(start, end + 1)));
+  } catch (error) {
+    console.warn('⚠️ LLM constraint extraction failed:', error.message);
+    return {};
+  }
+};
+
+const hasValue = (value) => value !== undefined && value !== null && value !== ''
+  && !(Array.isArray(value) && value.length === 0);
+
+/**
+ * Merge derived constraints into an explicit strategy
+ * @param {import('./geminiProductSearch.js').SearchStrategy} strategy - Explicit strategy from the request
+ * @param {ExtractedConstraints} extracted - Rule-based constraints
+ * @param {ExtractedConstraints|null} [llm] - LLM-assisted constraints
+ * @returns {ConstraintResolution}
+ */
+export const mergeConstraints = (strategy, extracted, llm = null) => {
+  const merged = { ...strategy };
+  const applied = {};
+  const ignored = [];
+  const sources = [
+    ['explicit', strategy],
+    ['text', extracted],
+    ['llm', llm || {}],
+  ];
+
+  for (const field of CONSTRAINT_FIELDS) {
+    const candidates = sources.filter(([, values]) => hasValue(values[field]));
+    if (candidates.length === 0) continue;
+
+    const [[source, values], ...rest] = candidates;
+    merged[field] = values[field];
+    applied[field] = { value: values[field], source };
+
+    rest.forEach(([lowerSource, lowerValues]) => ignored.push({
+      field,
+      value: lowerValues[field],
+      source: lowerSource,
+      reason: `overridden by ${source} value`
+    }));
+  }
+
+  // A derived bound that contradicts the other bound is dropped
+  if (hasValue(merged.minPrice) && hasValue(merged.maxPrice) && merged.minPrice > merged.maxPrice) {
+    const field = applied.minPrice.source === 'explicit' ? 'maxPrice' : 'minPrice';
+    ignored.push({ field, value: merged[field], source: applied[field].source, reason: 'conflicts with the other price bound' });
+    delete merged[field];
+    delete applied[field];
+  }
+
+  // A brand both preferred and excluded stays with the higher-precedence list (exclusion wins ties)
+  if (hasValue(merged.preferredBrands) && hasValue(merged.excludedBrands)) {
+    const rank = (field) => SOURCE_ORDER.indexOf(applied[field].source);
+    const [keepField, trimField] = rank('preferredBrands') < rank('excludedBrands')
+      ? ['preferredBrands', 'excludedBrands']
+      : ['excludedBrands', 'preferredBrands'];
+    const kept = merged[keepField].map(brand => resolveBrand(brand).key);
+    const remaining = merged[trimField].filter(brand => !kept.includes(resolveBrand(brand).key));
+
+    if (remaining.length < merged[trimField].length) {
+      ignored.push({
+        field: trimField,
+        value: merged[trimField].filter(brand => !remaining.includes(brand)),
+        source: applied[trimField].source,
+        reason: `brand is also in ${keepField}`
+      });
+      if (remaining.length > 0) {
+        merged[trimField] = remaining;
+        applied[trimField] = { ...applied[trimField], value: remaining };
+      } else {
+        delete merged[trimField];
+        delete applied[trimField];
+      }
+    }
+  }
+
+  return {
+    strategy: merged,
+    extracted,
+    llm,
+    applied,
+    ignored
+  };
+};
+
+/**
+ * Extract constraints from the customer input and merge them into the strategy
+ * @param {string} customerInput
+ * @param {import('./geminiProductSearch.js').SearchStrategy} strategy
+ * @param {{ llmAssist?: boolean; provider?: import('../providers/index.js').LLMProvider }} [options]
+ * @returns {Promise<ConstraintResolution>}
+ */
+export const resolveSearchConstraints = async (customerInput, strategy, options = {}) => {
+  const extracted = extractConstraintsFromText(customerInput);
+  const llm = options.llmAssist && options.provider
+    ? await extractConstraintsWithLLM(customerInput, options.provider)
+    : null;
+
+  return mergeConstraints(strategy, extracted, llm);
+};
@@ -0,0 +1,172 @@
+import dotenv from 'dotenv';
+import { STATIC_EXCHANGE_RATES } from '../config/exchangeRates.js';
+
+dotenv.config();
+
+/**
+ * @typedef {Object} ExchangeRates
+ * @property {string} base - Currency the rates are relative to
+ * @property {Object<string, number>} rates - Units of each currency per one unit of base
+ * @property {string} asOf - Date the rates were published
+ * @property {string} source - Where the rates came from
+ */
+
+/**
+ * Currency configuration, read from the environment
+ */
+export const CURRENCY_CONFIG = {
+  // Currency of prices that do not name one, including price bounds in a strategy
+  baseCurrency: (process.env.BASE_CURRENCY || 'USD').toUpperCase(),
+  // 'static' uses the bundled table, 'http' fetches rates from EXCHANGE_RATE_URL
+  rateSource: process.env.EXCHANGE_RATE_SOURCE || 'static',
+  rateUrl: process.env.EXCHANGE_RATE_URL || '',
+  rateTtlSeconds: parseInt(process.env.EXCHANGE_RATE_TTL_SECONDS || '3600', 10),
+};
+
+/**
+ * Upper-case a currency code, or return null when it is not a three-letter code
+ * @param {any} code
+ * @returns {string|null}
+ */
+export const normalizeCurrency = (code) => (typeof code === 'string' && /^[a-z]{3}$/i.test(code.trim())
+  ? code.trim().toUpperCase()
+  : null);
+
+/**
+ * Fetch rates from a JSON endpoint answering { base, rates, date }, the format used by most public rate APIs
+ * @param {string} url
+ * @returns {Promise<ExchangeRates>}
+ */
+const fetchHttpRates = async (url) => {
+  if (!url) {
+    throw new Error('EXCHANGE_RATE_URL is required when EXCHANGE_RATE_SOURCE=http');
+  }
+
+  const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+  if (!response.ok) {
+    throw new Error(`Exchange rate request failed with status ${response.status}`);
+  }
+
+  const body = await response.json();
+  const base = normalizeCurrency(body?.base);
+  if (!base || !body.rates || typeof body.rates !== 'object') {
+    throw new Error('Exchange rate response has no base currency or rates');
+  }
+
+  const rates = Object.fromEntries(Object.entries(body.rates)
+    .filter(([code, rate]) => normalizeCurrency(code) && typeof rate === 'number' && rate > 0)
+    .map(([code, rate]) => [code.toUpperCase(), rate]));
+
+  return { base, rates: { ...rates, [base]: 1 }, asOf: body.date || new Date().toISOString().slice(0, 10), source: 'http' };
+};
+
+const loadConfiguredRates = async () => {
+  switch (CURRENCY_CONFIG.rateSource) {
+    case 'static':
+      return STATIC_EXCHANGE_RATES;
+    case 'http':
+      return fetchHttpRates(CURRENCY_CONFIG.rateUrl);
+    default:
+      throw new Error(`Unknown exchange rate source "${CURRENCY_CONFIG.rateSource}". Use "static" or "http".`);
+  }
+};
+
+let rateLoader = null;
+let rateCache = null;
+
+/**
+ * Replace the source of exchange rates
+ * @param {(() => Promise<ExchangeRates>)|null} loader - Pass null to go back to EXCHANGE_RATE_SOURCE
+ */
+export const setExchangeRateSource = (loader) => {
+  rateLoader = loader;
+  rateCache = null;
+};
+
+/**
+ * Current exchange rates; falls back to the static table when the configured source fails
+ * @returns {Promise<ExchangeRates>}
+ */
+export const getExchangeRates = async () => {
+  if (rateCache && rateCache.expiresAt > Date.now()) {
+    return rateCache.rates;
+  }
+
+  let rates;
+  try {
+    rates = await (rateLoader || loadConfiguredRates)();
+  } catch (error) {
+    console.warn('⚠️ Could not load exchange rates, using the static table:', error.message);
+    rates = STATIC_EXCHANGE_RATES;
+  }
+
+  rateCache = { rates, expiresAt: Date.now() + CURRENCY_CONFIG.rateTtlSeconds * 1000 };
+  return rates;
+};
+
+/**
+ * Whether a currency can be converted with the given rates (or the last loaded ones)
+ * @param {string} code
+ * @param {ExchangeRates} [rates]
+ * @returns {boolean}
+ */
+export const isSupportedCurrency = (code, rates = rateCache?.rates || STATIC_EXCHANGE_RATES) => {
+  const currency = normalizeCurrency(code);
+  return Boolean(currency && rates.rates[currency]);
+};
+
+/**
+ * Convert an amount between currencies
+ * @param {number} amount
+ * @param {string} from
+ * @param {string} to
+ * @param {ExchangeRates} rates
+ * @returns {number|null} The converted amount, or null when either currency has no rate
+ */
+export const convertAmount = (amount, from, to, rates) => {
+  const source = normalizeCurrency(from);
+  const target = normalizeCurrency(to);
+  if (!source || !target) return null;
+  if (source === target) return amount;
+
+  const sourceRate = rates.rates[source];
+  const targetRate = rates.rates[target];
+  if (!sourceRate || !targetRate) return null;
+
+  return amount / sourceRate * targetRate;
+};
+
+/**
+ * Convert an amount between currencies using the current rates
+ * @param {number} amount
+ * @param {string} from
+ * @param {string} to
+ * @returns {Promise<number|null>}
+ */
+export const convertPrice = async (amount, from, to) => convertAmount(amount, from, to, await getExchangeRates());
+
+/**
+ * Round an amount to the minor unit of its currency (0 decimals for JPY and KRW, 2 for most others)
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {number}
+ */
+export const roundToCurrency = (amount, currency) => {
+  const digits = new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  return Math.round(amount * 10 ** digits) / 10 ** digits;
+};
+
+/**
+ * Format an amount for logs and messages, e.g. "$199.99" or "€189.00"
+ * @param {number} amount
+ * @param {string} [currency]
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export const formatAmount = (amount, currency = CURRENCY_CONFIG.baseCurrency, locale = 'en-US') => {
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+  } catch {
+    return `${amount} ${currency}`;
+  }
+};
@@ -1,10 +1,12 @@
-import { createProduct } from './supabaseProductService.js';
-import { v4 as uuidv4 } from 'uuid';
+import { randomUUID } from 'crypto';
+import { normalizeCurrency, formatAmount, CURRENCY_CONFIG } from './currencyService.js';
+import { flattenSpecifications } from './productSchema.js';
 
 /**
  * @typedef {Object} GeminiProduct
  * @property {string} name - Product name
  * @property {number} price - Product price
+ * @property {string} currency - ISO 4217 code of the price
  * @property {string} brand - Product brand
  * @property {string} category - Product category
  * @property {string} imageUrl - Product image URL
@@ -21,6 +23,7 @@ import { v4 as uuidv4 } from 'uuid';
  * @typedef {Object} SupabaseProduct
  * @property {string} name - Product name
  * @property {number} price - Product price
+ * @property {string} currency - ISO 4217 code of the price
  * @property {string} brand - Product brand
  * @property {string} category - Product category
  * @property {string} imageUrl - Product image URL
@@ -28,6 +31,9 @@ import { v4 as uuidv4 } from 'uuid';
  * @property {number} rating - Product rating (0-5)
  * @property {number} reviewCount - Number of reviews
  * @property {string} sourcePlatform - Source platform
+ * @property {string} description - Product description
+ * @property {string[]} features - Key product features
+ * @property {Record<string, string>} specifications - Product specifications
  */
 
 /**
@@ -35,6 +41,7 @@ import { v4 as uuidv4 } from 'uuid';
  * @property {string} id - UUID
  * @property {string} name - Product name
  * @property {number} price - Product price
+ * @property {string} currency - ISO 4217 code of the price
  * @property {string} brand - Product brand
  * @property {string} category - Product category
  * @property {string} imageUrl - Product image URL
@@ -51,33 +58,92 @@ import { v4 as uuidv4 } from 'uuid';
 
 /**
  * Transform Gemini product data to Supabase format
+ * @param {GeminiProduct} geminiProduct
+ * @returns {SupabaseProduct}
  */
-export function transformGeminiToSupabase(geminiProduct: GeminiProduct): SupabaseProduct {
+export function transformGeminiToSupabase(geminiProduct) {
   return {
     name: geminiProduct.name.trim(),
     price: Math.max(0, parseFloat(geminiProduct.price.toString()) || 0),
+    currency: normalizeCurrency(geminiProduct.currency) || CURRENCY_CONFIG.baseCurrency,
     brand: geminiProduct.brand.trim(),
     category: geminiProduct.category.trim(),
     imageUrl: validateAndFixUrl(geminiProduct.imageUrl),
     productUrl: validateAndFixUrl(geminiProduct.productUrl),
     rating: Math.max(0, Math.min(5, parseFloat(geminiProduct.rating?.toString() || '0'))),
     reviewCount: Math.max(0, parseInt(geminiProduct.reviewCount?.toString() || '0')),
-    sourcePlatform: geminiProduct.sourcePlatform.trim() || 'Gemini'
+    sourcePlatform: geminiProduct.sourcePlatform.trim() || 'Gemini',
+    description: typeof geminiProduct.description === 'string' ? geminiProduct.description.trim() : '',
+    features: Array.isArray(geminiProduct.features) ? geminiProduct.features.filter(feature => typeof feature === 'string') : [],
+    specifications: flattenSpecifications(geminiProduct.specifications)
   };
 }
 
 /**
- * Transform and store Gemini products in Supabase with additional metadata
+ * Why a transformed product should not be stored
+ * @param {SupabaseProduct} supabaseData
+ * @returns {string|null}
+ */
+function unstorableReason(supabaseData) {
+  if (!supabaseData.name || !supabaseData.brand || !supabaseData.category) {
+    return 'Missing required fields (name, brand, or category)';
+  }
+
+  if (supabaseData.price <= 0) {
+    return 'Invalid price: must be greater than 0';
+  }
+
+  return null;
+}
+
+/**
+ * Whether Supabase is configured; the product service cannot be loaded without it
+ * @returns {boolean}
  */
-export async function storeGeminiProductsWithMetadata(
-  geminiProducts: GeminiProduct[],
-  searchQuery: string,
-  strategy: string
-): Promise<{ stored: number; errors: string[]; products: TransformedProduct[] }> {
+function supabaseConfigured() {
+  return Boolean(process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY);
+}
+
+const NOT_CONFIGURED = 'Supabase is not configured (SUPABASE_URL and SUPABASE_ANON_KEY), so products were not stored';
+
+/**
+ * Stored product with the search it came from
+ * @param {Object} data - Stored product, with its description, features and specifications
+ * @param {{ searchQuery: string; strategy: string; action: string }} search - action is 'unstored', for a product
+ * without an id, when Supabase is not configured
+ * @returns {TransformedProduct}
+ */
+function withSearchMetadata(data, { searchQuery, strategy, action }) {
+  return {
+    ...data,
+    searchMetadata: {
+      searchQuery,
+      strategy,
+      source: 'gemini',
+      action
+    }
+  };
+}
+
+/**
+ * Transform and store Gemini products in Supabase with additional metadata.
+ * Products already stored are updated rather than inserted again; stored counts every product saved.
+ * @param {GeminiProduct[]} geminiProducts
+ * @param {string} searchQuery
+ * @param {string} strategy
+ * @returns {Promise<{ stored: number; created: number; updated: number; unchanged: number; errors: string[]; products: TransformedProduct[] }>}
+ */
+export async function storeGeminiProductsWithMetadata(geminiProducts, searchQuery, strategy) {
+  // Loaded on demand so transforming products never requires Supabase to be configured
+  const { createProduct } = await import('./supabaseProductService.js');
+
   const results = {
     stored: 0,
-    errors: [] as string[],
-    products: [] as TransformedProduct[]
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    errors: [],
+    products: []
   };
 
   for (const geminiProduct of geminiProducts) {
@@ -85,17 +151,13 @@ export async function storeGeminiProductsWithMetadata(
       // Transform to Supabase format
       const supabaseData = transformGeminiToSupabase(geminiProduct);
       
-      // Validate required fields
-      if (!supabaseData.name || !supabaseData.brand || !supabaseData.category) {
-        throw new Error('Missing required fields (name, brand, or category)');
-      }
-
-      if (supabaseData.price <= 0) {
-        throw new Error('Invalid price: must be greater than 0');
+      const invalid = unstorableReason(supabaseData);
+      if (invalid) {
+        throw new Error(invalid);
       }
 
       // Store in Supabase
-      const { data, error } = await createProduct(supabaseData);
+      const { data, error, action } = await createProduct(supabaseData);
 
       if (error) {
         results.errors.push(`Failed to store ${geminiProduct.name}: ${error.message}`);
@@ -103,22 +165,10 @@ export async function storeGeminiProductsWithMetadata(
       }
 
       if (data) {
-        // Create transformed product with metadata
-        const transformedProduct: TransformedProduct = {
-          ...data,
-          description: geminiProduct.description || '',
-          features: geminiProduct.features || [],
-          specifications: geminiProduct.specifications || {},
-          searchMetadata: {
-            searchQuery,
-            strategy,
-            source: 'gemini'
-          }
-        };
-
-        results.products.push(transformedProduct);
+        results.products.push(withSearchMetadata(data, { searchQuery, strategy, action }));
         results.stored++;
-        console.log(`✅ Stored: ${data.name} (${data.brand}) - $${data.price}`);
+        results[action]++;
+        console.log(`✅ Stored (${action}): ${data.name} (${data.brand}) - ${formatAmount(data.price, data.currency)}`);
       }
 
       // Small delay to avoid rate limiting
@@ -137,8 +187,10 @@ export async function storeGeminiProductsWithMetadata(
 
 /**
  * Validate and fix common URL issues
+ * @param {string} url
+ * @returns {string}
  */
-function validateAndFixUrl(url: string): string {
+function validateAndFixUrl(url) {
   if (!url || typeof url !== 'string') {
     return 'https://via.placeholder.com/300x300';
   }
@@ -161,82 +213,103 @@ function validateAndFixUrl(url: string): string {
 }
 
 /**
- * Batch process Gemini products with error handling
+ * Transform Gemini products and store them through the bulk import, one transaction per batch. Without
+ * Supabase configured the transformed products are returned unstored, with an error saying so.
+ * @param {GeminiProduct[]} geminiProducts
+ * @param {number} [batchSize] - Products per transaction, PRODUCTS_BULK_BATCH_SIZE when omitted
+ * @param {string} searchQuery
+ * @param {string} strategy
+ * @returns {Promise<{ stored: number; created: number; updated: number; unchanged: number; errors: string[]; products: TransformedProduct[] }>}
  */
-export async function batchProcessGeminiProducts(
-  geminiProducts: GeminiProduct[],
-  batchSize: number = 5,
-  searchQuery: string,
-  strategy: string
-): Promise<{ stored: number; errors: string[]; products: TransformedProduct[] }> {
+export async function batchProcessGeminiProducts(geminiProducts, batchSize, searchQuery, strategy) {
   const allResults = {
     stored: 0,
-    errors: [] as string[],
-    products: [] as TransformedProduct[]
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    errors: [],
+    products: []
   };
 
-  // Process in batches
-  for (let i = 0; i < geminiProducts.length; i += batchSize) {
-    const batch = geminiProducts.slice(i, i + batchSize);
-    console.log(`🔄 Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(geminiProducts.length / batchSize)}`);
-    
+  // Products that cannot be transformed are reported here; the rest are validated by the import
+  const prepared = [];
+  for (const geminiProduct of geminiProducts) {
     try {
-      const batchResult = await storeGeminiProductsWithMetadata(batch, searchQuery, strategy);
-      
-      allResults.stored += batchResult.stored;
-      allResults.errors.push(...batchResult.errors);
-      allResults.products.push(...batchResult.products);
-      
-      // Delay between batches
-      if (i + batchSize < geminiProducts.length) {
-        await new Promise(resolve => setTimeout(resolve, 500));
+      const supabaseData = transformGeminiToSupabase(geminiProduct);
+      const invalid = unstorableReason(supabaseData);
+
+      if (invalid) {
+        allResults.errors.push(`Failed to store ${geminiProduct.name}: ${invalid}`);
+      } else {
+        prepared.push({ geminiProduct, supabaseData });
       }
-      
     } catch (error) {
-      const batchError = `Batch ${Math.floor(i / batchSize) + 1} failed: ${error instanceof Error ? error.message : 'Unknown error'}`;
-      allResults.errors.push(batchError);
-      console.error('❌ Batch error:', batchError);
+      allResults.errors.push(`Error storing ${geminiProduct?.name}: ${error instanceof Error ? error.message : 'Unknown error'}`);
     }
   }
 
+  if (prepared.length === 0) {
+    return allResults;
+  }
+
+  if (!supabaseConfigured()) {
+    allResults.errors.push(NOT_CONFIGURED);
+    allResults.products.push(...prepared.map(({ supabaseData }) => withSearchMetadata(supabaseData, { searchQuery, strategy, action: 'unstored' })));
+    return allResults;
+  }
+
+  // Loaded on demand so transforming products never requires Supabase to be configured
+  const { bulkUpsertProducts } = await import('./supabaseProductService.js');
+
+  console.log(`🔄 Importing ${prepared.length} products${batchSize ? ` in batches of ${batchSize}` : ''}`);
+  const { data, error } = await bulkUpsertProducts(prepared.map(({ supabaseData }) => supabaseData), { batchSize });
+
+  if (error) {
+    allResults.errors.push(`Import failed: ${error.message}`);
+    return allResults;
+  }
+
+  data.forEach((result, position) => {
+    const { geminiProduct } = prepared[position];
+
+    if (result.status === 'rejected') {
+      allResults.errors.push(`Failed to store ${geminiProduct.name}: ${result.reason}`);
+      return;
+    }
+
+    allResults.stored++;
+    allResults[result.status]++;
+    allResults.products.push(withSearchMetadata(result.data, { searchQuery, strategy, action: result.status }));
+  });
+
+  console.log(`📊 Import complete: ${allResults.created} created, ${allResults.updated} updated, ${allResults.unchanged} unchanged, ${allResults.errors.length} errors`);
   return allResults;
 }
 
 /**
  * Generate search metadata for tracking
+ * @param {string} searchQuery
+ * @param {string} strategy
+ * @param {GeminiProduct[]} geminiProducts
+ * @returns {{ searchId: string; timestamp: Date; query: string; strategy: string; productCount: number; priceRange: { min: number; max: number; average: number }|null; brandCount: number; categoryCount: number }} priceRange is null when no product has a price
  */
-export function generateSearchMetadata(
-  searchQuery: string,
-  strategy: string,
-  geminiProducts: GeminiProduct[]
-): {
-  searchId: string;
-  timestamp: Date;
-  query: string;
-  strategy: string;
-  productCount: number;
-  priceRange: { min: number; max: number; average: number };
-  brandCount: number;
-  categoryCount: number;
-} {
+export function generateSearchMetadata(searchQuery, strategy, geminiProducts) {
   const prices = geminiProducts.map(p => p.price).filter(p => p > 0);
   const brands = [...new Set(geminiProducts.map(p => p.brand).filter(Boolean))];
   const categories = [...new Set(geminiProducts.map(p => p.category).filter(Boolean))];
 
   return {
-    searchId: uuidv4(),
+    searchId: randomUUID(),
     timestamp: new Date(),
     query: searchQuery,
     strategy,
     productCount: geminiProducts.length,
-    priceRange: {
+    priceRange: prices.length > 0 ? {
       min: Math.min(...prices),
       max: Math.max(...prices),
       average: prices.reduce((sum, price) => sum + price, 0) / prices.length
-    },
+    } : null,
     brandCount: brands.length,
     categoryCount: categories.length
   };
-}
-
-export { GeminiProduct, SupabaseProduct, TransformedProduct };
\ No newline at end of file
+}
\ No newline at end of file
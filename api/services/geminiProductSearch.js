@@ -1,11 +1,23 @@
-import { getGeminiModel } from '../config/gemini.js';
-import { createProduct } from './supabaseProductService.js';
-import { v4 as uuidv4 } from 'uuid';
+import { getLLMProvider } from '../providers/index.js';
+import { isProviderUnavailableError } from '../providers/resilientProvider.js';
+import { validateGeminiProduct, normalizeProductFields, formatSchemaErrors, flattenSpecifications } from './productSchema.js';
+import { buildSearchCacheKey, getCachedSearch, setCachedSearch } from './searchCache.js';
+import { createJsonArrayStreamParser } from './jsonArrayStreamParser.js';
+import { resolveSearchConstraints } from './constraintExtractor.js';
+import { verifyProducts, partitionByTrust, summarizeVerification, findCatalogMatch, VERIFICATION_CONFIG } from './productVerification.js';
+import { renderPrompt, escapePromptValue, DEFAULT_PROMPT_LOCALE } from './promptRegistry.js';
+import { createUsageTracker } from './usageService.js';
+import { canonicalBrand, matchesAnyBrand } from './brandNormalizer.js';
+import { getExchangeRates, convertAmount, normalizeCurrency, isSupportedCurrency, CURRENCY_CONFIG } from './currencyService.js';
+import { getShoppingStrategy, listShoppingStrategies } from './strategyService.js';
+import { rankSearchResults } from './searchRanking.js';
+import { productUrlKey } from './productIdentity.js';
 
 /**
  * @typedef {Object} GeminiProduct
  * @property {string} name - Product name
  * @property {number} price - Product price
+ * @property {string} currency - ISO 4217 code of the price
  * @property {string} brand - Product brand
  * @property {string} category - Product category
  * @property {string} imageUrl - Product image URL
@@ -16,134 +28,966 @@ import { v4 as uuidv4 } from 'uuid';
  * @property {string} description - Product description
  * @property {string[]} features - Key product features
  * @property {Object} specifications - Product specifications
+ * @property {import('./productVerification.js').ProductVerification} [verification] - Link, price and catalog checks
  */
 
 /**
  * @typedef {Object} SearchStrategy
- * @property {'fancy' | 'cost-effective' | 'price-priority'} type - Strategy type
+ * @property {string} type - Strategy id: 'fancy', 'cost-effective', 'price-priority' or a custom strategy
  * @property {number} [maxPrice] - Maximum price limit
  * @property {number} [minPrice] - Minimum price limit
+ * @property {string} [currency] - ISO 4217 code of the price limits and of the prices asked for (defaults to BASE_CURRENCY)
  * @property {string[]} [preferredBrands] - Preferred brands
  * @property {string[]} [excludedBrands] - Brands to exclude
  * @property {number} [minRating] - Minimum rating requirement
+ * @property {string} [category] - Product category hint
  */
 
 /**
- * Generate a product search prompt for Gemini based on customer input and strategy
- */
-function generateSearchPrompt(customerInput: string, strategy: SearchStrategy): string {
-  const basePrompt = `You are a product search assistant. Based on the customer's request and their shopping strategy, find the best products.
-
-Customer Request: "${customerInput}"
-
-Shopping Strategy: ${strategy.type}
-${strategy.maxPrice ? `Maximum Price: $${strategy.maxPrice}` : ''}
-${strategy.minPrice ? `Minimum Price: $${strategy.minPrice}` : ''}
-${strategy.preferredBrands?.length ? `Preferred Brands: ${strategy.preferredBrands.join(', ')}` : ''}
-${strategy.excludedBrands?.length ? `Excluded Brands: ${strategy.excludedBrands.join(', ')}` : ''}
-${strategy.minRating ? `Minimum Rating: ${strategy.minRating}/5` : ''}
-
-Please provide a JSON array of 5-10 products that match this criteria. Each product should include:
-{
-  "name": "Product Name",
-  "price": 999.99,
-  "brand": "Brand Name",
-  "category": "Category",
-  "imageUrl": "https://example.com/image.jpg",
-  "productUrl": "https://example.com/product",
-  "rating": 4.5,
-  "reviewCount": 100,
-  "sourcePlatform": "Amazon/BestBuy/etc",
-  "description": "Brief product description",
-  "features": ["feature1", "feature2", "feature3"],
-  "specifications": {
-    "key": "value"
-  }
-}
+ * Number of times the model is asked to repair invalid output before giving up
+ */
+const DEFAULT_MAX_REPAIR_ATTEMPTS = parseInt(process.env.GEMINI_MAX_REPAIR_ATTEMPTS || '2', 10);
+
+/**
+ * Whether the model is also asked to extract constraints from the customer input
+ */
+const DEFAULT_CONSTRAINT_LLM_ASSIST = process.env.CONSTRAINT_LLM_ASSIST === 'true';
+
+/**
+ * Where results come from when the provider is unavailable, in order of preference
+ */
+const FALLBACK_SOURCES = (process.env.SEARCH_FALLBACK_SOURCES ?? 'cache,catalog')
+  .split(',')
+  .map(source => source.trim())
+  .filter(Boolean);
+
+/**
+ * Maximum number of catalog products served in degraded mode
+ */
+const FALLBACK_CATALOG_LIMIT = 10;
 
-Strategy Guidelines:
-- **Fancy**: Focus on premium brands, high-quality materials, luxury features, latest technology
-- **Cost-effective**: Balance price and quality, good value for money, reliable brands
-- **Price-priority**: Lowest price options, basic functionality, acceptable quality
+/**
+ * Maximum number of catalog products a hybrid search merges with the model's results
+ */
+const HYBRID_CATALOG_LIMIT = parseInt(process.env.HYBRID_CATALOG_LIMIT || '20', 10);
+
+/**
+ * Maximum number of results a hybrid search returns after ranking
+ */
+const HYBRID_MAX_RESULTS = parseInt(process.env.HYBRID_MAX_RESULTS || '20', 10);
+
+/**
+ * Hours after which a stored product that has not been updated is labelled stale
+ */
+const CATALOG_FRESH_HOURS = parseInt(process.env.CATALOG_FRESH_HOURS || '168', 10);
 
-Return only the JSON array, no additional text.`;
+/**
+ * @typedef {Object} SearchOptions
+ * @property {string} [provider] - LLM provider name (defaults to the LLM_PROVIDER setting)
+ * @property {number} [maxRepairAttempts] - Repair prompts allowed after invalid output
+ * @property {boolean} [bypassCache] - Skip the cache lookup (the fresh result still refreshes the cache)
+ * @property {boolean} [extractConstraints] - Derive constraints from the customer input (default true)
+ * @property {boolean} [llmConstraintAssist] - Also ask the model to extract constraints (default CONSTRAINT_LLM_ASSIST)
+ * @property {boolean} [dropLowTrust] - Drop products below the trust threshold before storing (default VERIFICATION_DROP_LOW_TRUST)
+ * @property {number} [minTrustScore] - Trust threshold (default VERIFICATION_MIN_TRUST_SCORE)
+ * @property {string} [locale] - Locale used to pick the prompt template (default PROMPT_LOCALE)
+ * @property {number} [promptVersion] - Pin the prompt template version for this request
+ * @property {string} [promptSeed] - Key deciding the prompt experiment bucket (defaults to the normalized request)
+ * @property {string} [clientId] - API client the model calls are accounted to (defaults to 'anonymous')
+ * @property {string[]} [fallbackSources] - Where results come from when the provider is unavailable (defaults to SEARCH_FALLBACK_SOURCES)
+ */
 
-  return basePrompt;
+/**
+ * @typedef {Object} DegradedInfo
+ * @property {string} reason - Why the provider could not be used
+ * @property {'stale-cache'|'catalog'} source - Where the results came from instead
+ * @property {string} [cachedAt] - When the stale results were generated
+ */
+
+/**
+ * @typedef {Object} RejectedProduct
+ * @property {number} index - Position of the item in the model output
+ * @property {string} name - Product name (or a placeholder when missing)
+ * @property {{ field: string; message: string }[]} errors - Field-level validation errors
+ */
+
+/**
+ * @typedef {Object} ConversationMessage
+ * @property {'user'|'assistant'} role - Who sent the message
+ * @property {string} content - Message text
+ */
+
+/**
+ * @typedef {Object} ConversationContext
+ * @property {ConversationMessage[]} history - Earlier messages, oldest first
+ * @property {GeminiProduct[]} previousProducts - Products returned by the previous turn
+ * @property {string} followUp - The customer's new message
+ */
+
+/**
+ * Render the registered search prompt for a strategy, picking the template version by pin, experiment or scope
+ * @param {string} templateId - 'product-search' or 'product-search-followup'
+ * @param {string} customerInput
+ * @param {SearchStrategy} strategy
+ * @param {import('./strategyService.js').ShoppingStrategyDefinition} definition - Definition of the strategy type
+ * @param {SearchOptions} options
+ * @param {Object<string, any>} [extraVariables] - Variables used only by this template
+ * @returns {{ text: string; prompt: import('./promptRegistry.js').PromptInfo }}
+ */
+function renderSearchPrompt(templateId, customerInput, strategy, definition, options, extraVariables = {}) {
+  return renderPrompt(templateId, {
+    customerInput,
+    strategyType: strategy.type,
+    strategyName: definition.name,
+    strategyGuidelines: definition.guidelines,
+    currency: strategyCurrency(strategy),
+    maxPrice: strategy.maxPrice,
+    minPrice: strategy.minPrice,
+    preferredBrands: strategy.preferredBrands,
+    excludedBrands: strategy.excludedBrands,
+    minRating: strategy.minRating,
+    category: strategy.category,
+    ...extraVariables
+  }, {
+    strategy: strategy.type,
+    category: strategy.category,
+    locale: options.locale,
+    version: options.promptVersion,
+    // The same request always lands in the same experiment bucket, follow-ups included
+    seed: options.promptSeed ?? customerInput.trim().toLowerCase()
+  });
+}
+
+/**
+ * Render the prompt asking the model to refine or re-rank earlier results based on a follow-up message
+ * @param {string} customerInput - The request that started the conversation
+ * @param {SearchStrategy} strategy
+ * @param {import('./strategyService.js').ShoppingStrategyDefinition} definition
+ * @param {ConversationContext} conversation
+ * @param {SearchOptions} options
+ * @returns {{ text: string; prompt: import('./promptRegistry.js').PromptInfo }}
+ */
+function renderFollowUpPrompt(customerInput, strategy, definition, conversation, options) {
+  const transcript = conversation.history
+    .map(message => `${message.role === 'user' ? 'Customer' : 'Assistant'}: ${escapePromptValue(message.content)}`)
+    .join('\n');
+
+  return renderSearchPrompt('product-search-followup', customerInput, strategy, definition, options, {
+    transcript,
+    previousProducts: JSON.stringify(conversation.previousProducts),
+    followUp: conversation.followUp
+  });
 }
 
 /**
  * Search for products using Gemini AI based on customer input and strategy
+ * @param {string} customerInput
+ * @param {SearchStrategy} strategy
+ * @param {SearchOptions} [options]
+ * @returns {Promise<{ products: GeminiProduct[]; success: boolean; strategy?: string; constraints?: Object; validation?: Object; verification?: Object; degraded?: DegradedInfo; cache?: Object; metadata?: Object; usage?: import('./usageService.js').UsageSummary; error?: string; unavailable?: boolean }>}
  */
-export async function searchProductsWithGemini(
-  customerInput: string, 
-  strategy: SearchStrategy
-): Promise<{ products: GeminiProduct[]; success: boolean; error?: string }> {
+export async function searchProductsWithGemini(customerInput, requestedStrategy, options = {}) {
+  const startTime = Date.now();
+
   try {
     if (!customerInput || customerInput.trim().length === 0) {
       throw new Error('Customer input is required');
     }
 
-    if (!strategy || !strategy.type) {
+    if (!requestedStrategy || !requestedStrategy.type) {
       throw new Error('Search strategy is required');
     }
 
-    const model = getGeminiModel();
-    const prompt = generateSearchPrompt(customerInput, strategy);
-    
-    console.log(`🔍 Searching for: "${customerInput}" with ${strategy.type} strategy`);
-    
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-    
-    console.log('🤖 Gemini Response:', text.substring(0, 200) + '...');
-    
-    // Parse the JSON response
-    let products: GeminiProduct[];
-    try {
-      products = JSON.parse(text);
-    } catch (parseError) {
-      console.error('❌ Failed to parse Gemini response:', parseError);
-      console.log('📄 Raw response:', text);
-      
-      // Try to extract JSON from the response if it's wrapped in markdown
-      const jsonMatch = text.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        products = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('Invalid JSON response from Gemini');
+    const definition = await loadStrategyDefinition(requestedStrategy.type);
+    const strategy = withStrategyDefaults(requestedStrategy, definition);
+    const rates = await loadExchangeRates(strategy);
+    const tracker = createUsageTracker({ clientId: options.clientId, operation: 'search' });
+    const provider = tracker.track(getLLMProvider(options.provider));
+    const cacheKey = buildSearchCacheKey(customerInput, strategy, { provider: provider.name, ...cacheScope(options, definition) });
+
+    if (!options.bypassCache) {
+      const cached = await readSearchCache(cacheKey);
+      if (cached) {
+        console.log(`⚡ Cache hit for "${customerInput}" (${cacheKey})`);
+        return {
+          ...cached.value,
+          metadata: { ...cached.value.metadata, searchTime: Date.now() - startTime },
+          usage: tracker.summary(),
+          cache: { hit: true, key: cacheKey, cachedAt: cached.createdAt, expiresAt: cached.expiresAt }
+        };
       }
     }
 
-    // Validate and filter products based on strategy
-    const validatedProducts = validateAndFilterProducts(products, strategy);
+    const { strategy: effectiveStrategy, constraints } = await resolveStrategy(customerInput, strategy, provider, options);
+    const { text: prompt, prompt: promptInfo } = renderSearchPrompt('product-search', customerInput, effectiveStrategy, definition, options);
+
+    console.log(`🔍 Searching for: "${customerInput}" with ${strategy.type} strategy via ${provider.name} (prompt ${promptInfo.id}@${promptInfo.version})`);
+
+    let generation;
+    try {
+      generation = await generateValidatedProducts(provider, prompt, options);
+    } catch (error) {
+      const fallback = isProviderUnavailableError(error)
+        ? await findFallbackResults(cacheKey, customerInput, effectiveStrategy, rates, error.message, options.fallbackSources)
+        : null;
+      if (!fallback) throw error;
+
+      console.warn(`🩹 ${provider.name} unavailable (${error.message}), serving ${fallback.products.length} products from ${fallback.degraded.source}`);
+      return {
+        products: fallback.products,
+        success: true,
+        strategy: strategy.type,
+        constraints,
+        validation: null,
+        verification: summarizeVerification(fallback.products),
+        degraded: fallback.degraded,
+        metadata: {
+          searchTime: Date.now() - startTime,
+          totalResults: fallback.products.length,
+          provider: provider.name,
+          model: fallback.model,
+          prompt: fallback.prompt
+        },
+        usage: tracker.summary(),
+        // Degraded results are never cached, so the next search tries the provider again
+        cache: { hit: false, stale: fallback.degraded.source === 'stale-cache', key: cacheKey }
+      };
+    }
+
+    // Validate and filter products based on strategy, then check them for invented links and prices
+    const validatedProducts = await verifyProducts(validateAndFilterProducts(generation.products, effectiveStrategy, rates));
     
     console.log(`✅ Found ${validatedProducts.length} validated products`);
     
-    return {
+    const result = {
       products: validatedProducts,
-      success: true
+      success: true,
+      strategy: strategy.type,
+      constraints,
+      validation: generation.validation,
+      verification: summarizeVerification(validatedProducts),
+      metadata: {
+        searchTime: Date.now() - startTime,
+        totalResults: validatedProducts.length,
+        provider: generation.provider,
+        model: generation.model,
+        prompt: promptInfo
+      }
     };
-    
+
+    const entry = validatedProducts.length > 0
+      ? await writeSearchCache(cacheKey, customerInput, strategy, result)
+      : null;
+
+    return {
+      ...result,
+      usage: tracker.summary(),
+      cache: {
+        hit: false,
+        bypassed: Boolean(options.bypassCache),
+        key: cacheKey,
+        cachedAt: entry?.createdAt,
+        expiresAt: entry?.expiresAt
+      }
+    };
+
   } catch (error) {
     console.error('❌ Error searching products with Gemini:', error);
     return {
       products: [],
       success: false,
+      unavailable: isProviderUnavailableError(error),
+      error: error instanceof Error ? error.message : 'Unknown error occurred'
+    };
+  }
+}
+
+/**
+ * Refine earlier results with a follow-up message. Results are not cached, since they depend on the conversation.
+ * @param {string} customerInput - The request that started the conversation
+ * @param {SearchStrategy} strategy
+ * @param {ConversationContext} conversation
+ * @param {SearchOptions} [options]
+ * @returns {Promise<{ products: GeminiProduct[]; success: boolean; strategy?: string; validation?: Object; metadata?: Object; usage?: import('./usageService.js').UsageSummary; error?: string; unavailable?: boolean }>}
+ */
+export async function refineProductsWithGemini(customerInput, requestedStrategy, conversation, options = {}) {
+  const startTime = Date.now();
+
+  try {
+    if (!conversation?.followUp || conversation.followUp.trim().length === 0) {
+      throw new Error('Follow-up message is required');
+    }
+
+    const definition = await loadStrategyDefinition(requestedStrategy?.type);
+    const strategy = withStrategyDefaults(requestedStrategy, definition);
+    const rates = await loadExchangeRates(strategy);
+    const tracker = createUsageTracker({ clientId: options.clientId, operation: 'refine' });
+    const provider = tracker.track(getLLMProvider(options.provider));
+    const { text: prompt, prompt: promptInfo } = renderFollowUpPrompt(customerInput, strategy, definition, conversation, options);
+
+    console.log(`💬 Refining "${customerInput}" with follow-up "${conversation.followUp}" via ${provider.name}`);
+
+    const generation = await generateValidatedProducts(provider, prompt, options);
+    const validatedProducts = await verifyProducts(validateAndFilterProducts(generation.products, strategy, rates));
+
+    console.log(`✅ Refined to ${validatedProducts.length} validated products`);
+
+    return {
+      products: validatedProducts,
+      success: true,
+      strategy: strategy.type,
+      validation: generation.validation,
+      verification: summarizeVerification(validatedProducts),
+      metadata: {
+        searchTime: Date.now() - startTime,
+        totalResults: validatedProducts.length,
+        provider: generation.provider,
+        model: generation.model,
+        prompt: promptInfo
+      },
+      usage: tracker.summary()
+    };
+  } catch (error) {
+    console.error('❌ Error refining products with Gemini:', error);
+    return {
+      products: [],
+      success: false,
+      unavailable: isProviderUnavailableError(error),
       error: error instanceof Error ? error.message : 'Unknown error occurred'
     };
   }
 }
 
+/**
+ * @typedef {Object} SearchStreamEvent
+ * @property {'start'|'product'|'rejected'|'dropped'|'degraded'|'storage'|'complete'|'error'} type - Event type
+ * @property {Object} data - Event payload
+ */
+
+/**
+ * Stream a product search: products are validated, filtered and (optionally) stored one at a time
+ * as the model produces them. Invalid items are reported but not repaired, since earlier items have
+ * already been delivered.
+ * @param {string} customerInput
+ * @param {SearchStrategy} strategy
+ * @param {SearchOptions & { storeResults?: boolean }} [options]
+ * @returns {AsyncGenerator<SearchStreamEvent>}
+ */
+export async function* streamSearchProducts(customerInput, requestedStrategy, options = {}) {
+  const startTime = Date.now();
+  const storeResults = Boolean(options.storeResults);
+  const dropLowTrust = options.dropLowTrust ?? VERIFICATION_CONFIG.dropLowTrust;
+  const minTrustScore = options.minTrustScore ?? VERIFICATION_CONFIG.minTrustScore;
+  const checked = [];
+  const dropped = [];
+  const products = [];
+  const rejectedItems = [];
+  let filtered = 0;
+  let stored = 0;
+  let degraded = null;
+
+  try {
+    if (!customerInput || customerInput.trim().length === 0) {
+      throw new Error('Customer input is required');
+    }
+
+    const definition = await loadStrategyDefinition(requestedStrategy?.type);
+    const strategy = withStrategyDefaults(requestedStrategy, definition);
+    const rates = await loadExchangeRates(strategy);
+    const tracker = createUsageTracker({ clientId: options.clientId, operation: 'stream' });
+    const provider = tracker.track(getLLMProvider(options.provider));
+    const cacheKey = buildSearchCacheKey(customerInput, strategy, { provider: provider.name, ...cacheScope(options, definition) });
+    const cached = options.bypassCache ? null : await readSearchCache(cacheKey);
+    const { model } = provider.getMetadata();
+    const { strategy: effectiveStrategy, constraints } = cached
+      ? { strategy, constraints: cached.value.constraints ?? null }
+      : await resolveStrategy(customerInput, strategy, provider, options);
+    const rendered = cached ? null : renderSearchPrompt('product-search', customerInput, effectiveStrategy, definition, options);
+    const promptInfo = cached ? cached.value.metadata?.prompt : rendered.prompt;
+
+    yield { type: 'start', data: { strategy: strategy.type, provider: provider.name, model, cached: Boolean(cached), constraints, prompt: promptInfo } };
+
+    // Verify one accepted product, then emit it (and store it when requested) unless it is dropped for low trust
+    const deliver = async function* (accepted) {
+      const [product] = accepted.verification ? [accepted] : await verifyProducts([accepted]);
+      checked.push(product);
+
+      if (dropLowTrust && product.verification.trustScore < minTrustScore) {
+        dropped.push(product);
+        yield { type: 'dropped', data: { name: product.name, verification: product.verification } };
+        return;
+      }
+
+      const index = products.length;
+      products.push(product);
+      yield { type: 'product', data: { index, product } };
+
+      // Degraded results come from the cache or the catalog, so they are already stored
+      if (storeResults && !degraded) {
+        const { data, error, action } = await storeGeminiProduct(product).catch(storeError => ({ data: null, error: storeError, action: undefined }));
+        if (!error) stored++;
+        yield {
+          type: 'storage',
+          data: { index, name: product.name, stored: !error, action, id: data?.id, error: error?.message, storedCount: stored }
+        };
+      }
+    };
+
+    if (cached) {
+      for (const product of cached.value.products) {
+        yield* deliver(product);
+      }
+    } else {
+      if (typeof provider.generateContentStream !== 'function') {
+        throw new Error(`Provider "${provider.name}" does not support streaming`);
+      }
+
+      let opened = null;
+      try {
+        opened = await provider.generateContentStream(rendered.text);
+      } catch (error) {
+        const fallback = isProviderUnavailableError(error)
+          ? await findFallbackResults(cacheKey, customerInput, effectiveStrategy, rates, error.message, options.fallbackSources)
+          : null;
+        if (!fallback) throw error;
+
+        console.warn(`🩹 ${provider.name} unavailable (${error.message}), streaming ${fallback.products.length} products from ${fallback.degraded.source}`);
+        degraded = fallback.degraded;
+        yield { type: 'degraded', data: degraded };
+
+        for (const product of fallback.products) {
+          yield* deliver(product);
+        }
+      }
+
+      if (opened) {
+        const { stream, response } = opened;
+        // The response settles when the stream ends. It is awaited only after a complete stream, so a stream
+        // that fails midway, an invalid answer or a client that disconnects must not leave its rejection unhandled
+        response.catch(() => {});
+        const parser = createJsonArrayStreamParser();
+        let index = 0;
+
+        for await (const chunk of stream) {
+          const { items, errors } = parser.push(chunk);
+
+          for (const message of errors) {
+            const rejected = { index, name: `item ${index}`, errors: [{ field: '(item)', message }] };
+            index++;
+            rejectedItems.push(rejected);
+            yield { type: 'rejected', data: rejected };
+          }
+
+          for (const item of items) {
+            const itemIndex = index++;
+            const normalized = normalizeProductFields(item);
+            const schemaErrors = validateGeminiProduct(normalized);
+
+            if (schemaErrors.length > 0) {
+              const rejected = { index: itemIndex, name: normalized?.name || `item ${itemIndex}`, errors: schemaErrors };
+              rejectedItems.push(rejected);
+              yield { type: 'rejected', data: rejected };
+              continue;
+            }
+
+            const [product] = validateAndFilterProducts([normalized], effectiveStrategy, rates);
+            if (!product) {
+              filtered++;
+              continue;
+            }
+
+            yield* deliver(product);
+          }
+        }
+
+        if (!parser.isComplete() && products.length === 0) {
+          throw new Error('Invalid JSON response from Gemini');
+        }
+
+        await response;
+      }
+    }
+
+    const validation = {
+      accepted: checked.length + filtered,
+      rejected: rejectedItems.length,
+      rejectedItems,
+      repairAttempts: 0,
+      parseError: null
+    };
+    const metadata = {
+      searchTime: Date.now() - startTime,
+      totalResults: products.length,
+      provider: cached ? cached.value.metadata?.provider : provider.name,
+      model: cached ? cached.value.metadata?.model : model,
+      prompt: promptInfo
+    };
+
+    // The cache keeps every verified product; dropping low-trust ones is up to each request
+    let cacheEntry = cached;
+    if (!cached && !degraded && checked.length > 0) {
+      cacheEntry = await writeSearchCache(cacheKey, customerInput, strategy, {
+        products: checked,
+        success: true,
+        strategy: strategy.type,
+        constraints,
+        validation,
+        verification: summarizeVerification(checked),
+        metadata: { ...metadata, totalResults: checked.length }
+      });
+    }
+
+    yield {
+      type: 'complete',
+      data: {
+        totalFound: products.length,
+        stored,
+        filtered,
+        strategy: strategy.type,
+        constraints,
+        validation,
+        verification: summarizeVerification(checked, dropped, minTrustScore),
+        degraded,
+        metadata,
+        usage: tracker.summary(),
+        cache: {
+          hit: Boolean(cached),
+          bypassed: Boolean(options.bypassCache),
+          key: cacheKey,
+          cachedAt: cacheEntry?.createdAt,
+          expiresAt: cacheEntry?.expiresAt
+        }
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error streaming products with Gemini:', error);
+    yield {
+      type: 'error',
+      data: { error: error instanceof Error ? error.message : 'Unknown error occurred', totalFound: products.length }
+    };
+  }
+}
+
+/**
+ * Cache scope for options that change the prompt: constraint extraction changes the effective strategy,
+ * locale and a pinned version change the template, and editing a custom strategy changes its guidelines.
+ * Cached results keep the prompt version that produced them.
+ * @param {SearchOptions} options
+ * @param {import('./strategyService.js').ShoppingStrategyDefinition} definition
+ * @returns {{ constraints: string; locale: string; promptVersion: number|null; strategyRevision: string|null }}
+ */
+function cacheScope(options, definition) {
+  return {
+    constraints: constraintMode(options),
+    locale: options.locale || DEFAULT_PROMPT_LOCALE,
+    promptVersion: options.promptVersion ?? null,
+    strategyRevision: definition.updatedAt ?? null
+  };
+}
+
+/**
+ * Constraint extraction setting: off, rules only, or rules plus the model
+ * @param {SearchOptions} options
+ * @returns {string}
+ */
+function constraintMode(options) {
+  if (options.extractConstraints === false) return 'off';
+  return (options.llmConstraintAssist ?? DEFAULT_CONSTRAINT_LLM_ASSIST) ? 'llm' : 'rules';
+}
+
+/**
+ * Merge constraints derived from the customer input into the strategy
+ * @param {string} customerInput
+ * @param {SearchStrategy} strategy
+ * @param {import('../providers/index.js').LLMProvider} provider
+ * @param {SearchOptions} options
+ * @returns {Promise<{ strategy: SearchStrategy; constraints: import('./constraintExtractor.js').ConstraintResolution|null }>}
+ */
+async function resolveStrategy(customerInput, strategy, provider, options) {
+  const mode = constraintMode(options);
+  if (mode === 'off') {
+    return { strategy, constraints: null };
+  }
+
+  const constraints = await resolveSearchConstraints(customerInput, strategy, { llmAssist: mode === 'llm', provider });
+  const applied = Object.entries(constraints.applied)
+    .filter(([, { source }]) => source !== 'explicit')
+    .map(([field, { value }]) => `${field}=${JSON.stringify(value)}`);
+
+  if (applied.length > 0) {
+    console.log(`🧩 Derived constraints: ${applied.join(', ')}`);
+  }
+
+  return { strategy: constraints.strategy, constraints };
+}
+
+/**
+ * Read a cache entry; cache failures never fail the search
+ * @param {string} key
+ * @returns {Promise<import('./searchCache.js').CacheEntry|null>}
+ */
+async function readSearchCache(key) {
+  try {
+    const cached = await getCachedSearch(key);
+    return cached ? cached.entry : null;
+  } catch (error) {
+    console.warn('⚠️ Search cache lookup failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Find results to serve while the provider is unavailable: the expired cache entry for this search,
+ * else stored catalog products matching the request and strategy
+ * @param {string} cacheKey
+ * @param {string} customerInput
+ * @param {SearchStrategy} strategy - Effective strategy, including derived constraints
+ * @param {import('./currencyService.js').ExchangeRates} rates
+ * @param {string} reason - Why the provider could not be used
+ * @param {string[]} [sources] - Fallback sources to try, in order
+ * @returns {Promise<{ products: GeminiProduct[]; degraded: DegradedInfo; model: string|null; prompt?: Object }|null>}
+ */
+async function findFallbackResults(cacheKey, customerInput, strategy, rates, reason, sources = FALLBACK_SOURCES) {
+  for (const source of sources) {
+    try {
+      if (source === 'cache') {
+        const cached = await getCachedSearch(cacheKey, { allowStale: true });
+        if (cached?.entry.value.products?.length > 0) {
+          return {
+            products: cached.entry.value.products,
+            degraded: { reason, source: 'stale-cache', cachedAt: cached.entry.createdAt },
+            model: cached.entry.value.metadata?.model ?? null,
+            prompt: cached.entry.value.metadata?.prompt
+          };
+        }
+      } else if (source === 'catalog') {
+        const products = await searchCatalog(customerInput, strategy, rates);
+        if (products.length > 0) {
+          return { products, degraded: { reason, source: 'catalog' }, model: null };
+        }
+      }
+    } catch (error) {
+      console.warn(`⚠️ Fallback source "${source}" failed:`, error.message);
+    }
+  }
+
+  return null;
+}
+
+let catalogProductSource = null;
+
+/**
+ * Replace where stored products are read from by degraded mode and hybrid search, or restore the
+ * Supabase products table with null
+ * @param {((query: { filters: import('../types/supabase.js').ProductSearchFilters; limit: number }) => Promise<Object[]>)|null} source
+ */
+export function setCatalogProductSource(source) {
+  catalogProductSource = source;
+}
+
+/**
+ * Read stored products matching the filters
+ * @param {import('../types/supabase.js').ProductSearchFilters} filters
+ * @param {number} limit
+ * @returns {Promise<Object[]>}
+ */
+async function loadCatalogProducts(filters, limit) {
+  if (catalogProductSource) {
+    return catalogProductSource({ filters, limit });
+  }
+
+  // Loaded on demand so searching never requires Supabase to be configured
+  const { getAllProducts } = await import('./supabaseProductService.js');
+  const { data, error } = await getAllProducts({ limit, filters });
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Search stored products by the words of the request, applying the strategy filters
+ * @param {string} customerInput
+ * @param {SearchStrategy} strategy
+ * @param {import('./currencyService.js').ExchangeRates} rates
+ * @param {number} [limit] - Maximum number of products returned
+ * @returns {Promise<Array<GeminiProduct & { id: string; updatedAt?: string }>>}
+ */
+async function searchCatalog(customerInput, strategy, rates, limit = FALLBACK_CATALOG_LIMIT) {
+  const data = await loadCatalogProducts({
+    category: strategy.category,
+    minPrice: strategy.minPrice,
+    maxPrice: strategy.maxPrice,
+    currency: strategyCurrency(strategy),
+    minRating: strategy.minRating
+  }, 200);
+
+  const tokens = customerInput.toLowerCase().split(/[^a-z0-9]+/).filter(token => token.length > 2);
+  const relevance = (product) => tokens
+    .filter(token => `${product.name} ${product.brand} ${product.category}`.toLowerCase().includes(token.replace(/s$/, '')))
+    .length;
+
+  const matches = data
+    .map(product => ({ product, score: relevance(product) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ product }) => product);
+
+  // Catalog products are our own records, so they keep their id and need no link or price checks
+  return matches
+    .flatMap(stored => validateAndFilterProducts([stored], strategy, rates).map(product => ({
+      ...product,
+      id: stored.id,
+      updatedAt: stored.updatedAt ? new Date(stored.updatedAt).toISOString() : undefined,
+      verification: { trustScore: 1, flags: [], catalogMatch: { name: product.name, brand: product.brand, price: product.price, currency: product.currency } }
+    })))
+    .slice(0, limit);
+}
+
+/**
+ * Write a cache entry; cache failures never fail the search
+ * @returns {Promise<import('./searchCache.js').CacheEntry|null>}
+ */
+async function writeSearchCache(key, customerInput, strategy, result) {
+  try {
+    return await setCachedSearch(key, { query: customerInput, strategy, value: result });
+  } catch (error) {
+    console.warn('⚠️ Search cache write failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Extract the product array from raw model output
+ * Accepts a bare JSON array, an array wrapped in markdown fences or prose, or an object with a `products` array
+ * @param {string} text
+ * @returns {any[]}
+ */
+function extractProductArray(text) {
+  const candidates = [text.trim()];
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) {
+    candidates.push(fenced[1].trim());
+  }
+
+  const start = text.indexOf('[');
+  const end = text.lastIndexOf(']');
+  if (start !== -1 && end > start) {
+    candidates.push(text.slice(start, end + 1));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (Array.isArray(parsed)) {
+        return parsed;
+      }
+      if (parsed && Array.isArray(parsed.products)) {
+        return parsed.products;
+      }
+    } catch {
+      // Try the next candidate
+    }
+  }
+
+  throw new Error('Invalid JSON response from Gemini');
+}
+
+/**
+ * Build a follow-up prompt asking the model to fix its previous output
+ * @param {string} originalPrompt
+ * @param {RejectedProduct[]} rejected - Items that failed validation
+ * @param {string|null} parseError - Set when the whole response could not be parsed
+ * @returns {string}
+ */
+function generateRepairPrompt(originalPrompt, rejected, parseError) {
+  const problems = [];
+
+  if (parseError) {
+    problems.push(`Your previous response could not be parsed as a JSON array (${parseError}).`);
+  }
+
+  if (rejected.length > 0) {
+    problems.push(`These products failed validation:\n${rejected
+      .map(item => `- Item ${item.index} ("${item.name}"): ${formatSchemaErrors(item.errors)}`)
+      .join('\n')}`);
+  }
+
+  const instruction = rejected.length > 0
+    ? 'Return a JSON array containing corrected versions of only these products. Do not repeat products that were valid.'
+    : 'Return the complete JSON array of products again.';
+
+  return `${originalPrompt}
+
+${problems.join('\n\n')}
+
+${instruction} Every product must include all fields with the types shown above. Return only the JSON array, no additional text.`;
+}
+
+/**
+ * Ask the model for products and enforce GEMINI_PRODUCT_SCHEMA on the output.
+ * Valid items are accepted as they arrive; invalid items (or unparseable output) are sent back
+ * to the model with their field errors for a bounded number of repair attempts.
+ * @param {import('../providers/index.js').LLMProvider} provider
+ * @param {string} prompt
+ * @param {SearchOptions} [options]
+ * @returns {Promise<{ products: GeminiProduct[]; validation: { accepted: number; rejected: number; rejectedItems: RejectedProduct[]; repairAttempts: number; parseError: string|null }; provider: string; model: string }>}
+ * rejectedItems are the invalid items of the last response; parseError is set when the last response could not be parsed
+ */
+async function generateValidatedProducts(provider, prompt, options = {}) {
+  const maxRepairAttempts = options.maxRepairAttempts ?? DEFAULT_MAX_REPAIR_ATTEMPTS;
+  const accepted = [];
+  const acceptedKeys = new Set();
+  let rejected = [];
+  // Invalid items of the last response that parsed, still to be repaired
+  let pending = [];
+  let parseError = null;
+  let repairAttempts = 0;
+  let nextPrompt = prompt;
+  let response;
+
+  for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+    if (attempt > 0) {
+      repairAttempts++;
+      console.log(`🔧 Repair attempt ${repairAttempts}/${maxRepairAttempts}`);
+    }
+
+    response = await provider.generateContent(nextPrompt);
+    console.log('🤖 Gemini Response:', response.text.substring(0, 200) + '...');
+    rejected = [];
+
+    let items;
+    try {
+      items = extractProductArray(response.text);
+      parseError = null;
+    } catch (error) {
+      console.error('❌ Failed to parse Gemini response:', error.message);
+      parseError = error.message;
+      nextPrompt = generateRepairPrompt(prompt, pending, parseError);
+      continue;
+    }
+
+    items.forEach((item, index) => {
+      const normalized = normalizeProductFields(item);
+      const errors = validateGeminiProduct(normalized);
+
+      if (errors.length === 0) {
+        // Repair responses sometimes repeat products that were already accepted
+        const key = `${canonicalBrand(normalized.brand)}|${normalized.name}`.toLowerCase();
+        if (!acceptedKeys.has(key)) {
+          acceptedKeys.add(key);
+          accepted.push(normalized);
+        }
+      } else {
+        rejected.push({
+          index,
+          name: typeof normalized?.name === 'string' && normalized.name ? normalized.name : `item ${index}`,
+          errors
+        });
+      }
+    });
+
+    if (rejected.length === 0) {
+      break;
+    }
+
+    console.warn(`⚠️ ${rejected.length} product(s) failed schema validation`);
+    pending = rejected;
+    nextPrompt = generateRepairPrompt(prompt, rejected, null);
+  }
+
+  if (parseError && accepted.length === 0) {
+    throw new Error(parseError);
+  }
+
+  return {
+    products: accepted,
+    validation: {
+      accepted: accepted.length,
+      rejected: rejected.length,
+      rejectedItems: rejected,
+      repairAttempts,
+      parseError
+    },
+    provider: response.provider,
+    model: response.model
+  };
+}
+
+/**
+ * Currency of a strategy's price bounds
+ * @param {SearchStrategy} strategy
+ * @returns {string}
+ */
+function strategyCurrency(strategy) {
+  return normalizeCurrency(strategy.currency) || CURRENCY_CONFIG.baseCurrency;
+}
+
+/**
+ * Look up the definition of a built-in or custom strategy type
+ * @param {string} type
+ * @returns {Promise<import('./strategyService.js').ShoppingStrategyDefinition>}
+ */
+async function loadStrategyDefinition(type) {
+  const { data: definition, error } = await getShoppingStrategy(type);
+  if (error) throw error;
+
+  if (!definition) {
+    const { data: strategies } = await listShoppingStrategies();
+    throw new Error(`Invalid strategy type. Must be one of: ${strategies.map(({ id }) => id).join(', ')}`);
+  }
+  return definition;
+}
+
+/**
+ * Fill in the definition's default constraints where the request leaves them out.
+ * Default price limits are in the definition's currency, so they are skipped when the request asks for another one.
+ * @param {SearchStrategy} strategy
+ * @param {import('./strategyService.js').ShoppingStrategyDefinition} definition
+ * @returns {SearchStrategy}
+ */
+function withStrategyDefaults(strategy, definition) {
+  const { minPrice, maxPrice, currency, ...defaults } = definition.defaults || {};
+  const defaultCurrency = normalizeCurrency(currency) || CURRENCY_CONFIG.baseCurrency;
+  const priceDefaults = strategy.currency === undefined || strategyCurrency(strategy) === defaultCurrency
+    ? { minPrice, maxPrice, currency }
+    : {};
+
+  const merged = { ...defaults, ...priceDefaults };
+  for (const [key, value] of Object.entries(strategy)) {
+    if (value !== undefined) merged[key] = value;
+  }
+  return Object.fromEntries(Object.entries(merged).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Load exchange rates for a search, rejecting a strategy currency they cannot convert
+ * @param {SearchStrategy} strategy
+ * @returns {Promise<import('./currencyService.js').ExchangeRates>}
+ */
+async function loadExchangeRates(strategy) {
+  const rates = await getExchangeRates();
+  if (strategy?.currency !== undefined && !isSupportedCurrency(strategy.currency, rates)) {
+    throw new Error(`Unsupported currency "${strategy.currency}". Use one of: ${Object.keys(rates.rates).join(', ')}`);
+  }
+  return rates;
+}
+
 /**
  * Validate and filter products based on strategy criteria
+ * @param {any[]} products
+ * @param {SearchStrategy} strategy
+ * @param {import('./currencyService.js').ExchangeRates} rates - Rates for comparing prices quoted in another currency
+ * @returns {GeminiProduct[]}
  */
-function validateAndFilterProducts(products: any[], strategy: SearchStrategy): GeminiProduct[] {
+function validateAndFilterProducts(products, strategy, rates) {
   if (!Array.isArray(products)) {
     console.warn('⚠️ Gemini response is not an array');
     return [];
   }
 
+  const currency = strategyCurrency(strategy);
+
   return products
     .filter(product => {
       // Basic validation
@@ -156,13 +1000,22 @@ function validateAndFilterProducts(products: any[], strategy: SearchStrategy): G
         return false;
       }
 
-      // Strategy-specific filtering
-      if (strategy.maxPrice && product.price > strategy.maxPrice) {
-        return false;
-      }
+      // Strategy-specific filtering; prices without a currency are taken to be in the one asked for
+      if (strategy.maxPrice || strategy.minPrice) {
+        const price = convertAmount(product.price, product.currency || currency, currency, rates);
 
-      if (strategy.minPrice && product.price < strategy.minPrice) {
-        return false;
+        // A price in a currency without a rate cannot be compared with the bounds
+        if (price === null) {
+          return false;
+        }
+
+        if (strategy.maxPrice && price > strategy.maxPrice) {
+          return false;
+        }
+
+        if (strategy.minPrice && price < strategy.minPrice) {
+          return false;
+        }
       }
 
       // Rating validation
@@ -174,12 +1027,12 @@ function validateAndFilterProducts(products: any[], strategy: SearchStrategy): G
         return false;
       }
 
-      // Brand filtering
-      if (strategy.preferredBrands?.length && !strategy.preferredBrands.includes(product.brand)) {
+      // Brand filtering: aliases, misspellings and sub-brands count as the brand
+      if (strategy.preferredBrands?.length && !matchesAnyBrand(product.brand, strategy.preferredBrands)) {
         return false;
       }
 
-      if (strategy.excludedBrands?.length && strategy.excludedBrands.includes(product.brand)) {
+      if (strategy.excludedBrands?.length && matchesAnyBrand(product.brand, strategy.excludedBrands)) {
         return false;
       }
 
@@ -188,7 +1041,8 @@ function validateAndFilterProducts(products: any[], strategy: SearchStrategy): G
     .map(product => ({
       name: product.name,
       price: product.price,
-      brand: product.brand,
+      currency: normalizeCurrency(product.currency) || currency,
+      brand: canonicalBrand(product.brand),
       category: product.category,
       imageUrl: product.imageUrl || product.image_url || 'https://via.placeholder.com/300x300',
       productUrl: product.productUrl || product.product_url || '#',
@@ -202,95 +1056,329 @@ function validateAndFilterProducts(products: any[], strategy: SearchStrategy): G
 }
 
 /**
- * Store Gemini search results in Supabase database
+ * Product data to store for a Gemini product
+ * @param {GeminiProduct} product
+ * @returns {import('../types/supabase.js').CreateProductData}
  */
-export async function storeGeminiProducts(products: GeminiProduct[]): Promise<{ stored: number; errors: string[] }> {
+function toProductData(product) {
+  return {
+    name: product.name,
+    price: product.price,
+    currency: product.currency,
+    brand: product.brand,
+    category: product.category,
+    imageUrl: product.imageUrl,
+    productUrl: product.productUrl,
+    rating: product.rating,
+    reviewCount: product.reviewCount,
+    sourcePlatform: product.sourcePlatform,
+    description: typeof product.description === 'string' ? product.description : undefined,
+    features: Array.isArray(product.features) ? product.features.filter(feature => typeof feature === 'string') : undefined,
+    specifications: flattenSpecifications(product.specifications),
+  };
+}
+
+/**
+ * Store a single Gemini product in Supabase
+ * @param {GeminiProduct} product
+ * @returns {Promise<{ data: Object|null; error: Error|null; action?: 'created'|'updated'|'unchanged' }>}
+ */
+export async function storeGeminiProduct(product) {
+  // Loaded on demand so searching never requires Supabase to be configured
+  const { createProduct } = await import('./supabaseProductService.js');
+
+  return createProduct(toProductData(product));
+}
+
+/**
+ * Store Gemini search results in Supabase database through the bulk import. Products already stored are
+ * updated rather than inserted again.
+ * @param {GeminiProduct[]} products
+ * @returns {Promise<{ stored: number; created: number; updated: number; unchanged: number; errors: string[]; productIds: (string|null)[] }>} stored counts every product saved,
+ * whatever the action; productIds has the stored id of each product, in order, or null when it was not stored
+ */
+export async function storeGeminiProducts(products) {
   const results = {
     stored: 0,
-    errors: [] as string[]
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    errors: [],
+    productIds: products.map(() => null)
   };
 
-  for (const product of products) {
-    try {
-      // Transform Gemini product format to Supabase format
-      const productData = {
-        name: product.name,
-        price: product.price,
-        brand: product.brand,
-        category: product.category,
-        imageUrl: product.imageUrl,
-        productUrl: product.productUrl,
-        rating: product.rating,
-        reviewCount: product.reviewCount,
-        sourcePlatform: product.sourcePlatform,
-      };
+  try {
+    const { bulkUpsertProducts } = await import('./supabaseProductService.js');
+    const { data, error } = await bulkUpsertProducts(products.map(toProductData));
 
-      const { data, error } = await createProduct(productData);
+    if (error) {
+      throw error;
+    }
 
-      if (error) {
-        results.errors.push(`Failed to store ${product.name}: ${error.message}`);
-      } else {
-        results.stored++;
-        console.log(`✅ Stored product: ${product.name} (ID: ${data?.id})`);
+    data.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        results.errors.push(`Failed to store ${products[index].name}: ${result.reason}`);
+        return;
       }
 
-      // Small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-    } catch (error) {
-      const errorMessage = `Unexpected error storing ${product.name}: ${error instanceof Error ? error.message : 'Unknown error'}`;
-      results.errors.push(errorMessage);
-      console.error('❌', errorMessage);
-    }
+      results.stored++;
+      results[result.status]++;
+      results.productIds[index] = result.data.id;
+    });
+  } catch (error) {
+    const errorMessage = `Unexpected error storing products: ${error instanceof Error ? error.message : 'Unknown error'}`;
+    results.errors.push(errorMessage);
+    console.error('❌', errorMessage);
   }
 
-  console.log(`📊 Storage complete: ${results.stored} products stored, ${results.errors.length} errors`);
+  console.log(`📊 Storage complete: ${results.created} created, ${results.updated} updated, ${results.unchanged} unchanged, ${results.errors.length} errors`);
   return results;
 }
 
+/**
+ * @typedef {Object} StorageReport
+ * @property {number} created - Products inserted as new rows
+ * @property {number} updated - Products already stored whose price, rating or review count changed
+ * @property {number} unchanged - Products already stored as they are
+ */
+
+/**
+ * Counts of what storing search results did
+ * @returns {StorageReport}
+ */
+function storageReport({ created, updated, unchanged }) {
+  return { created, updated, unchanged };
+}
+
 /**
  * Combined function: Search with Gemini and store in Supabase
+ * @param {string} customerInput
+ * @param {SearchStrategy} strategy
+ * @param {boolean} [storeResults=true]
+ * @param {SearchOptions} [options]
+ * @returns {Promise<{ products: Array<GeminiProduct & { id?: string }>; stored: number; storage?: StorageReport; errors: string[]; success: boolean; unavailable?: boolean; constraints?: Object; validation?: Object; verification?: Object; degraded?: DegradedInfo; cache?: Object; metadata?: Object; usage?: import('./usageService.js').UsageSummary }>}
  */
-export async function searchAndStoreProducts(
-  customerInput: string,
-  strategy: SearchStrategy,
-  storeResults: boolean = true
-): Promise<{
-  products: GeminiProduct[];
-  stored: number;
-  errors: string[];
-  success: boolean;
-}> {
+export async function searchAndStoreProducts(customerInput, strategy, storeResults = true, options = {}) {
   console.log(`🚀 Starting Gemini search and store process...`);
-  
+
   // Search for products using Gemini
-  const searchResult = await searchProductsWithGemini(customerInput, strategy);
+  const searchResult = await searchProductsWithGemini(customerInput, strategy, options);
   
   if (!searchResult.success) {
     return {
       products: [],
       stored: 0,
       errors: [searchResult.error || 'Search failed'],
-      success: false
+      success: false,
+      unavailable: searchResult.unavailable
     };
   }
 
   console.log(`🔍 Found ${searchResult.products.length} products via Gemini`);
 
+  // Drop low-trust products before anything is persisted
+  const minTrustScore = options.minTrustScore ?? VERIFICATION_CONFIG.minTrustScore;
+  const { trusted, lowTrust } = (options.dropLowTrust ?? VERIFICATION_CONFIG.dropLowTrust)
+    ? partitionByTrust(searchResult.products, minTrustScore)
+    : { trusted: searchResult.products, lowTrust: [] };
+
+  if (lowTrust.length > 0) {
+    console.warn(`⚠️ Dropped ${lowTrust.length} low-trust product(s): ${lowTrust.map(product => product.name).join(', ')}`);
+  }
+
   // Store results in Supabase if requested
-  let storageResult = { stored: 0, errors: [] as string[] };
+  let storageResult = { stored: 0, created: 0, updated: 0, unchanged: 0, errors: [], productIds: [] };
   
-  if (storeResults && searchResult.products.length > 0) {
+  // Degraded results come from the cache or the catalog, so they are already stored
+  if (storeResults && trusted.length > 0 && !searchResult.degraded) {
     console.log('💾 Storing products in Supabase...');
-    storageResult = await storeGeminiProducts(searchResult.products);
+    storageResult = await storeGeminiProducts(trusted);
   }
 
   return {
-    products: searchResult.products,
+    // Stored products carry their catalog id
+    products: trusted.map((product, index) => (storageResult.productIds[index] ? { ...product, id: storageResult.productIds[index] } : product)),
     stored: storageResult.stored,
+    storage: storageReport(storageResult),
     errors: storageResult.errors,
-    success: true
+    success: true,
+    constraints: searchResult.constraints,
+    validation: searchResult.validation,
+    verification: summarizeVerification(searchResult.products, lowTrust, minTrustScore),
+    degraded: searchResult.degraded,
+    cache: searchResult.cache,
+    metadata: searchResult.metadata,
+    usage: searchResult.usage
   };
 }
 
-export { GeminiProduct, SearchStrategy };
\ No newline at end of file
+/**
+ * @typedef {Object} ResultFreshness
+ * @property {'live'|'cache'|'stale-cache'|'catalog'} source - Where the product data was read from
+ * @property {string|null} updatedAt - When the data was generated or the stored product last updated
+ * @property {boolean} stale - From an expired cache entry, or a stored product not updated for CATALOG_FRESH_HOURS
+ */
+
+/**
+ * @typedef {GeminiProduct & { id?: string; origin: 'gemini'|'catalog'|'both'; freshness: ResultFreshness; rankScore: number }} HybridProduct
+ */
+
+/**
+ * Search the stored catalog and the model in parallel, merge the results and rank them under the strategy.
+ * A product found by both keeps its catalog id and takes the search's current price and rating, so stored
+ * products are reused instead of being stored again.
+ * @param {string} customerInput
+ * @param {SearchStrategy} requestedStrategy
+ * @param {SearchOptions & { storeResults?: boolean }} [options] - storeResults stores products the catalog does not have yet
+ * @returns {Promise<{ products: HybridProduct[]; success: boolean; strategy?: string; constraints?: Object; origins?: Object; sources?: Object; stored?: number; storage?: StorageReport; errors?: string[]; verification?: Object; metadata?: Object; usage?: import('./usageService.js').UsageSummary; error?: string; unavailable?: boolean }>}
+ */
+export async function hybridSearchProducts(customerInput, requestedStrategy, options = {}) {
+  const startTime = Date.now();
+
+  try {
+    if (!customerInput || customerInput.trim().length === 0) {
+      throw new Error('Customer input is required');
+    }
+
+    if (!requestedStrategy || !requestedStrategy.type) {
+      throw new Error('Search strategy is required');
+    }
+
+    const definition = await loadStrategyDefinition(requestedStrategy.type);
+    const strategy = withStrategyDefaults(requestedStrategy, definition);
+    const rates = await loadExchangeRates(strategy);
+
+    // The catalog is queried with rule-based constraints right away; constraints the model adds are applied once both return
+    const catalogStrategy = constraintMode(options) === 'off'
+      ? strategy
+      : (await resolveSearchConstraints(customerInput, strategy, { llmAssist: false })).strategy;
+
+    const [search, catalog] = await Promise.all([
+      // The catalog is searched here anyway, so an unavailable provider only falls back to the stale cache
+      searchProductsWithGemini(customerInput, requestedStrategy, { ...options, fallbackSources: ['cache'] }),
+      searchCatalog(customerInput, catalogStrategy, rates, HYBRID_CATALOG_LIMIT)
+        .then(products => ({ products, error: null }))
+        .catch(error => ({ products: [], error }))
+    ]);
+
+    if (!search.success && catalog.products.length === 0) {
+      return {
+        products: [],
+        success: false,
+        unavailable: search.unavailable,
+        error: catalog.error ? `${search.error}; catalog search failed: ${catalog.error.message}` : search.error
+      };
+    }
+
+    if (catalog.error) {
+      console.warn('⚠️ Catalog search failed, using search results only:', catalog.error.message);
+    }
+
+    if (!search.success) {
+      console.warn(`⚠️ Search failed (${search.error}), using catalog results only`);
+    }
+
+    const effectiveStrategy = search.constraints?.strategy || catalogStrategy;
+    const catalogProducts = catalog.products.filter(product => validateAndFilterProducts([product], effectiveStrategy, rates).length > 0);
+    const merged = mergeSearchResults(search.products, catalogProducts, searchFreshness(search));
+
+    const minTrustScore = options.minTrustScore ?? VERIFICATION_CONFIG.minTrustScore;
+    const { trusted, lowTrust } = (options.dropLowTrust ?? VERIFICATION_CONFIG.dropLowTrust)
+      ? partitionByTrust(merged, minTrustScore)
+      : { trusted: merged, lowTrust: [] };
+    const products = rankSearchResults(trusted, definition, { currency: strategyCurrency(effectiveStrategy), rates })
+      .slice(0, HYBRID_MAX_RESULTS);
+
+    // Degraded results come from an earlier search, so they were stored then if at all
+    const newProducts = products.filter(product => product.origin === 'gemini');
+    let storageResult = { stored: 0, created: 0, updated: 0, unchanged: 0, errors: [] };
+    if (options.storeResults && newProducts.length > 0 && !search.degraded) {
+      storageResult = await storeGeminiProducts(newProducts);
+    }
+    // Stored products carry their catalog id, like the ones the catalog returned
+    const storedIds = new Map(newProducts.map((product, index) => [product, storageResult.productIds?.[index]]));
+    const results = products.map(product => (storedIds.get(product) ? { ...product, id: storedIds.get(product) } : product));
+
+    const origins = { gemini: 0, catalog: 0, both: 0 };
+    products.forEach(product => { origins[product.origin]++; });
+
+    console.log(`🔀 Hybrid search for "${customerInput}": ${origins.gemini} new, ${origins.catalog} from the catalog, ${origins.both} in both`);
+
+    return {
+      products: results,
+      success: true,
+      strategy: strategy.type,
+      constraints: search.constraints ?? null,
+      origins,
+      sources: {
+        gemini: { success: search.success, count: search.products.length, error: search.error, degraded: search.degraded, cache: search.cache },
+        catalog: { success: !catalog.error, count: catalogProducts.length, error: catalog.error?.message }
+      },
+      stored: storageResult.stored,
+      storage: storageReport(storageResult),
+      errors: storageResult.errors,
+      verification: summarizeVerification(merged, lowTrust, minTrustScore),
+      metadata: { ...search.metadata, searchTime: Date.now() - startTime, totalResults: products.length },
+      usage: search.usage
+    };
+  } catch (error) {
+    console.error('❌ Error in hybrid product search:', error);
+    return {
+      products: [],
+      success: false,
+      unavailable: isProviderUnavailableError(error),
+      error: error instanceof Error ? error.message : 'Unknown error occurred'
+    };
+  }
+}
+
+/**
+ * Freshness of the products a search returned
+ * @returns {ResultFreshness}
+ */
+function searchFreshness(search) {
+  if (search.degraded) {
+    return { source: 'stale-cache', updatedAt: search.degraded.cachedAt ?? null, stale: true };
+  }
+  if (search.cache?.hit) {
+    return { source: 'cache', updatedAt: search.cache.cachedAt, stale: false };
+  }
+  return { source: 'live', updatedAt: new Date().toISOString(), stale: false };
+}
+
+/**
+ * Freshness of a stored product, by when it was last updated
+ * @returns {ResultFreshness}
+ */
+function catalogFreshness(product) {
+  const ageHours = product.updatedAt ? (Date.now() - new Date(product.updatedAt).getTime()) / 3600000 : Infinity;
+  return { source: 'catalog', updatedAt: product.updatedAt ?? null, stale: ageHours > CATALOG_FRESH_HOURS };
+}
+
+/**
+ * Merge search results with catalog products, pairing a product found by both by its link or, failing that,
+ * by brand and a close name match
+ * @param {GeminiProduct[]} searchProducts
+ * @param {Array<GeminiProduct & { id: string; updatedAt?: string }>} catalogProducts
+ * @param {ResultFreshness} freshness - Freshness of the search results
+ * @returns {Array<Omit<HybridProduct, 'rankScore'>>}
+ */
+function mergeSearchResults(searchProducts, catalogProducts, freshness) {
+  const unmatched = [...catalogProducts];
+
+  const merged = searchProducts.map(product => {
+    const url = productUrlKey(product.productUrl);
+    const stored = (url && unmatched.find(candidate => productUrlKey(candidate.productUrl) === url))
+      || findCatalogMatch(product, unmatched);
+
+    if (!stored) {
+      return { ...product, origin: 'gemini', freshness };
+    }
+
+    unmatched.splice(unmatched.indexOf(stored), 1);
+    // The stored record keeps its id; the search supplies the current price, rating and verification
+    return { ...product, id: stored.id, origin: 'both', freshness };
+  });
+
+  return [...merged, ...unmatched.map(product => ({ ...product, origin: 'catalog', freshness: catalogFreshness(product) }))];
+}
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * Create an incremental parser for a JSON array arriving in chunks.
+ * Text before the opening `[` (e.g. markdown fences) is ignored, and each top-level element
+ * is emitted as soon as its closing bracket arrives.
+ * @returns {{ push: (chunk: string) => { items: any[]; errors: string[] }; isComplete: () => boolean }}
+ */
+export const createJsonArrayStreamParser = () => {
+  let started = false;
+  let complete = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let buffer = '';
+
+  const push = (chunk) => {
+    const items = [];
+    const errors = [];
+
+    const flush = () => {
+      if (buffer.trim().length > 0) {
+        try {
+          items.push(JSON.parse(buffer));
+        } catch (error) {
+          errors.push(error instanceof Error ? error.message : 'Invalid JSON element');
+        }
+      }
+      buffer = '';
+    };
+
+    for (const char of chunk) {
+      if (complete) break;
+
+      if (!started) {
+        if (char === '[') {
+          started = true;
+        }
+        continue;
+      }
+
+      if (inString) {
+        buffer += char;
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+        buffer += char;
+        continue;
+      }
+
+      if (char === '{' || char === '[') {
+        depth++;
+        buffer += char;
+        continue;
+      }
+
+      if (char === '}' || char === ']') {
+        if (depth === 0 && char === ']') {
+          flush();
+          complete = true;
+          continue;
+        }
+
+        depth--;
+        buffer += char;
+
+        if (depth === 0) {
+          flush();
+        }
+        continue;
+      }
+
+      // A comma between top-level elements ends any pending primitive element
+      if (depth === 0 && char === ',') {
+        flush();
+        continue;
+      }
+
+      buffer += char;
+    }
+
+    return { items, errors };
+  };
+
+  return {
+    push,
+    isComplete: () => complete,
+  };
+};
+
+export default createJsonArrayStreamParser;
@@ -0,0 +1,159 @@
+import { supabase } from '../config/supabase.js';
+import { getExchangeRates } from './currencyService.js';
+import { summarizePriceHistory } from './priceTrend.js';
+
+/**
+ * Price history configuration, read from the environment
+ */
+export const PRICE_HISTORY_CONFIG = {
+  // Window of the price trend shown on product responses ("lowest in 90 days")
+  trendDays: parseInt(process.env.PRICE_TREND_DAYS || '90', 10),
+  // Longest window the price history endpoint accepts
+  maxDays: parseInt(process.env.PRICE_HISTORY_MAX_DAYS || '730', 10),
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rows PostgREST returns per request by default (max-rows), so longer histories are read a page at a time
+const PAGE_SIZE = 1000;
+// Products per history query, keeping the `in` list and the request URL short
+const PRODUCTS_PER_QUERY = 100;
+
+/**
+ * @typedef {import('./priceTrend.js').PricePoint} PricePoint
+ * @typedef {import('./priceTrend.js').PriceTrend} PriceTrend
+ */
+
+/**
+ * Transform a price_history row to frontend format
+ * @returns {PricePoint}
+ */
+const transformPricePoint = (row) => ({
+  price: parseFloat(row.price),
+  currency: row.currency,
+  recordedAt: new Date(row.recorded_at).toISOString(),
+});
+
+/**
+ * Price points of products over the last `days`, oldest first, with the price in effect when the window starts
+ * (the last point before it), which the trend needs to know what the product cost on the first days
+ * @param {string[]} productIds
+ * @param {number} days
+ * @returns {Promise<Map<string, { points: PricePoint[]; opening: PricePoint|null }>>}
+ */
+const readPriceHistories = async (productIds, days) => {
+  const since = new Date(Date.now() - days * DAY_MS).toISOString();
+  const histories = new Map(productIds.map(productId => [productId, { points: [], opening: null }]));
+
+  for (let start = 0; start < productIds.length; start += PRODUCTS_PER_QUERY) {
+    const ids = productIds.slice(start, start + PRODUCTS_PER_QUERY);
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('price_history')
+        .select('product_id, price, currency, recorded_at')
+        .in('product_id', ids)
+        .gte('recorded_at', since)
+        .order('recorded_at', { ascending: true })
+        // Rows recorded at the same time keep their order across pages
+        .order('id', { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      data.forEach(row => histories.get(row.product_id).points.push(transformPricePoint(row)));
+      if (data.length < PAGE_SIZE) break;
+    }
+
+    // One call for the chunk rather than a query per product (see opening_prices in the price_history migration)
+    const { data: openings, error: openingError } = await supabase.rpc('opening_prices', { product_ids: ids, since });
+
+    if (openingError) {
+      throw new Error(`Database error: ${openingError.message}`);
+    }
+
+    openings.forEach(row => { histories.get(row.product_id).opening = transformPricePoint(row); });
+  }
+
+  return histories;
+};
+
+/**
+ * Points a trend is summarized from: the opening price, when there is one, then the window's points
+ * @param {{ points: PricePoint[]; opening: PricePoint|null }} history
+ * @returns {PricePoint[]}
+ */
+const trendPoints = ({ points, opening }) => (opening ? [opening, ...points] : points);
+
+/**
+ * Retrieves the price history of a product with its trend
+ * @param {string} productId - Product UUID
+ * @param {{ days?: number }} [options] - Window, PRICE_TREND_DAYS by default
+ * @returns {Promise<{data: {productId: string, days: number, points: PricePoint[], trend: PriceTrend}|null, error: Error|null}>}
+ */
+export const getPriceHistory = async (productId, options = {}) => {
+  try {
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!productId || !uuidRegex.test(productId)) {
+      throw new Error('Invalid product ID format');
+    }
+
+    const days = options.days ?? PRICE_HISTORY_CONFIG.trendDays;
+    if (!Number.isInteger(days) || days < 1 || days > PRICE_HISTORY_CONFIG.maxDays) {
+      throw new Error(`Days must be a whole number from 1 to ${PRICE_HISTORY_CONFIG.maxDays}`);
+    }
+
+    const { data: product, error: productError } = await supabase
+      .from('products')
+      .select('id, price, currency')
+      .eq('id', productId)
+      .single();
+
+    if (productError) {
+      throw new Error(productError.code === 'PGRST116' ? 'Product not found' : `Database error: ${productError.message}`);
+    }
+
+    const history = (await readPriceHistories([productId], days)).get(productId);
+    const current = { price: parseFloat(product.price), currency: product.currency };
+    const trend = summarizePriceHistory(
+      trendPoints(history),
+      current,
+      { days, rates: await getExchangeRates() }
+    );
+
+    return { data: { productId, days, points: history.points, trend }, error: null };
+  } catch (error) {
+    console.error('Error getting price history:', error);
+    return { data: null, error: error instanceof Error ? error : new Error('Unknown error occurred') };
+  }
+};
+
+/**
+ * Add the PRICE_TREND_DAYS price trend to products as `priceTrend`, reading their histories together like
+ * getPriceHistory reads one.
+ * Products are returned with a null trend when the history cannot be read, so reading products never fails on it.
+ * @template {{ id: string; price: number; currency: string }} T
+ * @param {T[]} products
+ * @returns {Promise<Array<T & { priceTrend: PriceTrend|null }>>}
+ */
+export const withPriceTrends = async (products) => {
+  if (products.length === 0) return [];
+
+  try {
+    const days = PRICE_HISTORY_CONFIG.trendDays;
+    const [histories, rates] = await Promise.all([
+      readPriceHistories([...new Set(products.map(product => product.id))], days),
+      getExchangeRates(),
+    ]);
+
+    return products.map(product => ({
+      ...product,
+      priceTrend: summarizePriceHistory(trendPoints(histories.get(product.id)), product, { days, rates }),
+    }));
+  } catch (error) {
+    console.error('Error getting price trends:', error);
+    return products.map(product => ({ ...product, priceTrend: null }));
+  }
+};
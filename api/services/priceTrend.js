@@ -0,0 +1,78 @@
+import { convertAmount, roundToCurrency } from './currencyService.js';
+
+/**
+ * Price trend of a product from its recorded prices, kept apart from the history queries so it can be computed
+ * for any list of points.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} PricePoint
+ * @property {number} price
+ * @property {string} currency - ISO 4217 code of the price
+ * @property {string} recordedAt - When the product was stored at this price (ISO timestamp)
+ */
+
+/**
+ * @typedef {Object} PriceTrend
+ * @property {number} days - Length of the window
+ * @property {string} currency - Currency of every amount, the product's current one
+ * @property {number} current - Current price
+ * @property {number} lowest - Lowest price in the window
+ * @property {number} highest - Highest price in the window
+ * @property {number} average - Average price over the window, weighted by how long each price held
+ * @property {boolean} isLowest - The current price is the lowest of the window
+ * @property {number|null} previous - Price before the latest change, when it changed in the window
+ * @property {'up'|'down'|'flat'} direction - Current price against the previous one
+ * @property {number} changes - Price changes in the window
+ */
+
+/**
+ * Summarize the prices of a product over the last `days`.
+ * Points may include the last one recorded before the window, which counts from the window's start. Points in
+ * another currency are converted into the current one; points that cannot be converted are left out.
+ * @param {PricePoint[]} points - Oldest first
+ * @param {{ price: number; currency: string }} current - The product's current price
+ * @param {{ days: number; rates: import('./currencyService.js').ExchangeRates; now?: Date }} options
+ * @returns {PriceTrend}
+ */
+export const summarizePriceHistory = (points, current, { days, rates, now = new Date() }) => {
+  const windowStart = now.getTime() - days * DAY_MS;
+  const converted = points
+    .map(point => ({
+      price: convertAmount(point.price, point.currency, current.currency, rates),
+      time: Math.max(new Date(point.recordedAt).getTime(), windowStart),
+    }))
+    .filter(point => point.price !== null && Number.isFinite(point.time));
+
+  // The current price holds from its last recorded change (or the window's start) until now
+  const last = converted[converted.length - 1];
+  if (!last || last.price !== current.price) {
+    converted.push({ price: current.price, time: last ? now.getTime() : windowStart });
+  }
+
+  const prices = converted.map(point => point.price);
+  const span = now.getTime() - converted[0].time;
+  const weightedSum = converted.reduce((sum, point, index) => {
+    const until = index + 1 < converted.length ? converted[index + 1].time : now.getTime();
+    return sum + point.price * (until - point.time);
+  }, 0);
+
+  const sequence = prices.filter((price, index) => index === 0 || price !== prices[index - 1]);
+  const previous = sequence.length > 1 ? sequence[sequence.length - 2] : null;
+  const round = amount => roundToCurrency(amount, current.currency);
+
+  return {
+    days,
+    currency: current.currency,
+    current: round(current.price),
+    lowest: round(Math.min(...prices)),
+    highest: round(Math.max(...prices)),
+    average: round(span > 0 ? weightedSum / span : current.price),
+    isLowest: current.price <= Math.min(...prices),
+    previous: previous === null ? null : round(previous),
+    direction: previous === null || previous === current.price ? 'flat' : (current.price > previous ? 'up' : 'down'),
+    changes: sequence.length - 1,
+  };
+};
@@ -0,0 +1,142 @@
+import { canonicalBrand, foldBrand, stripDiacritics } from './brandNormalizer.js';
+import { isPlaceholderHost } from './productVerification.js';
+
+/**
+ * Canonical identity of a product, used to tell whether a product being stored is already in the catalog.
+ *
+ * A product is identified by its link when two listings share one, and otherwise by its brand, model name and
+ * variant (storage size and colour), so "Apple iPhone 15 Pro 256GB Black" and "iPhone 15 Pro - Black, 256 GB"
+ * are the same product.
+ */
+
+/**
+ * Words that say which variant of a model a listing is for
+ */
+const VARIANT_COLORS = [
+  'black', 'white', 'silver', 'gold', 'gray', 'grey', 'graphite', 'blue', 'navy', 'red', 'green', 'purple',
+  'pink', 'yellow', 'orange', 'beige', 'midnight', 'starlight', 'titanium', 'rose', 'bronze', 'copper',
+];
+
+/**
+ * Last path segment of store pages that list many products, such as search results
+ */
+const LISTING_PAGE_PATTERN = /^(s|search|searchpage\.jsp|browse|category|categories|shop|deals)$/;
+
+/**
+ * Words listings add around the model name without naming a different product
+ */
+const FILLER_WORDS = ['the', 'new', 'with', 'and', 'edition', 'version', 'color', 'colour'];
+
+/**
+ * Host and path of a product link, ignoring "www.", the query string, Amazon "ref=" tracking segments and
+ * trailing slashes
+ * @param {string} url
+ * @returns {string|null} null when the link is missing, not an http(s) URL, on a placeholder host, or does not
+ * point to one product (a store's home page or search results)
+ */
+export const productUrlKey = (url) => {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    if (isPlaceholderHost(host)) return null;
+
+    const segments = parsed.pathname
+      .toLowerCase()
+      .split('/')
+      .filter(segment => segment && !segment.startsWith('ref='));
+    if (segments.length === 0 || LISTING_PAGE_PATTERN.test(segments[segments.length - 1])) return null;
+
+    return `${host}/${segments.join('/')}`;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Brand, model name and variant of a product folded to one key: "apple|iphone 15 pro|256gb black"
+ * @param {{ name: string; brand: string }} product
+ * @returns {string|null} null when the product has no name
+ */
+export const productIdentityKey = ({ name, brand }) => {
+  const tokens = stripDiacritics(String(name ?? ''))
+    .toLowerCase()
+    .replace(/\+/g, ' plus ')
+    // "256 GB" and "256GB" are the same size
+    .replace(/(\d+(?:\.\d+)?)\s*(gb|tb|mb)\b/g, '$1$2')
+    .split(/[^\p{L}\p{N}.]+/u)
+    .map(token => token.replace(/^\.+|\.+$/g, ''))
+    .filter(token => token && !FILLER_WORDS.includes(token));
+
+  const brandKey = foldBrand(canonicalBrand(brand));
+  // Listings often repeat the brand in the name ("Apple iPhone 15"), sometimes over two words ("Audio Technica")
+  for (let length = Math.min(3, tokens.length - 1); length > 0; length--) {
+    if (foldBrand(tokens.slice(0, length).join(' ')) === brandKey) {
+      tokens.splice(0, length);
+      break;
+    }
+  }
+
+  const sizes = tokens.filter(token => /^\d+(?:\.\d+)?(?:gb|tb|mb)$/.test(token));
+  const colors = tokens.filter(token => VARIANT_COLORS.includes(token));
+  const model = tokens.filter(token => !sizes.includes(token) && !colors.includes(token));
+
+  if (model.length === 0) return null;
+
+  const variant = [...new Set(sizes)].sort().concat([...new Set(colors)].sort());
+  return `${brandKey}|${model.join(' ')}|${variant.join(' ')}`;
+};
+
+/**
+ * Both identity keys of a product
+ * @param {{ name: string; brand: string; productUrl?: string }} product
+ * @returns {{ canonicalKey: string|null; urlKey: string|null }}
+ */
+export const productKeys = (product) => ({
+  canonicalKey: productIdentityKey(product),
+  urlKey: productUrlKey(product.productUrl),
+});
+
+/**
+ * Group products that share an identity key, directly or through another product in the group
+ * (A shares a link with B, B shares a name with C). Products without a duplicate are left out.
+ * @template {{ name: string; brand: string; productUrl?: string }} T
+ * @param {T[]} products
+ * @returns {T[][]} Groups of two or more products, each in the order given
+ */
+export const groupDuplicateProducts = (products) => {
+  const parent = products.map((_, index) => index);
+  const root = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  /** @type {Map<string, number>} */
+  const firstWithKey = new Map();
+  products.forEach((product, index) => {
+    const { canonicalKey, urlKey } = productKeys(product);
+    [canonicalKey && `name:${canonicalKey}`, urlKey && `url:${urlKey}`]
+      .filter(Boolean)
+      .forEach(key => {
+        if (!firstWithKey.has(key)) {
+          firstWithKey.set(key, index);
+          return;
+        }
+        parent[root(index)] = root(firstWithKey.get(key));
+      });
+  });
+
+  /** @type {Map<number, T[]>} */
+  const groups = new Map();
+  products.forEach((product, index) => {
+    const group = groups.get(root(index)) ?? [];
+    group.push(product);
+    groups.set(root(index), group);
+  });
+
+  return [...groups.values()].filter(group => group.length > 1);
+};
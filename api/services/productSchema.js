@@ -0,0 +1,171 @@
+/**
+ * Schema for products returned by the model, matching the GeminiProduct typedef
+ */
+export const GEMINI_PRODUCT_SCHEMA = {
+  name: { type: 'string', required: true, minLength: 1 },
+  price: { type: 'number', required: true, min: 0 },
+  currency: { type: 'string', required: false, format: 'currency' },
+  brand: { type: 'string', required: true, minLength: 1 },
+  category: { type: 'string', required: true, minLength: 1 },
+  imageUrl: { type: 'string', required: true, format: 'url' },
+  productUrl: { type: 'string', required: true, format: 'url' },
+  rating: { type: 'number', required: true, min: 0, max: 5 },
+  reviewCount: { type: 'integer', required: true, min: 0 },
+  sourcePlatform: { type: 'string', required: true, minLength: 1 },
+  description: { type: 'string', required: true },
+  features: { type: 'array', required: true, items: 'string' },
+  specifications: { type: 'object', required: true },
+};
+
+/**
+ * Alternative field names the model sometimes uses, mapped to schema fields
+ */
+const FIELD_ALIASES = {
+  image_url: 'imageUrl',
+  product_url: 'productUrl',
+  review_count: 'reviewCount',
+  source_platform: 'sourcePlatform',
+  currency_code: 'currency',
+  currencyCode: 'currency',
+  price_currency: 'currency',
+};
+
+/**
+ * @typedef {Object} SchemaError
+ * @property {string} field - Field that failed validation
+ * @property {string} message - Why the field is invalid
+ */
+
+const isValidUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+const checkType = (value, type, items) => {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'array':
+      return Array.isArray(value) && (!items || value.every(item => typeof item === items));
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default:
+      return true;
+  }
+};
+
+/**
+ * Copy aliased fields (e.g. image_url) onto their schema names
+ * @param {Object} item - Raw item produced by the model
+ * @returns {Object}
+ */
+export const normalizeProductFields = (item) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return item;
+  }
+
+  const normalized = { ...item };
+  for (const [alias, field] of Object.entries(FIELD_ALIASES)) {
+    if (normalized[field] === undefined && normalized[alias] !== undefined) {
+      normalized[field] = normalized[alias];
+    }
+    delete normalized[alias];
+  }
+  return normalized;
+};
+
+const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+/**
+ * Specifications as flat string values, the form products are stored with: numbers and booleans are written
+ * out, lists joined with commas and nested groups flattened ({ display: { size: '6.1"' } } -> { 'display size': '6.1"' })
+ * @param {any} specifications
+ * @param {string} [prefix] - Name of the enclosing group
+ * @returns {Record<string, string>}
+ */
+export const flattenSpecifications = (specifications, prefix = '') => {
+  if (!specifications || typeof specifications !== 'object' || Array.isArray(specifications)) {
+    return {};
+  }
+
+  return Object.entries(specifications).reduce((flat, [key, value]) => {
+    const name = prefix ? `${prefix} ${key}` : key;
+
+    if (Array.isArray(value)) {
+      const items = value.filter(isScalar);
+      if (items.length > 0) flat[name] = items.join(', ');
+    } else if (value && typeof value === 'object') {
+      Object.assign(flat, flattenSpecifications(value, name));
+    } else if (isScalar(value)) {
+      flat[name] = String(value);
+    }
+
+    return flat;
+  }, {});
+};
+
+/**
+ * Validate a single product against GEMINI_PRODUCT_SCHEMA
+ * @param {any} item - Product to validate
+ * @returns {SchemaError[]} Field-level errors (empty when valid)
+ */
+export const validateGeminiProduct = (item) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return [{ field: '(item)', message: 'must be a JSON object' }];
+  }
+
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(GEMINI_PRODUCT_SCHEMA)) {
+    const value = item[field];
+
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        errors.push({ field, message: 'is required' });
+      }
+      continue;
+    }
+
+    if (!checkType(value, rule.type, rule.items)) {
+      errors.push({ field, message: `must be of type ${rule.type}${rule.items ? ` of ${rule.items}s` : ''}` });
+      continue;
+    }
+
+    if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+      errors.push({ field, message: 'must not be empty' });
+    }
+
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push({ field, message: `must be at least ${rule.min}` });
+    }
+
+    if (rule.max !== undefined && value > rule.max) {
+      errors.push({ field, message: `must be at most ${rule.max}` });
+    }
+
+    if (rule.format === 'url' && !isValidUrl(value)) {
+      errors.push({ field, message: 'must be an absolute http(s) URL' });
+    }
+
+    if (rule.format === 'currency' && !/^[A-Za-z]{3}$/.test(value.trim())) {
+      errors.push({ field, message: 'must be a three-letter ISO 4217 code such as "USD"' });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Format validation errors as a single human (and model) readable line
+ * @param {SchemaError[]} errors
+ * @returns {string}
+ */
+export const formatSchemaErrors = (errors) => errors.map(({ field, message }) => `${field} ${message}`).join('; ');
@@ -0,0 +1,309 @@
+import dotenv from 'dotenv';
+import { LOCAL_PRODUCT_CATALOG } from '../providers/fixtures/productCatalog.js';
+import { resolveBrand } from './brandNormalizer.js';
+import { getExchangeRates, convertAmount, formatAmount } from './currencyService.js';
+import { STATIC_EXCHANGE_RATES } from '../config/exchangeRates.js';
+
+dotenv.config();
+
+/**
+ * Verification configuration, read from the environment
+ */
+export const VERIFICATION_CONFIG = {
+  minTrustScore: parseFloat(process.env.VERIFICATION_MIN_TRUST_SCORE || '0.5'),
+  dropLowTrust: process.env.VERIFICATION_DROP_LOW_TRUST === 'true',
+  catalog: process.env.VERIFICATION_CATALOG || 'fixture',
+  catalogTtlSeconds: parseInt(process.env.VERIFICATION_CATALOG_TTL_SECONDS || '300', 10),
+};
+
+/**
+ * @typedef {Object} VerificationFlag
+ * @property {string} code - Machine-readable flag (e.g. 'domain_mismatch')
+ * @property {string} message - Human-readable explanation
+ * @property {number} penalty - Amount deducted from the trust score
+ */
+
+/**
+ * @typedef {Object} ProductVerification
+ * @property {number} trustScore - 0 (certainly invented) to 1 (fully verified)
+ * @property {VerificationFlag[]} flags - Problems found
+ * @property {{ name: string; brand: string; price: number; currency?: string }|null} catalogMatch - Known catalog entry the product matched
+ */
+
+/**
+ * Trust score deducted for each kind of problem
+ */
+const PENALTIES = {
+  invalid_product_url: 0.4,
+  placeholder_product_url: 0.4,
+  placeholder_image_url: 0.15,
+  domain_mismatch: 0.3,
+  image_domain_mismatch: 0.1,
+  unknown_platform: 0.1,
+  implausible_price: 0.3,
+  catalog_price_mismatch: 0.1,
+  unmatched_catalog: 0.15,
+};
+
+/**
+ * Domains each store serves product pages and images from
+ */
+const PLATFORM_DOMAINS = {
+  amazon: ['amazon.com', 'amazon.co.uk', 'amazon.ca', 'amazon.de', 'amzn.to', 'media-amazon.com', 'ssl-images-amazon.com'],
+  bestbuy: ['bestbuy.com', 'bbystatic.com'],
+  walmart: ['walmart.com', 'walmartimages.com'],
+  newegg: ['newegg.com', 'neweggimages.com'],
+  target: ['target.com', 'scene7.com'],
+  ebay: ['ebay.com', 'ebayimg.com'],
+  bhphotovideo: ['bhphotovideo.com', 'bhphoto.com'],
+  costco: ['costco.com', 'costco-static.com'],
+  apple: ['apple.com'],
+  samsung: ['samsung.com'],
+};
+
+/**
+ * Hosts models use when they make up a URL
+ */
+const PLACEHOLDER_HOSTS = [
+  'example.com', 'example.org', 'example.net', 'placeholder.com', 'placehold.co', 'placehold.it',
+  'dummyimage.com', 'fakeimg.pl', 'localhost', 'test', 'invalid', 'yourstore.com', 'store.com', 'website.com'
+];
+
+/**
+ * Plausible price range per category, in USD; prices in other currencies are converted before the check
+ */
+const CATEGORY_PRICE_RANGES = [
+  { pattern: /headphone|earbud|earphone|headset/i, min: 10, max: 1000 },
+  { pattern: /smartwatch|watch|fitness/i, min: 20, max: 1500 },
+  { pattern: /smartphone|phone/i, min: 50, max: 2500 },
+  { pattern: /laptop|notebook/i, min: 150, max: 6000 },
+  { pattern: /tablet/i, min: 50, max: 2500 },
+  { pattern: /camera/i, min: 50, max: 10000 },
+  { pattern: /gaming|mouse|mice|keyboard|accessor/i, min: 5, max: 500 },
+];
+
+/**
+ * Minimum token overlap for a product name to count as a catalog match
+ */
+const NAME_MATCH_THRESHOLD = 0.6;
+
+/**
+ * Lower-case a store name and drop punctuation and domain suffixes ("Best Buy" -> "bestbuy", "Amazon.com" -> "amazon")
+ * @param {string} platform
+ * @returns {string}
+ */
+const normalizePlatform = (platform = '') => platform
+  .toLowerCase()
+  .replace(/\.(com|co\.uk|ca|de)$/, '')
+  .replace(/[^a-z0-9]/g, '');
+
+const parseHost = (url) => {
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed.hostname.toLowerCase() : null;
+  } catch {
+    return null;
+  }
+};
+
+const hostMatches = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+export const isPlaceholderHost = (host) => PLACEHOLDER_HOSTS.some(placeholder => hostMatches(host, placeholder))
+  || host.endsWith('.test') || host.endsWith('.invalid') || host.endsWith('.example');
+
+const nameTokens = (name) => new Set(name.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean));
+
+/**
+ * Share of tokens the two names have in common (Jaccard index)
+ * @returns {number}
+ */
+const nameSimilarity = (a, b) => {
+  const left = nameTokens(a);
+  const right = nameTokens(b);
+  if (left.size === 0 || right.size === 0) return 0;
+
+  const shared = [...left].filter(token => right.has(token)).length;
+  return shared / (left.size + right.size - shared);
+};
+
+let catalogLoader = null;
+let catalogCache = null;
+
+const loadConfiguredCatalog = async () => {
+  switch (VERIFICATION_CONFIG.catalog) {
+    case 'fixture':
+      return LOCAL_PRODUCT_CATALOG;
+    case 'supabase': {
+      // Loaded on demand so the fixture catalog never requires Supabase to be configured
+      const { getAllProducts } = await import('./supabaseProductService.js');
+      const { data, error } = await getAllProducts({ limit: 1000 });
+      if (error) throw error;
+      return data;
+    }
+    case 'none':
+      return [];
+    default:
+      throw new Error(`Unknown verification catalog "${VERIFICATION_CONFIG.catalog}". Use "fixture", "supabase" or "none".`);
+  }
+};
+
+/**
+ * Replace the source of known products used for name matching
+ * @param {() => Promise<{ name: string; brand: string; price: number; currency?: string }[]>} loader
+ */
+export const setKnownProductCatalog = (loader) => {
+  catalogLoader = loader;
+  catalogCache = null;
+};
+
+/**
+ * Known products to match names against; an empty list disables the catalog check
+ * @returns {Promise<{ name: string; brand: string; price: number; currency?: string }[]>}
+ */
+const getKnownProducts = async () => {
+  if (catalogCache && catalogCache.expiresAt > Date.now()) {
+    return catalogCache.products;
+  }
+
+  try {
+    const products = await (catalogLoader || loadConfiguredCatalog)();
+    catalogCache = { products, expiresAt: Date.now() + VERIFICATION_CONFIG.catalogTtlSeconds * 1000 };
+    return products;
+  } catch (error) {
+    console.warn('⚠️ Could not load known product catalog, skipping catalog check:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Find the closest known product with the same brand
+ * @template {{ name: string; brand: string }} T
+ * @param {{ name: string; brand: string }} product
+ * @param {T[]} knownProducts
+ * @returns {T|null}
+ */
+export const findCatalogMatch = (product, knownProducts) => {
+  let best = null;
+  let bestScore = 0;
+
+  for (const known of knownProducts) {
+    if (!known.brand || resolveBrand(known.brand).key !== resolveBrand(product.brand).key) continue;
+
+    const score = nameSimilarity(product.name, known.name);
+    if (score > bestScore) {
+      best = known;
+      bestScore = score;
+    }
+  }
+
+  return bestScore >= NAME_MATCH_THRESHOLD ? best : null;
+};
+
+/**
+ * Check a single product against the link, price and catalog rules
+ * @param {import('./geminiProductSearch.js').GeminiProduct} product
+ * @param {{ name: string; brand: string; price: number; currency?: string }[]} knownProducts - Prices without a currency are in USD
+ * @param {import('./currencyService.js').ExchangeRates} [rates]
+ * @returns {ProductVerification}
+ */
+export const verifyProduct = (product, knownProducts = [], rates = STATIC_EXCHANGE_RATES) => {
+  const flags = [];
+  const flag = (code, message) => flags.push({ code, message, penalty: PENALTIES[code] });
+
+  const platform = normalizePlatform(product.sourcePlatform);
+  const platformDomains = PLATFORM_DOMAINS[platform];
+  const productHost = parseHost(product.productUrl);
+  const imageHost = parseHost(product.imageUrl);
+
+  if (!productHost) {
+    flag('invalid_product_url', `Product URL "${product.productUrl}" is not a valid http(s) URL`);
+  } else if (isPlaceholderHost(productHost)) {
+    flag('placeholder_product_url', `Product URL points to placeholder host ${productHost}`);
+  } else if (platformDomains && !platformDomains.some(domain => hostMatches(productHost, domain))) {
+    flag('domain_mismatch', `Product URL host ${productHost} does not belong to ${product.sourcePlatform}`);
+  }
+
+  if (imageHost && isPlaceholderHost(imageHost)) {
+    flag('placeholder_image_url', `Image URL points to placeholder host ${imageHost}`);
+  } else if (imageHost && platformDomains && !platformDomains.some(domain => hostMatches(imageHost, domain))) {
+    flag('image_domain_mismatch', `Image URL host ${imageHost} does not belong to ${product.sourcePlatform}`);
+  }
+
+  if (!platformDomains) {
+    flag('unknown_platform', `Cannot verify links for unknown platform "${product.sourcePlatform}"`);
+  }
+
+  const currency = product.currency || 'USD';
+  const price = formatAmount(product.price, currency);
+  const priceInUsd = convertAmount(product.price, currency, 'USD', rates);
+  const range = CATEGORY_PRICE_RANGES.find(({ pattern }) => pattern.test(product.category));
+  if (range && priceInUsd !== null && (priceInUsd < range.min || priceInUsd > range.max)) {
+    flag('implausible_price', `${price} is outside the plausible range for ${product.category} ($${range.min}-$${range.max})`);
+  }
+
+  let catalogMatch = null;
+  if (knownProducts.length > 0) {
+    const match = findCatalogMatch(product, knownProducts);
+
+    if (!match) {
+      flag('unmatched_catalog', `"${product.name}" does not match any known ${product.brand} product`);
+    } else {
+      const matchCurrency = match.currency || 'USD';
+      const knownPrice = convertAmount(match.price, matchCurrency, currency, rates);
+      catalogMatch = { name: match.name, brand: match.brand, price: match.price, currency: matchCurrency };
+
+      if (knownPrice !== null && Math.abs(product.price - knownPrice) > knownPrice * 0.5) {
+        flag('catalog_price_mismatch', `${price} differs from the known price of ${formatAmount(match.price, matchCurrency)}`);
+      }
+    }
+  }
+
+  const penalty = flags.reduce((sum, { penalty: amount }) => sum + amount, 0);
+
+  return {
+    trustScore: Math.round(Math.max(0, 1 - penalty) * 100) / 100,
+    flags,
+    catalogMatch,
+  };
+};
+
+/**
+ * Attach a `verification` result to every product
+ * @param {import('./geminiProductSearch.js').GeminiProduct[]} products
+ * @returns {Promise<(import('./geminiProductSearch.js').GeminiProduct & { verification: ProductVerification })[]>}
+ */
+export const verifyProducts = async (products) => {
+  const [knownProducts, rates] = await Promise.all([getKnownProducts(), getExchangeRates()]);
+  return products.map(product => ({ ...product, verification: verifyProduct(product, knownProducts, rates) }));
+};
+
+/**
+ * Split verified products by trust score
+ * @param {{ verification: ProductVerification }[]} products
+ * @param {number} [minTrustScore]
+ * @returns {{ trusted: Object[]; lowTrust: Object[] }}
+ */
+export const partitionByTrust = (products, minTrustScore = VERIFICATION_CONFIG.minTrustScore) => ({
+  trusted: products.filter(product => (product.verification?.trustScore ?? 1) >= minTrustScore),
+  lowTrust: products.filter(product => (product.verification?.trustScore ?? 1) < minTrustScore),
+});
+
+/**
+ * Summarize verification results for a response
+ * @param {{ name: string; verification: ProductVerification }[]} products - Products that were checked
+ * @param {{ name: string; verification: ProductVerification }[]} dropped - Products removed for low trust
+ * @param {number} [minTrustScore]
+ */
+export const summarizeVerification = (products, dropped = [], minTrustScore = VERIFICATION_CONFIG.minTrustScore) => ({
+  checked: products.length,
+  flagged: products.filter(product => product.verification.flags.length > 0).length,
+  averageTrustScore: products.length > 0
+    ? Math.round(products.reduce((sum, product) => sum + product.verification.trustScore, 0) / products.length * 100) / 100
+    : null,
+  minTrustScore,
+  dropped: dropped.map(product => ({
+    name: product.name,
+    trustScore: product.verification.trustScore,
+    flags: product.verification.flags.map(({ code }) => code),
+  })),
+});
@@ -0,0 +1,262 @@
+import { createHash } from 'crypto';
+import dotenv from 'dotenv';
+import { PROMPT_TEMPLATES } from '../config/promptTemplates.js';
+
+dotenv.config();
+
+/**
+ * @typedef {import('../config/promptTemplates.js').PromptTemplate} PromptTemplate
+ */
+
+/**
+ * @typedef {Object} PromptContext
+ * @property {string} [strategy] - Strategy type of the search
+ * @property {string} [category] - Product category of the search
+ * @property {string} [locale] - Locale of the customer (defaults to PROMPT_LOCALE)
+ * @property {number} [version] - Pin this template version (overrides PROMPT_PINS and experiments)
+ * @property {string} [seed] - Stable value deciding the experiment bucket (e.g. the query or a client id)
+ */
+
+/**
+ * @typedef {Object} PromptInfo
+ * @property {string} id - Template id
+ * @property {number} version - Template version
+ * @property {string} strategy - Strategy scope of the chosen template
+ * @property {string} category - Category scope of the chosen template
+ * @property {string} locale - Locale of the chosen template
+ * @property {'latest'|'pinned'|'experiment'} selection - Why this version was chosen
+ */
+
+export const DEFAULT_PROMPT_LOCALE = process.env.PROMPT_LOCALE || 'en';
+
+/**
+ * Parse "id@version,id@version" pins
+ * @param {string} value
+ * @returns {Object<string, number>}
+ */
+const parsePins = (value = '') => Object.fromEntries(value
+  .split(',')
+  .map(pin => pin.trim().split('@'))
+  .filter(([id, version]) => id && version)
+  .map(([id, version]) => [id, parseInt(version, 10)]));
+
+/**
+ * Parse experiments given as JSON: { "product-search": { "1": 50, "2": 50 } }
+ * @param {string} value
+ * @returns {Object<string, Object<string, number>>}
+ */
+const parseExperiments = (value) => {
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    console.warn('⚠️ PROMPT_EXPERIMENTS is not valid JSON, ignoring it');
+    return {};
+  }
+};
+
+const templates = [];
+const pins = parsePins(process.env.PROMPT_PINS);
+const experiments = parseExperiments(process.env.PROMPT_EXPERIMENTS);
+
+/**
+ * Add a template to the registry
+ * @param {PromptTemplate} template
+ */
+export const registerPromptTemplate = (template) => {
+  if (!template?.id || typeof template.template !== 'string') {
+    throw new Error('Prompt template id and template text are required');
+  }
+
+  if (!Number.isInteger(template.version) || template.version < 1) {
+    throw new Error(`Prompt template ${template.id} needs a positive integer version`);
+  }
+
+  const normalized = { strategy: '*', category: '*', locale: '*', description: '', ...template };
+  const duplicate = templates.some(existing => existing.id === normalized.id
+    && existing.version === normalized.version
+    && existing.strategy === normalized.strategy
+    && existing.category === normalized.category
+    && existing.locale === normalized.locale);
+
+  if (duplicate) {
+    throw new Error(`Prompt template ${normalized.id}@${normalized.version} is already registered for this scope`);
+  }
+
+  templates.push(normalized);
+};
+
+PROMPT_TEMPLATES.forEach(registerPromptTemplate);
+
+/**
+ * List registered templates with the current pins and experiments
+ * @returns {{ templates: PromptTemplate[]; pins: Object<string, number>; experiments: Object<string, Object<string, number>> }}
+ */
+export const listPromptTemplates = () => ({
+  templates: templates.map(template => ({ ...template })),
+  pins: { ...pins },
+  experiments: JSON.parse(JSON.stringify(experiments)),
+});
+
+/**
+ * Pin a template id to one version for every request, or remove the pin with null
+ * @param {string} id
+ * @param {number|null} version
+ */
+export const setPromptPin = (id, version) => {
+  if (version === null) {
+    delete pins[id];
+  } else {
+    pins[id] = version;
+  }
+};
+
+/**
+ * Split traffic for a template id between versions, or end the experiment with null
+ * @param {string} id
+ * @param {Object<string, number>|null} weights - Relative weight per version, e.g. { 1: 90, 2: 10 }
+ */
+export const setPromptExperiment = (id, weights) => {
+  if (weights === null) {
+    delete experiments[id];
+  } else {
+    experiments[id] = weights;
+  }
+};
+
+const scopeMatches = (scope, value) => scope === '*' || (value !== undefined && scope.toLowerCase() === String(value).toLowerCase());
+
+const localeMatches = (scope, locale) => scope === '*'
+  || scope.toLowerCase() === locale.toLowerCase()
+  || scope.toLowerCase() === locale.split('-')[0].toLowerCase();
+
+/**
+ * More specific scopes win: strategy over category over locale
+ */
+const specificity = (template, locale) => (template.strategy !== '*' ? 4 : 0)
+  + (template.category !== '*' ? 2 : 0)
+  + (template.locale.toLowerCase() === locale.toLowerCase() ? 1 : template.locale !== '*' ? 0.5 : 0);
+
+const mostSpecific = (candidates, locale) => [...candidates]
+  .sort((a, b) => (specificity(b, locale) - specificity(a, locale)) || (b.version - a.version))[0];
+
+/**
+ * Pick a version from experiment weights, deterministically for a given seed
+ * @returns {number|null}
+ */
+const pickExperimentVersion = (weights, seed, availableVersions) => {
+  const entries = Object.entries(weights)
+    .map(([version, weight]) => [parseInt(version, 10), Number(weight)])
+    .filter(([version, weight]) => availableVersions.includes(version) && weight > 0);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  if (total === 0) return null;
+
+  const bucket = parseInt(createHash('sha256').update(String(seed)).digest('hex').slice(0, 8), 16) % total;
+  let cumulative = 0;
+  for (const [version, weight] of entries) {
+    cumulative += weight;
+    if (bucket < cumulative) return version;
+  }
+  return entries[entries.length - 1][0];
+};
+
+/**
+ * Choose the template version to use for a request
+ * @param {string} id
+ * @param {PromptContext} [context]
+ * @returns {{ template: PromptTemplate; selection: PromptInfo['selection'] }}
+ */
+export const selectPromptTemplate = (id, context = {}) => {
+  const locale = context.locale || DEFAULT_PROMPT_LOCALE;
+  const candidates = templates.filter(template => template.id === id
+    && scopeMatches(template.strategy, context.strategy)
+    && scopeMatches(template.category, context.category)
+    && localeMatches(template.locale, locale));
+
+  if (candidates.length === 0) {
+    throw new Error(`No prompt template "${id}" for strategy=${context.strategy || '*'}, category=${context.category || '*'}, locale=${locale}`);
+  }
+
+  const pinnedVersion = context.version ?? pins[id];
+  if (pinnedVersion !== undefined) {
+    const pinned = candidates.filter(template => template.version === pinnedVersion);
+    if (pinned.length === 0) {
+      throw new Error(`Prompt template ${id}@${pinnedVersion} does not exist for locale ${locale}`);
+    }
+    return { template: mostSpecific(pinned, locale), selection: 'pinned' };
+  }
+
+  if (experiments[id]) {
+    const version = pickExperimentVersion(experiments[id], context.seed ?? '', [...new Set(candidates.map(template => template.version))]);
+    if (version !== null) {
+      return {
+        template: mostSpecific(candidates.filter(template => template.version === version), locale),
+        selection: 'experiment'
+      };
+    }
+  }
+
+  return { template: mostSpecific(candidates, locale), selection: 'latest' };
+};
+
+/**
+ * Make a value safe to place inside a prompt: one line, quotes and backslashes escaped, no control characters
+ * @param {any} value
+ * @returns {string}
+ */
+export const escapePromptValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(escapePromptValue).join(', ');
+  }
+
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/[\r\n\t]+/g, ' ')
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .replace(/\{\{/g, '{ {')
+    .trim();
+};
+
+const hasValue = (value) => value !== undefined && value !== null && value !== ''
+  && !(Array.isArray(value) && value.length === 0);
+
+/**
+ * Fill a template's placeholders
+ * @param {PromptTemplate} template
+ * @param {Object<string, any>} variables
+ * @returns {string}
+ */
+const interpolate = (template, variables) => template.template
+  .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, name, body) => (hasValue(variables[name]) ? body : ''))
+  .replace(/\{\{\{(\w+)\}\}\}|\{\{(\w+)\}\}/g, (_, rawName, name) => {
+    const key = rawName || name;
+    if (!(key in variables)) {
+      throw new Error(`Prompt template ${template.id}@${template.version} uses unknown variable "${key}"`);
+    }
+    return rawName ? String(variables[key] ?? '') : escapePromptValue(variables[key]);
+  });
+
+/**
+ * Select a template and render it
+ * @param {string} id
+ * @param {Object<string, any>} variables
+ * @param {PromptContext} [context]
+ * @returns {{ text: string; prompt: PromptInfo }}
+ */
+export const renderPrompt = (id, variables, context = {}) => {
+  const { template, selection } = selectPromptTemplate(id, context);
+
+  return {
+    text: interpolate(template, variables),
+    prompt: {
+      id: template.id,
+      version: template.version,
+      strategy: template.strategy,
+      category: template.category,
+      locale: template.locale,
+      selection
+    }
+  };
+};
@@ -1,23 +1,81 @@
-import { ShoppingStrategy, RecommendationRequest, Recommendation } from '../types/strategy';
+import dotenv from 'dotenv';
+import { ShoppingStrategy, RecommendationRequest, Recommendation, ScoringFactor, StrategyWeights, PreferenceMode, FactorScore } from '../types/strategy';
+import { AspectSentiment, CommentAnalysis } from '../types/comment';
+import { Product } from '../types/product';
 import { getCommentAnalysis } from './commentAnalysisService';
-import { getProductById } from './productService';
+import { getProductById, searchProducts } from './productService';
+import { getShoppingStrategy } from './strategyService.js';
+import { matchesAnyBrand, brandMatches, canonicalBrand } from './brandNormalizer.js';
+import { CURRENCY_CONFIG, convertAmount, formatAmount, getExchangeRates, normalizeCurrency } from './currencyService.js';
 
+dotenv.config();
+
+type ExchangeRates = Awaited<ReturnType<typeof getExchangeRates>>;
+
+/**
+ * Recommendation configuration, read from the environment
+ */
+export const RECOMMENDATION_CONFIG = {
+  // How user preferences apply when a request does not say: 'hard' drops products that break one,
+  // 'soft' keeps them and adjusts their score
+  preferenceMode: (process.env.RECOMMENDATION_PREFERENCE_MODE || 'soft') as PreferenceMode,
+  // Score added for a preferred brand and removed per broken preference in soft mode
+  preferenceBonus: parseFloat(process.env.RECOMMENDATION_PREFERENCE_BONUS || '0.1'),
+  preferencePenalty: parseFloat(process.env.RECOMMENDATION_PREFERENCE_PENALTY || '0.25'),
+  // What prices are ranked against: 'candidates' (the products being compared) or 'category'
+  // (the candidates plus catalog products of the same category)
+  priceReference: (process.env.RECOMMENDATION_PRICE_REFERENCE || 'candidates') as 'candidates' | 'category',
+  // Catalog products loaded per category for the 'category' price reference
+  categorySampleSize: parseInt(process.env.RECOMMENDATION_CATEGORY_SAMPLE || '100', 10),
+};
+
+// Price percentile from which reasoning calls a product affordable, and value score from which it calls it
+// excellent value; below them the price is stated without praise
+const STRONG_PRICE_SCORE = 0.75;
+const STRONG_VALUE_SCORE = 0.75;
+
+/**
+ * Score and rank products under a strategy. `weights` replaces the strategy's weights for this call
+ * and must already be valid (see validateStrategyWeights).
+ */
 export const generateRecommendations = async (
   productIds: string[], 
   strategy: ShoppingStrategy, 
-  userPreferences?: RecommendationRequest['userPreferences']
+  userPreferences?: RecommendationRequest['userPreferences'],
+  weights?: StrategyWeights
 ): Promise<Recommendation[]> => {
   
+  const { data: definition, error } = await getShoppingStrategy(strategy);
+  if (error) throw error;
+  if (!definition) throw new Error(`Unknown shopping strategy "${strategy}"`);
+  
+  const effectiveWeights: StrategyWeights = weights || definition.weights;
+  
   const recommendations: Recommendation[] = [];
+  const candidates: { product: Product; commentAnalysis: CommentAnalysis }[] = [];
   
   for (const productId of productIds) {
     const product = await getProductById(productId);
     const commentAnalysis = await getCommentAnalysis(productId);
     
-    if (!product || !commentAnalysis) continue;
+    if (product && commentAnalysis) {
+      candidates.push({ product, commentAnalysis });
+    }
+  }
+  
+  const context = await buildCandidateContext(candidates);
+  
+  for (const { product, commentAnalysis } of candidates) {
+    const productId = product.id;
+    
+    const preferences = checkPreferences(product, commentAnalysis, userPreferences, context.rates);
+    const mode = userPreferences?.mode || RECOMMENDATION_CONFIG.preferenceMode;
+    if (mode === 'hard' && (preferences.broken.length > 0 || preferences.unmatchedBrand)) continue;
     
-    const score = calculateStrategyScore(product, commentAnalysis, strategy);
-    const reasoning = generateReasoning(product, commentAnalysis, strategy);
+    const factors = scoreFactors(product, commentAnalysis, context, effectiveWeights);
+    const strategyScore = Math.round(factors.reduce((sum, entry) => sum + entry.contribution, 0) * 100) / 100;
+    const score = mode === 'soft' ? adjustForPreferences(strategyScore, preferences) : strategyScore;
+    const reasoning = [...preferences.met, ...preferences.broken, ...generateReasoning(product, commentAnalysis, context, effectiveWeights)];
     const pros = generatePros(commentAnalysis);
     const cons = generateCons(commentAnalysis);
     
@@ -26,9 +84,14 @@ export const generateRecommendations = async (
       score,
       ranking: 0, // Will be set after sorting
       reasoning,
-      confidence: calculateConfidence(commentAnalysis),
+      confidence: calculateConfidence(commentAnalysis, context),
       pros,
-      cons
+      cons,
+      scoreBreakdown: {
+        weightsSource: weights ? 'request' : 'strategy',
+        factors,
+        preferenceAdjustment: Math.round((score - strategyScore) * 100) / 100
+      }
     });
   }
   
@@ -41,92 +104,329 @@ export const generateRecommendations = async (
   return recommendations;
 };
 
-const calculateStrategyScore = (product: any, analysis: any, strategy: ShoppingStrategy): number => {
-  switch (strategy) {
-    case 'fancy':
-      return calculateFancyScore(product, analysis);
-    case 'cost-effective':
-      return calculateCostEffectiveScore(product, analysis);
-    case 'price-priority':
-      return calculatePricePriorityScore(product, analysis);
-    default:
-      return 0;
+export interface PreferenceCheck {
+  // Reasoning lines for the preferences the product meets and those it breaks
+  met: string[];
+  broken: string[];
+  // Whether preferred brands were given and the product is not one of them. Only hard mode acts on
+  // it: in soft mode other brands simply get no bonus.
+  unmatchedBrand: boolean;
+  preferredBrand: boolean;
+}
+
+/**
+ * Fold text for whole-word matching: lowercase words separated by single spaces, padded with spaces
+ */
+const foldWords = (text: string): string => ` ${text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+
+/**
+ * Excluded keywords found in the product name or in the keywords of its comments
+ */
+const findExcludedKeywords = (product: Product, analysis: CommentAnalysis, excludedKeywords: string[]): { keyword: string; inName: boolean }[] => {
+  const name = foldWords(product.name);
+  const commentKeywords = analysis.topKeywords.map(({ keyword }) => foldWords(keyword));
+
+  return excludedKeywords
+    .map(keyword => foldWords(keyword))
+    .filter(keyword => keyword.trim() && (name.includes(keyword) || commentKeywords.some(entry => entry.includes(keyword))))
+    .map(keyword => ({ keyword: keyword.trim(), inName: name.includes(keyword) }));
+};
+
+/**
+ * Currency a product is priced in; products that do not name one are in the base currency
+ */
+const productCurrency = (product: Product): string => normalizeCurrency(product.currency) || CURRENCY_CONFIG.baseCurrency;
+
+/**
+ * A product's price as shown to the user, with its value in another currency when that is what it was compared in
+ */
+const describePrice = (product: Product, currency: string, converted: number): string => {
+  const price = formatAmount(product.price, productCurrency(product));
+  return currency === productCurrency(product) ? price : `${price} (about ${formatAmount(converted, currency)})`;
+};
+
+/**
+ * Which of the user's preferences a product meets and breaks. The price is converted to the currency of
+ * the price range before it is compared; a price that cannot be converted breaks the range.
+ */
+export const checkPreferences = (
+  product: Product,
+  analysis: CommentAnalysis,
+  preferences: RecommendationRequest['userPreferences'],
+  rates: ExchangeRates
+): PreferenceCheck => {
+  const check: PreferenceCheck = { met: [], broken: [], unmatchedBrand: false, preferredBrand: false };
+  if (!preferences) return check;
+
+  const { priceRange, preferredBrands, excludedKeywords } = preferences;
+
+  if (priceRange) {
+    const currency = normalizeCurrency(priceRange.currency) || CURRENCY_CONFIG.baseCurrency;
+    const range = `${formatAmount(priceRange.min, currency)}-${formatAmount(priceRange.max, currency)}`;
+    const price = convertAmount(product.price, productCurrency(product), currency, rates);
+
+    if (price === null) {
+      check.broken.push(`Price in ${productCurrency(product)} cannot be compared with your price range (${range})`);
+    } else if (price > priceRange.max) {
+      check.broken.push(`Above your price range (${range}) at ${describePrice(product, currency, price)}`);
+    } else if (price < priceRange.min) {
+      check.broken.push(`Below your price range (${range}) at ${describePrice(product, currency, price)}`);
+    } else {
+      check.met.push(`Within your price range (${range}) at ${describePrice(product, currency, price)}`);
+    }
+  }
+
+  if (preferredBrands?.length) {
+    check.preferredBrand = matchesAnyBrand(product.brand, preferredBrands);
+    check.unmatchedBrand = !check.preferredBrand;
+    if (check.preferredBrand) {
+      check.met.push(`From a brand you prefer: ${product.brand}`);
+    }
+  }
+
+  for (const { keyword, inName } of findExcludedKeywords(product, analysis, excludedKeywords || [])) {
+    check.broken.push(inName
+      ? `Product name contains excluded keyword "${keyword}"`
+      : `Reviews mention excluded keyword "${keyword}"`);
   }
+
+  return check;
 };
 
-const calculateFancyScore = (product: any, analysis: any): number => {
-  let score = 0;
-  
-  // Brand reputation (30%)
-  const brandScore = getBrandScore(product.brand);
-  score += brandScore * 0.3;
-  
-  // Premium features (25%)
-  const premiumScore = countKeywordMentions(analysis.topKeywords, ['premium', 'luxury', 'high-end', 'premium quality']) / 100;
-  score += Math.min(premiumScore, 1) * 0.25;
-  
-  // Quality indicators (25%)
-  const qualityScore = analysis.qualityIndicators.length > 0 ? analysis.qualityIndicators[0].mentions / 500 : 0;
-  score += Math.min(qualityScore, 1) * 0.25;
-  
-  // Design/aesthetic mentions (20%)
-  const designScore = countKeywordMentions(analysis.topKeywords, ['design', 'beautiful', 'elegant', 'stylish']) / 100;
-  score += Math.min(designScore, 1) * 0.2;
-  
-  return Math.round(score * 100) / 100;
+/**
+ * Soft mode: a bonus for a preferred brand and a penalty per broken preference, kept within 0..1
+ */
+export const adjustForPreferences = (score: number, preferences: PreferenceCheck): number => {
+  const adjusted = score
+    + (preferences.preferredBrand ? RECOMMENDATION_CONFIG.preferenceBonus : 0)
+    - preferences.broken.length * RECOMMENDATION_CONFIG.preferencePenalty;
+
+  return Math.round(Math.min(1, Math.max(0, adjusted)) * 100) / 100;
 };
 
-const calculateCostEffectiveScore = (product: any, analysis: any): number => {
-  let score = 0;
-  
-  // Value-for-money ratio (40%)
-  const priceScore = Math.max(0, (2000 - product.price) / 2000); // Cheaper is better, but not too cheap
-  const qualityScore = analysis.averageRating / 5;
-  const valueScore = (priceScore + qualityScore) / 2;
-  score += valueScore * 0.4;
-  
-  // Durability mentions (30%)
-  const durabilityScore = countKeywordMentions(analysis.topKeywords, ['durable', 'long-lasting', 'reliable', 'sturdy']) / 100;
-  score += Math.min(durabilityScore, 1) * 0.3;
-  
-  // "Worth it" mentions (20%)
-  const worthItScore = countKeywordMentions(analysis.topKeywords, ['worth it', 'good value', 'great value', 'worth every penny']) / 50;
-  score += Math.min(worthItScore, 1) * 0.2;
-  
-  // Long-term satisfaction (10%)
-  const longTermScore = analysis.sentimentDistribution.positive / analysis.totalComments;
-  score += longTermScore * 0.1;
-  
-  return Math.round(score * 100) / 100;
+/**
+ * Values each candidate's price, rating and review volume are ranked against, so scores mean the same
+ * for $20 headphones and $3000 laptops. Prices are in the base currency.
+ */
+export interface CandidateContext {
+  prices: number[];
+  // Catalog prices by category, used with the 'category' price reference
+  categoryPrices: Map<string, number[]>;
+  ratings: number[];
+  reviewVolumes: number[];
+  rates: ExchangeRates;
+}
+
+/**
+ * Number of comments that count as reviews, leaving out those flagged as suspicious
+ */
+const authenticReviews = (analysis: CommentAnalysis): number =>
+  analysis.totalComments - (analysis.authenticity?.flaggedComments ?? 0);
+
+/**
+ * A product's price in the base currency, or null when its currency has no exchange rate
+ */
+const basePrice = (product: Product, rates: ExchangeRates): number | null =>
+  convertAmount(product.price, productCurrency(product), CURRENCY_CONFIG.baseCurrency, rates);
+
+/**
+ * Base currency prices of products, leaving out those that cannot be converted
+ */
+const basePrices = (products: Product[], rates: ExchangeRates): number[] =>
+  products.map(product => basePrice(product, rates)).filter((price): price is number => price !== null);
+
+export const buildCandidateContext = async (candidates: { product: Product; commentAnalysis: CommentAnalysis }[]): Promise<CandidateContext> => {
+  const rates = await getExchangeRates();
+  const categoryPrices = new Map<string, number[]>();
+
+  if (RECOMMENDATION_CONFIG.priceReference === 'category') {
+    for (const category of new Set(candidates.map(({ product }) => product.category))) {
+      const { products } = await searchProducts({ query: '', category, limit: RECOMMENDATION_CONFIG.categorySampleSize });
+      const candidateIds = new Set(candidates.map(({ product }) => product.id));
+      categoryPrices.set(category, basePrices(products.filter(product => !candidateIds.has(product.id)), rates));
+    }
+  }
+
+  return {
+    prices: basePrices(candidates.map(({ product }) => product), rates),
+    categoryPrices,
+    ratings: candidates.map(({ commentAnalysis }) => commentAnalysis.averageRating),
+    reviewVolumes: candidates.map(({ commentAnalysis }) => authenticReviews(commentAnalysis)),
+    rates
+  };
 };
 
-const calculatePricePriorityScore = (product: any, analysis: any): number => {
-  let score = 0;
-  
-  // Price competitiveness (50%)
-  const priceScore = Math.max(0, (1500 - product.price) / 1500); // Lower price = higher score
-  score += priceScore * 0.5;
-  
-  // Basic quality threshold (30%)
-  const qualityScore = analysis.averageRating >= 4.0 ? 1 : analysis.averageRating / 4.0;
-  score += qualityScore * 0.3;
-  
-  // Avoid concerning issues (20%)
-  const issueScore = 1 - (analysis.commonIssues.length / 10); // Fewer issues = higher score
-  score += Math.max(0, issueScore) * 0.2;
-  
-  return Math.round(score * 100) / 100;
+/**
+ * Position of a value among reference values that include it, from 0 (lowest) to 1 (highest). Ties
+ * share the middle of their positions, and a value with nothing to compare against sits at 0.5.
+ */
+export const percentileRank = (value: number, references: number[]): number => {
+  if (references.length <= 1) return 0.5;
+
+  const below = references.filter(reference => reference < value).length;
+  const equal = references.filter(reference => reference === value).length;
+  return (below + (equal - 1) / 2) / (references.length - 1);
+};
+
+/**
+ * Prices a product is ranked against, its own included
+ */
+const priceReferences = (product: Product, context: CandidateContext): number[] =>
+  [...context.prices, ...(context.categoryPrices.get(product.category) || [])];
+
+/**
+ * 1 for the cheapest product of the reference prices, 0 for the most expensive, compared in the base currency.
+ * A price that cannot be converted sits at 0.5.
+ */
+export const lowPriceScore = (product: Product, context: CandidateContext): number => {
+  const price = basePrice(product, context.rates);
+  return price === null ? 0.5 : 1 - percentileRank(price, priceReferences(product, context));
+};
+
+const ratingScore = (analysis: CommentAnalysis, context: CandidateContext): number =>
+  percentileRank(analysis.averageRating, context.ratings);
+
+const priceComparison = (product: Product, context: CandidateContext): string => {
+  const price = formatAmount(product.price, productCurrency(product));
+  const count = priceReferences(product, context).length - 1;
+  if (basePrice(product, context.rates) === null || count === 0) return `at ${price}`;
+
+  const cheaperThan = Math.round(lowPriceScore(product, context) * 100);
+  return `at ${price}, cheaper than ${cheaperThan}% of the ${count} compared product${count === 1 ? '' : 's'}`;
 };
 
+const valueScore = (product: Product, analysis: CommentAnalysis, context: CandidateContext): number =>
+  (lowPriceScore(product, context) + ratingScore(analysis, context)) / 2;
+
+interface ScoringFactorRule {
+  // Score from 0 to 1
+  score: (product: any, analysis: any, context: CandidateContext) => number;
+  // Reasoning line shown when the factor weighs heavily in the strategy
+  reason: (product: any, analysis: any, context: CandidateContext) => string;
+}
+
+const SCORING_FACTOR_RULES: Record<ScoringFactor, ScoringFactorRule> = {
+  brandReputation: {
+    score: (product) => getBrandScore(product.brand),
+    reason: (product) => `Premium brand reputation: ${product.brand}`
+  },
+  premiumFeatures: {
+    score: (product, analysis) => Math.min(countKeywordMentions(analysis.topKeywords, ['premium', 'luxury', 'high-end', 'premium quality']) / 100, 1),
+    reason: () => `Premium features highlighted by users`
+  },
+  qualityIndicators: {
+    score: (product, analysis) => aspectScore(analysis, ['build'])
+      ?? Math.min(analysis.qualityIndicators.length > 0 ? analysis.qualityIndicators[0].mentions / 500 : 0, 1),
+    reason: (product, analysis) => aspectReason(analysis, ['build'])
+      ?? `High-quality build with ${analysis.qualityIndicators[0]?.mentions || 0} positive mentions`
+  },
+  designAesthetics: {
+    score: (product, analysis) => aspectScore(analysis, ['design'])
+      ?? Math.min(countKeywordMentions(analysis.topKeywords, ['design', 'beautiful', 'elegant', 'stylish']) / 100, 1),
+    reason: (product, analysis) => aspectReason(analysis, ['design']) ?? `Elegant design praised by users`
+  },
+  valueRatio: {
+    score: (product, analysis, context) => valueScore(product, analysis, context),
+    reason: (product, analysis, context) => `${valueScore(product, analysis, context) >= STRONG_VALUE_SCORE ? 'Excellent value' : 'Priced'} ${priceComparison(product, context)}, with a ${analysis.averageRating}/5 rating`
+  },
+  durability: {
+    score: (product, analysis) => aspectScore(analysis, ['durability', 'build'])
+      ?? Math.min(countKeywordMentions(analysis.topKeywords, ['durable', 'long-lasting', 'reliable', 'sturdy']) / 100, 1),
+    reason: (product, analysis) => aspectReason(analysis, ['durability', 'build']) ?? `Durable and reliable based on user feedback`
+  },
+  worthItMentions: {
+    score: (product, analysis) => Math.min(countKeywordMentions(analysis.topKeywords, ['worth it', 'good value', 'great value', 'worth every penny']) / 50, 1),
+    reason: () => `Worth the investment for long-term use`
+  },
+  longTermSatisfaction: {
+    score: (product, analysis) => positiveShare(analysis),
+    reason: (product, analysis) => `${Math.round(positiveShare(analysis) * 100)}% of reviews are positive`
+  },
+  priceCompetitiveness: {
+    score: (product, analysis, context) => lowPriceScore(product, context),
+    reason: (product, analysis, context) => `${lowPriceScore(product, context) >= STRONG_PRICE_SCORE ? 'Affordable' : 'Priced'} ${priceComparison(product, context)}`
+  },
+  basicQualityThreshold: {
+    score: (product, analysis) => analysis.averageRating >= 4.0 ? 1 : analysis.averageRating / 4.0,
+    reason: (product, analysis) => `Maintains quality with ${analysis.averageRating}/5 rating`
+  },
+  avoidConcerningIssues: {
+    score: (product, analysis) => Math.max(0, 1 - (analysis.commonIssues.length / 10)), // Fewer issues = higher score
+    reason: () => `Few common issues reported by users`
+  }
+};
+
+/**
+ * Score of each weighted factor and its contribution to the recommendation score, largest first.
+ * The recommendation score is the sum of the contributions.
+ */
+const scoreFactors = (product: any, analysis: any, context: CandidateContext, weights: StrategyWeights): FactorScore[] => {
+  return Object.entries(weights)
+    .map(([factor, weight]) => {
+      const score = SCORING_FACTOR_RULES[factor as ScoringFactor].score(product, analysis, context);
+      return {
+        factor: factor as ScoringFactor,
+        weight,
+        score: Math.round(score * 100) / 100,
+        contribution: Math.round(score * weight * 1000) / 1000
+      };
+    })
+    .sort((a, b) => b.contribution - a.contribution);
+};
+
+const BRAND_SCORES: { [key: string]: number } = {
+  'Apple': 0.95,
+  'Samsung': 0.9,
+  'Google': 0.85,
+  'OnePlus': 0.8,
+  'Xiaomi': 0.7
+};
+
+/**
+ * Reputation of a brand from 0 to 1. Aliases and misspellings ("apple inc") score as their canonical brand,
+ * and sub-brands ("Beats", "Redmi") as the brand above them; unknown brands get 0.5.
+ */
 const getBrandScore = (brand: string): number => {
-  const brandScores: { [key: string]: number } = {
-    'Apple': 0.95,
-    'Samsung': 0.9,
-    'Google': 0.85,
-    'OnePlus': 0.8,
-    'Xiaomi': 0.7
-  };
-  return brandScores[brand] || 0.5;
+  const canonical = canonicalBrand(brand);
+  const scored = canonical in BRAND_SCORES
+    ? canonical
+    : Object.keys(BRAND_SCORES).find(name => brandMatches(brand, name));
+  return scored ? BRAND_SCORES[scored] : 0.5;
+};
+
+/**
+ * Sentiment of the reviews mentioning any of the aspects, from 0 to 1, or null when none mention them.
+ * Lets factors use what reviewers said about the aspect rather than how often its keywords appear.
+ */
+const aspectScore = (analysis: CommentAnalysis, aspects: string[]): number | null => {
+  const mentioned = (analysis.aspectSentiment || []).filter(entry => aspects.includes(entry.aspect));
+  const mentions = mentioned.reduce((sum, entry) => sum + entry.mentions, 0);
+  if (mentions === 0) return null;
+
+  return mentioned.reduce((sum, entry) => sum + (entry.score + 1) / 2 * entry.mentions, 0) / mentions;
+};
+
+/**
+ * Reasoning line quoting the most mentioned of the aspects, or null when none are mentioned
+ */
+const aspectReason = (analysis: CommentAnalysis, aspects: string[]): string | null => {
+  const entry: AspectSentiment | undefined = (analysis.aspectSentiment || [])
+    .filter(candidate => aspects.includes(candidate.aspect))
+    .sort((a, b) => b.mentions - a.mentions)[0];
+  if (!entry) return null;
+
+  const aspect = entry.aspect.charAt(0).toUpperCase() + entry.aspect.slice(1);
+  const example = entry.snippets[0] ? `: "${entry.snippets[0]}"` : '';
+  return `${aspect} praised in ${entry.positive} of ${entry.mentions} reviews mentioning it${example}`;
+};
+
+/**
+ * Share of positive comments. Uses the sentiment distribution as its own total, since suspicious
+ * comments are discounted there but still counted in totalComments.
+ */
+const positiveShare = (analysis: CommentAnalysis): number => {
+  const { positive, negative, neutral } = analysis.sentimentDistribution;
+  return positive / (positive + negative + neutral || 1);
 };
 
 const countKeywordMentions = (keywords: { keyword: string; frequency: number }[], targetWords: string[]): number => {
@@ -135,28 +435,15 @@ const countKeywordMentions = (keywords: { keyword: string; frequency: number }[]
     .reduce((sum, k) => sum + k.frequency, 0);
 };
 
-const generateReasoning = (product: any, analysis: any, strategy: ShoppingStrategy): string[] => {
-  const reasoning: string[] = [];
-  
-  switch (strategy) {
-    case 'fancy':
-      reasoning.push(`Premium brand reputation: ${product.brand}`);
-      reasoning.push(`High-quality build with ${analysis.qualityIndicators[0]?.mentions || 0} positive mentions`);
-      reasoning.push(`Elegant design praised by users`);
-      break;
-    case 'cost-effective':
-      reasoning.push(`Excellent value at $${product.price} with ${analysis.averageRating}/5 rating`);
-      reasoning.push(`Durable and reliable based on user feedback`);
-      reasoning.push(`Worth the investment for long-term use`);
-      break;
-    case 'price-priority':
-      reasoning.push(`Most affordable option at $${product.price}`);
-      reasoning.push(`Maintains quality with ${analysis.averageRating}/5 rating`);
-      reasoning.push(`Good basic functionality without premium markup`);
-      break;
-  }
-  
-  return reasoning;
+/**
+ * Explain the ranking through the three most heavily weighted factors
+ */
+const generateReasoning = (product: any, analysis: any, context: CandidateContext, weights: StrategyWeights): string[] => {
+  return Object.entries(weights)
+    .filter(([, weight]) => weight > 0)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, 3)
+    .map(([factor]) => SCORING_FACTOR_RULES[factor as ScoringFactor].reason(product, analysis, context));
 };
 
 const generatePros = (analysis: any): string[] => {
@@ -167,11 +454,22 @@ const generateCons = (analysis: any): string[] => {
   return analysis.commonIssues.slice(0, 2) || ['Minor issues reported'];
 };
 
-const calculateConfidence = (analysis: any): number => {
+/**
+ * Confidence grows with the review volume and the rating. Review volume is ranked against the other
+ * candidates and damped below minReviews, so a handful of reviews never looks solid just because the
+ * alternatives have even fewer. Only comments that look authentic count as reviews, and the result is
+ * scaled by the authenticity score, so a product with many suspicious reviews is not trusted for the
+ * sheer volume of them.
+ */
+const calculateConfidence = (analysis: CommentAnalysis, context: CandidateContext): number => {
   const minReviews = 100;
-  const maxReviews = 1000;
-  const reviewScore = Math.min(analysis.totalComments / maxReviews, 1);
+  // Analyses stored before authenticity checks existed count as fully authentic
+  const authenticityScore = analysis.authenticity?.score ?? 1;
+  const reviews = authenticReviews(analysis);
+  // The least reviewed candidate keeps half the volume score; a lone candidate only has the minimum to meet
+  const volumeRank = context.reviewVolumes.length > 1 ? 0.5 + percentileRank(reviews, context.reviewVolumes) / 2 : 1;
+  const reviewScore = volumeRank * Math.min(reviews / minReviews, 1);
   const ratingScore = analysis.averageRating / 5;
   
-  return Math.round((reviewScore * 0.6 + ratingScore * 0.4) * 100) / 100;
+  return Math.round((reviewScore * 0.6 + ratingScore * 0.4) * authenticityScore * 100) / 100;
 };
\ No newline at end of file
@@ -0,0 +1,156 @@
+import dotenv from 'dotenv';
+import { AuthenticityFlag, ReviewAuthenticity } from '../types/comment';
+import { PROMOTIONAL_PHRASES } from '../config/commentLexicon.js';
+
+dotenv.config();
+
+/**
+ * Review authenticity configuration, read from the environment
+ */
+export const REVIEW_AUTHENTICITY_CONFIG = {
+  // Word-trigram overlap (Jaccard) from which two comments count as near-duplicates
+  duplicateThreshold: parseFloat(process.env.REVIEW_DUPLICATE_THRESHOLD || '0.8'),
+  burstWindowHours: parseFloat(process.env.REVIEW_BURST_WINDOW_HOURS || '24'),
+  // A window is a burst when it holds at least this many comments...
+  burstMinComments: parseInt(process.env.REVIEW_BURST_MIN_COMMENTS || '5', 10),
+  // ...and this many times the product's average for a window of that length
+  burstFactor: parseFloat(process.env.REVIEW_BURST_FACTOR || '3'),
+  // How much a flagged comment counts in the analysis, from 0 (ignored) to 1 (counted in full)
+  flaggedWeight: parseFloat(process.env.REVIEW_FLAGGED_WEIGHT || '0.2'),
+};
+
+// Comments shorter than this are too generic to call duplicates ("great product")
+const MIN_DUPLICATE_WORDS = 4;
+// A 1 or 5 star rating with fewer words than this has no content to back it
+const MIN_CONTENT_WORDS = 3;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export interface ReviewForAuthenticity {
+  // Position of the comment in the submitted list, reported back with its flags
+  index: number;
+  text: string;
+  // Cleaned words of the comment
+  tokens: string[];
+  rating: number | null;
+  createdAt: Date | null;
+}
+
+const shinglesOf = (tokens: string[]): Set<string> => {
+  const shingles = new Set<string>();
+  for (let index = 0; index + 3 <= tokens.length; index++) {
+    shingles.add(tokens.slice(index, index + 3).join(' '));
+  }
+  return shingles;
+};
+
+const jaccard = (a: Set<string>, b: Set<string>): number => {
+  let shared = 0;
+  a.forEach(shingle => {
+    if (b.has(shingle)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Comments whose wording largely repeats an earlier comment. The earliest of each group is left
+ * unflagged, since it may be the genuine review the others copy.
+ */
+const findNearDuplicates = (reviews: ReviewForAuthenticity[]): Set<number> => {
+  const { duplicateThreshold } = REVIEW_AUTHENTICITY_CONFIG;
+  const shingles = reviews.map(review => review.tokens.length >= MIN_DUPLICATE_WORDS ? shinglesOf(review.tokens) : null);
+  const duplicates = new Set<number>();
+
+  shingles.forEach((current, position) => {
+    if (!current) return;
+
+    const copies = shingles.slice(0, position).some(earlier => earlier
+      // Sets too different in size cannot reach the threshold
+      && Math.min(earlier.size, current.size) / Math.max(earlier.size, current.size) >= duplicateThreshold
+      && jaccard(earlier, current) >= duplicateThreshold);
+
+    if (copies) duplicates.add(position);
+  });
+
+  return duplicates;
+};
+
+/**
+ * Comments posted inside a window that holds far more comments than the product's average rate
+ */
+const findBursts = (reviews: ReviewForAuthenticity[]): Set<number> => {
+  const { burstWindowHours, burstMinComments, burstFactor } = REVIEW_AUTHENTICITY_CONFIG;
+  const dated = reviews
+    .map((review, position) => ({ position, time: review.createdAt?.getTime() }))
+    .filter((entry): entry is { position: number; time: number } => Number.isFinite(entry.time))
+    .sort((a, b) => a.time - b.time);
+  const bursts = new Set<number>();
+
+  if (dated.length < burstMinComments) return bursts;
+
+  const windowMs = burstWindowHours * HOUR_MS;
+  const spanMs = Math.max(dated[dated.length - 1].time - dated[0].time, windowMs);
+  const threshold = Math.max(burstMinComments, burstFactor * dated.length * windowMs / spanMs);
+
+  let start = 0;
+  dated.forEach((entry, end) => {
+    while (entry.time - dated[start].time > windowMs) start++;
+    if (end - start + 1 >= threshold) {
+      dated.slice(start, end + 1).forEach(({ position }) => bursts.add(position));
+    }
+  });
+
+  return bursts;
+};
+
+const isEmptyExtremeRating = (review: ReviewForAuthenticity): boolean =>
+  (review.rating === 1 || review.rating === 5) && review.tokens.length < MIN_CONTENT_WORDS;
+
+const isPromotional = (review: ReviewForAuthenticity): boolean => {
+  if (/https?:\/\/|www\./i.test(review.text)) return true;
+
+  const text = ` ${review.tokens.join(' ')} `;
+  return PROMOTIONAL_PHRASES.some(phrase => text.includes(` ${phrase} `));
+};
+
+/**
+ * Flag comments that look like review spam: near-duplicate texts, bursts of comments in a short
+ * window, 1 or 5 star ratings with next to no text, and promotional language. The score is the
+ * share of comments left unflagged, from 0 to 1.
+ */
+export const assessReviewAuthenticity = (reviews: ReviewForAuthenticity[]): {
+  flags: AuthenticityFlag[][];
+  authenticity: ReviewAuthenticity;
+} => {
+  const nearDuplicates = findNearDuplicates(reviews);
+  const bursts = findBursts(reviews);
+
+  const flags = reviews.map((review, position) => {
+    const reviewFlags: AuthenticityFlag[] = [];
+    if (nearDuplicates.has(position)) reviewFlags.push('near-duplicate');
+    if (bursts.has(position)) reviewFlags.push('burst');
+    if (isEmptyExtremeRating(review)) reviewFlags.push('empty-extreme-rating');
+    if (isPromotional(review)) reviewFlags.push('promotional');
+    return reviewFlags;
+  });
+
+  const flagged = reviews
+    .map((review, position) => ({ index: review.index, flags: flags[position] }))
+    .filter(entry => entry.flags.length > 0);
+  const flagCounts: Record<AuthenticityFlag, number> = {
+    'near-duplicate': nearDuplicates.size,
+    'burst': bursts.size,
+    'empty-extreme-rating': flags.filter(reviewFlags => reviewFlags.includes('empty-extreme-rating')).length,
+    'promotional': flags.filter(reviewFlags => reviewFlags.includes('promotional')).length
+  };
+
+  return {
+    flags,
+    authenticity: {
+      score: reviews.length > 0 ? Math.round((1 - flagged.length / reviews.length) * 100) / 100 : 1,
+      flaggedComments: flagged.length,
+      flagCounts,
+      flagged
+    }
+  };
+};
@@ -0,0 +1,278 @@
+import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Cache configuration, read from the environment
+ */
+export const SEARCH_CACHE_CONFIG = {
+  store: process.env.SEARCH_CACHE_STORE || 'memory',
+  ttlSeconds: parseInt(process.env.SEARCH_CACHE_TTL_SECONDS || '3600', 10),
+  maxEntries: parseInt(process.env.SEARCH_CACHE_MAX_ENTRIES || '500', 10),
+  filePath: process.env.SEARCH_CACHE_FILE || path.join(process.cwd(), '.cache', 'search-cache.json'),
+};
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} key - Cache key
+ * @property {string} query - Normalized customer query
+ * @property {Object} strategy - Canonicalized strategy
+ * @property {any} value - Cached search result
+ * @property {string} createdAt - ISO timestamp when the entry was stored
+ * @property {string} expiresAt - ISO timestamp after which the entry is stale
+ * @property {number} hits - Number of times the entry was served
+ */
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {(key: string) => CacheEntry|undefined|Promise<CacheEntry|undefined>} get
+ * @property {(key: string, entry: CacheEntry) => void|Promise<void>} set
+ * @property {(key: string) => boolean|Promise<boolean>} delete
+ * @property {() => void|Promise<void>} clear
+ * @property {() => CacheEntry[]|Promise<CacheEntry[]>} entries
+ */
+
+/**
+ * In-memory LRU store. Map iteration order doubles as recency order.
+ * @param {{ maxEntries?: number }} [options]
+ * @returns {CacheStore}
+ */
+export const createMemoryCacheStore = ({ maxEntries = SEARCH_CACHE_CONFIG.maxEntries } = {}) => {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (entry) {
+        entries.delete(key);
+        entries.set(key, entry);
+      }
+      return entry;
+    },
+    set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete(key) {
+      return entries.delete(key);
+    },
+    clear() {
+      entries.clear();
+    },
+    entries() {
+      return [...entries.values()];
+    },
+  };
+};
+
+/**
+ * Persistent store backed by a JSON file, layered over the in-memory LRU
+ * @param {{ filePath?: string; maxEntries?: number }} [options]
+ * @returns {CacheStore}
+ */
+export const createFileCacheStore = ({ filePath = SEARCH_CACHE_CONFIG.filePath, maxEntries = SEARCH_CACHE_CONFIG.maxEntries } = {}) => {
+  const memory = createMemoryCacheStore({ maxEntries });
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    saved.forEach(entry => memory.set(entry.key, entry));
+  } catch {
+    // No cache file yet
+  }
+
+  const persist = async () => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify(memory.entries()));
+  };
+
+  return {
+    get: (key) => memory.get(key),
+    async set(key, entry) {
+      memory.set(key, entry);
+      await persist();
+    },
+    async delete(key) {
+      const deleted = memory.delete(key);
+      await persist();
+      return deleted;
+    },
+    async clear() {
+      memory.clear();
+      await persist();
+    },
+    entries: () => memory.entries(),
+  };
+};
+
+const createConfiguredStore = () => {
+  switch (SEARCH_CACHE_CONFIG.store) {
+    case 'file':
+      return createFileCacheStore();
+    case 'memory':
+      return createMemoryCacheStore();
+    default:
+      throw new Error(`Unknown search cache store "${SEARCH_CACHE_CONFIG.store}". Use "memory" or "file".`);
+  }
+};
+
+let cacheStore = null;
+const stats = { hits: 0, misses: 0, writes: 0 };
+
+const getStore = () => {
+  if (!cacheStore) {
+    cacheStore = createConfiguredStore();
+  }
+  return cacheStore;
+};
+
+/**
+ * Replace the backing store (e.g. with a Redis or database implementation)
+ * @param {CacheStore} store
+ */
+export const setSearchCacheStore = (store) => {
+  cacheStore = store;
+};
+
+/**
+ * Normalize a customer query so trivially different phrasings share a cache entry
+ * @param {string} query
+ * @returns {string}
+ */
+export const normalizeQuery = (query) => query
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}$.\s-]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Canonicalize a strategy: drop empty values, fold and sort brand lists, sort keys
+ * @param {Object} strategy
+ * @returns {Object}
+ */
+export const canonicalizeStrategy = (strategy = {}) => {
+  const canonical = {};
+
+  for (const key of Object.keys(strategy).sort()) {
+    const value = strategy[key];
+
+    if (value === undefined || value === null || value === '') continue;
+
+    if (Array.isArray(value)) {
+      if (value.length === 0) continue;
+      canonical[key] = [...new Set(value.map(item => String(item).trim().toLowerCase()))].sort();
+    } else {
+      canonical[key] = value;
+    }
+  }
+
+  return canonical;
+};
+
+/**
+ * Build the cache key for a search
+ * @param {string} query - Customer input
+ * @param {Object} strategy - Search strategy
+ * @param {Object} [scope] - Anything else that changes the result (e.g. provider name)
+ * @returns {string}
+ */
+export const buildSearchCacheKey = (query, strategy, scope = {}) => {
+  const material = JSON.stringify([normalizeQuery(query), canonicalizeStrategy(strategy), canonicalizeStrategy(scope)]);
+  return `search:${createHash('sha256').update(material).digest('hex').slice(0, 32)}`;
+};
+
+/**
+ * Look up a cached search
+ * @param {string} key
+ * @param {{ allowStale?: boolean }} [options] - Return expired entries too (for degraded fallbacks)
+ * @returns {Promise<{ entry: CacheEntry; stale: boolean }|null>}
+ */
+export const getCachedSearch = async (key, { allowStale = false } = {}) => {
+  const entry = await getStore().get(key);
+
+  if (!entry) {
+    stats.misses++;
+    return null;
+  }
+
+  const stale = new Date(entry.expiresAt).getTime() <= Date.now();
+  if (stale && !allowStale) {
+    stats.misses++;
+    return null;
+  }
+
+  stats.hits++;
+  entry.hits = (entry.hits || 0) + 1;
+  return { entry, stale };
+};
+
+/**
+ * Store a search result
+ * @param {string} key
+ * @param {{ query: string; strategy: Object; value: any; ttlSeconds?: number }} data
+ * @returns {Promise<CacheEntry>}
+ */
+export const setCachedSearch = async (key, { query, strategy, value, ttlSeconds = SEARCH_CACHE_CONFIG.ttlSeconds }) => {
+  const now = Date.now();
+  const entry = {
+    key,
+    query: normalizeQuery(query),
+    strategy: canonicalizeStrategy(strategy),
+    value,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlSeconds * 1000).toISOString(),
+    hits: 0,
+  };
+
+  await getStore().set(key, entry);
+  stats.writes++;
+  return entry;
+};
+
+/**
+ * List cache entries without their cached payloads
+ * @returns {Promise<Object[]>}
+ */
+export const listCacheEntries = async () => {
+  const entries = await getStore().entries();
+  const now = Date.now();
+
+  return entries.map(({ value, ...entry }) => ({
+    ...entry,
+    productCount: value?.products?.length ?? 0,
+    expired: new Date(entry.expiresAt).getTime() <= now,
+  }));
+};
+
+/**
+ * Purge one entry, or the whole cache when no key is given
+ * @param {string} [key]
+ * @returns {Promise<number>} Number of entries removed
+ */
+export const purgeSearchCache = async (key) => {
+  const store = getStore();
+
+  if (key) {
+    return (await store.delete(key)) ? 1 : 0;
+  }
+
+  const count = (await store.entries()).length;
+  await store.clear();
+  return count;
+};
+
+/**
+ * Hit/miss counters and current size
+ * @returns {Promise<{ hits: number; misses: number; writes: number; size: number; store: string; ttlSeconds: number }>}
+ */
+export const getSearchCacheStats = async () => ({
+  ...stats,
+  size: (await getStore().entries()).length,
+  store: SEARCH_CACHE_CONFIG.store,
+  ttlSeconds: SEARCH_CACHE_CONFIG.ttlSeconds,
+});
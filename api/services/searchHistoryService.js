@@ -0,0 +1,443 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { searchAndStoreProducts } from './geminiProductSearch.js';
+import { generateSearchMetadata } from './geminiDataTransformer.js';
+import { productKeys } from './productIdentity.js';
+import { roundToCurrency } from './currencyService.js';
+
+dotenv.config();
+
+/**
+ * Search history configuration, read from the environment
+ */
+export const SEARCH_HISTORY_CONFIG = {
+  store: process.env.SEARCH_HISTORY_STORE || 'memory',
+  filePath: process.env.SEARCH_HISTORY_FILE || path.join(process.cwd(), '.data', 'searches.json'),
+};
+
+/**
+ * @typedef {Object} SearchResultItem
+ * @property {string|null} productId - Catalog id of the product, when it was stored
+ * @property {string} name
+ * @property {string} brand
+ * @property {string} category
+ * @property {number} price - Price when the search ran
+ * @property {string} currency - ISO 4217 code of the price
+ * @property {number} rating
+ * @property {number} reviewCount
+ * @property {string} productUrl
+ * @property {string} sourcePlatform
+ */
+
+/**
+ * @typedef {Object} SearchRecord
+ * @property {string} id - The searchId of the search metadata
+ * @property {string} query - Customer input
+ * @property {import('./geminiProductSearch.js').SearchStrategy} strategy - Strategy as requested, reused by re-runs
+ * @property {{ productCount: number; priceRange: { min: number; max: number; average: number }|null; brandCount: number; categoryCount: number }} metadata
+ * @property {string|null} provider - LLM provider that answered
+ * @property {string|null} model - Model that answered
+ * @property {import('./promptRegistry.js').PromptInfo|null} prompt - Prompt template id, version and how it was selected
+ * @property {SearchResultItem[]} products - Products returned, in ranked order
+ * @property {string[]} productIds - Catalog ids of the stored products
+ * @property {string|null} clientId - API client that ran the search
+ * @property {boolean} degraded - Results came from a fallback because the provider was unavailable
+ * @property {string|null} rerunOf - Search this one re-ran
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} SearchDiff
+ * @property {Array<SearchResultItem & { rank: number }>} added - Products only the new results have
+ * @property {Array<SearchResultItem & { previousRank: number }>} removed - Products only the original results have
+ * @property {Array<SearchResultItem & { rank: number; previousRank: number; previousPrice: number; previousCurrency: string; previousRating: number; priceChange: number|null }>} changed -
+ * Products in both whose price, currency or rating changed; priceChange is null when the currency changed
+ * @property {number} unchanged - Products in both with the same price and rating
+ */
+
+/**
+ * @typedef {Object} SearchHistoryStore
+ * @property {(id: string) => Promise<SearchRecord|null>} get
+ * @property {(search: SearchRecord) => Promise<void>} save
+ * @property {(options: { limit: number; offset: number; clientId?: string|null }) => Promise<SearchRecord[]>} list - Most recent first,
+ * only the client's searches when a clientId is given
+ */
+
+/**
+ * In-memory store, lost on restart (useful for tests)
+ * @returns {SearchHistoryStore}
+ */
+export const createMemorySearchHistoryStore = () => {
+  const searches = new Map();
+
+  return {
+    async get(id) {
+      return searches.get(id) || null;
+    },
+    async save(search) {
+      searches.set(search.id, search);
+    },
+    async list({ limit, offset, clientId }) {
+      return [...searches.values()]
+        .filter(search => clientId === undefined || search.clientId === clientId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(offset, offset + limit);
+    },
+  };
+};
+
+/**
+ * Store backed by a JSON file, so searches survive restarts without a database
+ * @param {{ filePath?: string }} [options]
+ * @returns {SearchHistoryStore}
+ */
+export const createFileSearchHistoryStore = ({ filePath = SEARCH_HISTORY_CONFIG.filePath } = {}) => {
+  const memory = createMemorySearchHistoryStore();
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    saved.forEach(search => memory.save(search));
+  } catch {
+    // No searches file yet
+  }
+
+  return {
+    get: (id) => memory.get(id),
+    async save(search) {
+      await memory.save(search);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, JSON.stringify(await memory.list({ limit: Infinity, offset: 0 })));
+    },
+    list: (options) => memory.list(options),
+  };
+};
+
+/**
+ * Store backed by the Supabase searches table
+ * @returns {SearchHistoryStore}
+ */
+export const createSupabaseSearchHistoryStore = () => {
+  // Loaded on demand so the other stores never require Supabase to be configured
+  const getClient = async () => (await import('../config/supabase.js')).requireServiceClient('the supabase search history store');
+
+  const toSearch = (row) => ({
+    id: row.id,
+    query: row.query,
+    strategy: row.strategy,
+    metadata: row.metadata,
+    provider: row.provider,
+    model: row.model,
+    prompt: row.prompt,
+    products: row.results || [],
+    productIds: row.product_ids || [],
+    clientId: row.client_id,
+    degraded: row.degraded,
+    rerunOf: row.rerun_of,
+    createdAt: row.created_at,
+  });
+
+  return {
+    async get(id) {
+      const supabase = await getClient();
+      const { data, error } = await supabase.from('searches').select('*').eq('id', id).maybeSingle();
+      if (error) throw new Error(`Database error: ${error.message}`);
+      return data ? toSearch(data) : null;
+    },
+    async save(search) {
+      const supabase = await getClient();
+      const { error } = await supabase.from('searches').upsert({
+        id: search.id,
+        query: search.query,
+        strategy: search.strategy,
+        metadata: search.metadata,
+        provider: search.provider,
+        model: search.model,
+        prompt: search.prompt,
+        results: search.products,
+        product_ids: search.productIds,
+        client_id: search.clientId,
+        degraded: search.degraded,
+        rerun_of: search.rerunOf,
+        created_at: search.createdAt,
+      });
+      if (error) throw new Error(`Database error: ${error.message}`);
+    },
+    async list({ limit, offset, clientId }) {
+      const supabase = await getClient();
+      let query = supabase.from('searches').select('*');
+      if (clientId !== undefined) {
+        query = clientId === null ? query.is('client_id', null) : query.eq('client_id', clientId);
+      }
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+      if (error) throw new Error(`Database error: ${error.message}`);
+      return (data || []).map(toSearch);
+    },
+  };
+};
+
+const createConfiguredStore = () => {
+  switch (SEARCH_HISTORY_CONFIG.store) {
+    case 'supabase':
+      return createSupabaseSearchHistoryStore();
+    case 'file':
+      return createFileSearchHistoryStore();
+    case 'memory':
+      return createMemorySearchHistoryStore();
+    default:
+      throw new Error(`Unknown search history store "${SEARCH_HISTORY_CONFIG.store}". Use "supabase", "file" or "memory".`);
+  }
+};
+
+let searchHistoryStore = null;
+
+const getStore = () => {
+  if (!searchHistoryStore) {
+    searchHistoryStore = createConfiguredStore();
+  }
+  return searchHistoryStore;
+};
+
+/**
+ * Replace the backing store
+ * @param {SearchHistoryStore} store
+ */
+export const setSearchHistoryStore = (store) => {
+  searchHistoryStore = store;
+};
+
+/**
+ * Whether a search was run by the client
+ * @param {SearchRecord|null} search
+ * @param {string|undefined} clientId
+ */
+const ranBy = (search, clientId) => Boolean(search) && search.clientId === (clientId ?? null);
+
+/**
+ * What is kept of a returned product: enough to show and compare it, and its catalog id
+ * @param {import('./geminiProductSearch.js').GeminiProduct & { id?: string }} product
+ * @returns {SearchResultItem}
+ */
+const toResultItem = (product) => ({
+  productId: product.id ?? null,
+  name: product.name,
+  brand: product.brand,
+  category: product.category,
+  price: product.price,
+  currency: product.currency,
+  rating: product.rating,
+  reviewCount: product.reviewCount,
+  productUrl: product.productUrl,
+  sourcePlatform: product.sourcePlatform,
+});
+
+/**
+ * Record a completed search with its metadata and the products it returned
+ * @param {string} customerInput
+ * @param {import('./geminiProductSearch.js').SearchStrategy} strategy - Strategy as requested
+ * @param {{ products: Array<import('./geminiProductSearch.js').GeminiProduct & { id?: string }>; metadata?: Object; degraded?: Object }} result - Result of searchAndStoreProducts
+ * @param {{ clientId?: string; rerunOf?: string }} [options]
+ * @returns {Promise<{ data: SearchRecord|null; error: Error|null }>}
+ */
+export const recordSearch = async (customerInput, strategy, result, { clientId, rerunOf } = {}) => {
+  try {
+    const { searchId, timestamp, query, productCount, priceRange, brandCount, categoryCount } = generateSearchMetadata(customerInput.trim(), strategy.type, result.products);
+    const products = result.products.map(toResultItem);
+
+    const search = {
+      id: searchId,
+      query,
+      strategy,
+      metadata: { productCount, priceRange, brandCount, categoryCount },
+      provider: result.metadata?.provider ?? null,
+      model: result.metadata?.model ?? null,
+      prompt: result.metadata?.prompt ?? null,
+      products,
+      productIds: [...new Set(products.map(product => product.productId).filter(Boolean))],
+      clientId: clientId ?? null,
+      degraded: Boolean(result.degraded),
+      rerunOf: rerunOf ?? null,
+      createdAt: timestamp.toISOString(),
+    };
+
+    await getStore().save(search);
+    console.log(`🗂️ Recorded search ${search.id} with ${products.length} products`);
+
+    return { data: search, error: null };
+  } catch (error) {
+    console.error('Error recording search:', error);
+    return { data: null, error: error instanceof Error ? error : new Error('Unknown error occurred') };
+  }
+};
+
+/**
+ * List the client's searches, most recent first, without their products
+ * @param {{ limit?: number; offset?: number; clientId?: string }} [options]
+ * @returns {Promise<{ data: Object[]; error: Error|null }>}
+ */
+export const listSearches = async ({ limit = 50, offset = 0, clientId } = {}) => {
+  try {
+    const searches = await getStore().list({ limit, offset, clientId: clientId ?? null });
+
+    return {
+      data: searches.map(({ products, productIds, clientId: owner, ...search }) => search),
+      error: null,
+    };
+  } catch (error) {
+    console.error('Error listing searches:', error);
+    return { data: [], error: error instanceof Error ? error : new Error('Unknown error occurred') };
+  }
+};
+
+/**
+ * Get a search of the client with its products. Each product also carries `stored`, the catalog product as it is
+ * now, or null when it was not stored, has been deleted or the catalog cannot be read.
+ * @param {string} searchId
+ * @param {{ clientId?: string }} [options]
+ * @returns {Promise<{ data: (Omit<SearchRecord, 'clientId'> & { products: Array<SearchResultItem & { stored: Object|null }> })|null; error: Error|null }>}
+ */
+export const getSearch = async (searchId, { clientId } = {}) => {
+  try {
+    const found = await getStore().get(searchId);
+
+    if (!ranBy(found, clientId)) {
+      return { data: null, error: null };
+    }
+
+    const { clientId: owner, ...search } = found;
+
+    /** @type {Map<string, Object>} */
+    const storedById = new Map();
+    if (search.productIds.length > 0) {
+      try {
+        // Loaded on demand so searches recorded in the other stores can be read without Supabase
+        const { getProductsByIds } = await import('./supabaseProductService.js');
+        const { data } = await getProductsByIds(search.productIds);
+        data.forEach(product => storedById.set(product.id, product));
+      } catch (error) {
+        console.warn('⚠️ Could not load the stored products of the search:', error.message);
+      }
+    }
+
+    return {
+      data: {
+        ...search,
+        products: search.products.map(product => ({ ...product, stored: storedById.get(product.productId) ?? null })),
+      },
+      error: null,
+    };
+  } catch (error) {
+    console.error('Error fetching search:', error);
+    return { data: null, error: error instanceof Error ? error : new Error('Unknown error occurred') };
+  }
+};
+
+/**
+ * Keys a result is matched on across two runs: its catalog id, its link and its brand, model and variant
+ * @param {SearchResultItem} item
+ * @returns {string[]}
+ */
+const matchKeys = (item) => {
+  const { canonicalKey, urlKey } = productKeys(item);
+  return [item.productId && `id:${item.productId}`, urlKey && `url:${urlKey}`, canonicalKey && `name:${canonicalKey}`].filter(Boolean);
+};
+
+/**
+ * Compare the results of two runs of a search. Products are matched by catalog id, else by link, else by brand,
+ * model and variant; ranks are 1-based.
+ * @param {SearchResultItem[]} before - Results of the original search
+ * @param {SearchResultItem[]} after - Results of the re-run
+ * @returns {SearchDiff}
+ */
+export const diffSearchResults = (before, after) => {
+  /** @type {Map<string, number>} */
+  const beforeByKey = new Map();
+  before.forEach((item, index) => {
+    matchKeys(item).forEach(key => {
+      if (!beforeByKey.has(key)) beforeByKey.set(key, index);
+    });
+  });
+
+  const matched = new Set();
+  const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+
+  after.forEach((item, index) => {
+    const previousIndex = matchKeys(item)
+      .map(key => beforeByKey.get(key))
+      .find(candidate => candidate !== undefined && !matched.has(candidate));
+
+    if (previousIndex === undefined) {
+      diff.added.push({ ...item, rank: index + 1 });
+      return;
+    }
+
+    matched.add(previousIndex);
+    const previous = before[previousIndex];
+    if (previous.price === item.price && previous.currency === item.currency && previous.rating === item.rating) {
+      diff.unchanged++;
+      return;
+    }
+
+    diff.changed.push({
+      ...item,
+      rank: index + 1,
+      previousRank: previousIndex + 1,
+      previousPrice: previous.price,
+      previousCurrency: previous.currency,
+      previousRating: previous.rating,
+      priceChange: previous.currency === item.currency ? roundToCurrency(item.price - previous.price, item.currency) : null,
+    });
+  });
+
+  before.forEach((item, index) => {
+    if (!matched.has(index)) diff.removed.push({ ...item, previousRank: index + 1 });
+  });
+
+  return diff;
+};
+
+/**
+ * Run a search the client recorded again, bypassing the cache, record the new run and compare its results with the
+ * original's
+ * @param {string} searchId
+ * @param {import('./geminiProductSearch.js').SearchOptions & { storeResults?: boolean }} [options] - storeResults (default true) stores the new results
+ * @returns {Promise<{ data: { original: Object; search: Omit<SearchRecord, 'clientId'>; diff: SearchDiff }|null; error: Error|null; unavailable?: boolean }>}
+ */
+export const rerunSearch = async (searchId, options = {}) => {
+  try {
+    const original = await getStore().get(searchId);
+
+    if (!ranBy(original, options.clientId)) {
+      return { data: null, error: null };
+    }
+
+    const { storeResults = true, ...searchOptions } = options;
+    const result = await searchAndStoreProducts(original.query, original.strategy, storeResults, { ...searchOptions, bypassCache: true });
+
+    if (!result.success) {
+      return { data: null, error: new Error(result.errors[0] || 'Failed to search products'), unavailable: result.unavailable };
+    }
+
+    // Fallback results are earlier results, so comparing them with the original says nothing
+    if (result.degraded) {
+      return { data: null, error: new Error(`AI search is unavailable (${result.degraded.reason}), try the search again later`), unavailable: true };
+    }
+
+    const { data: search, error } = await recordSearch(original.query, original.strategy, result, { clientId: options.clientId, rerunOf: original.id });
+    if (error) {
+      throw error;
+    }
+
+    const { products, productIds, clientId, ...originalSummary } = original;
+    const { clientId: owner, ...rerun } = search;
+    const diff = diffSearchResults(products, search.products);
+    console.log(`🔁 Re-ran search ${original.id} as ${search.id}: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`);
+
+    return { data: { original: originalSummary, search: rerun, diff }, error: null };
+  } catch (error) {
+    console.error('Error re-running search:', error);
+    return { data: null, error: error instanceof Error ? error : new Error('Unknown error occurred') };
+  }
+};
@@ -0,0 +1,58 @@
+import { convertAmount } from './currencyService.js';
+
+/**
+ * Product signal standing in for each scoring factor when ranking search results.
+ * Search results have no review analysis yet, so factors are approximated from price, rating and review volume.
+ */
+const FACTOR_SIGNALS = {
+  brandReputation: 'reviewVolume',
+  premiumFeatures: 'highPrice',
+  qualityIndicators: 'rating',
+  designAesthetics: 'highPrice',
+  valueRatio: 'value',
+  durability: 'rating',
+  worthItMentions: 'value',
+  longTermSatisfaction: 'rating',
+  priceCompetitiveness: 'lowPrice',
+  basicQualityThreshold: 'rating',
+  avoidConcerningIssues: 'rating',
+};
+
+/**
+ * Score search results under a strategy and sort them best first.
+ * Price and review volume are scored relative to the other candidates, and each score is scaled by the
+ * product's verification trust score, so an unverified listing never outranks an equal verified one.
+ * @param {import('./geminiProductSearch.js').GeminiProduct[]} products
+ * @param {import('./strategyService.js').ShoppingStrategyDefinition} definition
+ * @param {{ currency: string; rates: import('./currencyService.js').ExchangeRates }} pricing - Currency prices are compared in
+ * @returns {Array<import('./geminiProductSearch.js').GeminiProduct & { rankScore: number }>} rankScore is from 0 to 1
+ */
+export const rankSearchResults = (products, definition, { currency, rates }) => {
+  const prices = products.map(product => convertAmount(product.price, product.currency || currency, currency, rates));
+  const knownPrices = prices.filter(price => price !== null);
+  const minPrice = Math.min(...knownPrices);
+  const maxPrice = Math.max(...knownPrices);
+  const maxReviews = Math.max(0, ...products.map(product => product.reviewCount || 0));
+  const weights = Object.entries(definition.weights);
+  const totalWeight = weights.reduce((sum, [, weight]) => sum + weight, 0) || 1;
+
+  return products
+    .map((product, index) => {
+      const price = prices[index];
+      const lowPrice = price === null || maxPrice === minPrice ? 0.5 : (maxPrice - price) / (maxPrice - minPrice);
+      const rating = (product.rating || 0) / 5;
+      const signals = {
+        lowPrice,
+        highPrice: 1 - lowPrice,
+        rating,
+        value: (lowPrice + rating) / 2,
+        reviewVolume: maxReviews > 0 ? Math.log1p(product.reviewCount || 0) / Math.log1p(maxReviews) : 0,
+      };
+
+      const score = weights.reduce((sum, [factor, weight]) => sum + (signals[FACTOR_SIGNALS[factor]] ?? 0) * weight, 0) / totalWeight;
+      const trustScore = product.verification?.trustScore ?? 1;
+
+      return { ...product, rankScore: Math.round(score * trustScore * 1000) / 1000 };
+    })
+    .sort((a, b) => b.rankScore - a.rankScore);
+};
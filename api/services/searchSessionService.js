@@ -0,0 +1,380 @@
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { searchProductsWithGemini, refineProductsWithGemini } from './geminiProductSearch.js';
+import { formatAmount } from './currencyService.js';
+
+dotenv.config();
+
+/**
+ * Number of earlier messages included when asking the model to refine results
+ */
+const HISTORY_LIMIT = parseInt(process.env.SEARCH_SESSION_HISTORY_LIMIT || '10', 10);
+
+/**
+ * @typedef {Object} SessionMessage
+ * @property {'user'|'assistant'} role - Who sent the message
+ * @property {string} content - Message text (a result summary for assistant messages)
+ * @property {string} createdAt - ISO timestamp
+ * @property {import('./geminiProductSearch.js').GeminiProduct[]} [products] - Products returned with an assistant message
+ * @property {Object} [metadata] - Search metadata for an assistant message
+ * @property {import('./usageService.js').UsageSummary} [usage] - Model usage for an assistant message
+ */
+
+/**
+ * @typedef {Object} SearchSession
+ * @property {string} id - Session id
+ * @property {string} title - Short title, defaults to the first request
+ * @property {string} customerInput - The request that started the session
+ * @property {import('./geminiProductSearch.js').SearchStrategy} strategy - Strategy used for every turn
+ * @property {SessionMessage[]} messages - Conversation history, oldest first
+ * @property {import('./geminiProductSearch.js').GeminiProduct[]} products - Current result set
+ * @property {string|null} clientId - API client that started the session, the only one that may use it
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} SessionStore
+ * @property {(id: string) => Promise<SearchSession|null>} get
+ * @property {(session: SearchSession) => Promise<void>} save
+ * @property {(id: string) => Promise<boolean>} delete
+ * @property {(options: { limit: number; clientId?: string|null }) => Promise<SearchSession[]>} list - Most recently updated first,
+ * only the client's sessions when a clientId is given
+ */
+
+/**
+ * In-memory store, lost on restart (useful for tests)
+ * @returns {SessionStore}
+ */
+export const createMemorySessionStore = () => {
+  const sessions = new Map();
+
+  return {
+    async get(id) {
+      return sessions.get(id) || null;
+    },
+    async save(session) {
+      sessions.set(session.id, session);
+    },
+    async delete(id) {
+      return sessions.delete(id);
+    },
+    async list({ limit, clientId }) {
+      return [...sessions.values()]
+        .filter(session => clientId === undefined || session.clientId === clientId)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .slice(0, limit);
+    },
+  };
+};
+
+/**
+ * Store backed by a JSON file, so sessions survive restarts without a database
+ * @param {{ filePath?: string }} [options]
+ * @returns {SessionStore}
+ */
+export const createFileSessionStore = ({ filePath = process.env.SEARCH_SESSION_FILE || path.join(process.cwd(), '.data', 'search-sessions.json') } = {}) => {
+  const memory = createMemorySessionStore();
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    saved.forEach(session => memory.save(session));
+  } catch {
+    // No sessions file yet
+  }
+
+  const persist = async () => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify(await memory.list({ limit: Infinity })));
+  };
+
+  return {
+    get: (id) => memory.get(id),
+    async save(session) {
+      await memory.save(session);
+      await persist();
+    },
+    async delete(id) {
+      const deleted = await memory.delete(id);
+      await persist();
+      return deleted;
+    },
+    list: (options) => memory.list(options),
+  };
+};
+
+/**
+ * Store backed by the Supabase search_sessions table
+ * @returns {SessionStore}
+ */
+export const createSupabaseSessionStore = () => {
+  // Loaded on demand so the other stores never require Supabase to be configured. Sessions hold customers'
+  // conversations, so only the server role may read or write them.
+  const getClient = async () => (await import('../config/supabase.js')).requireServiceClient('the supabase session store');
+
+  const toSession = (row) => ({
+    id: row.id,
+    title: row.title,
+    customerInput: row.customer_input,
+    strategy: row.strategy,
+    messages: row.messages || [],
+    products: row.products || [],
+    clientId: row.client_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  });
+
+  return {
+    async get(id) {
+      const supabase = await getClient();
+      const { data, error } = await supabase.from('search_sessions').select('*').eq('id', id).maybeSingle();
+      if (error) throw new Error(`Database error: ${error.message}`);
+      return data ? toSession(data) : null;
+    },
+    async save(session) {
+      const supabase = await getClient();
+      const { error } = await supabase.from('search_sessions').upsert({
+        id: session.id,
+        title: session.title,
+        customer_input: session.customerInput,
+        strategy: session.strategy,
+        messages: session.messages,
+        products: session.products,
+        client_id: session.clientId,
+        created_at: session.createdAt,
+        updated_at: session.updatedAt,
+      });
+      if (error) throw new Error(`Database error: ${error.message}`);
+    },
+    async delete(id) {
+      const supabase = await getClient();
+      const { data, error } = await supabase.from('search_sessions').delete().eq('id', id).select('id');
+      if (error) throw new Error(`Database error: ${error.message}`);
+      return (data || []).length > 0;
+    },
+    async list({ limit, clientId }) {
+      const supabase = await getClient();
+      let query = supabase.from('search_sessions').select('*');
+      if (clientId !== undefined) {
+        query = clientId === null ? query.is('client_id', null) : query.eq('client_id', clientId);
+      }
+      const { data, error } = await query
+        .order('updated_at', { ascending: false })
+        .limit(limit);
+      if (error) throw new Error(`Database error: ${error.message}`);
+      return (data || []).map(toSession);
+    },
+  };
+};
+
+const createConfiguredStore = () => {
+  const storeName = process.env.SEARCH_SESSION_STORE || 'memory';
+
+  switch (storeName) {
+    case 'supabase':
+      return createSupabaseSessionStore();
+    case 'file':
+      return createFileSessionStore();
+    case 'memory':
+      return createMemorySessionStore();
+    default:
+      throw new Error(`Unknown search session store "${storeName}". Use "file", "supabase" or "memory".`);
+  }
+};
+
+let sessionStore = null;
+
+const getStore = () => {
+  if (!sessionStore) {
+    sessionStore = createConfiguredStore();
+  }
+  return sessionStore;
+};
+
+/**
+ * Replace the backing store
+ * @param {SessionStore} store
+ */
+export const setSearchSessionStore = (store) => {
+  sessionStore = store;
+};
+
+/**
+ * Describe a result set for the conversation history
+ * @param {import('./geminiProductSearch.js').GeminiProduct[]} products
+ * @returns {string}
+ */
+const summarizeProducts = (products) => {
+  if (products.length === 0) {
+    return 'No products matched.';
+  }
+
+  const listed = products.map(product => `${product.name} (${formatAmount(product.price, product.currency)})`).join(', ');
+  return `Recommended ${products.length} product${products.length === 1 ? '' : 's'}: ${listed}`;
+};
+
+/**
+ * Whether a session belongs to the client; sessions of other clients are answered as not found
+ * @param {SearchSession|null} session
+ * @param {string} [clientId]
+ */
+const ownedBy = (session, clientId) => Boolean(session) && session.clientId === (clientId ?? null);
+
+/**
+ * A session as returned to its client, without the client id
+ * @param {SearchSession} session
+ */
+const withoutOwner = ({ clientId, ...session }) => session;
+
+const assistantMessage = (result) => ({
+  role: 'assistant',
+  content: summarizeProducts(result.products),
+  createdAt: new Date().toISOString(),
+  products: result.products,
+  metadata: result.metadata,
+  usage: result.usage,
+});
+
+/**
+ * Start a session with an initial search. The session belongs to options.clientId.
+ * @param {{ customerInput: string; strategy: import('./geminiProductSearch.js').SearchStrategy; title?: string }} input
+ * @param {import('./geminiProductSearch.js').SearchOptions} [options]
+ * @returns {Promise<{ data: SearchSession|null; error: Error|null }>}
+ */
+export const createSearchSession = async ({ customerInput, strategy, title }, options = {}) => {
+  try {
+    const result = await searchProductsWithGemini(customerInput, strategy, options);
+
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to search products');
+    }
+
+    const now = new Date().toISOString();
+    const session = {
+      id: randomUUID(),
+      title: title || customerInput.trim().slice(0, 100),
+      customerInput: customerInput.trim(),
+      // Constraints derived from the first request keep applying to follow-ups
+      strategy: result.constraints?.strategy || strategy,
+      messages: [
+        { role: 'user', content: customerInput.trim(), createdAt: now },
+        assistantMessage(result),
+      ],
+      products: result.products,
+      clientId: options.clientId ?? null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await getStore().save(session);
+    console.log(`💬 Created search session ${session.id} with ${session.products.length} products`);
+
+    return { data: withoutOwner(session), error: null };
+  } catch (error) {
+    console.error('Error creating search session:', error);
+    return { data: null, error: error instanceof Error ? error : new Error('Unknown error occurred') };
+  }
+};
+
+/**
+ * Send a follow-up message ("cheaper", "only Sony", ...) and refine the session's results
+ * @param {string} sessionId
+ * @param {string} message
+ * @param {import('./geminiProductSearch.js').SearchOptions} [options] - options.clientId must own the session
+ * @returns {Promise<{ data: SearchSession|null; error: Error|null }>}
+ */
+export const sendSessionMessage = async (sessionId, message, options = {}) => {
+  try {
+    const session = await getStore().get(sessionId);
+
+    if (!ownedBy(session, options.clientId)) {
+      return { data: null, error: null };
+    }
+
+    const result = await refineProductsWithGemini(session.customerInput, session.strategy, {
+      history: session.messages.slice(-HISTORY_LIMIT).map(({ role, content }) => ({ role, content })),
+      previousProducts: session.products,
+      followUp: message.trim(),
+    }, options);
+
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to refine products');
+    }
+
+    const updated = {
+      ...session,
+      messages: [
+        ...session.messages,
+        { role: 'user', content: message.trim(), createdAt: new Date().toISOString() },
+        assistantMessage(result),
+      ],
+      // An empty refinement keeps the earlier results as the basis for the next follow-up
+      products: result.products.length > 0 ? result.products : session.products,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await getStore().save(updated);
+
+    return { data: withoutOwner(updated), error: null };
+  } catch (error) {
+    console.error('Error sending search session message:', error);
+    return { data: null, error: error instanceof Error ? error : new Error('Unknown error occurred') };
+  }
+};
+
+/**
+ * Get a session of the client by id
+ * @param {string} sessionId
+ * @param {{ clientId?: string }} [options]
+ * @returns {Promise<{ data: SearchSession|null; error: Error|null }>}
+ */
+export const getSearchSession = async (sessionId, { clientId } = {}) => {
+  try {
+    const session = await getStore().get(sessionId);
+    return { data: ownedBy(session, clientId) ? withoutOwner(session) : null, error: null };
+  } catch (error) {
+    console.error('Error fetching search session:', error);
+    return { data: null, error: error instanceof Error ? error : new Error('Unknown error occurred') };
+  }
+};
+
+/**
+ * List the client's sessions, most recently updated first, without their message history
+ * @param {{ limit?: number; clientId?: string }} [options]
+ * @returns {Promise<{ data: Object[]; error: Error|null }>}
+ */
+export const listSearchSessions = async ({ limit = 50, clientId } = {}) => {
+  try {
+    const sessions = await getStore().list({ limit, clientId: clientId ?? null });
+
+    return {
+      data: sessions.map(({ messages, products, clientId: owner, ...session }) => ({
+        ...session,
+        messageCount: messages.length,
+        productCount: products.length,
+      })),
+      error: null,
+    };
+  } catch (error) {
+    console.error('Error listing search sessions:', error);
+    return { data: [], error: error instanceof Error ? error : new Error('Unknown error occurred') };
+  }
+};
+
+/**
+ * Delete a session of the client
+ * @param {string} sessionId
+ * @param {{ clientId?: string }} [options]
+ * @returns {Promise<{ data: boolean; error: Error|null }>}
+ */
+export const deleteSearchSession = async (sessionId, { clientId } = {}) => {
+  try {
+    const session = await getStore().get(sessionId);
+    return { data: ownedBy(session, clientId) && await getStore().delete(sessionId), error: null };
+  } catch (error) {
+    console.error('Error deleting search session:', error);
+    return { data: false, error: error instanceof Error ? error : new Error('Unknown error occurred') };
+  }
+};
@@ -0,0 +1,538 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { BUILT_IN_STRATEGIES, SCORING_FACTORS } from '../config/shoppingStrategies.js';
+import { formatSchemaErrors } from './productSchema.js';
+import { isSupportedCurrency, normalizeCurrency } from './currencyService.js';
+
+dotenv.config();
+
+/**
+ * Strategy store configuration, read from the environment
+ */
+export const STRATEGY_CONFIG = {
+  store: process.env.STRATEGY_STORE || 'memory',
+  filePath: process.env.STRATEGY_FILE || path.join(process.cwd(), '.data', 'strategies.json'),
+  // JSON object replacing the weights of built-in strategies, e.g. {"fancy":{"brandReputation":0.5,"designAesthetics":0.5}}
+  weightOverrides: process.env.STRATEGY_WEIGHTS || '',
+};
+
+/**
+ * @typedef {Object} StrategyDefaults
+ * @property {number} [maxPrice] - Maximum price applied when a search does not set one
+ * @property {number} [minPrice] - Minimum price applied when a search does not set one
+ * @property {string} [currency] - ISO 4217 code of the default price limits
+ * @property {string[]} [preferredBrands] - Preferred brands
+ * @property {string[]} [excludedBrands] - Brands to exclude
+ * @property {number} [minRating] - Minimum rating requirement
+ * @property {string} [category] - Product category hint
+ */
+
+/**
+ * @typedef {Object} ShoppingStrategyDefinition
+ * @property {string} id - Slug used as the strategy type in searches and recommendations (e.g. 'eco-friendly')
+ * @property {string} name - Display name
+ * @property {string} [description] - One-line summary
+ * @property {string} [icon] - Emoji shown next to the name
+ * @property {string[]} [characteristics] - What the strategy looks for
+ * @property {string[]} [examplePrompts] - Example requests suited to the strategy
+ * @property {string} guidelines - Instructions added to the search prompt
+ * @property {Object<string, number>} weights - Weight per scoring factor (keys of SCORING_FACTORS), summing to 1
+ * @property {StrategyDefaults} defaults - Search constraints used when a request leaves them out
+ * @property {boolean} builtIn - Whether the strategy ships with the app (built-in strategies are read-only)
+ * @property {string} [createdAt] - ISO timestamp (custom strategies only)
+ * @property {string} [updatedAt] - ISO timestamp (custom strategies only)
+ */
+
+/**
+ * @typedef {Object} StrategyStore
+ * @property {(id: string) => Promise<ShoppingStrategyDefinition|null>} get
+ * @property {(definition: ShoppingStrategyDefinition) => Promise<void>} save
+ * @property {(id: string) => Promise<boolean>} delete
+ * @property {() => Promise<ShoppingStrategyDefinition[]>} list
+ */
+
+const STRATEGY_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_ID_LENGTH = 40;
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_GUIDELINES_LENGTH = 1000;
+const MAX_LIST_ITEMS = 10;
+
+/**
+ * How far the factor weights may sum from 1
+ */
+const WEIGHT_SUM_TOLERANCE = 0.01;
+
+const DEFAULT_FIELDS = ['maxPrice', 'minPrice', 'currency', 'preferredBrands', 'excludedBrands', 'minRating', 'category'];
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * In-memory store, lost on restart (useful for tests)
+ * @returns {StrategyStore}
+ */
+export const createMemoryStrategyStore = () => {
+  const strategies = new Map();
+
+  return {
+    async get(id) {
+      return strategies.get(id) || null;
+    },
+    async save(definition) {
+      strategies.set(definition.id, definition);
+    },
+    async delete(id) {
+      return strategies.delete(id);
+    },
+    async list() {
+      return [...strategies.values()];
+    },
+  };
+};
+
+/**
+ * Store backed by a JSON file, so custom strategies survive restarts without a database
+ * @param {{ filePath?: string }} [options]
+ * @returns {StrategyStore}
+ */
+export const createFileStrategyStore = ({ filePath = STRATEGY_CONFIG.filePath } = {}) => {
+  const memory = createMemoryStrategyStore();
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    saved.forEach(definition => memory.save(definition));
+  } catch {
+    // No strategies file yet
+  }
+
+  // Writes are chained so concurrent saves never interleave in the file; a failed write still fails its request
+  let writing = Promise.resolve();
+  const persist = () => {
+    const write = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, JSON.stringify(await memory.list()));
+    });
+    writing = write.catch(() => {});
+    return write;
+  };
+
+  return {
+    get: (id) => memory.get(id),
+    async save(definition) {
+      await memory.save(definition);
+      await persist();
+    },
+    async delete(id) {
+      const deleted = await memory.delete(id);
+      await persist();
+      return deleted;
+    },
+    list: () => memory.list(),
+  };
+};
+
+/**
+ * Store backed by the Supabase shopping_strategies table, written with the service role (clients may only read it)
+ * @returns {StrategyStore}
+ */
+export const createSupabaseStrategyStore = () => {
+  // Loaded on demand so the other stores never require Supabase to be configured
+  const getClient = async () => (await import('../config/supabase.js')).requireServiceClient('the supabase strategy store');
+
+  const toDefinition = (row) => ({
+    id: row.id,
+    name: row.name,
+    description: row.description || undefined,
+    icon: row.icon || undefined,
+    characteristics: row.characteristics || [],
+    examplePrompts: row.example_prompts || [],
+    guidelines: row.guidelines,
+    weights: row.weights,
+    defaults: row.defaults || {},
+    builtIn: false,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  });
+
+  return {
+    async get(id) {
+      const supabase = await getClient();
+      const { data, error } = await supabase.from('shopping_strategies').select('*').eq('id', id).maybeSingle();
+      if (error) throw new Error(`Database error: ${error.message}`);
+      return data ? toDefinition(data) : null;
+    },
+    async save(definition) {
+      const supabase = await getClient();
+      const { error } = await supabase.from('shopping_strategies').upsert({
+        id: definition.id,
+        name: definition.name,
+        description: definition.description ?? null,
+        icon: definition.icon ?? null,
+        characteristics: definition.characteristics,
+        example_prompts: definition.examplePrompts,
+        guidelines: definition.guidelines,
+        weights: definition.weights,
+        defaults: definition.defaults,
+        created_at: definition.createdAt,
+        updated_at: definition.updatedAt,
+      });
+      if (error) throw new Error(`Database error: ${error.message}`);
+    },
+    async delete(id) {
+      const supabase = await getClient();
+      const { data, error } = await supabase.from('shopping_strategies').delete().eq('id', id).select('id');
+      if (error) throw new Error(`Database error: ${error.message}`);
+      return (data || []).length > 0;
+    },
+    async list() {
+      const supabase = await getClient();
+      const { data, error } = await supabase.from('shopping_strategies').select('*');
+      if (error) throw new Error(`Database error: ${error.message}`);
+      return (data || []).map(toDefinition);
+    },
+  };
+};
+
+const createConfiguredStore = () => {
+  switch (STRATEGY_CONFIG.store) {
+    case 'supabase':
+      return createSupabaseStrategyStore();
+    case 'file':
+      return createFileStrategyStore();
+    case 'memory':
+      return createMemoryStrategyStore();
+    default:
+      throw new Error(`Unknown strategy store "${STRATEGY_CONFIG.store}". Use "memory", "file" or "supabase".`);
+  }
+};
+
+let strategyStore = null;
+
+const getStore = () => {
+  if (!strategyStore) {
+    strategyStore = createConfiguredStore();
+  }
+  return strategyStore;
+};
+
+/**
+ * Replace the backing store for custom strategies
+ * @param {StrategyStore} store
+ */
+export const setStrategyStore = (store) => {
+  strategyStore = store;
+};
+
+const findBuiltInStrategy = (id) => builtInStrategies.find(definition => definition.id === id) || null;
+
+const validateStringList = (errors, field, value) => {
+  if (!isStringList(value)) {
+    errors.push({ field, message: 'must be an array of strings' });
+  } else if (value.length > MAX_LIST_ITEMS) {
+    errors.push({ field, message: `must have at most ${MAX_LIST_ITEMS} items` });
+  }
+};
+
+/**
+ * Validate scoring factor weights: known factors, each between 0 and 1, summing to 1
+ * @param {any} weights
+ * @param {string} [field] - Field name used in the errors
+ * @returns {import('./productSchema.js').SchemaError[]} Field-level errors (empty when valid)
+ */
+export const validateStrategyWeights = (weights, field = 'weights') => {
+  if (!isPlainObject(weights) || Object.keys(weights).length === 0) {
+    return [{ field, message: 'must be an object with at least one scoring factor' }];
+  }
+
+  const errors = [];
+  let sum = 0;
+  for (const [factor, weight] of Object.entries(weights)) {
+    if (!Object.hasOwn(SCORING_FACTORS, factor)) {
+      errors.push({ field: `${field}.${factor}`, message: `is not a scoring factor. Use one of: ${Object.keys(SCORING_FACTORS).join(', ')}` });
+    } else if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0 || weight > 1) {
+      errors.push({ field: `${field}.${factor}`, message: 'must be a number between 0 and 1' });
+    } else {
+      sum += weight;
+    }
+  }
+
+  if (errors.length === 0 && Math.abs(sum - 1) > WEIGHT_SUM_TOLERANCE) {
+    errors.push({ field, message: `must sum to 1 (got ${Math.round(sum * 1000) / 1000})` });
+  }
+
+  return errors;
+};
+
+const validateDefaults = (errors, defaults) => {
+  if (!isPlainObject(defaults)) {
+    errors.push({ field: 'defaults', message: 'must be an object' });
+    return;
+  }
+
+  for (const field of Object.keys(defaults)) {
+    if (!DEFAULT_FIELDS.includes(field)) {
+      errors.push({ field: `defaults.${field}`, message: `is not a search constraint. Use one of: ${DEFAULT_FIELDS.join(', ')}` });
+    }
+  }
+
+  const { maxPrice, minPrice, currency, preferredBrands, excludedBrands, minRating, category } = defaults;
+
+  for (const [field, value] of [['maxPrice', maxPrice], ['minPrice', minPrice]]) {
+    if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      errors.push({ field: `defaults.${field}`, message: 'must be a non-negative number' });
+    }
+  }
+
+  if (typeof minPrice === 'number' && typeof maxPrice === 'number' && minPrice > maxPrice) {
+    errors.push({ field: 'defaults.minPrice', message: 'must not be greater than defaults.maxPrice' });
+  }
+
+  if (currency !== undefined && !isSupportedCurrency(currency)) {
+    errors.push({ field: 'defaults.currency', message: 'must be a supported ISO 4217 code such as "USD" or "EUR"' });
+  }
+
+  if (minRating !== undefined && (typeof minRating !== 'number' || minRating < 0 || minRating > 5)) {
+    errors.push({ field: 'defaults.minRating', message: 'must be a number between 0 and 5' });
+  }
+
+  if (preferredBrands !== undefined) validateStringList(errors, 'defaults.preferredBrands', preferredBrands);
+  if (excludedBrands !== undefined) validateStringList(errors, 'defaults.excludedBrands', excludedBrands);
+
+  if (category !== undefined && (typeof category !== 'string' || category.trim().length === 0)) {
+    errors.push({ field: 'defaults.category', message: 'must be a non-empty string' });
+  }
+};
+
+/**
+ * Validate a strategy definition
+ * @param {any} definition
+ * @returns {import('./productSchema.js').SchemaError[]} Field-level errors (empty when valid)
+ */
+export const validateStrategyDefinition = (definition) => {
+  if (!isPlainObject(definition)) {
+    return [{ field: '(definition)', message: 'must be a JSON object' }];
+  }
+
+  const errors = [];
+  const { id, name, description, icon, characteristics, examplePrompts, guidelines, weights, defaults } = definition;
+
+  if (typeof id !== 'string' || !STRATEGY_ID_PATTERN.test(id) || id.length > MAX_ID_LENGTH) {
+    errors.push({ field: 'id', message: `must be a lowercase slug such as "eco-friendly" of at most ${MAX_ID_LENGTH} characters` });
+  }
+
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > MAX_NAME_LENGTH) {
+    errors.push({ field: 'name', message: `must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` });
+  }
+
+  if (description !== undefined && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    errors.push({ field: 'description', message: `must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` });
+  }
+
+  if (icon !== undefined && (typeof icon !== 'string' || icon.length > 8)) {
+    errors.push({ field: 'icon', message: 'must be a short string such as an emoji' });
+  }
+
+  if (characteristics !== undefined) validateStringList(errors, 'characteristics', characteristics);
+  if (examplePrompts !== undefined) validateStringList(errors, 'examplePrompts', examplePrompts);
+
+  if (typeof guidelines !== 'string' || guidelines.trim().length === 0 || guidelines.length > MAX_GUIDELINES_LENGTH) {
+    errors.push({ field: 'guidelines', message: `must be a non-empty string of at most ${MAX_GUIDELINES_LENGTH} characters` });
+  }
+
+  errors.push(...validateStrategyWeights(weights));
+
+  if (defaults !== undefined) validateDefaults(errors, defaults);
+
+  return errors;
+};
+
+/**
+ * Built-in strategies with the weights configured in STRATEGY_WEIGHTS. Invalid configuration stops the
+ * server at startup rather than leaving recommendations scored with weights nobody chose.
+ * @returns {ShoppingStrategyDefinition[]}
+ */
+const loadBuiltInStrategies = () => {
+  if (!STRATEGY_CONFIG.weightOverrides) {
+    return BUILT_IN_STRATEGIES;
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(STRATEGY_CONFIG.weightOverrides);
+  } catch {
+    overrides = null;
+  }
+
+  if (!isPlainObject(overrides)) {
+    throw new Error('STRATEGY_WEIGHTS must be a JSON object of weights by strategy id');
+  }
+
+  const unknown = Object.keys(overrides).filter(id => !BUILT_IN_STRATEGIES.some(definition => definition.id === id));
+  if (unknown.length > 0) {
+    throw new Error(`STRATEGY_WEIGHTS names unknown built-in strategies: ${unknown.join(', ')}. Custom strategies set their weights through /api/strategies.`);
+  }
+
+  const errors = Object.entries(overrides).flatMap(([id, weights]) => validateStrategyWeights(weights, `STRATEGY_WEIGHTS.${id}`));
+  if (errors.length > 0) {
+    throw new Error(`Invalid STRATEGY_WEIGHTS: ${formatSchemaErrors(errors)}`);
+  }
+
+  return BUILT_IN_STRATEGIES.map(definition => overrides[definition.id]
+    ? { ...definition, weights: { ...overrides[definition.id] } }
+    : definition);
+};
+
+const builtInStrategies = loadBuiltInStrategies();
+
+/**
+ * Keep the known fields of a definition, trimmed, with the default currency normalized
+ * @param {Object} input
+ * @returns {Object}
+ */
+const normalizeDefinition = (input) => {
+  const defaults = Object.fromEntries(Object.entries(input.defaults || {}).filter(([, value]) => value !== undefined));
+  if (defaults.currency) defaults.currency = normalizeCurrency(defaults.currency);
+  if (defaults.category) defaults.category = defaults.category.trim();
+
+  return {
+    id: input.id,
+    name: input.name.trim(),
+    description: input.description?.trim() || undefined,
+    icon: input.icon || undefined,
+    characteristics: (input.characteristics || []).map(item => item.trim()).filter(Boolean),
+    examplePrompts: (input.examplePrompts || []).map(item => item.trim()).filter(Boolean),
+    guidelines: input.guidelines.trim(),
+    weights: { ...input.weights },
+    defaults,
+  };
+};
+
+const invalidDefinitionError = (errors) => Object.assign(
+  new Error(`Invalid strategy definition: ${formatSchemaErrors(errors)}`),
+  { code: 'INVALID_STRATEGY', details: errors }
+);
+
+const builtInStrategyError = (id) => Object.assign(
+  new Error(`Strategy "${id}" is built in and cannot be changed`),
+  { code: 'BUILT_IN_STRATEGY' }
+);
+
+/**
+ * List built-in strategies followed by custom strategies by name
+ * @returns {Promise<{ data: ShoppingStrategyDefinition[]; error: Error|null }>}
+ */
+export const listShoppingStrategies = async () => {
+  try {
+    const custom = (await getStore().list()).sort((a, b) => a.name.localeCompare(b.name));
+    return { data: [...builtInStrategies, ...custom], error: null };
+  } catch (error) {
+    console.error('Error listing shopping strategies:', error);
+    return { data: [...builtInStrategies], error: error instanceof Error ? error : new Error('Unknown error occurred') };
+  }
+};
+
+/**
+ * Get a strategy definition by id
+ * @param {string} id
+ * @returns {Promise<{ data: ShoppingStrategyDefinition|null; error: Error|null }>}
+ */
+export const getShoppingStrategy = async (id) => {
+  if (typeof id !== 'string') {
+    return { data: null, error: null };
+  }
+
+  const builtIn = findBuiltInStrategy(id);
+  if (builtIn) {
+    return { data: builtIn, error: null };
+  }
+
+  try {
+    return { data: await getStore().get(id), error: null };
+  } catch (error) {
+    console.error('Error fetching shopping strategy:', error);
+    return { data: null, error: error instanceof Error ? error : new Error('Unknown error occurred') };
+  }
+};
+
+/**
+ * Define a custom strategy
+ * @param {Object} input - Definition without builtIn and timestamps
+ * @returns {Promise<{ data: ShoppingStrategyDefinition|null; error: Error|null }>}
+ */
+export const createShoppingStrategy = async (input) => {
+  try {
+    const errors = validateStrategyDefinition(input);
+    if (errors.length > 0) {
+      throw invalidDefinitionError(errors);
+    }
+
+    if (findBuiltInStrategy(input.id) || await getStore().get(input.id)) {
+      throw Object.assign(new Error(`Strategy "${input.id}" already exists`), { code: 'STRATEGY_EXISTS' });
+    }
+
+    const now = new Date().toISOString();
+    const definition = { ...normalizeDefinition(input), builtIn: false, createdAt: now, updatedAt: now };
+
+    await getStore().save(definition);
+    console.log(`🧭 Created shopping strategy ${definition.id}`);
+
+    return { data: definition, error: null };
+  } catch (error) {
+    console.error('Error creating shopping strategy:', error);
+    return { data: null, error: error instanceof Error ? error : new Error('Unknown error occurred') };
+  }
+};
+
+/**
+ * Update a custom strategy. Top-level fields in `updates` replace the stored ones; the id cannot change.
+ * @param {string} id
+ * @param {Object} updates
+ * @returns {Promise<{ data: ShoppingStrategyDefinition|null; error: Error|null }>} data is null when the strategy does not exist
+ */
+export const updateShoppingStrategy = async (id, updates) => {
+  try {
+    if (findBuiltInStrategy(id)) {
+      throw builtInStrategyError(id);
+    }
+
+    const existing = await getStore().get(id);
+    if (!existing) {
+      return { data: null, error: null };
+    }
+
+    const merged = { ...existing, ...(isPlainObject(updates) ? updates : {}), id };
+    const errors = validateStrategyDefinition(merged);
+    if (errors.length > 0) {
+      throw invalidDefinitionError(errors);
+    }
+
+    const definition = { ...normalizeDefinition(merged), builtIn: false, createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+    await getStore().save(definition);
+
+    return { data: definition, error: null };
+  } catch (error) {
+    console.error('Error updating shopping strategy:', error);
+    return { data: null, error: error instanceof Error ? error : new Error('Unknown error occurred') };
+  }
+};
+
+/**
+ * Delete a custom strategy
+ * @param {string} id
+ * @returns {Promise<{ data: boolean; error: Error|null }>}
+ */
+export const deleteShoppingStrategy = async (id) => {
+  try {
+    if (findBuiltInStrategy(id)) {
+      throw builtInStrategyError(id);
+    }
+
+    return { data: await getStore().delete(id), error: null };
+  } catch (error) {
+    console.error('Error deleting shopping strategy:', error);
+    return { data: false, error: error instanceof Error ? error : new Error('Unknown error occurred') };
+  }
+};
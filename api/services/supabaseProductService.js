@@ -1,76 +1,513 @@
+import { randomUUID } from 'crypto';
 import { supabase } from '../config/supabase.js';
+import { canonicalBrand, getBrandFamily } from './brandNormalizer.js';
+import { getExchangeRates, convertAmount, normalizeCurrency, CURRENCY_CONFIG } from './currencyService.js';
+import { productKeys } from './productIdentity.js';
 
 /**
- * Creates a new product in the database
+ * Bulk import configuration, read from the environment
+ */
+export const PRODUCT_IMPORT_CONFIG = {
+  // Products written per transaction; identity lookups for a batch go in one request's query string
+  batchSize: parseInt(process.env.PRODUCTS_BULK_BATCH_SIZE || '50', 10),
+  maxItems: parseInt(process.env.PRODUCTS_BULK_MAX_ITEMS || '1000', 10),
+};
+
+/**
+ * Case-insensitive exact match on one of several values, quoted for a PostgREST or() filter
+ * @param {string} column
+ * @param {string[]} values
+ * @returns {string}
+ */
+const anyOfIgnoringCase = (column, values) => values
+  .map(value => value.replace(/[%_\\]/g, '\\$&').replace(/[\\"]/g, '\\$&'))
+  .map(value => `${column}.ilike."${value}"`)
+  .join(',');
+
+/**
+ * Price bounds for a PostgREST or() filter, with one branch per currency holding the bounds converted into it
+ * @param {number|undefined} minPrice
+ * @param {number|undefined} maxPrice
+ * @param {string} currency - Currency the bounds are given in
+ * @returns {Promise<string>}
+ */
+const priceRangeInAnyCurrency = async (minPrice, maxPrice, currency) => {
+  const rates = await getExchangeRates();
+
+  return Object.keys(rates.rates)
+    .map(code => {
+      const conditions = [`currency.eq.${code}`];
+      if (minPrice !== undefined) conditions.push(`price.gte.${convertAmount(minPrice, currency, code, rates)}`);
+      if (maxPrice !== undefined) conditions.push(`price.lte.${convertAmount(maxPrice, currency, code, rates)}`);
+      return `and(${conditions.join(',')})`;
+    })
+    .join(',');
+};
+
+/**
+ * Value quoted for a PostgREST or() filter
+ * @param {string} value
+ * @returns {string}
+ */
+const quoted = (value) => `"${value.replace(/[\\"]/g, '\\$&')}"`;
+
+/**
+ * Transform a products row to frontend format
+ * @returns {Product}
+ */
+const transformProduct = (data) => ({
+  id: data.id,
+  name: data.name,
+  price: parseFloat(data.price),
+  currency: data.currency,
+  brand: data.brand,
+  category: data.category,
+  imageUrl: data.image_url,
+  productUrl: data.product_url,
+  rating: data.rating ? parseFloat(data.rating) : null,
+  reviewCount: data.review_count,
+  sourcePlatform: data.source_platform,
+  description: data.description ?? '',
+  features: data.features ?? [],
+  specifications: data.specifications ?? {},
+  createdAt: new Date(data.created_at),
+  updatedAt: new Date(data.updated_at),
+});
+
+/**
+ * Oldest stored row sharing either identity key
+ * @param {string|null} canonicalKey
+ * @param {string|null} urlKey
+ * @returns {Promise<Object|null>}
+ */
+const findStoredProduct = async (canonicalKey, urlKey) => {
+  const conditions = [
+    canonicalKey && `canonical_key.eq.${quoted(canonicalKey)}`,
+    urlKey && `url_key.eq.${quoted(urlKey)}`,
+  ].filter(Boolean);
+
+  if (conditions.length === 0) return null;
+
+  const { data, error } = await supabase
+    .from('products')
+    .select('*')
+    .or(conditions.join(','))
+    .order('created_at', { ascending: true })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data?.[0] ?? null;
+};
+
+/**
+ * Listing columns of a stored row that differ from a new listing of the same product.
+ * A missing rating or review count (stored as null or 0) says nothing new, so it never overwrites a known one.
+ * Details are only filled in when the stored row has none: descriptions are reworded by every search.
+ * @param {Object} stored - products row
+ * @param {Object} listing - Row data of the new listing
+ * @returns {Object} Columns to update
+ */
+const listingChanges = (stored, listing) => {
+  const changes = {};
+
+  if (parseFloat(stored.price) !== listing.price || stored.currency !== listing.currency) {
+    changes.price = listing.price;
+    changes.currency = listing.currency;
+  }
+  if (listing.rating !== null && parseFloat(stored.rating) !== listing.rating) {
+    changes.rating = listing.rating;
+  }
+  if (listing.review_count > 0 && stored.review_count !== listing.review_count) {
+    changes.review_count = listing.review_count;
+  }
+  if (!stored.description && listing.description) {
+    changes.description = listing.description;
+  }
+  if ((stored.features ?? []).length === 0 && listing.features.length > 0) {
+    changes.features = listing.features;
+  }
+  if (Object.keys(stored.specifications ?? {}).length === 0 && Object.keys(listing.specifications).length > 0) {
+    changes.specifications = listing.specifications;
+  }
+
+  return changes;
+};
+
+/**
+ * Identity key columns a stored row is missing: rows stored before the key columns existed, or matched by
+ * their other key
+ * @param {Object} stored - products row
+ * @param {Object} row - Row data of the new listing
+ * @returns {Object} Columns to update
+ */
+const missingKeyColumns = (stored, row) => {
+  const missing = {};
+  if (!stored.canonical_key && row.canonical_key) missing.canonical_key = row.canonical_key;
+  if (!stored.url_key && row.url_key) missing.url_key = row.url_key;
+  return missing;
+};
+
+/**
+ * Check the description, features and specifications of product data or updates
+ * @param {{ description?: string; features?: string[]; specifications?: Record<string, string|number|boolean> }} productData
+ * @returns {string|null} Why the details cannot be stored, or null when they can
+ */
+const validateProductDetails = (productData) => {
+  if (productData.description !== undefined && typeof productData.description !== 'string') {
+    return 'Description must be a string';
+  }
+
+  if (productData.features !== undefined && (!Array.isArray(productData.features) || !productData.features.every(feature => typeof feature === 'string'))) {
+    return 'Features must be an array of strings';
+  }
+
+  if (productData.specifications !== undefined) {
+    const { specifications } = productData;
+    if (typeof specifications !== 'object' || specifications === null || Array.isArray(specifications)
+      || !Object.values(specifications).every(value => ['string', 'number', 'boolean'].includes(typeof value))) {
+      return 'Specifications must be an object of string, number or boolean values';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Specifications with trimmed keys and string values, so "8" and 8 match the same filter
+ * @param {Record<string, string|number|boolean>} [specifications]
+ * @returns {Record<string, string>}
+ */
+const normalizeSpecifications = (specifications = {}) => Object.fromEntries(Object.entries(specifications)
+  .map(([key, value]) => [key.trim(), String(value).trim()])
+  .filter(([key]) => key));
+
+/**
+ * Check product data before it is stored
+ * @param {CreateProductData} productData
+ * @returns {string|null} Why the product cannot be stored, or null when it can
+ */
+const validateProductData = (productData) => {
+  if (!productData || typeof productData !== 'object') {
+    return 'Product data must be an object';
+  }
+
+  const requiredFields = ['name', 'price', 'brand', 'category', 'imageUrl', 'productUrl', 'sourcePlatform'];
+  const missingFields = requiredFields.filter(field => !productData[field]);
+
+  if (missingFields.length > 0) {
+    return `Missing required fields: ${missingFields.join(', ')}`;
+  }
+
+  if (typeof productData.price !== 'number' || productData.price < 0) {
+    return 'Price must be a non-negative number';
+  }
+
+  if (productData.currency !== undefined && !normalizeCurrency(productData.currency)) {
+    return 'Currency must be a three-letter ISO 4217 code';
+  }
+
+  if (productData.rating !== undefined && (typeof productData.rating !== 'number' || productData.rating < 0 || productData.rating > 5)) {
+    return 'Rating must be a number between 0 and 5';
+  }
+
+  if (productData.reviewCount !== undefined && (typeof productData.reviewCount !== 'number' || productData.reviewCount < 0)) {
+    return 'Review count must be a non-negative number';
+  }
+
+  return validateProductDetails(productData);
+};
+
+/**
+ * Map frontend field names to database column names, with the product's identity keys
+ * @param {CreateProductData} productData - Validated product data
+ * @returns {Object} products row without id and timestamps
+ */
+const toProductRow = (productData) => {
+  const { canonicalKey, urlKey } = productKeys(productData);
+
+  return {
+    name: productData.name,
+    price: productData.price,
+    currency: normalizeCurrency(productData.currency) || CURRENCY_CONFIG.baseCurrency,
+    brand: canonicalBrand(productData.brand),
+    category: productData.category,
+    image_url: productData.imageUrl,
+    product_url: productData.productUrl,
+    rating: productData.rating || null,
+    review_count: productData.reviewCount || 0,
+    source_platform: productData.sourcePlatform,
+    description: productData.description?.trim() ?? '',
+    features: (productData.features ?? []).map(feature => feature.trim()).filter(Boolean),
+    specifications: normalizeSpecifications(productData.specifications),
+    canonical_key: canonicalKey,
+    url_key: urlKey,
+  };
+};
+
+// Postgres error code of a write refused by a unique index (a product stored with the same identity key)
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Error for a failed query, keeping the Postgres error code
+ * @param {{ message: string; code?: string }} error - Supabase error
+ * @returns {Error & { code?: string }}
+ */
+const databaseError = (error) => Object.assign(new Error(`Database error: ${error.message}`), { code: error.code });
+
+/**
+ * Insert a product row unless a row with its canonical key exists. Returns null when the product was stored
+ * by someone else in the meantime: the upsert then writes nothing, or the url_key index refuses it.
+ * @param {Object} row - products row without id
+ * @returns {Promise<Object|null>} The inserted row
+ */
+const insertProductRow = async (row) => {
+  const { data, error } = await supabase
+    .from('products')
+    .upsert([row], { onConflict: 'canonical_key', ignoreDuplicates: true })
+    .select();
+
+  if (error?.code === UNIQUE_VIOLATION) return null;
+  if (error) {
+    throw databaseError(error);
+  }
+
+  return data?.[0] ?? null;
+};
+
+/**
+ * Stores a product. A product already in the database (same link, or same brand, model and variant; see
+ * productIdentity.js) is not inserted again: its price, rating and review count are updated instead.
+ * The identity keys are unique, so a product stored concurrently by another request is updated as well.
  * @param {CreateProductData} productData - Product data to create
- * @returns {Promise<{data: Product|null, error: Error|null}>}
+ * @returns {Promise<{data: Product|null, error: Error|null, action?: 'created'|'updated'|'unchanged'}>}
  */
 export const createProduct = async (productData) => {
   try {
-    // Validate required fields
-    const requiredFields = ['name', 'price', 'brand', 'category', 'imageUrl', 'productUrl', 'sourcePlatform'];
-    const missingFields = requiredFields.filter(field => !productData[field]);
-    
-    if (missingFields.length > 0) {
-      throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
+    const invalid = validateProductData(productData);
+    if (invalid) {
+      throw new Error(invalid);
     }
 
-    // Validate data types and constraints
-    if (typeof productData.price !== 'number' || productData.price < 0) {
-      throw new Error('Price must be a non-negative number');
+    const dbProductData = toProductRow(productData);
+
+    // A second attempt finds the row whose concurrent insert made the first one write nothing
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const stored = await findStoredProduct(dbProductData.canonical_key, dbProductData.url_key);
+
+      if (stored) {
+        const changes = listingChanges(stored, dbProductData);
+        const missingKeys = missingKeyColumns(stored, dbProductData);
+
+        if (Object.keys(changes).length === 0 && Object.keys(missingKeys).length === 0) {
+          return { data: transformProduct(stored), error: null, action: 'unchanged' };
+        }
+
+        const { data, error } = await supabase
+          .from('products')
+          .update({ ...changes, ...missingKeys })
+          .eq('id', stored.id)
+          .select()
+          .single();
+
+        if (error) {
+          throw databaseError(error);
+        }
+
+        return { data: transformProduct(data), error: null, action: Object.keys(changes).length > 0 ? 'updated' : 'unchanged' };
+      }
+
+      const inserted = await insertProductRow(dbProductData);
+      if (inserted) {
+        return { data: transformProduct(inserted), error: null, action: 'created' };
+      }
     }
 
-    if (productData.rating !== undefined && (typeof productData.rating !== 'number' || productData.rating < 0 || productData.rating > 5)) {
-      throw new Error('Rating must be a number between 0 and 5');
+    throw new Error('Product was stored concurrently and could not be read back');
+  } catch (error) {
+    console.error('Error creating product:', error);
+    return { data: null, error: error instanceof Error ? error : new Error('Unknown error occurred') };
+  }
+};
+
+/**
+ * @typedef {Object} BulkProductResult
+ * @property {number} index - Position of the product in the submitted list
+ * @property {'created'|'updated'|'unchanged'|'rejected'} status
+ * @property {Product} [data] - Stored product, unless rejected
+ * @property {string} [reason] - Why the product was rejected
+ */
+
+/**
+ * Stored rows sharing an identity key with any of the rows, oldest first
+ * @param {Object[]} rows - Row data with identity keys
+ * @returns {Promise<Object[]>}
+ */
+const findStoredProducts = async (rows) => {
+  const canonicalKeys = [...new Set(rows.map(row => row.canonical_key).filter(Boolean))];
+  const urlKeys = [...new Set(rows.map(row => row.url_key).filter(Boolean))];
+  const conditions = [
+    canonicalKeys.length > 0 && `canonical_key.in.(${canonicalKeys.map(quoted).join(',')})`,
+    urlKeys.length > 0 && `url_key.in.(${urlKeys.map(quoted).join(',')})`,
+  ].filter(Boolean);
+
+  if (conditions.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('products')
+    .select('*')
+    .or(conditions.join(','))
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data ?? [];
+};
+
+/**
+ * Store one batch: new products and changes to stored ones are written with a single upsert, so the batch is
+ * stored or fails as a whole
+ * @param {Array<{ index: number; row: Object }>} batch
+ * @param {Set<string>} claimedIds - Stored rows already matched by an earlier product of the request
+ * @returns {Promise<Array<Omit<BulkProductResult, 'index'> & { index: number }>>}
+ */
+const storeProductBatch = async (batch, claimedIds) => {
+  const stored = await findStoredProducts(batch.map(({ row }) => row));
+  const results = [];
+  const writes = [];
+
+  for (const { index, row } of batch) {
+    // Oldest row sharing either key, like createProduct
+    const match = stored.find(candidate => (row.canonical_key && candidate.canonical_key === row.canonical_key)
+      || (row.url_key && candidate.url_key === row.url_key));
+
+    if (!match) {
+      const id = randomUUID();
+      writes.push({ id, ...row });
+      results.push({ index, status: 'created', id });
+      continue;
     }
 
-    if (productData.reviewCount !== undefined && (typeof productData.reviewCount !== 'number' || productData.reviewCount < 0)) {
-      throw new Error('Review count must be a non-negative number');
+    if (claimedIds.has(match.id)) {
+      results.push({ index, status: 'rejected', reason: `Same product as an earlier item (ID: ${match.id})` });
+      continue;
     }
+    claimedIds.add(match.id);
 
-    // Map frontend field names to database column names
-    const dbProductData = {
-      name: productData.name,
-      price: productData.price,
-      brand: productData.brand,
-      category: productData.category,
-      image_url: productData.imageUrl,
-      product_url: productData.productUrl,
-      rating: productData.rating || null,
-      review_count: productData.reviewCount || 0,
-      source_platform: productData.sourcePlatform,
-    };
+    const changes = listingChanges(match, row);
+    const missingKeys = missingKeyColumns(match, row);
 
-    const { data, error } = await supabase
-      .from('products')
-      .insert([dbProductData])
-      .select()
-      .single();
+    if (Object.keys(changes).length === 0 && Object.keys(missingKeys).length === 0) {
+      results.push({ index, status: 'unchanged', data: transformProduct(match) });
+      continue;
+    }
 
-    if (error) {
-      throw new Error(`Database error: ${error.message}`);
+    // Every upserted row carries the same columns; a stored row keeps the columns a listing does not update
+    const current = { ...match };
+    delete current.created_at;
+    delete current.updated_at;
+    writes.push({ ...current, ...changes, ...missingKeys });
+    results.push({ index, status: Object.keys(changes).length > 0 ? 'updated' : 'unchanged', id: match.id });
+  }
+
+  if (writes.length === 0) return results;
+
+  const { data, error } = await supabase
+    .from('products')
+    .upsert(writes, { onConflict: 'id', defaultToNull: false })
+    .select();
+
+  if (error) {
+    throw databaseError(error);
+  }
+
+  const written = new Map(data.map(product => [product.id, product]));
+  return results.map(({ id, ...result }) => (id && written.has(id)
+    ? { ...result, data: transformProduct(written.get(id)) }
+    : result));
+};
+
+/**
+ * Stores many products at once, upserting like createProduct. Every product is validated before anything is
+ * written, and products are written PRODUCT_IMPORT_CONFIG.batchSize at a time, one transaction per batch. A batch
+ * refused because another request stored one of its products meanwhile is stored once more.
+ * A product is rejected when it is invalid, repeats an earlier product of the list, or its batch fails.
+ * @param {CreateProductData[]} products
+ * @param {{ batchSize?: number }} [options]
+ * @returns {Promise<{data: BulkProductResult[], error: Error|null, summary: {created: number, updated: number, unchanged: number, rejected: number}}>}
+ */
+export const bulkUpsertProducts = async (products, options = {}) => {
+  const summary = { created: 0, updated: 0, unchanged: 0, rejected: 0 };
+
+  try {
+    if (!Array.isArray(products) || products.length === 0) {
+      throw new Error('Products must be a non-empty array');
     }
 
-    // Transform database response back to frontend format
-    const transformedData = data ? {
-      id: data.id,
-      name: data.name,
-      price: parseFloat(data.price),
-      brand: data.brand,
-      category: data.category,
-      imageUrl: data.image_url,
-      productUrl: data.product_url,
-      rating: data.rating ? parseFloat(data.rating) : null,
-      reviewCount: data.review_count,
-      sourcePlatform: data.source_platform,
-      createdAt: new Date(data.created_at),
-      updatedAt: new Date(data.updated_at),
-    } : null;
+    if (products.length > PRODUCT_IMPORT_CONFIG.maxItems) {
+      throw new Error(`At most ${PRODUCT_IMPORT_CONFIG.maxItems} products can be imported at once`);
+    }
 
-    return { data: transformedData, error: null };
+    const batchSize = Math.max(1, options.batchSize ?? PRODUCT_IMPORT_CONFIG.batchSize);
+    /** @type {BulkProductResult[]} */
+    const results = new Array(products.length);
+    const pending = [];
+    /** @type {Map<string, number>} identity key -> index of the first product with it */
+    const seen = new Map();
+
+    products.forEach((productData, index) => {
+      const invalid = validateProductData(productData);
+      if (invalid) {
+        results[index] = { index, status: 'rejected', reason: invalid };
+        return;
+      }
+
+      const row = toProductRow(productData);
+      const keys = [row.canonical_key && `name:${row.canonical_key}`, row.url_key && `url:${row.url_key}`].filter(Boolean);
+      const earlier = keys.find(key => seen.has(key));
+      if (earlier) {
+        results[index] = { index, status: 'rejected', reason: `Same product as item ${seen.get(earlier)}` };
+        return;
+      }
+
+      keys.forEach(key => seen.set(key, index));
+      pending.push({ index, row });
+    });
+
+    let claimedIds = new Set();
+    for (let start = 0; start < pending.length; start += batchSize) {
+      const batch = pending.slice(start, start + batchSize);
+
+      try {
+        // A batch refused by an identity key index collided with products stored concurrently; storing it
+        // again matches them and updates them instead
+        for (let attempt = 0; ; attempt++) {
+          const attemptClaims = new Set(claimedIds);
+          try {
+            const batchResults = await storeProductBatch(batch, attemptClaims);
+            batchResults.forEach(result => { results[result.index] = result; });
+            claimedIds = attemptClaims;
+            break;
+          } catch (error) {
+            if (error?.code !== UNIQUE_VIOLATION || attempt > 0) throw error;
+          }
+        }
+      } catch (error) {
+        const reason = error instanceof Error ? error.message : 'Unknown error occurred';
+        console.error(`Error storing products ${batch[0].index}-${batch[batch.length - 1].index}:`, error);
+        batch.forEach(({ index }) => { results[index] = { index, status: 'rejected', reason }; });
+      }
+    }
+
+    results.forEach(result => { summary[result.status]++; });
+    return { data: results, error: null, summary };
   } catch (error) {
-    console.error('Error creating product:', error);
-    return { data: null, error: error instanceof Error ? error : new Error('Unknown error occurred') };
+    console.error('Error importing products:', error);
+    return { data: [], error: error instanceof Error ? error : new Error('Unknown error occurred'), summary };
   }
 };
 
@@ -98,21 +535,19 @@ export const getAllProducts = async (options = {}) => {
       .from('products')
       .select('*', { count: 'exact' });
 
-    // Apply filters
+    // Apply filters; a brand also matches its aliases and sub-brands, whatever their case
     if (filters.brand) {
-      query = query.eq('brand', filters.brand);
+      query = query.or(anyOfIgnoringCase('brand', getBrandFamily(filters.brand)));
     }
     
     if (filters.category) {
       query = query.eq('category', filters.category);
     }
     
-    if (filters.minPrice !== undefined) {
-      query = query.gte('price', filters.minPrice);
-    }
-    
-    if (filters.maxPrice !== undefined) {
-      query = query.lte('price', filters.maxPrice);
+    // Price bounds are in filters.currency; products priced in other currencies are compared after conversion
+    if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+      const currency = normalizeCurrency(filters.currency) || CURRENCY_CONFIG.baseCurrency;
+      query = query.or(await priceRangeInAnyCurrency(filters.minPrice, filters.maxPrice, currency));
     }
     
     if (filters.minRating !== undefined) {
@@ -123,6 +558,11 @@ export const getAllProducts = async (options = {}) => {
       query = query.eq('source_platform', filters.sourcePlatform);
     }
 
+    // Every given specification must be stored with exactly that value
+    if (filters.specifications && Object.keys(filters.specifications).length > 0) {
+      query = query.contains('specifications', normalizeSpecifications(filters.specifications));
+    }
+
     // Apply ordering and pagination
     query = query
       .order(orderBy, { ascending })
@@ -135,20 +575,7 @@ export const getAllProducts = async (options = {}) => {
     }
 
     // Transform database response to frontend format
-    const transformedData = data ? data.map(product => ({
-      id: product.id,
-      name: product.name,
-      price: parseFloat(product.price),
-      brand: product.brand,
-      category: product.category,
-      imageUrl: product.image_url,
-      productUrl: product.product_url,
-      rating: product.rating ? parseFloat(product.rating) : null,
-      reviewCount: product.review_count,
-      sourcePlatform: product.source_platform,
-      createdAt: new Date(product.created_at),
-      updatedAt: new Date(product.updated_at),
-    })) : [];
+    const transformedData = data ? data.map(transformProduct) : [];
 
     return { data: transformedData, error: null, count: count || 0 };
   } catch (error) {
@@ -192,20 +619,7 @@ export const getProductById = async (id) => {
     }
 
     // Transform database response to frontend format
-    const transformedData = {
-      id: data.id,
-      name: data.name,
-      price: parseFloat(data.price),
-      brand: data.brand,
-      category: data.category,
-      imageUrl: data.image_url,
-      productUrl: data.product_url,
-      rating: data.rating ? parseFloat(data.rating) : null,
-      reviewCount: data.review_count,
-      sourcePlatform: data.source_platform,
-      createdAt: new Date(data.created_at),
-      updatedAt: new Date(data.updated_at),
-    };
+    const transformedData = transformProduct(data);
 
     return { data: transformedData, error: null };
   } catch (error) {
@@ -214,6 +628,33 @@ export const getProductById = async (id) => {
   }
 };
 
+/**
+ * Retrieves the products with the given IDs; IDs of deleted products are left out
+ * @param {string[]} ids - Product UUIDs
+ * @returns {Promise<{data: Product[], error: Error|null}>}
+ */
+export const getProductsByIds = async (ids) => {
+  try {
+    if (ids.length === 0) {
+      return { data: [], error: null };
+    }
+
+    const { data, error } = await supabase
+      .from('products')
+      .select('*')
+      .in('id', ids);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return { data: data.map(transformProduct), error: null };
+  } catch (error) {
+    console.error('Error getting products by ID:', error);
+    return { data: [], error: error instanceof Error ? error : new Error('Unknown error occurred') };
+  }
+};
+
 /**
  * Updates a product by ID
  * @param {string} id - Product UUID
@@ -241,6 +682,10 @@ export const updateProduct = async (id, updates) => {
       throw new Error('Price must be a non-negative number');
     }
 
+    if (updates.currency !== undefined && !normalizeCurrency(updates.currency)) {
+      throw new Error('Currency must be a three-letter ISO 4217 code');
+    }
+
     if (updates.rating !== undefined && (typeof updates.rating !== 'number' || updates.rating < 0 || updates.rating > 5)) {
       throw new Error('Rating must be a number between 0 and 5');
     }
@@ -249,17 +694,47 @@ export const updateProduct = async (id, updates) => {
       throw new Error('Review count must be a non-negative number');
     }
 
+    const invalidDetails = validateProductDetails(updates);
+    if (invalidDetails) {
+      throw new Error(invalidDetails);
+    }
+
     // Map frontend field names to database column names
     const dbUpdates = {};
     if (updates.name !== undefined) dbUpdates.name = updates.name;
     if (updates.price !== undefined) dbUpdates.price = updates.price;
-    if (updates.brand !== undefined) dbUpdates.brand = updates.brand;
+    if (updates.currency !== undefined) dbUpdates.currency = normalizeCurrency(updates.currency);
+    if (updates.brand !== undefined) dbUpdates.brand = canonicalBrand(updates.brand);
     if (updates.category !== undefined) dbUpdates.category = updates.category;
     if (updates.imageUrl !== undefined) dbUpdates.image_url = updates.imageUrl;
     if (updates.productUrl !== undefined) dbUpdates.product_url = updates.productUrl;
     if (updates.rating !== undefined) dbUpdates.rating = updates.rating;
     if (updates.reviewCount !== undefined) dbUpdates.review_count = updates.reviewCount;
     if (updates.sourcePlatform !== undefined) dbUpdates.source_platform = updates.sourcePlatform;
+    if (updates.description !== undefined) dbUpdates.description = updates.description.trim();
+    if (updates.features !== undefined) dbUpdates.features = updates.features.map(feature => feature.trim()).filter(Boolean);
+    if (updates.specifications !== undefined) dbUpdates.specifications = normalizeSpecifications(updates.specifications);
+
+    // Renaming a product or changing its link changes its identity keys
+    if (updates.name !== undefined || updates.brand !== undefined || updates.productUrl !== undefined) {
+      const { data: current, error: currentError } = await supabase
+        .from('products')
+        .select('name, brand, product_url')
+        .eq('id', id)
+        .single();
+
+      if (currentError) {
+        throw new Error(currentError.code === 'PGRST116' ? 'Product not found' : `Database error: ${currentError.message}`);
+      }
+
+      const { canonicalKey, urlKey } = productKeys({
+        name: dbUpdates.name ?? current.name,
+        brand: dbUpdates.brand ?? current.brand,
+        productUrl: dbUpdates.product_url ?? current.product_url,
+      });
+      dbUpdates.canonical_key = canonicalKey;
+      dbUpdates.url_key = urlKey;
+    }
 
     const { data, error } = await supabase
       .from('products')
@@ -268,6 +743,9 @@ export const updateProduct = async (id, updates) => {
       .select()
       .single();
 
+    if (error?.code === UNIQUE_VIOLATION) {
+      throw new Error('Another product has the same link, or the same brand, model and variant');
+    }
     if (error) {
       throw new Error(`Database error: ${error.message}`);
     }
@@ -277,20 +755,7 @@ export const updateProduct = async (id, updates) => {
     }
 
     // Transform database response to frontend format
-    const transformedData = {
-      id: data.id,
-      name: data.name,
-      price: parseFloat(data.price),
-      brand: data.brand,
-      category: data.category,
-      imageUrl: data.image_url,
-      productUrl: data.product_url,
-      rating: data.rating ? parseFloat(data.rating) : null,
-      reviewCount: data.review_count,
-      sourcePlatform: data.source_platform,
-      createdAt: new Date(data.created_at),
-      updatedAt: new Date(data.updated_at),
-    };
+    const transformedData = transformProduct(data);
 
     return { data: transformedData, error: null };
   } catch (error) {
@@ -360,20 +825,7 @@ export const searchProducts = async (query, options = {}) => {
     }
 
     // Transform database response to frontend format
-    const transformedData = data ? data.map(product => ({
-      id: product.id,
-      name: product.name,
-      price: parseFloat(product.price),
-      brand: product.brand,
-      category: product.category,
-      imageUrl: product.image_url,
-      productUrl: product.product_url,
-      rating: product.rating ? parseFloat(product.rating) : null,
-      reviewCount: product.review_count,
-      sourcePlatform: product.source_platform,
-      createdAt: new Date(product.created_at),
-      updatedAt: new Date(product.updated_at),
-    })) : [];
+    const transformedData = data ? data.map(transformProduct) : [];
 
     return { data: transformedData, error: null, count: count || 0 };
   } catch (error) {
@@ -55,6 +55,7 @@ export const createProduct = async (productData: CreateProductData): Promise<Dat
       id: data.id,
       name: data.name,
       price: parseFloat(data.price),
+      currency: data.currency,
       brand: data.brand,
       category: data.category,
       imageUrl: data.image_url,
@@ -62,6 +63,9 @@ export const createProduct = async (productData: CreateProductData): Promise<Dat
       rating: data.rating ? parseFloat(data.rating) : null,
       reviewCount: data.review_count,
       sourcePlatform: data.source_platform,
+      description: data.description ?? '',
+      features: data.features ?? [],
+      specifications: data.specifications ?? {},
       createdAt: new Date(data.created_at),
       updatedAt: new Date(data.updated_at),
     };
@@ -131,6 +135,7 @@ export const getAllProducts = async (options: QueryOptions = {}): Promise<{ data
       id: product.id,
       name: product.name,
       price: parseFloat(product.price),
+      currency: product.currency,
       brand: product.brand,
       category: product.category,
       imageUrl: product.image_url,
@@ -138,6 +143,9 @@ export const getAllProducts = async (options: QueryOptions = {}): Promise<{ data
       rating: product.rating ? parseFloat(product.rating) : null,
       reviewCount: product.review_count,
       sourcePlatform: product.source_platform,
+      description: product.description ?? '',
+      features: product.features ?? [],
+      specifications: product.specifications ?? {},
       createdAt: new Date(product.created_at),
       updatedAt: new Date(product.updated_at),
     })) : [];
@@ -186,6 +194,7 @@ export const getProductById = async (id: string): Promise<DatabaseResponse<Produ
       id: data.id,
       name: data.name,
       price: parseFloat(data.price),
+      currency: data.currency,
       brand: data.brand,
       category: data.category,
       imageUrl: data.image_url,
@@ -193,6 +202,9 @@ export const getProductById = async (id: string): Promise<DatabaseResponse<Produ
       rating: data.rating ? parseFloat(data.rating) : null,
       reviewCount: data.review_count,
       sourcePlatform: data.source_platform,
+      description: data.description ?? '',
+      features: data.features ?? [],
+      specifications: data.specifications ?? {},
       createdAt: new Date(data.created_at),
       updatedAt: new Date(data.updated_at),
     };
@@ -268,6 +280,7 @@ export const updateProduct = async (id: string, updates: UpdateProductData): Pro
       id: data.id,
       name: data.name,
       price: parseFloat(data.price),
+      currency: data.currency,
       brand: data.brand,
       category: data.category,
       imageUrl: data.image_url,
@@ -275,6 +288,9 @@ export const updateProduct = async (id: string, updates: UpdateProductData): Pro
       rating: data.rating ? parseFloat(data.rating) : null,
       reviewCount: data.review_count,
       sourcePlatform: data.source_platform,
+      description: data.description ?? '',
+      features: data.features ?? [],
+      specifications: data.specifications ?? {},
       createdAt: new Date(data.created_at),
       updatedAt: new Date(data.updated_at),
     };
@@ -344,6 +360,7 @@ export const searchProducts = async (query: string, options: { limit?: number; o
       id: product.id,
       name: product.name,
       price: parseFloat(product.price),
+      currency: product.currency,
       brand: product.brand,
       category: product.category,
       imageUrl: product.image_url,
@@ -351,6 +368,9 @@ export const searchProducts = async (query: string, options: { limit?: number; o
       rating: product.rating ? parseFloat(product.rating) : null,
       reviewCount: product.review_count,
       sourcePlatform: product.source_platform,
+      description: product.description ?? '',
+      features: product.features ?? [],
+      specifications: product.specifications ?? {},
       createdAt: new Date(product.created_at),
       updatedAt: new Date(product.updated_at),
     })) : [];
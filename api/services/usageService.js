@@ -0,0 +1,443 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash, timingSafeEqual } from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Client id used for calls made outside a request (scripts, tests)
+ */
+export const ANONYMOUS_CLIENT = 'anonymous';
+
+/**
+ * @typedef {Object} UsageQuota
+ * @property {number} [dailyTokens] - Prompt plus response tokens per UTC day
+ * @property {number} [dailyCost] - Estimated cost in USD per UTC day
+ * @property {number} [dailySearches] - Search requests per UTC day
+ */
+
+const parseJson = (value, name) => {
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    console.warn(`⚠️ ${name} is not valid JSON, ignoring it`);
+    return {};
+  }
+};
+
+/**
+ * Usage configuration, read from the environment
+ */
+export const USAGE_CONFIG = {
+  store: process.env.USAGE_STORE || 'memory',
+  filePath: process.env.USAGE_FILE || path.join(process.cwd(), '.data', 'usage.json'),
+  // { "default": { "dailyTokens": 200000 }, "partner-app": { "dailyCost": 5, "dailySearches": 1000 } }
+  quotas: parseJson(process.env.USAGE_QUOTAS, 'USAGE_QUOTAS'),
+  // API keys issued to clients: { "partner-app": "<key>" }
+  clientKeys: parseJson(process.env.USAGE_CLIENT_KEYS, 'USAGE_CLIENT_KEYS'),
+};
+
+/**
+ * Price per million tokens in USD, by model. USAGE_PRICING (same shape, JSON) adds or overrides models.
+ */
+export const MODEL_PRICING = {
+  'gemini-pro': { prompt: 0.5, response: 1.5 },
+  'gemini-1.0-pro': { prompt: 0.5, response: 1.5 },
+  'gemini-1.5-flash': { prompt: 0.075, response: 0.3 },
+  'gemini-1.5-pro': { prompt: 1.25, response: 5 },
+  'gemini-2.0-flash': { prompt: 0.1, response: 0.4 },
+  'local-fixture-v1': { prompt: 0, response: 0 },
+  ...parseJson(process.env.USAGE_PRICING, 'USAGE_PRICING'),
+};
+
+/**
+ * @typedef {Object} UsageRecord
+ * @property {string} clientId - API client the call was made for
+ * @property {string} operation - What the call was for ('search', 'refine', 'stream')
+ * @property {string} provider - Provider name
+ * @property {string} model - Model name
+ * @property {number} promptTokens
+ * @property {number} responseTokens
+ * @property {number} totalTokens
+ * @property {number} latencyMs - Time the call took, retries included
+ * @property {number} estimatedCost - Estimated cost in USD
+ */
+
+/**
+ * @typedef {Object} UsageAggregate
+ * @property {string} day - UTC day (YYYY-MM-DD)
+ * @property {string} clientId
+ * @property {number} searches - Search requests admitted
+ * @property {number} calls - LLM calls made
+ * @property {number} promptTokens
+ * @property {number} responseTokens
+ * @property {number} totalTokens
+ * @property {number} estimatedCost - USD
+ * @property {number} latencyMs - Total LLM latency
+ * @property {Object<string, { calls: number; totalTokens: number; estimatedCost: number }>} byModel
+ * @property {Object<string, number>} byOperation - LLM calls per operation
+ */
+
+/**
+ * @typedef {Object} UsageStore
+ * @property {(day: string, clientId: string) => UsageAggregate|undefined|Promise<UsageAggregate|undefined>} get
+ * @property {(day: string, clientId: string, updater: (aggregate: UsageAggregate) => UsageAggregate) => void|Promise<void>} update - Apply an update atomically
+ * @property {() => UsageAggregate[]|Promise<UsageAggregate[]>} list
+ */
+
+const emptyAggregate = (day, clientId) => ({
+  day,
+  clientId,
+  searches: 0,
+  calls: 0,
+  promptTokens: 0,
+  responseTokens: 0,
+  totalTokens: 0,
+  estimatedCost: 0,
+  latencyMs: 0,
+  byModel: {},
+  byOperation: {},
+});
+
+/**
+ * In-memory store, lost on restart (useful for tests)
+ * @returns {UsageStore}
+ */
+export const createMemoryUsageStore = () => {
+  const aggregates = new Map();
+
+  return {
+    get(day, clientId) {
+      return aggregates.get(`${day}|${clientId}`);
+    },
+    update(day, clientId, updater) {
+      const key = `${day}|${clientId}`;
+      aggregates.set(key, updater(aggregates.get(key) || emptyAggregate(day, clientId)));
+    },
+    list() {
+      return [...aggregates.values()];
+    },
+  };
+};
+
+/**
+ * Store backed by a JSON file, so daily totals and quotas survive restarts
+ * @param {{ filePath?: string }} [options]
+ * @returns {UsageStore}
+ */
+export const createFileUsageStore = ({ filePath = USAGE_CONFIG.filePath } = {}) => {
+  const memory = createMemoryUsageStore();
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    saved.forEach(aggregate => memory.update(aggregate.day, aggregate.clientId, () => aggregate));
+  } catch {
+    // No usage file yet
+  }
+
+  // Writes are chained so concurrent updates never interleave in the file
+  let writing = Promise.resolve();
+  const persist = () => {
+    writing = writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, JSON.stringify(memory.list()));
+      })
+      .catch(error => console.warn('⚠️ Usage file write failed:', error.message));
+    return writing;
+  };
+
+  return {
+    get: (day, clientId) => memory.get(day, clientId),
+    update(day, clientId, updater) {
+      memory.update(day, clientId, updater);
+      return persist();
+    },
+    list: () => memory.list(),
+  };
+};
+
+const createConfiguredStore = () => {
+  switch (USAGE_CONFIG.store) {
+    case 'file':
+      return createFileUsageStore();
+    case 'memory':
+      return createMemoryUsageStore();
+    default:
+      throw new Error(`Unknown usage store "${USAGE_CONFIG.store}". Use "file" or "memory".`);
+  }
+};
+
+let usageStore = null;
+
+const getStore = () => {
+  if (!usageStore) {
+    usageStore = createConfiguredStore();
+  }
+  return usageStore;
+};
+
+/**
+ * Replace the backing store
+ * @param {UsageStore} store
+ */
+export const setUsageStore = (store) => {
+  usageStore = store;
+};
+
+/**
+ * Replace the configured quotas
+ * @param {Object<string, UsageQuota>} quotas - Per client id, with "default" for clients without their own entry
+ */
+export const setUsageQuotas = (quotas) => {
+  USAGE_CONFIG.quotas = quotas;
+};
+
+/**
+ * UTC day of a date, as YYYY-MM-DD
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export const usageDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ * Replace the issued client API keys
+ * @param {Object<string, string>} clientKeys - API key per client id
+ */
+export const setUsageClientKeys = (clientKeys) => {
+  USAGE_CONFIG.clientKeys = clientKeys;
+};
+
+const digest = (value) => createHash('sha256').update(String(value)).digest();
+
+/**
+ * Identify the client a request is accounted to. Only the server decides identities: a client id comes from an
+ * issued API key, and callers without one are accounted by address, so a made-up id never gets a quota of its own.
+ * @param {{ apiKey?: string; ip?: string }} request - x-api-key header and caller address
+ * @returns {string|null} Client id, or null when an API key is presented but not issued
+ */
+export const identifyClient = ({ apiKey, ip }) => {
+  if (typeof apiKey === 'string' && apiKey) {
+    const presented = digest(apiKey);
+    const match = Object.entries(USAGE_CONFIG.clientKeys)
+      .find(([, key]) => timingSafeEqual(digest(key), presented));
+    return match ? match[0] : null;
+  }
+
+  return `ip:${ip || 'unknown'}`;
+};
+
+/**
+ * Estimated cost in USD of a call; models without a price cost 0
+ * @param {string} model
+ * @param {{ promptTokens: number; responseTokens: number }} usage
+ * @returns {number}
+ */
+export const estimateCost = (model, { promptTokens = 0, responseTokens = 0 }) => {
+  const price = MODEL_PRICING[model];
+  if (!price) return 0;
+  return (promptTokens * price.prompt + responseTokens * price.response) / 1_000_000;
+};
+
+const roundCost = (cost) => Math.round(cost * 1_000_000) / 1_000_000;
+
+/**
+ * Add one LLM call to the client's daily totals; failures are logged, never thrown
+ * @param {UsageRecord} record
+ */
+export const recordUsage = async (record) => {
+  try {
+    await getStore().update(usageDay(), record.clientId, (aggregate) => {
+      const model = aggregate.byModel[record.model] || { calls: 0, totalTokens: 0, estimatedCost: 0 };
+
+      return {
+        ...aggregate,
+        calls: aggregate.calls + 1,
+        promptTokens: aggregate.promptTokens + record.promptTokens,
+        responseTokens: aggregate.responseTokens + record.responseTokens,
+        totalTokens: aggregate.totalTokens + record.totalTokens,
+        estimatedCost: roundCost(aggregate.estimatedCost + record.estimatedCost),
+        latencyMs: aggregate.latencyMs + record.latencyMs,
+        byModel: {
+          ...aggregate.byModel,
+          [record.model]: {
+            calls: model.calls + 1,
+            totalTokens: model.totalTokens + record.totalTokens,
+            estimatedCost: roundCost(model.estimatedCost + record.estimatedCost),
+          },
+        },
+        byOperation: {
+          ...aggregate.byOperation,
+          [record.operation]: (aggregate.byOperation[record.operation] || 0) + 1,
+        },
+      };
+    });
+  } catch (error) {
+    console.warn('⚠️ Usage recording failed:', error.message);
+  }
+};
+
+/**
+ * Count an admitted search request against the client's daily searches
+ * @param {string} clientId
+ */
+export const recordSearchRequest = async (clientId) => {
+  try {
+    await getStore().update(usageDay(), clientId, aggregate => ({ ...aggregate, searches: aggregate.searches + 1 }));
+  } catch (error) {
+    console.warn('⚠️ Usage recording failed:', error.message);
+  }
+};
+
+/**
+ * Quota that applies to a client: its own entry, else "default", else no limits
+ * @param {string} clientId
+ * @returns {UsageQuota}
+ */
+export const getClientQuota = (clientId) => USAGE_CONFIG.quotas[clientId] || USAGE_CONFIG.quotas.default || {};
+
+/**
+ * Check a client's usage today against its quota
+ * @param {string} clientId
+ * @returns {Promise<{ allowed: boolean; exceeded: { metric: string; limit: number; used: number }[]; quota: UsageQuota; usage: UsageAggregate; resetAt: string }>}
+ */
+export const checkQuota = async (clientId) => {
+  const day = usageDay();
+  const usage = (await getStore().get(day, clientId)) || emptyAggregate(day, clientId);
+  const quota = getClientQuota(clientId);
+
+  const used = { dailyTokens: usage.totalTokens, dailyCost: usage.estimatedCost, dailySearches: usage.searches };
+  const exceeded = Object.entries(quota)
+    .filter(([metric, limit]) => metric in used && typeof limit === 'number' && used[metric] >= limit)
+    .map(([metric, limit]) => ({ metric, limit, used: used[metric] }));
+
+  const resetAt = new Date(`${day}T00:00:00.000Z`);
+  resetAt.setUTCDate(resetAt.getUTCDate() + 1);
+
+  return { allowed: exceeded.length === 0, exceeded, quota, usage, resetAt: resetAt.toISOString() };
+};
+
+/**
+ * @typedef {Object} UsageSummary
+ * @property {number} calls
+ * @property {number} promptTokens
+ * @property {number} responseTokens
+ * @property {number} totalTokens
+ * @property {number} latencyMs
+ * @property {number} estimatedCost - USD
+ */
+
+/**
+ * Track the LLM calls made for one request: wrap its provider, then read the totals with summary()
+ * @param {{ clientId?: string; operation: string }} context
+ */
+export const createUsageTracker = ({ clientId = ANONYMOUS_CLIENT, operation }) => {
+  const records = [];
+
+  const record = async (provider, response, startTime) => {
+    const usage = response.usage || {};
+    const entry = {
+      clientId,
+      operation,
+      provider: response.provider || provider.name,
+      model: response.model,
+      promptTokens: usage.promptTokens || 0,
+      responseTokens: usage.responseTokens || 0,
+      totalTokens: usage.totalTokens || (usage.promptTokens || 0) + (usage.responseTokens || 0),
+      latencyMs: Date.now() - startTime,
+      estimatedCost: estimateCost(response.model, usage),
+    };
+
+    records.push(entry);
+    await recordUsage(entry);
+  };
+
+  return {
+    /**
+     * @param {import('../providers/index.js').LLMProvider} provider
+     * @returns {import('../providers/index.js').LLMProvider}
+     */
+    track(provider) {
+      return {
+        ...provider,
+
+        async generateContent(prompt, options) {
+          const startTime = Date.now();
+          const response = await provider.generateContent(prompt, options);
+          await record(provider, response, startTime);
+          return response;
+        },
+
+        ...(typeof provider.generateContentStream === 'function' && {
+          async generateContentStream(prompt, options) {
+            const startTime = Date.now();
+            const { stream, response } = await provider.generateContentStream(prompt, options);
+
+            return {
+              stream,
+              response: response.then(async (final) => {
+                await record(provider, final, startTime);
+                return final;
+              }),
+            };
+          },
+        }),
+      };
+    },
+
+    /**
+     * @returns {UsageSummary}
+     */
+    summary() {
+      return records.reduce((total, entry) => ({
+        calls: total.calls + 1,
+        promptTokens: total.promptTokens + entry.promptTokens,
+        responseTokens: total.responseTokens + entry.responseTokens,
+        totalTokens: total.totalTokens + entry.totalTokens,
+        latencyMs: total.latencyMs + entry.latencyMs,
+        estimatedCost: roundCost(total.estimatedCost + entry.estimatedCost),
+      }), { calls: 0, promptTokens: 0, responseTokens: 0, totalTokens: 0, latencyMs: 0, estimatedCost: 0 });
+    },
+  };
+};
+
+/**
+ * Usage between two UTC days (inclusive), with totals per client and per day
+ * @param {{ from?: string; to?: string; clientId?: string }} [options] - Days as YYYY-MM-DD; defaults to today
+ * @returns {Promise<{ from: string; to: string; totals: Object; clients: Object[]; days: UsageAggregate[] }>}
+ */
+export const getUsageReport = async ({ from = usageDay(), to = usageDay(), clientId } = {}) => {
+  const days = (await getStore().list())
+    .filter(aggregate => aggregate.day >= from && aggregate.day <= to && (!clientId || aggregate.clientId === clientId))
+    .sort((a, b) => a.day.localeCompare(b.day) || a.clientId.localeCompare(b.clientId));
+
+  const sum = (aggregates) => aggregates.reduce((total, aggregate) => ({
+    searches: total.searches + aggregate.searches,
+    calls: total.calls + aggregate.calls,
+    promptTokens: total.promptTokens + aggregate.promptTokens,
+    responseTokens: total.responseTokens + aggregate.responseTokens,
+    totalTokens: total.totalTokens + aggregate.totalTokens,
+    estimatedCost: roundCost(total.estimatedCost + aggregate.estimatedCost),
+    latencyMs: total.latencyMs + aggregate.latencyMs,
+  }), { searches: 0, calls: 0, promptTokens: 0, responseTokens: 0, totalTokens: 0, estimatedCost: 0, latencyMs: 0 });
+
+  const withAverage = ({ latencyMs, ...totals }) => ({
+    ...totals,
+    averageLatencyMs: totals.calls > 0 ? Math.round(latencyMs / totals.calls) : 0,
+  });
+
+  const clientIds = [...new Set(days.map(aggregate => aggregate.clientId))];
+
+  return {
+    from,
+    to,
+    totals: withAverage(sum(days)),
+    clients: clientIds
+      .map(id => ({ clientId: id, ...withAverage(sum(days.filter(aggregate => aggregate.clientId === id))) }))
+      .sort((a, b) => b.estimatedCost - a.estimatedCost || b.totalTokens - a.totalTokens),
+    days,
+  };
+};
@@ -0,0 +1,256 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  analyzeComments,
+  getCommentAnalysis,
+  setCommentAnalysisStore,
+  createMemoryCommentAnalysisStore,
+  createFileCommentAnalysisStore,
+  getAspectDictionary,
+  registerAspectDictionary
+} from '../services/commentAnalysisService';
+import { assessReviewAuthenticity, ReviewForAuthenticity } from '../services/reviewAuthenticity';
+
+/**
+ * Test suite for the local comment analysis pipeline
+ * Run with: npx tsx api/tests/comment-analysis.test.ts
+ */
+
+// Keep test analyses out of the configured store
+setCommentAnalysisStore(createMemoryCommentAnalysisStore());
+
+// Analyses are made for the smartphone aspects, without looking the product up
+const SMARTPHONES = { category: 'Smartphones' };
+
+// Test 1: Comments are scored positive or negative from their wording, and ratings follow the sentiment
+async function testSentiment() {
+  console.log('🙂 Testing sentiment scoring...');
+
+  const positive = await analyzeComments('sentiment-positive', ['Excellent phone, I love it', 'Great camera and amazing screen'], SMARTPHONES);
+  const negative = await analyzeComments('sentiment-negative', ['Terrible phone, it broke after a week', 'Awful battery, very disappointing'], SMARTPHONES);
+  const rated = await analyzeComments('sentiment-rated', [{ content: 'Arrived on Tuesday', rating: 1 }, { content: 'Arrived on Monday', rating: 5 }, { content: 'Arrived on Friday', rating: 5 }], SMARTPHONES);
+
+  const passed = positive.averageSentiment > 0.5 && positive.sentimentDistribution.positive === 2
+    && positive.averageRating > 4
+    && negative.averageSentiment < -0.5 && negative.sentimentDistribution.negative === 2
+    && negative.averageRating < 2 && negative.commonIssues.includes('stopped working')
+    // Text without sentiment words falls back to the rating, and ratings are averaged as given
+    && rated.totalComments === 3 && rated.averageRating === 3.7
+    && rated.sentimentDistribution.positive === 2 && rated.sentimentDistribution.negative === 1;
+
+  console.log(passed ? '✅ Positive and negative comments told apart' : `❌ Unexpected sentiment: ${JSON.stringify({ positive, negative, rated })}`);
+  return passed;
+}
+
+// Test 2: A negation reverses and softens the words after it, and negated issues are not reported
+async function testNegation() {
+  console.log('\n🚫 Testing negation...');
+
+  const good = await analyzeComments('negation-good', ['The camera is good'], SMARTPHONES);
+  const notGood = await analyzeComments('negation-not-good', ['The camera is not good'], SMARTPHONES);
+  const overheats = await analyzeComments('negation-overheats', ['It overheats when gaming'], SMARTPHONES);
+  const noOverheating = await analyzeComments('negation-no-overheating', ['No overheating at all, great phone'], SMARTPHONES);
+
+  const passed = good.averageSentiment > 0 && notGood.averageSentiment < 0
+    // "not good" is milder than "good" is positive
+    && Math.abs(notGood.averageSentiment) < good.averageSentiment
+    && overheats.commonIssues.includes('overheating')
+    && !noOverheating.commonIssues.includes('overheating') && noOverheating.averageSentiment > 0;
+
+  console.log(passed ? '✅ Negated sentiment and issues handled' : `❌ Unexpected negation: ${JSON.stringify({ good, notGood, overheats, noOverheating })}`);
+  return passed;
+}
+
+// Test 3: Keywords are counted once per comment, and phrases win over the words inside them
+async function testKeywords() {
+  console.log('\n🔑 Testing keyword extraction...');
+
+  const analysis = await analyzeComments('keywords', [
+    'The battery life is great',
+    'Battery life could be longer',
+    'I love the battery life and the screen, the battery life is the best'
+  ], SMARTPHONES);
+  const keywords = analysis.topKeywords.map(({ keyword }) => keyword);
+
+  const passed = analysis.topKeywords[0].keyword === 'battery life' && analysis.topKeywords[0].frequency === 3
+    && !keywords.includes('battery') && !keywords.includes('life')
+    // Stopwords are never keywords
+    && !keywords.includes('the') && !keywords.includes('and')
+    && keywords.includes('screen')
+    && analysis.positiveAspects.includes('battery life');
+
+  console.log(passed ? `✅ Keywords extracted: ${keywords.join(', ')}` : `❌ Unexpected keywords: ${JSON.stringify(analysis.topKeywords)}`);
+  return passed;
+}
+
+// Test 4: Analyses are stored, survive a restart with the file store, and demo products are seeded
+async function testPersistence() {
+  console.log('\n💾 Testing analysis persistence...');
+
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'comment-analyses-'));
+  const filePath = path.join(directory, 'analyses.json');
+
+  try {
+    setCommentAnalysisStore(createFileCommentAnalysisStore({ filePath }));
+    // Concurrent saves must all reach the file
+    await Promise.all([
+      analyzeComments('persisted-1', ['Great phone'], SMARTPHONES),
+      analyzeComments('persisted-2', ['Awful phone'], SMARTPHONES)
+    ]);
+
+    // A new store reads what the first one wrote
+    setCommentAnalysisStore(createFileCommentAnalysisStore({ filePath }));
+    const [first, second, missing] = await Promise.all([
+      getCommentAnalysis('persisted-1'),
+      getCommentAnalysis('persisted-2'),
+      getCommentAnalysis('never-analyzed')
+    ]);
+
+    setCommentAnalysisStore(createMemoryCommentAnalysisStore());
+    const demo = await getCommentAnalysis('1');
+
+    const passed = first?.sentimentDistribution.positive === 1 && second?.sentimentDistribution.negative === 1
+      && missing === null
+      && demo?.totalComments > 0 && demo.averageRating >= 4 && demo.authenticity.flaggedComments === 0;
+
+    console.log(passed ? '✅ Analyses persisted and demo products seeded' : `❌ Unexpected stored analyses: ${JSON.stringify({ first, second, missing, demo })}`);
+    return passed;
+  } finally {
+    setCommentAnalysisStore(createMemoryCommentAnalysisStore());
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+}
+
+// Test 5: Sentiment is broken down per aspect, quoting both sides of a mixed aspect and not quoting flagged comments
+async function testAspectSentiment() {
+  console.log('\n🧩 Testing aspect sentiment...');
+
+  const analysis = await analyzeComments('aspects', [
+    'The battery life is amazing',
+    'Terrible battery, it dies before lunch',
+    'The screen is bright and beautiful',
+    'Battery is fine. The screen scratches easily',
+    { content: 'Best product ever, amazing battery, use my code SAVE10', rating: 5 }
+  ], SMARTPHONES);
+  const [battery, display] = analysis.aspectSentiment;
+
+  registerAspectDictionary('Kettles', [{ aspect: 'boil time', terms: ['boils', 'boil time'] }]);
+  const kettleAspects = getAspectDictionary('Electric Kettles').map(({ aspect }) => aspect);
+  const headphoneAspects = getAspectDictionary('Wireless Headphones').map(({ aspect }) => aspect);
+
+  const passed = battery.aspect === 'battery' && display.aspect === 'display'
+    // The promotional comment is flagged, so it counts for 0.2 of a mention and is not quoted
+    && battery.mentions === 3 && battery.positive === 2 && battery.negative === 1
+    && battery.snippets[0] === 'The battery life is amazing' && battery.snippets[1] === 'Terrible battery'
+    && !battery.snippets.some(snippet => snippet.includes('SAVE10'))
+    && battery.score > -1 && battery.score < display.score
+    && display.positive === 1 && display.neutral === 1
+    // Category aspects are added to the default ones, matched by a word of the category
+    && kettleAspects.includes('boil time') && kettleAspects.includes('price')
+    && headphoneAspects.includes('sound') && headphoneAspects.includes('shipping') && !headphoneAspects.includes('camera');
+
+  console.log(passed ? '✅ Aspects summarized' : `❌ Unexpected aspects: ${JSON.stringify({ aspects: analysis.aspectSentiment, kettleAspects, headphoneAspects })}`);
+  return passed;
+}
+
+// Test 6: Near-duplicates, bursts, empty extreme ratings and promotional comments are flagged and discounted
+async function testReviewAuthenticity() {
+  console.log('\n🕵️ Testing review authenticity...');
+
+  const review = (index: number, text: string, rating: number | null = 4, createdAt: number | null = null): ReviewForAuthenticity => ({
+    index,
+    text,
+    tokens: text.toLowerCase().match(/[a-z0-9]+/g) || [],
+    rating,
+    createdAt: createdAt === null ? null : new Date(createdAt)
+  });
+
+  const { flags, authenticity } = assessReviewAuthenticity([
+    review(0, 'The sound is great and the battery lasts for days'),
+    review(1, 'The sound is great and the battery lasts for days!!', 5),
+    review(2, 'Great', 5),
+    review(3, 'Great', 3),
+    review(4, 'Visit my shop at www.example.com for deals')
+  ]);
+
+  // Six comments a week apart, then six within six hours
+  const day = 24 * 60 * 60 * 1000;
+  const start = Date.parse('2025-01-01T00:00:00Z');
+  const dated = [
+    ...Array.from({ length: 6 }, (_, i) => review(i, `Weekly review ${i} of the speaker`, 4, start + i * 7 * day)),
+    ...Array.from({ length: 6 }, (_, i) => review(6 + i, `Same day review ${i} of the speaker`, 4, start + 60 * day + i * 60 * 60 * 1000))
+  ];
+  const bursts = assessReviewAuthenticity(dated);
+
+  // Copies of a five-star comment count for 0.2 each, so they lift the rating far less than three real reviews would
+  const weighted = await analyzeComments('authenticity', [
+    { content: 'Stopped charging after a month, the cable port is loose', rating: 1 },
+    { content: 'Great speaker, clear sound and a long lasting battery', rating: 5 },
+    { content: 'Great speaker, clear sound and a long lasting battery!', rating: 5 },
+    { content: 'Great speaker, clear sound and a long lasting battery!!', rating: 5 }
+  ], { category: 'Speakers' });
+
+  const passed = flags[0].length === 0 && flags[1].join() === 'near-duplicate'
+    && flags[2].join() === 'empty-extreme-rating' && flags[3].length === 0
+    && flags[4].join() === 'promotional'
+    && authenticity.flaggedComments === 3 && authenticity.score === 0.4
+    && authenticity.flagged.map(({ index }) => index).join() === '1,2,4'
+    && bursts.authenticity.flagCounts.burst === 6 && bursts.flags.slice(0, 6).every(reviewFlags => reviewFlags.length === 0)
+    && weighted.authenticity.flaggedComments === 2 && weighted.totalComments === 4
+    // (1 + 5 + 0.2 * 5 * 2) / 2.4 rather than (1 + 5 * 3) / 4
+    && weighted.averageRating === 3.3;
+
+  console.log(passed ? '✅ Suspicious comments flagged and discounted' : `❌ Unexpected authenticity: ${JSON.stringify({ flags, authenticity, bursts: bursts.authenticity, weighted: weighted.authenticity, rating: weighted.averageRating })}`);
+  return passed;
+}
+
+// Main test runner
+async function runAllTests() {
+  console.log('🧪 Running Comment Analysis Tests\n');
+  console.log('='.repeat(50) + '\n');
+
+  const tests = [
+    { name: 'Sentiment', fn: testSentiment },
+    { name: 'Negation', fn: testNegation },
+    { name: 'Keywords', fn: testKeywords },
+    { name: 'Persistence', fn: testPersistence },
+    { name: 'Aspect Sentiment', fn: testAspectSentiment },
+    { name: 'Review Authenticity', fn: testReviewAuthenticity }
+  ];
+
+  const results = [];
+
+  for (const { name, fn } of tests) {
+    try {
+      const passed = await fn();
+      results.push({ name, passed, status: passed ? '✅ PASSED' : '❌ FAILED' });
+    } catch (error) {
+      console.error(`❌ Test "${name}" crashed:`, error.message);
+      results.push({ name, passed: false, status: '💥 CRASHED' });
+    }
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  console.log('📊 TEST SUMMARY');
+  console.log('='.repeat(50));
+
+  const passedTests = results.filter(r => r.passed).length;
+
+  results.forEach(({ name, status }) => {
+    console.log(`${status} ${name}`);
+  });
+
+  console.log(`\n📈 Overall: ${passedTests}/${results.length} tests passed`);
+
+  if (passedTests !== results.length) {
+    process.exitCode = 1;
+  }
+  return passedTests === results.length;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests().catch(console.error);
+}
@@ -1,23 +1,41 @@
-import { searchProductsWithGemini } from '../services/geminiProductSearch.js';
+import { searchProductsWithGemini, streamSearchProducts, searchAndStoreProducts, hybridSearchProducts, setCatalogProductSource } from '../services/geminiProductSearch.js';
 import { storeGeminiProductsWithMetadata, batchProcessGeminiProducts } from '../services/geminiDataTransformer.js';
-import { getGeminiModel } from '../config/gemini.js';
+import { getLLMProvider, registerLLMProvider, getProviderHealth } from '../providers/index.js';
+import { createResilientProvider } from '../providers/resilientProvider.js';
+import { setUsageStore, createMemoryUsageStore, setUsageQuotas, checkQuota, getUsageReport, MODEL_PRICING } from '../services/usageService.js';
+import { createLocalProvider } from '../providers/localProvider.js';
+import { LOCAL_PRODUCT_CATALOG } from '../providers/fixtures/productCatalog.js';
+import { extractConstraintsFromText } from '../services/constraintExtractor.js';
+import { createSearchSession, sendSessionMessage, getSearchSession, listSearchSessions, deleteSearchSession, setSearchSessionStore, createMemorySessionStore } from '../services/searchSessionService.js';
+import { registerPromptTemplate, selectPromptTemplate, setPromptExperiment } from '../services/promptRegistry.js';
+import { canonicalBrand, brandMatches, getBrandFamily } from '../services/brandNormalizer.js';
+import { convertAmount, getExchangeRates } from '../services/currencyService.js';
+import { createShoppingStrategy, updateShoppingStrategy, listShoppingStrategies, setStrategyStore, createMemoryStrategyStore, validateStrategyWeights } from '../services/strategyService.js';
+import { productKeys, groupDuplicateProducts } from '../services/productIdentity.js';
+import { summarizePriceHistory } from '../services/priceTrend.js';
+import { recordSearch, listSearches, getSearch, rerunSearch, diffSearchResults, setSearchHistoryStore, createMemorySearchHistoryStore } from '../services/searchHistoryService.js';
 
 /**
  * Test suite for Gemini integration
+ * Runs against the deterministic local provider unless LLM_PROVIDER is set (e.g. LLM_PROVIDER=gemini)
  */
+process.env.LLM_PROVIDER = process.env.LLM_PROVIDER || 'local';
 
-// Test 1: Verify Gemini API connection
+// Keep test usage out of the usage file
+setUsageStore(createMemoryUsageStore());
+
+// Test 1: Verify LLM provider connection
 async function testGeminiConnection() {
-  console.log('🔌 Testing Gemini API connection...');
+  console.log('🔌 Testing LLM provider connection...');
   
   try {
-    const model = getGeminiModel();
-    console.log('✅ Gemini model initialized successfully');
+    const provider = getLLMProvider();
+    const { name, model } = provider.getMetadata();
+    console.log(`✅ Provider "${name}" initialized successfully (model: ${model})`);
     
     // Test basic generation
-    const result = await model.generateContent('Hello, this is a test.');
-    const response = await result.response;
-    const text = response.text();
+    const response = await provider.generateContent('Hello, this is a test.');
+    const text = response.text;
     
     console.log('✅ Basic generation test passed');
     console.log(`📝 Response: ${text.substring(0, 50)}...\n`);
@@ -45,11 +63,11 @@ async function testProductSearch() {
     try {
       console.log(`🧪 Testing: "${query}" with strategy "${strategy}"`);
       
-      const result = await searchProductsWithGemini(query, strategy);
+      const result = await searchProductsWithGemini(query, { type: strategy });
       
       // Validate results
       const hasProducts = result.products && result.products.length > 0;
-      const hasMetadata = result.metadata && result.metadata.searchTime > 0;
+      const hasMetadata = result.metadata && result.metadata.searchTime >= 0;
       const correctStrategy = result.strategy === strategy;
       
       if (hasProducts && hasMetadata && correctStrategy) {
@@ -113,7 +131,8 @@ async function testDataTransformation() {
     
     // Test storage (if Supabase is configured)
     console.log('💾 Testing storage functionality...');
-    const storageResult = await storeGeminiProductsWithMetadata([mockGeminiProduct], 'test query', 'test strategy');
+    const storageResult = await storeGeminiProductsWithMetadata([mockGeminiProduct], 'test query', 'test strategy')
+      .catch(error => ({ stored: 0, errors: [error.message] }));
     
     if (storageResult.stored > 0) {
       console.log('✅ Storage test passed');
@@ -184,7 +203,10 @@ async function testErrorHandling() {
   
   for (const { query, strategy, expectedError } of errorTestCases) {
     try {
-      await searchProductsWithGemini(query, strategy);
+      const result = await searchProductsWithGemini(query, { type: strategy });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
       if (expectedError) {
         console.log(`⚠️  Expected error not caught for: "${query}"`);
       } else {
@@ -207,6 +229,771 @@ async function testErrorHandling() {
   return handledErrors === errorTestCases.length;
 }
 
+// Test 6: Test schema validation and repair of malformed model output
+async function testSchemaRepair() {
+  console.log('\n🔧 Testing schema validation and repair...');
+
+  const validProduct = {
+    name: 'Repairable Headphones',
+    price: 199.99,
+    brand: 'TestBrand',
+    category: 'Headphones',
+    imageUrl: 'https://www.amazon.com/images/repairable.jpg',
+    productUrl: 'https://www.amazon.com/dp/REPAIRABLE',
+    rating: 4.2,
+    reviewCount: 120,
+    sourcePlatform: 'Amazon',
+    description: 'Headphones used to test output repair',
+    features: ['Wireless'],
+    specifications: { battery: '20 hours' }
+  };
+
+  // First answer: one valid item, one with a string price, wrapped in prose; repairs return the fixed item
+  const responses = [
+    `Here you go:\n${JSON.stringify([validProduct, { ...validProduct, name: 'Broken Price Headphones', price: 'cheap' }])}`,
+    JSON.stringify([{ ...validProduct, name: 'Broken Price Headphones', price: 89.99 }])
+  ];
+  let call = 0;
+  registerLLMProvider('repair-test', () => createLocalProvider({
+    responder: () => responses[Math.min(call++, responses.length - 1)]
+  }));
+
+  try {
+    const result = await searchProductsWithGemini('headphones', { type: 'cost-effective' }, { provider: 'repair-test', bypassCache: true });
+
+    const repaired = result.success
+      && result.products.length === 2
+      && result.validation.repairAttempts === 1
+      && result.validation.rejected === 0;
+
+    console.log(repaired
+      ? '✅ Invalid item repaired and accepted'
+      : `❌ Unexpected repair result: ${JSON.stringify(result.validation)}`);
+
+    // An item that never becomes valid is reported, while valid items are still returned
+    call = 0;
+    responses[1] = responses[0];
+    const partial = await searchProductsWithGemini('headphones', { type: 'cost-effective' }, { provider: 'repair-test', maxRepairAttempts: 1, bypassCache: true });
+    const reported = partial.success
+      && partial.products.length === 1
+      && partial.validation.rejected === 1
+      && partial.validation.rejectedItems[0].errors[0].field === 'price';
+
+    console.log(reported
+      ? '✅ Persistently invalid item rejected with field errors'
+      : `❌ Unexpected partial result: ${JSON.stringify(partial.validation)}`);
+
+    // A repair answer that does not parse is reported as such, not with the earlier answer's errors
+    call = 0;
+    responses[1] = 'Sorry, I cannot help with that.';
+    const unparsed = await searchProductsWithGemini('headphones', { type: 'cost-effective' }, { provider: 'repair-test', maxRepairAttempts: 1, bypassCache: true });
+    const reportedParse = unparsed.success
+      && unparsed.products.length === 1
+      && unparsed.validation.rejected === 0
+      && typeof unparsed.validation.parseError === 'string';
+
+    console.log(reportedParse
+      ? '✅ Unparseable repair answer reported'
+      : `❌ Unexpected unparsed result: ${JSON.stringify(unparsed.validation)}`);
+
+    return repaired && reported && reportedParse;
+  } catch (error) {
+    console.error('❌ Schema repair test failed:', error.message);
+    return false;
+  }
+}
+
+// Test 7: Test search result caching
+async function testSearchCache() {
+  console.log('\n⚡ Testing search result cache...');
+
+  try {
+    const strategy = { type: 'fancy', preferredBrands: ['Sony', 'Bose'] };
+    const first = await searchProductsWithGemini('Noise cancelling headphones', strategy, { bypassCache: true });
+    // Same query with different casing/spacing and brand order should share the entry
+    const second = await searchProductsWithGemini('  noise   CANCELLING headphones', { type: 'fancy', preferredBrands: ['bose', 'sony'] });
+    const bypassed = await searchProductsWithGemini('Noise cancelling headphones', strategy, { bypassCache: true });
+
+    const passed = first.cache.hit === false
+      && second.cache.hit === true
+      && second.cache.key === first.cache.key
+      && second.products.length === first.products.length
+      && bypassed.cache.hit === false
+      && bypassed.cache.bypassed === true;
+
+    console.log(passed ? '✅ Cache hit on normalized query, bypass honoured' : '❌ Unexpected cache behaviour');
+    return passed;
+  } catch (error) {
+    console.error('❌ Search cache test failed:', error.message);
+    return false;
+  }
+}
+
+// Test 8: Test streaming search events
+async function testStreamingSearch() {
+  console.log('\n📡 Testing streaming search...');
+
+  try {
+    const strategy = { type: 'cost-effective' };
+    const events = [];
+    for await (const event of streamSearchProducts('Wireless headphones', strategy, { bypassCache: true })) {
+      events.push(event);
+    }
+
+    const products = events.filter(event => event.type === 'product');
+    const last = events[events.length - 1];
+    const batch = await searchProductsWithGemini('Wireless headphones', strategy, { bypassCache: true });
+
+    const passed = events[0].type === 'start'
+      && last.type === 'complete'
+      && products.length > 0
+      && last.data.totalFound === products.length
+      && products.length === batch.products.length;
+
+    console.log(passed ? `✅ Streamed ${products.length} products before completion` : '❌ Unexpected stream events');
+
+    // A stream that fails midway rejects its response too; neither a failed nor an abandoned stream may leave that unhandled
+    const answer = (await createLocalProvider().generateContent('Customer Request: "Wireless headphones"')).text;
+    registerLLMProvider('stream-failure-test', () => ({
+      ...createLocalProvider(),
+      name: 'stream-failure-test',
+      async generateContentStream() {
+        const failure = new Error('socket hang up mid-stream');
+        const stream = (async function* () {
+          yield answer.slice(0, Math.floor(answer.length / 2));
+          throw failure;
+        })();
+        return { stream, response: new Promise((resolve, reject) => setTimeout(() => reject(failure), 10)) };
+      }
+    }));
+
+    const unhandled = [];
+    const onUnhandled = (reason) => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+
+    const failedEvents = [];
+    for await (const event of streamSearchProducts('Wireless headphones', strategy, { provider: 'stream-failure-test', bypassCache: true })) {
+      failedEvents.push(event);
+    }
+    const failed = failedEvents[failedEvents.length - 1];
+
+    // A client that disconnects stops reading after the first event
+    for await (const event of streamSearchProducts('Wireless headphones', strategy, { provider: 'stream-failure-test', bypassCache: true })) {
+      if (event) break;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    process.off('unhandledRejection', onUnhandled);
+
+    const failureHandled = failed.type === 'error' && failed.data.error === 'socket hang up mid-stream' && unhandled.length === 0;
+    console.log(failureHandled
+      ? '✅ Failed and abandoned streams leave no unhandled rejection'
+      : `❌ Unexpected stream failure handling: ${JSON.stringify(failed)}, ${unhandled.length} unhandled rejections`);
+
+    return passed && failureHandled;
+  } catch (error) {
+    console.error('❌ Streaming search test failed:', error.message);
+    return false;
+  }
+}
+
+// Test 9: Test conversational search sessions
+async function testSearchSessions() {
+  console.log('\n💬 Testing conversational search sessions...');
+
+  try {
+    // Keep test sessions out of the configured store
+    setSearchSessionStore(createMemorySessionStore());
+
+    const owner = { clientId: 'session-owner' };
+    const other = { clientId: 'other-client' };
+    const { data: session, error } = await createSearchSession({
+      customerInput: 'Wireless headphones',
+      strategy: { type: 'cost-effective' }
+    }, owner);
+    if (error) throw error;
+
+    const { data: cheaper } = await sendSessionMessage(session.id, 'cheaper', owner);
+    const { data: sony } = await sendSessionMessage(session.id, 'only Sony', owner);
+    const { data: saved } = await getSearchSession(session.id, owner);
+
+    // Sessions belong to the client that started them; others are told they do not exist
+    const { data: foreignMessage } = await sendSessionMessage(session.id, 'cheaper', other);
+    const { data: foreignRead } = await getSearchSession(session.id, other);
+    const { data: foreignList } = await listSearchSessions(other);
+    const { data: ownList } = await listSearchSessions(owner);
+    const { data: foreignDelete } = await deleteSearchSession(session.id, other);
+    const { data: ownDelete } = await deleteSearchSession(session.id, owner);
+    const scoped = foreignMessage === null && foreignRead === null && foreignList.length === 0 && foreignDelete === false
+      && ownList.length === 1 && !('clientId' in ownList[0]) && !('clientId' in saved) && ownDelete === true;
+
+    const maxPrice = (products) => Math.max(...products.map(product => product.price));
+    const passed = session.products.length > 0
+      && maxPrice(cheaper.products) < maxPrice(session.products)
+      && sony.products.length > 0
+      && sony.products.every(product => product.brand === 'Sony')
+      && saved.messages.length === 6
+      && scoped;
+
+    console.log(passed ? '✅ Follow-ups refined results, history was kept and other clients were kept out' : '❌ Unexpected session behaviour');
+    return passed;
+  } catch (error) {
+    console.error('❌ Search session test failed:', error.message);
+    return false;
+  }
+}
+
+// Test 10: Test natural-language constraint extraction
+async function testConstraintExtraction() {
+  console.log('\n🧩 Testing constraint extraction...');
+
+  try {
+    const query = 'Noise cancelling headphones under $200, not Beats, at least 4 stars';
+    const extracted = extractConstraintsFromText(query);
+    // Explicit fields win over values read from the text
+    const result = await searchProductsWithGemini(query, { type: 'cost-effective', maxPrice: 150 }, { bypassCache: true });
+
+    const passed = extracted.maxPrice === 200
+      && extracted.excludedBrands?.[0] === 'Beats'
+      && extracted.minRating === 4
+      && extracted.category === 'Headphones'
+      && result.constraints.applied.maxPrice.source === 'explicit'
+      && result.constraints.applied.excludedBrands.source === 'text'
+      && result.products.length > 0
+      && result.products.every(product => product.price <= 150 && product.brand !== 'Beats' && product.rating >= 4);
+
+    console.log(passed ? '✅ Constraints extracted and merged with explicit fields' : '❌ Unexpected constraints');
+    return passed;
+  } catch (error) {
+    console.error('❌ Constraint extraction test failed:', error.message);
+    return false;
+  }
+}
+
+// Test 11: Test hallucination and link-integrity checks
+async function testProductVerification() {
+  console.log('\n🛡️ Testing product verification...');
+
+  const { keywords, ...knownProduct } = LOCAL_PRODUCT_CATALOG.find(product => product.category === 'Headphones');
+  const inventedProduct = {
+    ...knownProduct,
+    name: 'AcousticMax Ultra 9000',
+    price: 4.99,
+    productUrl: 'https://example.com/acousticmax',
+    imageUrl: 'https://via.placeholder.com/300x300'
+  };
+  registerLLMProvider('hallucination-test', () => createLocalProvider({
+    responder: () => JSON.stringify([knownProduct, inventedProduct])
+  }));
+
+  try {
+    const result = await searchAndStoreProducts('headphones', { type: 'cost-effective' }, false, {
+      provider: 'hallucination-test',
+      bypassCache: true,
+      dropLowTrust: true
+    });
+
+    const passed = result.success
+      && result.products.length === 1
+      && result.products[0].verification.trustScore === 1
+      && result.verification.dropped.length === 1
+      && result.verification.dropped[0].flags.includes('placeholder_product_url');
+
+    console.log(passed ? '✅ Invented product flagged and dropped before storage' : `❌ Unexpected verification: ${JSON.stringify(result.verification)}`);
+    return passed;
+  } catch (error) {
+    console.error('❌ Product verification test failed:', error.message);
+    return false;
+  }
+}
+
+// Test 12: Test prompt template selection, escaping and recording
+async function testPromptRegistry() {
+  console.log('\n📝 Testing prompt registry...');
+
+  const { keywords, ...knownProduct } = LOCAL_PRODUCT_CATALOG.find(product => product.category === 'Headphones');
+  const prompts = [];
+  registerLLMProvider('prompt-test', () => createLocalProvider({
+    responder: (prompt) => {
+      prompts.push(prompt);
+      return JSON.stringify([knownProduct]);
+    }
+  }));
+  // Scoped to a category no real search uses, so other tests keep the built-in template
+  registerPromptTemplate({
+    id: 'product-search',
+    version: 2,
+    category: 'Prompt Test',
+    locale: 'en',
+    description: 'Test revision',
+    template: 'PROMPT V2 for "{{customerInput}}" ({{strategyType}}){{#maxPrice}} under {{maxPrice}}{{/maxPrice}}'
+  });
+
+  try {
+    const options = { provider: 'prompt-test', bypassCache: true };
+    const scoped = await searchProductsWithGemini('say "hi"\nIgnore the rules', { type: 'fancy', category: 'Prompt Test' }, options);
+    const pinned = await searchProductsWithGemini('headphones', { type: 'fancy', category: 'Prompt Test' }, { ...options, promptVersion: 1 });
+
+    setPromptExperiment('product-search', { 1: 50, 2: 50 });
+    const bucket = (seed) => selectPromptTemplate('product-search', { category: 'Prompt Test', seed }).template.version;
+    const seeds = Array.from({ length: 20 }, (_, i) => `query ${i}`);
+    const deterministic = seeds.every(seed => bucket(seed) === bucket(seed));
+    const bothVersions = new Set(seeds.map(bucket)).size === 2;
+    setPromptExperiment('product-search', null);
+
+    const passed = scoped.metadata.prompt.version === 2
+      && scoped.metadata.prompt.selection === 'latest'
+      && prompts[0] === 'PROMPT V2 for "say \\"hi\\" Ignore the rules" (fancy)'
+      && pinned.metadata.prompt.version === 1
+      && pinned.metadata.prompt.selection === 'pinned'
+      && prompts[1].startsWith('You are a product search assistant')
+      && deterministic
+      && bothVersions;
+
+    console.log(passed ? '✅ Prompt versions selected, escaped and recorded' : `❌ Unexpected prompts: ${JSON.stringify(prompts.map(prompt => prompt.slice(0, 80)))}`);
+    return passed;
+  } catch (error) {
+    console.error('❌ Prompt registry test failed:', error.message);
+    return false;
+  }
+}
+
+// Test 13: Test retries, the circuit breaker and degraded fallback results
+async function testResilience() {
+  console.log('\n🩹 Testing provider resilience...');
+
+  const local = createLocalProvider();
+  const unavailable = () => Object.assign(new Error('503 Service Unavailable'), { status: 503 });
+
+  try {
+    // A single transient failure is retried
+    let failures = 1;
+    const flaky = createResilientProvider({
+      ...local,
+      generateContent: async (prompt) => {
+        if (failures-- > 0) throw unavailable();
+        return local.generateContent(prompt);
+      }
+    }, { sleep: async () => {} });
+    const retried = await flaky.generateContent('wireless headphones');
+
+    // A slow call times out instead of hanging the search
+    const slow = createResilientProvider({
+      ...local,
+      generateContent: () => new Promise(() => {})
+    }, { timeoutMs: 50, maxRetries: 0 });
+    const timedOut = await slow.generateContent('headphones').then(() => null, error => error.code);
+
+    // A provider outage serves the earlier results, marked as degraded
+    let down = false;
+    registerLLMProvider('outage-test', () => ({
+      ...local,
+      name: 'outage-test',
+      generateContent: async (prompt) => {
+        if (down) throw unavailable();
+        return local.generateContent(prompt);
+      }
+    }));
+
+    const options = { provider: 'outage-test', bypassCache: true };
+    const fresh = await searchProductsWithGemini('bluetooth speaker', { type: 'cost-effective' }, options);
+    down = true;
+    const fallback = await searchProductsWithGemini('bluetooth speaker', { type: 'cost-effective' }, options);
+    await searchProductsWithGemini('bluetooth speaker', { type: 'cost-effective' }, options);
+    const circuit = getProviderHealth()['outage-test'];
+
+    const passed = retried.text.length > 0
+      && timedOut === 'LLM_TIMEOUT'
+      && fresh.success && !fresh.degraded
+      && fallback.success
+      && fallback.degraded?.source === 'stale-cache'
+      && fallback.products.length === fresh.products.length
+      && circuit.state === 'open';
+
+    console.log(passed ? '✅ Retried, timed out, opened the circuit and fell back to cached results' : `❌ Unexpected resilience: ${JSON.stringify({ degraded: fallback.degraded, circuit })}`);
+    return passed;
+  } catch (error) {
+    console.error('❌ Resilience test failed:', error.message);
+    return false;
+  }
+}
+
+// Test 14: Test token accounting per search and per client, and quotas
+async function testUsageAccounting() {
+  console.log('\n💵 Testing usage accounting...');
+
+  const local = createLocalProvider();
+  registerLLMProvider('priced-test', () => ({
+    ...local,
+    name: 'priced-test',
+    generateContent: async (prompt) => ({ ...(await local.generateContent(prompt)), model: 'priced-model' })
+  }));
+  MODEL_PRICING['priced-model'] = { prompt: 1, response: 2 };
+
+  try {
+    const options = { provider: 'priced-test', bypassCache: true, clientId: 'acme' };
+    const result = await searchProductsWithGemini('wireless earbuds', { type: 'fancy' }, options);
+    await searchProductsWithGemini('gaming mouse', { type: 'price-priority' }, options);
+
+    const expectedCost = (result.usage.promptTokens * 1 + result.usage.responseTokens * 2) / 1_000_000;
+    const report = await getUsageReport({ clientId: 'acme' });
+
+    setUsageQuotas({ acme: { dailyTokens: report.totals.totalTokens } });
+    const blocked = await checkQuota('acme');
+    const otherClient = await checkQuota('someone-else');
+    setUsageQuotas({});
+
+    const passed = result.usage.calls === 1
+      && result.usage.totalTokens > 0
+      && Math.abs(result.usage.estimatedCost - expectedCost) < 1e-6
+      && report.totals.calls === 2
+      && report.clients[0].clientId === 'acme'
+      && report.days[0].byModel['priced-model'].calls === 2
+      && !blocked.allowed
+      && blocked.exceeded[0].metric === 'dailyTokens'
+      && otherClient.allowed;
+
+    console.log(passed ? '✅ Usage recorded per search and client, quota enforced' : `❌ Unexpected usage: ${JSON.stringify({ usage: result.usage, totals: report.totals })}`);
+    return passed;
+  } catch (error) {
+    console.error('❌ Usage accounting test failed:', error.message);
+    return false;
+  }
+}
+
+// Test 15: Brand aliases, folding, fuzzy matching and sub-brands
+async function testBrandNormalization() {
+  console.log('\n🏷️ Testing brand normalization...');
+
+  try {
+    const preferred = await searchProductsWithGemini('wireless headphones', { type: 'fancy', preferredBrands: ['apple inc.'] }, { bypassCache: true, extractConstraints: false });
+    const excluded = await searchProductsWithGemini('wireless headphones', { type: 'fancy', excludedBrands: ['APPLE'] }, { bypassCache: true, extractConstraints: false });
+
+    const passed = canonicalBrand('Beats by Dr. Dre') === 'Beats'
+      && canonicalBrand('SONY Electronics Inc.') === 'Sony'
+      && canonicalBrand('Samsnug') === 'Samsung'
+      && canonicalBrand('Nokía') === 'Nokia'
+      && canonicalBrand('Sonos') === 'Sonos'
+      && brandMatches('Beats', 'Apple')
+      && !brandMatches('Apple', 'Beats')
+      && brandMatches('JBL', 'Samsung')
+      && getBrandFamily('apple').includes('Beats by Dre')
+      && preferred.products.some(product => product.brand === 'Beats')
+      && preferred.products.every(product => ['Apple', 'Beats'].includes(product.brand))
+      && excluded.products.length > 0
+      && excluded.products.every(product => !['Apple', 'Beats'].includes(product.brand));
+
+    console.log(passed ? '✅ Brands folded, aliased and matched with their sub-brands' : `❌ Unexpected brands: ${JSON.stringify({ preferred: preferred.products.map(p => p.brand), excluded: excluded.products.map(p => p.brand) })}`);
+    return passed;
+  } catch (error) {
+    console.error('❌ Brand normalization test failed:', error.message);
+    return false;
+  }
+}
+
+// Test 16: Prices in several currencies, compared after conversion
+async function testMultiCurrency() {
+  console.log('\n💱 Testing multi-currency pricing...');
+
+  const { keywords, ...knownProduct } = LOCAL_PRODUCT_CATALOG.find(product => product.category === 'Headphones');
+  registerLLMProvider('currency-test', () => createLocalProvider({
+    responder: () => JSON.stringify([
+      { ...knownProduct, name: `${knownProduct.name} (UK)`, price: 150, currency: 'GBP' },
+      { ...knownProduct, name: `${knownProduct.name} (UK bundle)`, price: 180, currency: 'gbp' }
+    ])
+  }));
+
+  try {
+    const rates = await getExchangeRates();
+    const euros = await searchProductsWithGemini('wireless headphones', { type: 'cost-effective', maxPrice: 200, currency: 'EUR' }, { bypassCache: true });
+    // 150 GBP is about 190 USD and 180 GBP about 229 USD
+    const mixed = await searchProductsWithGemini('headphones', { type: 'fancy', maxPrice: 200 }, { provider: 'currency-test', bypassCache: true, extractConstraints: false });
+    const unsupported = await searchProductsWithGemini('headphones', { type: 'fancy', currency: 'XYZ' }, { bypassCache: true });
+    // Session history describes products in their own currency
+    const { data: session } = await createSearchSession({ customerInput: 'headphones', strategy: { type: 'fancy', maxPrice: 200 } }, { provider: 'currency-test', bypassCache: true, extractConstraints: false });
+
+    const passed = Math.abs(convertAmount(100, 'USD', 'EUR', rates) - 100 * rates.rates.EUR) < 1e-9
+      && convertAmount(100, 'USD', 'XYZ', rates) === null
+      && euros.metadata.prompt.version === 3
+      && euros.products.length > 0
+      && euros.products.every(product => product.currency === 'EUR' && product.price <= 200)
+      && mixed.products.length === 1
+      && mixed.products[0].price === 150
+      && mixed.products[0].currency === 'GBP'
+      && !unsupported.success
+      && session.messages[1].content.includes('(£150.00)');
+
+    console.log(passed ? '✅ Prices converted for filtering and kept in their own currency' : `❌ Unexpected prices: ${JSON.stringify({ euros: euros.products.map(p => `${p.price} ${p.currency}`), mixed: mixed.products.map(p => `${p.price} ${p.currency}`) })}`);
+    return passed;
+  } catch (error) {
+    console.error('❌ Multi-currency test failed:', error.message);
+    return false;
+  }
+}
+
+// Test 17: Custom strategies defined as data drive the prompt and default constraints
+async function testCustomStrategies() {
+  console.log('\n🧭 Testing custom strategies...');
+
+  const { keywords, ...knownProduct } = LOCAL_PRODUCT_CATALOG.find(product => product.category === 'Headphones');
+  const prompts = [];
+  registerLLMProvider('strategy-test', () => createLocalProvider({
+    responder: (prompt) => {
+      prompts.push(prompt);
+      return JSON.stringify([knownProduct, { ...knownProduct, name: `${knownProduct.name} Max`, price: 549 }]);
+    }
+  }));
+  setStrategyStore(createMemoryStrategyStore());
+
+  try {
+    const definition = {
+      id: 'durable-basics',
+      name: 'Durable Basics',
+      guidelines: 'Products known to last for years, from brands with long warranties',
+      weights: { durability: 0.5, basicQualityThreshold: 0.3, avoidConcerningIssues: 0.2 },
+      defaults: { maxPrice: 400, minRating: 4 }
+    };
+
+    const invalid = await createShoppingStrategy({ ...definition, weights: { durability: 0.5, sparkle: 0.2 } });
+    const created = await createShoppingStrategy(definition);
+    const duplicate = await createShoppingStrategy({ ...definition, id: 'fancy' });
+    const builtIn = await updateShoppingStrategy('fancy', { guidelines: 'Anything goes' });
+    const { data: strategies } = await listShoppingStrategies();
+
+    const options = { provider: 'strategy-test', bypassCache: true, extractConstraints: false };
+    const result = await searchProductsWithGemini('headphones', { type: 'durable-basics' }, options);
+    const overridden = await searchProductsWithGemini('headphones', { type: 'durable-basics', maxPrice: 600 }, options);
+    const unknown = await searchProductsWithGemini('headphones', { type: 'no-such-strategy' }, options);
+
+    const passed = invalid.error?.code === 'INVALID_STRATEGY'
+      && invalid.error.details.some(({ field }) => field === 'weights.sparkle')
+      && created.data?.builtIn === false
+      && duplicate.error?.code === 'STRATEGY_EXISTS'
+      && builtIn.error?.code === 'BUILT_IN_STRATEGY'
+      && strategies.map(({ id }) => id).join(',') === 'fancy,cost-effective,price-priority,durable-basics'
+      && prompts[0].includes('Strategy Guidelines (Durable Basics): Products known to last for years')
+      && prompts[0].includes('Maximum Price: 400 USD')
+      && !prompts[0].includes('**Fancy**')
+      && result.products.length === 1
+      && overridden.products.length === 2
+      && !unknown.success
+      && unknown.error.includes('durable-basics');
+
+    console.log(passed ? '✅ Custom strategy validated, prompted and applied' : `❌ Unexpected strategy results: ${JSON.stringify({ invalid: invalid.error?.message, result: result.products.length, overridden: overridden.products.length, unknown: unknown.error })}`);
+    return passed;
+  } catch (error) {
+    console.error('❌ Custom strategy test failed:', error.message);
+    return false;
+  }
+}
+
+// Test 18: Hybrid search merges stored and generated products into one ranked list
+async function testHybridSearch() {
+  console.log('\n🔀 Testing hybrid search...');
+
+  const now = new Date().toISOString();
+  const stored = LOCAL_PRODUCT_CATALOG
+    .filter(product => product.category === 'Headphones')
+    .map(({ keywords, ...product }, index) => ({ ...product, currency: 'USD', id: `stored-${index}`, updatedAt: now }));
+  const old = { ...stored[0], id: 'stored-old', name: 'Acme Studio Headphones', brand: 'Acme', productUrl: 'https://shop.acme.com/studio', updatedAt: '2020-01-01T00:00:00Z' };
+  setCatalogProductSource(async () => [...stored, old]);
+  registerLLMProvider('hybrid-refusal', () => ({
+    ...createLocalProvider(),
+    name: 'hybrid-refusal',
+    generateContent: async () => { throw new Error('Request blocked by safety settings'); }
+  }));
+
+  try {
+    const result = await hybridSearchProducts('wireless headphones', { type: 'cost-effective' }, { bypassCache: true });
+    const catalogOnly = await hybridSearchProducts('wireless headphones', { type: 'cost-effective' }, { provider: 'hybrid-refusal', bypassCache: true });
+    const ids = result.products.map(product => product.id).filter(Boolean);
+    const acme = result.products.find(product => product.id === 'stored-old');
+
+    const passed = result.success
+      && result.origins.both > 0
+      && result.origins.both + result.origins.catalog === stored.length + 1
+      && new Set(ids).size === ids.length
+      && result.products.every(product => product.freshness && typeof product.rankScore === 'number')
+      && result.products.every((product, index, all) => index === 0 || all[index - 1].rankScore >= product.rankScore)
+      && result.products.filter(product => product.origin === 'both').every(product => product.freshness.source === 'live' && product.id.startsWith('stored-'))
+      && acme?.origin === 'catalog'
+      && acme.freshness.stale
+      && catalogOnly.success
+      && !catalogOnly.sources.gemini.success
+      && catalogOnly.products.length === stored.length + 1
+      && catalogOnly.products.every(product => product.origin === 'catalog');
+
+    console.log(passed ? '✅ Catalog and search results merged, deduplicated and ranked' : `❌ Unexpected hybrid results: ${JSON.stringify({ origins: result.origins, catalogOnly: catalogOnly.origins, products: result.products.map(p => `${p.name} ${p.origin} ${p.rankScore}`) })}`);
+    return passed;
+  } catch (error) {
+    console.error('❌ Hybrid search test failed:', error.message);
+    return false;
+  } finally {
+    setCatalogProductSource(null);
+  }
+}
+
+// Test 19: Per-request weights are validated like strategy weights
+async function testStrategyWeights() {
+  console.log('\n⚖️ Testing strategy weights...');
+
+  const valid = validateStrategyWeights({ valueRatio: 0.7, durability: 0.3 });
+  const badSum = validateStrategyWeights({ valueRatio: 0.7 });
+  const unknown = validateStrategyWeights({ valueRatio: 0.5, sparkle: 0.5 }, 'overrides');
+  const empty = validateStrategyWeights({});
+
+  const passed = valid.length === 0
+    && badSum.length === 1 && badSum[0].message === 'must sum to 1 (got 0.7)'
+    && unknown.length === 1 && unknown[0].field === 'overrides.sparkle'
+    && empty.length === 1 && empty[0].field === 'weights';
+
+  console.log(passed ? '✅ Weights validated' : `❌ Unexpected weight errors: ${JSON.stringify({ valid, badSum, unknown, empty })}`);
+  return passed;
+}
+
+// Test 20: Listings of the same product share an identity, and duplicates are grouped
+async function testProductIdentity() {
+  console.log('\n🪪 Testing product identity...');
+
+  const listings = [
+    { name: 'Apple iPhone 15 Pro 256GB Black', brand: 'Apple', productUrl: 'https://www.amazon.com/Apple-iPhone-15-Pro/dp/B0CHX1W1XY/ref=sr_1_1?keywords=iphone' },
+    { name: 'iPhone 15 Pro - Black, 256 GB', brand: 'apple inc.', productUrl: 'https://www.bestbuy.com/site/iphone-15-pro/6525412.p' },
+    { name: 'iPhone 15 Pro 128GB Black', brand: 'Apple', productUrl: 'https://www.apple.com/shop/buy-iphone/iphone-15-pro' },
+    { name: 'iPhone 15 Pro (Renewed)', brand: 'Apple', productUrl: 'https://amazon.com/Apple-iPhone-15-Pro/dp/B0CHX1W1XY' },
+    { name: 'Galaxy S24+', brand: 'Samsung', productUrl: '#' }
+  ];
+
+  const [first, second, otherSize, , galaxy] = listings.map(productKeys);
+  const groups = groupDuplicateProducts(listings);
+  // Links that do not point to one product never identify it
+  const generalLinks = ['https://example.com/product', 'https://www.bestbuy.com/', 'https://www.amazon.com/s?k=iphone']
+    .map(productUrl => productKeys({ name: 'iPhone 15', brand: 'Apple', productUrl }).urlKey);
+
+  const passed = first.canonicalKey === 'apple|iphone 15 pro|256gb black'
+    && second.canonicalKey === first.canonicalKey
+    && otherSize.canonicalKey !== first.canonicalKey
+    && first.urlKey === 'amazon.com/apple-iphone-15-pro/dp/b0chx1w1xy'
+    && galaxy.canonicalKey === 'samsung|galaxy s24 plus|' && galaxy.urlKey === null
+    && generalLinks.every(urlKey => urlKey === null)
+    && groups.length === 1
+    && groups[0].map(listing => listing.name).join(' / ') === 'Apple iPhone 15 Pro 256GB Black / iPhone 15 Pro - Black, 256 GB / iPhone 15 Pro (Renewed)';
+
+  console.log(passed ? '✅ Same product identified across listings' : `❌ Unexpected identities: ${JSON.stringify({ first, second, otherSize, galaxy, generalLinks, groups: groups.map(group => group.map(listing => listing.name)) })}`);
+  return passed;
+}
+
+// Test 21: Product details are kept in the form they are stored with
+async function testProductDetails() {
+  console.log('\n📝 Testing product details...');
+
+  const { transformGeminiToSupabase } = await import('../services/geminiDataTransformer.js');
+  const transformed = transformGeminiToSupabase({
+    name: 'Pixel 8',
+    price: 699,
+    brand: 'Google',
+    category: 'Smartphones',
+    imageUrl: 'https://store.google.com/pixel-8.jpg',
+    productUrl: 'https://store.google.com/product/pixel_8',
+    rating: 4.5,
+    reviewCount: 800,
+    sourcePlatform: 'Google Store',
+    description: '  Compact flagship  ',
+    features: ['Tensor G3', 7, 'Magic Eraser'],
+    specifications: { ram: 8, display: { size: '6.2"', refreshRate: '120Hz' }, colors: ['Obsidian', 'Rose'], unlocked: true }
+  });
+
+  const passed = transformed.description === 'Compact flagship'
+    && JSON.stringify(transformed.features) === JSON.stringify(['Tensor G3', 'Magic Eraser'])
+    && JSON.stringify(transformed.specifications) === JSON.stringify({
+      ram: '8',
+      'display size': '6.2"',
+      'display refreshRate': '120Hz',
+      colors: 'Obsidian, Rose',
+      unlocked: 'true'
+    });
+
+  console.log(passed ? '✅ Description, features and flat specifications kept' : `❌ Unexpected details: ${JSON.stringify(transformed)}`);
+  return passed;
+}
+
+// Test 22: Price trends summarize the recorded prices of the window
+async function testPriceTrend() {
+  console.log('\n📈 Testing price trends...');
+
+  const now = new Date('2025-01-01T00:00:00Z');
+  const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+  const rates = await getExchangeRates();
+
+  // 1000 carried into the window, then 900 for 30 days and 950 for the last 30
+  const trend = summarizePriceHistory([
+    { price: 1000, currency: 'USD', recordedAt: daysAgo(200) },
+    { price: 900, currency: 'USD', recordedAt: daysAgo(60) },
+    { price: 950, currency: 'USD', recordedAt: daysAgo(30) }
+  ], { price: 950, currency: 'USD' }, { days: 90, rates, now });
+
+  const neverChanged = summarizePriceHistory([], { price: 499, currency: 'USD' }, { days: 90, rates, now });
+
+  const passed = trend.lowest === 900 && trend.highest === 1000 && trend.average === 950
+    && trend.isLowest === false && trend.previous === 900 && trend.direction === 'up' && trend.changes === 2
+    && neverChanged.lowest === 499 && neverChanged.isLowest === true && neverChanged.direction === 'flat'
+    && neverChanged.changes === 0;
+
+  console.log(passed ? '✅ Lowest, highest, average and direction computed' : `❌ Unexpected trends: ${JSON.stringify({ trend, neverChanged })}`);
+  return passed;
+}
+
+// Test 23: Recorded searches can be listed, read back and re-run against their original results
+async function testSearchHistory() {
+  console.log('\n🗂️ Testing search history...');
+
+  try {
+    // Keep test searches out of the configured store
+    setSearchHistoryStore(createMemorySearchHistoryStore());
+
+    const strategy = { type: 'cost-effective' };
+    const owner = { clientId: 'history-owner' };
+    const other = { clientId: 'other-client' };
+    const result = await searchProductsWithGemini('Wireless headphones', strategy, { bypassCache: true });
+    const { data: search, error } = await recordSearch('Wireless headphones', strategy, result, owner);
+    if (error) throw error;
+
+    const { data: rerun, error: rerunError } = await rerunSearch(search.id, { storeResults: false, ...owner });
+    if (rerunError) throw rerunError;
+
+    const { data: searches } = await listSearches(owner);
+    const { data: saved } = await getSearch(search.id, owner);
+    // Other clients neither see nor re-run the owner's searches
+    const { data: othersSearches } = await listSearches(other);
+    const { data: othersSaved } = await getSearch(search.id, other);
+    const { data: othersRerun } = await rerunSearch(search.id, { storeResults: false, ...other });
+
+    const listing = (name, price, productUrl) => ({ productId: null, name, brand: 'Sony', category: 'Headphones', price, currency: 'USD', rating: 4.5, reviewCount: 10, productUrl, sourcePlatform: 'Amazon' });
+    const diff = diffSearchResults(
+      [listing('WH-1000XM5', 399, 'https://www.amazon.com/dp/B09XS7JWHH'), listing('WF-1000XM4', 249, 'https://www.amazon.com/dp/B094C4VDJZ')],
+      [listing('Sony WF-1000XM4 Earbuds', 229, 'https://amazon.com/dp/B094C4VDJZ?th=1'), listing('WH-CH720N', 149, 'https://www.amazon.com/dp/B0BS1QCFHX')]
+    );
+
+    const passed = search.metadata.productCount === result.products.length && result.products.length > 0
+      && search.prompt?.id === 'product-search'
+      && rerun.search.rerunOf === search.id
+      && rerun.diff.unchanged === result.products.length
+      && rerun.diff.added.length === 0 && rerun.diff.removed.length === 0 && rerun.diff.changed.length === 0
+      && searches.length === 2 && searches.every(listed => listed.products === undefined && listed.clientId === undefined)
+      && saved.products.length === result.products.length && saved.products.every(product => product.stored === null)
+      && saved.clientId === undefined && rerun.search.clientId === undefined && rerun.original.clientId === undefined
+      && othersSearches.length === 0 && othersSaved === null && othersRerun === null
+      && diff.added.map(item => item.name).join() === 'WH-CH720N'
+      && diff.removed.map(item => item.name).join() === 'WH-1000XM5'
+      && diff.changed.length === 1 && diff.changed[0].priceChange === -20 && diff.changed[0].previousRank === 2 && diff.changed[0].rank === 1;
+
+    console.log(passed ? '✅ Search recorded, re-run and compared, and kept from other clients' : `❌ Unexpected search history: ${JSON.stringify({ metadata: search.metadata, rerunDiff: rerun.diff, diff })}`);
+    return passed;
+  } catch (error) {
+    console.error('❌ Search history test failed:', error.message);
+    return false;
+  }
+}
+
 // Main test runner
 async function runAllTests() {
   console.log('🧪 Running Gemini Integration Tests\n');
@@ -217,7 +1004,25 @@ async function runAllTests() {
     { name: 'Product Search', fn: testProductSearch },
     { name: 'Data Transformation', fn: testDataTransformation },
     { name: 'Batch Processing', fn: testBatchProcessing },
-    { name: 'Error Handling', fn: testErrorHandling }
+    { name: 'Error Handling', fn: testErrorHandling },
+    { name: 'Schema Repair', fn: testSchemaRepair },
+    { name: 'Search Cache', fn: testSearchCache },
+    { name: 'Streaming Search', fn: testStreamingSearch },
+    { name: 'Search Sessions', fn: testSearchSessions },
+    { name: 'Constraint Extraction', fn: testConstraintExtraction },
+    { name: 'Product Verification', fn: testProductVerification },
+    { name: 'Prompt Registry', fn: testPromptRegistry },
+    { name: 'Resilience', fn: testResilience },
+    { name: 'Usage Accounting', fn: testUsageAccounting },
+    { name: 'Brand Normalization', fn: testBrandNormalization },
+    { name: 'Multi-Currency Pricing', fn: testMultiCurrency },
+    { name: 'Custom Strategies', fn: testCustomStrategies },
+    { name: 'Hybrid Search', fn: testHybridSearch },
+    { name: 'Strategy Weights', fn: testStrategyWeights },
+    { name: 'Product Identity', fn: testProductIdentity },
+    { name: 'Product Details', fn: testProductDetails },
+    { name: 'Price Trend', fn: testPriceTrend },
+    { name: 'Search History', fn: testSearchHistory }
   ];
   
   const results = [];
@@ -0,0 +1,207 @@
+import { CommentAnalysis } from '../types/comment';
+import { Product } from '../types/product';
+import {
+  checkPreferences,
+  adjustForPreferences,
+  generateRecommendations,
+  percentileRank,
+  lowPriceScore,
+  buildCandidateContext,
+  RECOMMENDATION_CONFIG
+} from '../services/recommendationService';
+import { setCommentAnalysisStore, createMemoryCommentAnalysisStore } from '../services/commentAnalysisService';
+import { getExchangeRates } from '../services/currencyService.js';
+
+/**
+ * Test suite for recommendation scoring
+ * Run with: npx tsx api/tests/recommendations.test.ts
+ */
+
+// Keep test analyses out of the configured store; demo products are analyzed from their sample comments
+setCommentAnalysisStore(createMemoryCommentAnalysisStore());
+
+const product = (overrides: Partial<Product> = {}): Product => ({
+  id: 'test-product',
+  name: 'Test Phone',
+  price: 800,
+  brand: 'Google',
+  category: 'Smartphones',
+  imageUrl: '',
+  productUrl: '',
+  rating: 4.5,
+  reviewCount: 100,
+  sourcePlatform: 'Test',
+  createdAt: new Date('2025-01-01T00:00:00Z'),
+  ...overrides
+});
+
+const analysis = (keywords: string[] = []): CommentAnalysis => ({
+  productId: 'test-product',
+  totalComments: 10,
+  averageRating: 4.5,
+  sentimentDistribution: { positive: 8, negative: 1, neutral: 1 },
+  topKeywords: keywords.map(keyword => ({ keyword, frequency: 2 })),
+  qualityIndicators: [],
+  commonIssues: [],
+  positiveAspects: [],
+  aspectSentiment: [],
+  authenticity: { score: 1, flaggedComments: 0, flagCounts: { 'near-duplicate': 0, 'burst': 0, 'empty-extreme-rating': 0, 'promotional': 0 }, flagged: [] },
+  averageSentiment: 0.6,
+  analyzedAt: '2025-01-01T00:00:00.000Z'
+});
+
+// Test 1: Price range, preferred brands and excluded keywords are checked, prices in the range's currency
+async function testCheckPreferences() {
+  console.log('🎛️ Testing preference checks...');
+
+  const rates = await getExchangeRates();
+  const priceRange = { min: 0, max: 900 };
+
+  const within = checkPreferences(product(), analysis(), { priceRange, preferredBrands: ['google'] }, rates);
+  const above = checkPreferences(product({ price: 1299 }), analysis(), { priceRange }, rates);
+  // 900 EUR is about 951 USD, so it is above a 900 USD range although the number is the same
+  const converted = checkPreferences(product({ price: 900, currency: 'EUR' }), analysis(), { priceRange }, rates);
+  const inEuros = checkPreferences(product({ price: 900 }), analysis(), { priceRange: { min: 500, max: 1000, currency: 'EUR' } }, rates);
+  const unknownCurrency = checkPreferences(product({ currency: 'XYZ' }), analysis(), { priceRange }, rates);
+  const excluded = checkPreferences(product({ name: 'Refurbished Test Phone' }), analysis(['screen burn']), {
+    preferredBrands: ['Apple'],
+    excludedKeywords: ['refurbished', 'burn', 'battery']
+  }, rates);
+
+  const passed = within.met.join(' | ') === 'Within your price range ($0.00-$900.00) at $800.00 | From a brand you prefer: Google'
+    && within.broken.length === 0 && within.preferredBrand && !within.unmatchedBrand
+    && above.broken.join() === 'Above your price range ($0.00-$900.00) at $1,299.00'
+    && converted.broken.join() === 'Above your price range ($0.00-$900.00) at €900.00 (about $951.37)'
+    && inEuros.met.join() === 'Within your price range (€500.00-€1,000.00) at $900.00 (about €851.40)'
+    && unknownCurrency.broken.join() === 'Price in XYZ cannot be compared with your price range ($0.00-$900.00)'
+    && excluded.unmatchedBrand && !excluded.preferredBrand
+    && excluded.broken.join(' | ') === 'Product name contains excluded keyword "refurbished" | Reviews mention excluded keyword "burn"';
+
+  console.log(passed ? '✅ Preferences checked' : `❌ Unexpected checks: ${JSON.stringify({ within, above, converted, inEuros, unknownCurrency, excluded })}`);
+  return passed;
+}
+
+// Test 2: Soft mode adds a bonus for a preferred brand, removes a penalty per broken preference and stays within 0..1
+async function testAdjustForPreferences() {
+  console.log('\n⚖️ Testing soft preference adjustments...');
+
+  const { preferenceBonus, preferencePenalty } = RECOMMENDATION_CONFIG;
+  const check = (preferredBrand: boolean, broken: number) => ({
+    met: [],
+    broken: Array.from({ length: broken }, (_, index) => `broken ${index}`),
+    unmatchedBrand: !preferredBrand,
+    preferredBrand
+  });
+
+  const passed = adjustForPreferences(0.5, check(false, 0)) === 0.5
+    && adjustForPreferences(0.5, check(true, 0)) === Math.round((0.5 + preferenceBonus) * 100) / 100
+    && adjustForPreferences(0.5, check(false, 1)) === Math.round((0.5 - preferencePenalty) * 100) / 100
+    && adjustForPreferences(0.95, check(true, 0)) === 1
+    && adjustForPreferences(0.3, check(false, 3)) === 0;
+
+  console.log(passed ? '✅ Scores adjusted and clamped' : '❌ Unexpected adjusted scores');
+  return passed;
+}
+
+// Test 3: Hard mode drops products that break a preference, soft mode keeps and demotes them
+async function testPreferenceModes() {
+  console.log('\n🚦 Testing preference modes...');
+
+  const products = ['1', '2', '3', '4', '5'];
+  const userPreferences = { priceRange: { min: 0, max: 900 }, preferredBrands: ['Google'] };
+
+  const hard = await generateRecommendations(products, 'cost-effective', { ...userPreferences, mode: 'hard' });
+  const soft = await generateRecommendations(products, 'cost-effective', { ...userPreferences, mode: 'soft' });
+  const galaxy = soft.find(recommendation => recommendation.productId === '2');
+
+  const passed = hard.length === 0
+    && (await generateRecommendations(products, 'cost-effective', { priceRange: { min: 0, max: 900 }, mode: 'hard' }))
+      .map(recommendation => recommendation.productId).sort().join() === '4,5'
+    && soft.length === 5
+    && galaxy.scoreBreakdown.preferenceAdjustment < 0
+    && galaxy.reasoning[0].startsWith('Above your price range ($0.00-$900.00) at $1,299.00')
+    && soft.find(recommendation => recommendation.productId === '3').reasoning.includes('From a brand you prefer: Google');
+
+  console.log(passed ? '✅ Hard mode filters, soft mode adjusts' : `❌ Unexpected recommendations: ${JSON.stringify({ hard, soft })}`);
+  return passed;
+}
+
+// Test 4: Prices are ranked by percentile in one currency, and only cheap products are praised for their price
+async function testPriceRanking() {
+  console.log('\n💲 Testing price ranking...');
+
+  // In dollars: about 1046, 1000 and 801, so the yen price is the cheapest despite the largest number
+  const candidates = [
+    product({ id: 'eur', price: 990, currency: 'EUR' }),
+    product({ id: 'usd', price: 1000 }),
+    product({ id: 'jpy', price: 120000, currency: 'JPY' }),
+    product({ id: 'unknown', price: 10, currency: 'XYZ' })
+  ].map(candidate => ({ product: candidate, commentAnalysis: analysis() }));
+  const context = await buildCandidateContext(candidates);
+  const [eur, usd, jpy, unknown] = candidates.map(({ product: candidate }) => lowPriceScore(candidate, context));
+
+  const recommendations = await generateRecommendations(['2', '4'], 'cost-effective');
+  const reasonOf = (productId: string) => recommendations.find(recommendation => recommendation.productId === productId)
+    .reasoning.find(line => line.includes('compared product'));
+
+  const passed = percentileRank(5, [5]) === 0.5
+    && percentileRank(1, [1, 2, 3]) === 0 && percentileRank(3, [1, 2, 3]) === 1 && percentileRank(2, [1, 2, 3]) === 0.5
+    // Ties share the middle of their positions
+    && percentileRank(2, [1, 2, 2, 3]) === 0.5
+    && context.prices.length === 3
+    && jpy === 1 && usd === 0.5 && eur === 0 && unknown === 0.5
+    // Equally rated, so the dearer demo product is not called excellent value and the cheaper one is
+    && reasonOf('2') === 'Priced at $1,299.00, cheaper than 0% of the 1 compared product, with a 4.5/5 rating'
+    && reasonOf('4') === 'Excellent value at $799.00, cheaper than 100% of the 1 compared product, with a 4.5/5 rating';
+
+  console.log(passed ? '✅ Prices ranked in one currency' : `❌ Unexpected price ranking: ${JSON.stringify({ eur, usd, jpy, unknown, reasoning: recommendations.map(({ productId, reasoning }) => ({ productId, reasoning })) })}`);
+  return passed;
+}
+
+// Main test runner
+async function runAllTests() {
+  console.log('🧪 Running Recommendation Tests\n');
+  console.log('='.repeat(50) + '\n');
+
+  const tests = [
+    { name: 'Preference Checks', fn: testCheckPreferences },
+    { name: 'Preference Adjustments', fn: testAdjustForPreferences },
+    { name: 'Preference Modes', fn: testPreferenceModes },
+    { name: 'Price Ranking', fn: testPriceRanking }
+  ];
+
+  const results = [];
+
+  for (const { name, fn } of tests) {
+    try {
+      const passed = await fn();
+      results.push({ name, passed, status: passed ? '✅ PASSED' : '❌ FAILED' });
+    } catch (error) {
+      console.error(`❌ Test "${name}" crashed:`, error.message);
+      results.push({ name, passed: false, status: '💥 CRASHED' });
+    }
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  console.log('📊 TEST SUMMARY');
+  console.log('='.repeat(50));
+
+  const passedTests = results.filter(r => r.passed).length;
+
+  results.forEach(({ name, status }) => {
+    console.log(`${status} ${name}`);
+  });
+
+  console.log(`\n📈 Overall: ${passedTests}/${results.length} tests passed`);
+
+  if (passedTests !== results.length) {
+    process.exitCode = 1;
+  }
+  return passedTests === results.length;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests().catch(console.error);
+}
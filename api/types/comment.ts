@@ -10,6 +10,39 @@ export interface Comment {
   createdAt: Date;
 }
 
+/**
+ * A comment submitted for analysis: its text, or the text with an optional 1-5 rating and posting date
+ */
+export type CommentInput = string | (Partial<Pick<Comment, 'content' | 'rating' | 'helpfulVotes'>> & { createdAt?: Date | string });
+
+/**
+ * Sentiment of the comments mentioning one product aspect (battery, design, price...)
+ */
+export interface AspectSentiment {
+  aspect: string;
+  mentions: number;
+  positive: number;
+  negative: number;
+  neutral: number;
+  // Average sentiment of the mentions, from -1 to 1
+  score: number;
+  snippets: string[];
+}
+
+export type AuthenticityFlag = 'near-duplicate' | 'burst' | 'empty-extreme-rating' | 'promotional';
+
+/**
+ * Signs of review spam among a product's comments
+ */
+export interface ReviewAuthenticity {
+  // Share of comments with no flag, from 0 to 1
+  score: number;
+  flaggedComments: number;
+  flagCounts: Record<AuthenticityFlag, number>;
+  // Flagged comments by their position in the submitted list
+  flagged: { index: number; flags: AuthenticityFlag[] }[];
+}
+
 export interface CommentAnalysis {
   productId: string;
   totalComments: number;
@@ -23,4 +56,8 @@ export interface CommentAnalysis {
   qualityIndicators: { indicator: string; mentions: number }[];
   commonIssues: string[];
   positiveAspects: string[];
+  aspectSentiment: AspectSentiment[];
+  authenticity: ReviewAuthenticity;
+  averageSentiment: number;
+  analyzedAt: string;
 }
\ No newline at end of file
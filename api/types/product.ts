@@ -2,6 +2,7 @@ export interface Product {
   id: string;
   name: string;
   price: number;
+  currency?: string;
   brand: string;
   category: string;
   imageUrl: string;
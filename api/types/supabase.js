@@ -3,6 +3,7 @@
  * @property {string} id - UUID of the product
  * @property {string} name - Product name
  * @property {number} price - Product price
+ * @property {string} currency - ISO 4217 code of the price
  * @property {string} brand - Product brand
  * @property {string} category - Product category
  * @property {string} imageUrl - Product image URL
@@ -18,6 +19,7 @@
  * @typedef {Object} CreateProductData
  * @property {string} name - Product name (required)
  * @property {number} price - Product price (required)
+ * @property {string} [currency] - ISO 4217 code of the price (optional, defaults to BASE_CURRENCY)
  * @property {string} brand - Product brand (required)
  * @property {string} category - Product category (required)
  * @property {string} imageUrl - Product image URL (required)
@@ -31,6 +33,7 @@
  * @typedef {Object} UpdateProductData
  * @property {string} [name] - Product name
  * @property {number} [price] - Product price
+ * @property {string} [currency] - ISO 4217 code of the price
  * @property {string} [brand] - Product brand
  * @property {string} [category] - Product category
  * @property {string} [imageUrl] - Product image URL
@@ -46,6 +49,7 @@
  * @property {string} [category] - Filter by category
  * @property {number} [minPrice] - Minimum price filter
  * @property {number} [maxPrice] - Maximum price filter
+ * @property {string} [currency] - Currency of the price filters; products priced in other currencies are compared after conversion
  * @property {number} [minRating] - Minimum rating filter
  * @property {string} [sourcePlatform] - Filter by source platform
  */
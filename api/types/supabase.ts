@@ -2,6 +2,7 @@ export interface Product {
   id: string;
   name: string;
   price: number;
+  currency: string;
   brand: string;
   category: string;
   imageUrl: string;
@@ -9,13 +10,48 @@ export interface Product {
   rating: number | null;
   reviewCount: number;
   sourcePlatform: string;
+  description: string;
+  features: string[];
+  specifications: Record<string, string>;
   createdAt: Date;
   updatedAt: Date;
+  // Added by the /api/products read endpoints; null when the history cannot be read
+  priceTrend?: PriceTrend | null;
+}
+
+export interface PricePoint {
+  price: number;
+  currency: string;
+  recordedAt: string;
+}
+
+export interface PriceTrend {
+  days: number;
+  // Currency of every amount, the product's current one
+  currency: string;
+  current: number;
+  lowest: number;
+  highest: number;
+  // Weighted by how long each price held
+  average: number;
+  // The current price is the lowest of the window ("lowest in 90 days")
+  isLowest: boolean;
+  previous: number | null;
+  direction: 'up' | 'down' | 'flat';
+  changes: number;
+}
+
+export interface PriceHistory {
+  productId: string;
+  days: number;
+  points: PricePoint[];
+  trend: PriceTrend;
 }
 
 export interface CreateProductData {
   name: string;
   price: number;
+  currency?: string;
   brand: string;
   category: string;
   imageUrl: string;
@@ -23,11 +59,16 @@ export interface CreateProductData {
   rating?: number;
   reviewCount?: number;
   sourcePlatform: string;
+  description?: string;
+  features?: string[];
+  // Values are stored as strings
+  specifications?: Record<string, string | number | boolean>;
 }
 
 export interface UpdateProductData {
   name?: string;
   price?: number;
+  currency?: string;
   brand?: string;
   category?: string;
   imageUrl?: string;
@@ -35,6 +76,9 @@ export interface UpdateProductData {
   rating?: number | null;
   reviewCount?: number;
   sourcePlatform?: string;
+  description?: string;
+  features?: string[];
+  specifications?: Record<string, string | number | boolean>;
 }
 
 export interface ProductSearchFilters {
@@ -42,8 +86,11 @@ export interface ProductSearchFilters {
   category?: string;
   minPrice?: number;
   maxPrice?: number;
+  currency?: string;
   minRating?: number;
   sourcePlatform?: string;
+  // Stored specifications must include every key with exactly this value
+  specifications?: Record<string, string>;
 }
 
 export interface QueryOptions {
@@ -0,0 +1,232 @@
+import dotenv from 'dotenv';
+import { groupDuplicateProducts, productKeys } from '../api/services/productIdentity.js';
+
+dotenv.config();
+
+/**
+ * One-off job that merges products stored more than once, from before createProduct updated existing rows,
+ * and fills in the identity keys of rows stored before the key columns existed.
+ *
+ * Each group of duplicates keeps its oldest row. That row takes the price of the most recently updated
+ * duplicate, its latest known rating and review count, and the details it lacks; a comment analysis stored
+ * for a duplicate moves to it when it has none of its own, and so does the duplicates' price history. The other
+ * rows are then deleted.
+ *
+ * Row level security only lets the anon key read products, so the job runs with SUPABASE_SERVICE_ROLE_KEY.
+ *
+ * Usage: node scripts/dedupeProducts.js [--dry-run]
+ */
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Read every stored product, oldest first
+ * @returns {Promise<Object[]>} products rows
+ */
+async function loadAllProducts(supabase) {
+  const rows = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('products')
+      .select('*')
+      .order('created_at', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Columns the kept row takes from its duplicates: the price of the most recently updated one, the latest
+ * rating and review count that are known (a null rating or zero reviews says nothing), and the latest
+ * description, features and specifications when it has none
+ * @param {Object} kept - Oldest row of the group
+ * @param {Object[]} group - Every row of the group, oldest first
+ * @returns {Object} Columns to update
+ */
+function mergedListing(kept, group) {
+  const newestFirst = [...group].sort((a, b) => new Date(b.updated_at).getTime() - new Date(a.updated_at).getTime());
+  const latest = newestFirst[0];
+  const rated = newestFirst.find(row => row.rating !== null);
+  const reviewed = newestFirst.find(row => row.review_count > 0);
+  const changes = {};
+
+  if (latest.price !== kept.price || latest.currency !== kept.currency) {
+    changes.price = latest.price;
+    changes.currency = latest.currency;
+  }
+  if (rated && rated.rating !== kept.rating) changes.rating = rated.rating;
+  if (reviewed && reviewed.review_count !== kept.review_count) changes.review_count = reviewed.review_count;
+
+  const described = newestFirst.find(row => row.description);
+  const featured = newestFirst.find(row => (row.features ?? []).length > 0);
+  const specified = newestFirst.find(row => Object.keys(row.specifications ?? {}).length > 0);
+  if (!kept.description && described) changes.description = described.description;
+  if ((kept.features ?? []).length === 0 && featured) changes.features = featured.features;
+  if (Object.keys(kept.specifications ?? {}).length === 0 && specified) changes.specifications = specified.specifications;
+
+  return changes;
+}
+
+/**
+ * Keep the comment analysis of the kept row, or else move the most recent one of its duplicates to it
+ * @param {string} keptId
+ * @param {string[]} duplicateIds
+ */
+async function mergeCommentAnalyses(supabase, keptId, duplicateIds) {
+  const { data, error } = await supabase
+    .from('comment_analyses')
+    .select('product_id, analyzed_at')
+    .in('product_id', [keptId, ...duplicateIds])
+    .order('analyzed_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  if (data.length === 0) return;
+
+  const orphaned = data.filter(row => row.product_id !== keptId).map(row => row.product_id);
+  if (!data.some(row => row.product_id === keptId)) {
+    const moved = orphaned.shift();
+    const { error: moveError } = await supabase.from('comment_analyses').update({ product_id: keptId }).eq('product_id', moved);
+    if (moveError) throw new Error(`Database error: ${moveError.message}`);
+  }
+
+  if (orphaned.length > 0) {
+    const { error: deleteError } = await supabase.from('comment_analyses').delete().in('product_id', orphaned);
+    if (deleteError) throw new Error(`Database error: ${deleteError.message}`);
+  }
+}
+
+/**
+ * Merge every group of duplicate products, then fill in missing identity keys
+ * @param {{ dryRun?: boolean }} [options] - dryRun reports what would change without writing
+ * @returns {Promise<{ scanned: number; groups: number; removed: number; keysFilled: number; errors: string[] }>}
+ */
+async function dedupeProducts({ dryRun = false } = {}) {
+  const supabase = (await import('../api/config/supabase.js')).requireServiceClient('scripts/dedupeProducts.js');
+  const results = { scanned: 0, groups: 0, removed: 0, keysFilled: 0, errors: [] };
+
+  const rows = await loadAllProducts(supabase);
+  results.scanned = rows.length;
+  console.log(`📦 Loaded ${rows.length} products`);
+
+  const groups = groupDuplicateProducts(rows.map(row => ({ ...row, productUrl: row.product_url })));
+  const removedIds = new Set();
+  // Rows of a group whose merge failed keep their keys unset, so createProduct does not pick between them
+  const failedIds = new Set();
+
+  for (const group of groups) {
+    const [kept, ...duplicates] = group;
+    const duplicateIds = duplicates.map(row => row.id);
+    const changes = mergedListing(kept, group);
+
+    console.log(`🔗 ${kept.name} (${kept.id}): merging ${duplicates.length} duplicate(s)${Object.keys(changes).length > 0 ? `, updating ${Object.keys(changes).join(', ')}` : ''}`);
+    results.groups++;
+
+    if (dryRun) {
+      results.removed += duplicates.length;
+      continue;
+    }
+
+    try {
+      // Keep the price history of every listing; the duplicates' own rows would be deleted with them
+      const { error: historyError } = await supabase.from('price_history').update({ product_id: kept.id }).in('product_id', duplicateIds);
+      if (historyError) throw new Error(`Database error: ${historyError.message}`);
+
+      if (Object.keys(changes).length > 0) {
+        const { error } = await supabase.from('products').update(changes).eq('id', kept.id);
+        if (error) throw new Error(`Database error: ${error.message}`);
+      }
+
+      await mergeCommentAnalyses(supabase, kept.id, duplicateIds);
+
+      const { error } = await supabase.from('products').delete().in('id', duplicateIds);
+      if (error) throw new Error(`Database error: ${error.message}`);
+
+      duplicateIds.forEach(id => removedIds.add(id));
+      results.removed += duplicates.length;
+    } catch (error) {
+      const message = `Failed to merge ${kept.name} (${kept.id}): ${error instanceof Error ? error.message : 'Unknown error'}`;
+      results.errors.push(message);
+      console.error('❌', message);
+      group.forEach(row => failedIds.add(row.id));
+    }
+  }
+
+  for (const row of rows) {
+    if (removedIds.has(row.id) || failedIds.has(row.id)) continue;
+
+    const { canonicalKey, urlKey } = productKeys({ name: row.name, brand: row.brand, productUrl: row.product_url });
+    if (row.canonical_key === canonicalKey && row.url_key === urlKey) continue;
+
+    results.keysFilled++;
+    if (dryRun) continue;
+
+    const { error } = await supabase
+      .from('products')
+      .update({ canonical_key: canonicalKey, url_key: urlKey })
+      .eq('id', row.id);
+
+    if (error) {
+      results.errors.push(`Failed to set identity keys of ${row.name} (${row.id}): ${error.message}`);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Main function to run the dedupe job
+ */
+async function main() {
+  console.log('🧹 Product Deduplication');
+  console.log('========================\n');
+
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    console.error('❌ Missing required environment variables:');
+    if (!process.env.SUPABASE_URL) console.error('   - SUPABASE_URL');
+    if (!process.env.SUPABASE_ANON_KEY) console.error('   - SUPABASE_ANON_KEY');
+    if (!process.env.SUPABASE_SERVICE_ROLE_KEY) console.error('   - SUPABASE_SERVICE_ROLE_KEY (the job updates and deletes rows, which RLS does not allow the anon key)');
+    console.error('\nPlease copy .env.example to .env and fill in your Supabase credentials.');
+    process.exit(1);
+  }
+
+  const dryRun = process.argv.includes('--dry-run');
+  if (dryRun) {
+    console.log('🔍 Dry run: nothing will be written\n');
+  }
+
+  try {
+    const results = await dedupeProducts({ dryRun });
+
+    console.log('\n📊 Deduplication Summary:');
+    console.log(`Products scanned: ${results.scanned}`);
+    console.log(`Duplicate groups: ${results.groups}`);
+    console.log(`Rows ${dryRun ? 'to remove' : 'removed'}: ${results.removed}`);
+    console.log(`Identity keys ${dryRun ? 'to fill in' : 'filled in'}: ${results.keysFilled}`);
+
+    if (results.errors.length > 0) {
+      console.log('\n❌ Errors:');
+      results.errors.forEach(message => console.log(`  - ${message}`));
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('\n💥 Deduplication failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the script if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(console.error);
+}
+
+export { dedupeProducts };
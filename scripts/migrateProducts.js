@@ -1,4 +1,4 @@
-import { createProduct } from '../api/services/supabaseProductService.js';
+import { createProduct, bulkUpsertProducts } from '../api/services/supabaseProductService.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -66,37 +66,31 @@ const exampleProducts = [
 ];
 
 /**
- * Insert example products into the database
+ * Insert example products into the database through the bulk import.
+ * Products already stored are updated instead, so the script can be run again.
  */
 async function insertExampleProducts() {
   console.log('🚀 Starting product insertion...');
   console.log(`📍 Supabase URL: ${process.env.SUPABASE_URL}`);
 
-  const results = [];
-  
-  for (const productData of exampleProducts) {
-    try {
-      console.log(`➕ Inserting: ${productData.name}...`);
-      
-      const { data, error } = await createProduct(productData);
-      
-      if (error) {
-        console.error(`❌ Failed to insert ${productData.name}:`, error.message);
-        results.push({ success: false, name: productData.name, error: error.message });
-      } else {
-        console.log(`✅ Successfully inserted ${productData.name} with ID: ${data.id}`);
-        results.push({ success: true, name: productData.name, id: data.id });
-      }
-      
-      // Small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-    } catch (error) {
-      console.error(`💥 Unexpected error inserting ${productData.name}:`, error);
-      results.push({ success: false, name: productData.name, error: error.message });
-    }
+  const { data, error } = await bulkUpsertProducts(exampleProducts);
+
+  if (error) {
+    throw error;
   }
 
+  const results = data.map(result => {
+    const { name } = exampleProducts[result.index];
+
+    if (result.status === 'rejected') {
+      console.error(`❌ Failed to insert ${name}:`, result.reason);
+      return { success: false, name, error: result.reason };
+    }
+
+    console.log(`✅ ${name} ${result.status} with ID: ${result.data.id}`);
+    return { success: true, name, id: result.data.id, status: result.status };
+  });
+
   console.log('\n📊 Insertion Summary:');
   console.log(`Total products: ${results.length}`);
   console.log(`Successful: ${results.filter(r => r.success).length}`);
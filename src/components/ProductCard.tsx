@@ -1,4 +1,5 @@
 import { Product } from '../types/product';
+import { formatPrice } from '../lib/utils';
 import { ShoppingStrategy } from '../types/strategy';
 
 interface ProductCardProps {
@@ -42,7 +43,7 @@ export default function ProductCard({ product, isSelected, onSelect, strategy }:
       <div className="p-4">
         <div className="flex justify-between items-start mb-2">
           <h3 className="font-semibold text-gray-900 text-sm line-clamp-2">{product.name}</h3>
-          <span className="text-lg font-bold text-gray-900">${product.price}</span>
+          <span className="text-lg font-bold text-gray-900">{formatPrice(product.price, product.currency)}</span>
         </div>
         
         <p className="text-sm text-gray-600 mb-2">{product.brand}</p>
@@ -1,23 +1,128 @@
-import { useState } from 'react';
-import { searchProducts } from '../utils/api';
+import { useEffect, useRef, useState } from 'react';
+import { searchProducts, streamGeminiSearch } from '../utils/api';
+import { GeminiProduct, GeminiSearchConstraints, Product } from '../types/product';
+import { ShoppingStrategy } from '../types/strategy';
 
 interface ProductSearchProps {
   onSearchResults: (results: any) => void;
   onLoading: (loading: boolean) => void;
+  strategy: ShoppingStrategy;
 }
 
-export default function ProductSearch({ onSearchResults, onLoading }: ProductSearchProps) {
+type SearchMode = 'catalog' | 'ai';
+
+// Currencies offered for AI search price bounds; the catalog is priced in US dollars
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD'];
+
+// Describe constraints the server read from the query, e.g. "maxPrice 200, excludedBrands Beats"
+const describeDerivedConstraints = (constraints: GeminiSearchConstraints | null): string => {
+  if (!constraints) return '';
+
+  return Object.entries(constraints.applied)
+    .filter(([, { source }]) => source !== 'explicit')
+    .map(([field, { value }]) => `${field} ${Array.isArray(value) ? value.join('/') : String(value)}`)
+    .join(', ');
+};
+
+const toProduct = (product: GeminiProduct, index: number): Product => ({
+  ...product,
+  // Catalog fallback results already have a database id
+  id: product.id || `gemini-${index}`,
+  createdAt: new Date(),
+});
+
+export default function ProductSearch({ onSearchResults, onLoading, strategy }: ProductSearchProps) {
+  const [mode, setMode] = useState<SearchMode>('catalog');
   const [query, setQuery] = useState('');
   const [category, setCategory] = useState('');
   const [minPrice, setMinPrice] = useState('');
   const [maxPrice, setMaxPrice] = useState('');
+  const [currency, setCurrency] = useState('USD');
   const [brand, setBrand] = useState('');
+  const [streamStatus, setStreamStatus] = useState('');
+  const streamController = useRef<AbortController | null>(null);
+
+  // Stop any running stream when the component unmounts
+  useEffect(() => () => streamController.current?.abort(), []);
+
+  const handleAiSearch = async () => {
+    streamController.current?.abort();
+    const controller = new AbortController();
+    streamController.current = controller;
+
+    const products: Product[] = [];
+    const publish = () => onSearchResults({ products: [...products] });
+
+    publish();
+    setStreamStatus('Asking Gemini...');
+    onLoading(true);
+    try {
+      await streamGeminiSearch(
+        {
+          customerInput: query,
+          strategy: {
+            type: strategy,
+            minPrice: minPrice ? parseFloat(minPrice) : undefined,
+            maxPrice: maxPrice ? parseFloat(maxPrice) : undefined,
+            currency,
+            preferredBrands: brand ? [brand] : undefined,
+            category: category || undefined,
+          },
+          storeResults: true,
+        },
+        {
+          onStart: ({ cached, constraints }) => {
+            const derived = describeDerivedConstraints(constraints);
+            const status = cached ? 'Loading cached results...' : 'Gemini is searching...';
+            setStreamStatus(derived ? `${status} (understood: ${derived})` : status);
+          },
+          onProduct: (index, product) => {
+            products[index] = toProduct(product, index);
+            publish();
+            setStreamStatus(`Found ${products.length} product${products.length === 1 ? '' : 's'}...`);
+          },
+          onStorage: ({ index, id, storedCount }) => {
+            // Swap the temporary id for the database id so the product can be analyzed
+            if (id && products[index]) {
+              products[index] = { ...products[index], id };
+              publish();
+            }
+            setStreamStatus(`Saved ${storedCount} of ${products.length} products...`);
+          },
+          onDegraded: ({ source }) => {
+            setStreamStatus(`AI search is unavailable, loading ${source === 'stale-cache' ? 'earlier cached' : 'catalog'} results...`);
+          },
+          onComplete: ({ totalFound, metadata, degraded }) => {
+            const summary = `Found ${totalFound} products in ${(metadata.searchTime / 1000).toFixed(1)}s`;
+            setStreamStatus(degraded ? `${summary} (AI search unavailable, showing ${degraded.source === 'stale-cache' ? 'earlier cached' : 'catalog'} results)` : summary);
+          },
+          onError: (message) => setStreamStatus(`Search failed: ${message}`),
+        },
+        controller.signal
+      );
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      console.error('AI search error:', error);
+      setStreamStatus('');
+      alert('Failed to search products with AI. Please try again.');
+    } finally {
+      if (streamController.current === controller) {
+        streamController.current = null;
+        onLoading(false);
+      }
+    }
+  };
 
   const handleSearch = async (e: React.FormEvent) => {
     e.preventDefault();
     
     if (!query.trim()) return;
 
+    if (mode === 'ai') {
+      await handleAiSearch();
+      return;
+    }
+
     onLoading(true);
     try {
       const results = await searchProducts({
@@ -39,7 +144,23 @@ export default function ProductSearch({ onSearchResults, onLoading }: ProductSea
 
   return (
     <div className="bg-white p-6 rounded-lg shadow-md mb-6">
-      <h2 className="text-2xl font-bold text-gray-800 mb-4">Find Products</h2>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-2xl font-bold text-gray-800">Find Products</h2>
+        <div className="inline-flex rounded-md border border-gray-300 overflow-hidden">
+          {(['catalog', 'ai'] as SearchMode[]).map((option) => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setMode(option)}
+              className={`px-3 py-1 text-sm transition-colors ${
+                mode === option ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {option === 'catalog' ? 'Catalog' : 'AI Search'}
+            </button>
+          ))}
+        </div>
+      </div>
       <form onSubmit={handleSearch} className="space-y-4">
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
           <div className="lg:col-span-2">
@@ -51,7 +172,7 @@ export default function ProductSearch({ onSearchResults, onLoading }: ProductSea
               id="query"
               value={query}
               onChange={(e) => setQuery(e.target.value)}
-              placeholder="Enter product name, brand, or category..."
+              placeholder={mode === 'ai' ? 'Describe what you need, e.g. quiet wireless headphones for travel' : 'Enter product name, brand, or category...'}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
               required
             />
@@ -91,10 +212,10 @@ export default function ProductSearch({ onSearchResults, onLoading }: ProductSea
           </div>
         </div>
         
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className={`grid grid-cols-1 gap-4 ${mode === 'ai' ? 'md:grid-cols-3' : 'md:grid-cols-2'}`}>
           <div>
             <label htmlFor="minPrice" className="block text-sm font-medium text-gray-700 mb-1">
-              Min Price ($)
+              Min Price ({mode === 'ai' ? currency : 'USD'})
             </label>
             <input
               type="number"
@@ -109,7 +230,7 @@ export default function ProductSearch({ onSearchResults, onLoading }: ProductSea
           
           <div>
             <label htmlFor="maxPrice" className="block text-sm font-medium text-gray-700 mb-1">
-              Max Price ($)
+              Max Price ({mode === 'ai' ? currency : 'USD'})
             </label>
             <input
               type="number"
@@ -121,14 +242,36 @@ export default function ProductSearch({ onSearchResults, onLoading }: ProductSea
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
             />
           </div>
+
+          {mode === 'ai' && (
+            <div>
+              <label htmlFor="currency" className="block text-sm font-medium text-gray-700 mb-1">
+                Currency
+              </label>
+              <select
+                id="currency"
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {CURRENCIES.map((code) => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+            </div>
+          )}
         </div>
         
         <button
           type="submit"
           className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-colors"
         >
-          Search Products
+          {mode === 'ai' ? `Search with AI (${strategy})` : 'Search Products'}
         </button>
+
+        {mode === 'ai' && streamStatus && (
+          <p className="text-sm text-gray-600" aria-live="polite">{streamStatus}</p>
+        )}
       </form>
     </div>
   );
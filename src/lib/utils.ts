@@ -4,3 +4,15 @@ import { twMerge } from "tailwind-merge"
 export function cn(...inputs: ClassValue[]) {
   return twMerge(clsx(inputs))
 }
+
+/**
+ * Format a price for display in the user's locale, e.g. "$1,199.00" in en-US or "1.199,00 €" in de-DE
+ */
+export function formatPrice(amount: number, currency = "USD", locale?: string) {
+  try {
+    return new Intl.NumberFormat(locale, { style: "currency", currency }).format(amount)
+  } catch {
+    // Unknown currency codes still show the amount
+    return `${amount} ${currency}`
+  }
+}
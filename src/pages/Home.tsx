@@ -5,6 +5,7 @@ import ProductGrid from '../components/ProductGrid';
 import { Product } from '../types/product';
 import { ShoppingStrategy } from '../types/strategy';
 import { generateRecommendations } from '../utils/api';
+import { formatPrice } from '../lib/utils';
 
 export default function Home() {
   const [products, setProducts] = useState<Product[]>([]);
@@ -69,6 +70,7 @@ export default function Home() {
         <ProductSearch 
           onSearchResults={handleSearchResults}
           onLoading={setIsLoading}
+          strategy={strategy}
         />
 
         {products.length > 0 && (
@@ -129,7 +131,7 @@ export default function Home() {
                         <div className="flex justify-between items-start mb-2">
                           <h3 className="font-semibold text-gray-900">{product.name}</h3>
                           <div className="text-right">
-                            <div className="text-lg font-bold text-gray-900">${product.price}</div>
+                            <div className="text-lg font-bold text-gray-900">{formatPrice(product.price, product.currency)}</div>
                             <div className="text-sm text-gray-600">Score: {rec.score}/1.0</div>
                           </div>
                         </div>
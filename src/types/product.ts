@@ -1,7 +1,10 @@
+import { ShoppingStrategy } from './strategy';
+
 export interface Product {
   id: string;
   name: string;
   price: number;
+  currency?: string;
   brand: string;
   category: string;
   imageUrl: string;
@@ -26,4 +29,117 @@ export interface ProductSearchResponse {
   total: number;
   page: number;
   limit: number;
+}
+
+export interface GeminiProduct {
+  id?: string;
+  name: string;
+  price: number;
+  currency?: string;
+  brand: string;
+  category: string;
+  imageUrl: string;
+  productUrl: string;
+  rating: number;
+  reviewCount: number;
+  sourcePlatform: string;
+  description?: string;
+  features?: string[];
+  specifications?: Record<string, string>;
+}
+
+export interface GeminiSearchRequest {
+  customerInput: string;
+  strategy: {
+    type: ShoppingStrategy;
+    maxPrice?: number;
+    minPrice?: number;
+    currency?: string;
+    preferredBrands?: string[];
+    excludedBrands?: string[];
+    minRating?: number;
+    category?: string;
+  };
+  storeResults?: boolean;
+  bypassCache?: boolean;
+  locale?: string;
+  promptVersion?: number;
+}
+
+export interface GeminiPromptInfo {
+  id: string;
+  version: number;
+  strategy: string;
+  category: string;
+  locale: string;
+  selection: 'latest' | 'pinned' | 'experiment';
+}
+
+export interface GeminiSearchConstraints {
+  applied: Record<string, { value: unknown; source: 'explicit' | 'text' | 'llm' }>;
+  ignored: { field: string; value: unknown; source: string; reason: string }[];
+}
+
+export interface GeminiStreamStart {
+  strategy: ShoppingStrategy;
+  provider: string;
+  model: string;
+  cached: boolean;
+  constraints: GeminiSearchConstraints | null;
+  prompt?: GeminiPromptInfo;
+}
+
+export interface GeminiStreamStorage {
+  index: number;
+  name: string;
+  stored: boolean;
+  id?: string;
+  error?: string;
+  storedCount: number;
+}
+
+export interface GeminiDegraded {
+  reason: string;
+  source: 'stale-cache' | 'catalog';
+  cachedAt?: string;
+}
+
+export interface GeminiStreamComplete {
+  totalFound: number;
+  stored: number;
+  filtered: number;
+  strategy: ShoppingStrategy;
+  degraded: GeminiDegraded | null;
+  usage: {
+    calls: number;
+    promptTokens: number;
+    responseTokens: number;
+    totalTokens: number;
+    latencyMs: number;
+    estimatedCost: number;
+  };
+  metadata: {
+    searchTime: number;
+    totalResults: number;
+    provider: string;
+    model: string;
+    prompt?: GeminiPromptInfo;
+  };
+  cache: {
+    hit: boolean;
+    bypassed: boolean;
+    key: string;
+    cachedAt?: string;
+    expiresAt?: string;
+  };
+}
+
+export interface GeminiStreamHandlers {
+  onStart?: (data: GeminiStreamStart) => void;
+  onProduct?: (index: number, product: GeminiProduct) => void;
+  onRejected?: (data: { index: number; name: string }) => void;
+  onDegraded?: (data: GeminiDegraded) => void;
+  onStorage?: (data: GeminiStreamStorage) => void;
+  onComplete?: (data: GeminiStreamComplete) => void;
+  onError?: (message: string) => void;
 }
\ No newline at end of file
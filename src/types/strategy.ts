@@ -1,33 +1,56 @@
-export type ShoppingStrategy = 'fancy' | 'cost-effective' | 'price-priority';
-
-export interface StrategyWeights {
-  fancy: {
-    brandReputation: number;
-    premiumFeatures: number;
-    qualityIndicators: number;
-    designAesthetics: number;
-  };
-  'cost-effective': {
-    valueRatio: number;
-    durability: number;
-    worthItMentions: number;
-    longTermSatisfaction: number;
-  };
-  'price-priority': {
-    priceCompetitiveness: number;
-    basicQualityThreshold: number;
-    avoidConcerningIssues: number;
-  };
-}
+export type BuiltInStrategy = 'fancy' | 'cost-effective' | 'price-priority';
+
+// A built-in strategy or the id of a custom strategy defined through /api/strategies
+export type ShoppingStrategy = BuiltInStrategy | (string & {});
+
+export type ScoringFactor =
+  | 'brandReputation'
+  | 'premiumFeatures'
+  | 'qualityIndicators'
+  | 'designAesthetics'
+  | 'valueRatio'
+  | 'durability'
+  | 'worthItMentions'
+  | 'longTermSatisfaction'
+  | 'priceCompetitiveness'
+  | 'basicQualityThreshold'
+  | 'avoidConcerningIssues';
+
+// Weight per scoring factor, summing to 1
+export type StrategyWeights = Partial<Record<ScoringFactor, number>>;
+
+// 'hard' drops products that break a user preference, 'soft' lowers their score instead
+export type PreferenceMode = 'hard' | 'soft';
 
 export interface RecommendationRequest {
   products: string[];
   strategy: ShoppingStrategy;
   userPreferences?: {
-    priceRange?: { min: number; max: number };
+    // Currency defaults to BASE_CURRENCY
+    priceRange?: { min: number; max: number; currency?: string };
     preferredBrands?: string[];
     excludedKeywords?: string[];
+    mode?: PreferenceMode;
   };
+  // Replaces the strategy's weights for this request
+  weights?: StrategyWeights;
+}
+
+export interface FactorScore {
+  factor: ScoringFactor;
+  weight: number;
+  // Score of the product on the factor, from 0 to 1
+  score: number;
+  // weight * score, the factor's share of the recommendation score
+  contribution: number;
+}
+
+export interface ScoreBreakdown {
+  // Weights used for the request, taken from the strategy unless the request overrides them
+  weightsSource: 'strategy' | 'request';
+  factors: FactorScore[];
+  // Added by soft user preferences, negative when preferences are broken
+  preferenceAdjustment: number;
 }
 
 export interface Recommendation {
@@ -38,4 +61,5 @@ export interface Recommendation {
   confidence: number;
   pros: string[];
   cons: string[];
+  scoreBreakdown: ScoreBreakdown;
 }
\ No newline at end of file
@@ -1,4 +1,4 @@
-import { ProductSearchParams, ProductSearchResponse } from '../types/product';
+import { ProductSearchParams, ProductSearchResponse, GeminiSearchRequest, GeminiStreamHandlers } from '../types/product';
 import { CommentAnalysis } from '../types/comment';
 import { RecommendationRequest, Recommendation } from '../types/strategy';
 
@@ -72,4 +72,85 @@ export const generateRecommendations = async (request: RecommendationRequest): P
   }
   
   return response.json();
+};
+
+/**
+ * Run a Gemini search over Server-Sent Events, calling the handlers as events arrive.
+ * Resolves once the stream ends; abort the signal to stop the search early.
+ */
+export const streamGeminiSearch = async (
+  request: GeminiSearchRequest,
+  handlers: GeminiStreamHandlers,
+  signal?: AbortSignal
+): Promise<void> => {
+  const response = await fetch(`${API_BASE_URL}/gemini/search/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+    },
+    body: JSON.stringify(request),
+    signal,
+  });
+
+  if (!response.ok || !response.body) {
+    const body = await response.json().catch(() => null);
+    throw new Error(body?.error || 'Failed to start product search');
+  }
+
+  const dispatch = (event: string, data: string) => {
+    const payload = JSON.parse(data);
+
+    switch (event) {
+      case 'start':
+        handlers.onStart?.(payload);
+        break;
+      case 'product':
+        handlers.onProduct?.(payload.index, payload.product);
+        break;
+      case 'rejected':
+        handlers.onRejected?.(payload);
+        break;
+      case 'degraded':
+        handlers.onDegraded?.(payload);
+        break;
+      case 'storage':
+        handlers.onStorage?.(payload);
+        break;
+      case 'complete':
+        handlers.onComplete?.(payload);
+        break;
+      case 'error':
+        handlers.onError?.(payload.error);
+        break;
+    }
+  };
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      const data: string[] = [];
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+      }
+      if (data.length > 0) dispatch(event, data.join('\n'));
+
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
 };
\ No newline at end of file
@@ -0,0 +1,30 @@
+-- Conversational search sessions: the first request, strategy, message history and current results
+CREATE TABLE search_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  title VARCHAR(255) NOT NULL,
+  customer_input TEXT NOT NULL,
+  strategy JSONB NOT NULL,
+  messages JSONB NOT NULL DEFAULT '[]'::jsonb,
+  products JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- API client that started the session; only it may list, read, continue or delete the session
+  client_id VARCHAR(100),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- A client's sessions are listed most recently updated first
+CREATE INDEX idx_search_sessions_client_updated_at ON search_sessions(client_id, updated_at DESC);
+
+-- Reuse the updated_at trigger function from the products migration
+CREATE TRIGGER update_search_sessions_updated_at
+  BEFORE UPDATE ON search_sessions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE search_sessions ENABLE ROW LEVEL SECURITY;
+
+-- Sessions hold customers' conversations and are not tied to a user, so no client role gets a policy:
+-- only the API server, through the service role (which bypasses RLS), reads and writes them
+REVOKE ALL ON search_sessions FROM anon, authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON search_sessions TO service_role;
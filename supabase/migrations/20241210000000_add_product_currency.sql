@@ -0,0 +1,6 @@
+-- Prices are stored in the currency they were quoted in; existing rows were all US dollars
+ALTER TABLE products
+  ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD' CHECK (currency ~ '^[A-Z]{3}$');
+
+-- Price range filters compare each currency against its own converted bounds
+CREATE INDEX idx_products_currency_price ON products(currency, price);
@@ -0,0 +1,33 @@
+-- Custom shopping strategies: prompt guidelines, scoring factor weights and default search constraints.
+-- Built-in strategies (fancy, cost-effective, price-priority) live in api/config/shoppingStrategies.js.
+CREATE TABLE shopping_strategies (
+  id VARCHAR(40) PRIMARY KEY CHECK (id ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+  name VARCHAR(60) NOT NULL,
+  description VARCHAR(300),
+  icon VARCHAR(8),
+  characteristics JSONB NOT NULL DEFAULT '[]'::jsonb,
+  example_prompts JSONB NOT NULL DEFAULT '[]'::jsonb,
+  guidelines TEXT NOT NULL,
+  weights JSONB NOT NULL,
+  defaults JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Reuse the updated_at trigger function from the products migration
+CREATE TRIGGER update_shopping_strategies_updated_at
+  BEFORE UPDATE ON shopping_strategies
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE shopping_strategies ENABLE ROW LEVEL SECURITY;
+
+-- Anyone may read strategies. Their guidelines become part of the search prompt, so only the API server writes
+-- them, through the service role (which bypasses RLS), after checking the admin key
+CREATE POLICY "Allow public read access" ON shopping_strategies
+  FOR SELECT USING (true);
+
+REVOKE ALL ON shopping_strategies FROM anon, authenticated;
+GRANT SELECT ON shopping_strategies TO anon, authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON shopping_strategies TO service_role;
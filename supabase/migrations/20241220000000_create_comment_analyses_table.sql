@@ -0,0 +1,19 @@
+-- Latest comment analysis per product, computed by the API from submitted comments.
+-- product_id is text so analyses of products outside the products table can be stored too.
+CREATE TABLE comment_analyses (
+  product_id TEXT PRIMARY KEY,
+  analysis JSONB NOT NULL,
+  analyzed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE comment_analyses ENABLE ROW LEVEL SECURITY;
+
+-- Anyone may read analyses; only the API server computes and writes them, through the service role (which
+-- bypasses RLS), so clients cannot plant made-up analyses that feed recommendations
+CREATE POLICY "Allow public read access" ON comment_analyses
+  FOR SELECT USING (true);
+
+REVOKE ALL ON comment_analyses FROM anon, authenticated;
+GRANT SELECT ON comment_analyses TO anon, authenticated;
+GRANT SELECT, INSERT, UPDATE ON comment_analyses TO service_role;
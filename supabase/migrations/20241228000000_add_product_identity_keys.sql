@@ -0,0 +1,16 @@
+-- Identity keys computed by the API (api/services/productIdentity.js) so storing a product it already
+-- has updates that row instead of inserting a duplicate.
+--   canonical_key: brand, model name and variant, e.g. "apple|iphone 15 pro|256gb black"
+--   url_key: host and path of the product link, e.g. "amazon.com/dp/b0chx1w1xy"
+-- Rows stored before this migration have no keys until scripts/dedupeProducts.js fills them in and
+-- merges the duplicates already stored.
+ALTER TABLE products
+  ADD COLUMN canonical_key TEXT,
+  ADD COLUMN url_key TEXT;
+
+-- Unique, so two requests storing the same product at once cannot both insert it: the API writes new rows
+-- with an upsert on canonical_key and retries a write refused on url_key. Rows without keys never conflict,
+-- since NULLs are distinct. The indexes are not partial (WHERE ... IS NOT NULL) because ON CONFLICT cannot
+-- use a partial index unless the statement repeats its predicate, which upserts through PostgREST do not.
+CREATE UNIQUE INDEX idx_products_canonical_key ON products(canonical_key);
+CREATE UNIQUE INDEX idx_products_url_key ON products(url_key);
@@ -0,0 +1,8 @@
+-- Product details from search results, stored alongside the listing
+ALTER TABLE products
+  ADD COLUMN description TEXT NOT NULL DEFAULT '',
+  ADD COLUMN features JSONB NOT NULL DEFAULT '[]'::jsonb CHECK (jsonb_typeof(features) = 'array'),
+  ADD COLUMN specifications JSONB NOT NULL DEFAULT '{}'::jsonb CHECK (jsonb_typeof(specifications) = 'object');
+
+-- Specification filters (GET /api/products?spec[ram]=8GB) are containment queries
+CREATE INDEX idx_products_specifications ON products USING GIN (specifications jsonb_path_ops);
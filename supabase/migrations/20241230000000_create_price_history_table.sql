@@ -0,0 +1,57 @@
+-- Every price a product has been stored at. Rows are written by a trigger on products, so a price set by
+-- createProduct, updateProduct, the bulk import or a repeated Gemini search is recorded the same way.
+CREATE TABLE price_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  price DECIMAL(10,2) NOT NULL CHECK (price >= 0),
+  currency CHAR(3) NOT NULL CHECK (currency ~ '^[A-Z]{3}$'),
+  recorded_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- History is read per product, newest first
+CREATE INDEX idx_price_history_product_recorded_at ON price_history(product_id, recorded_at DESC);
+
+-- Record the first price of a product and every change of price or currency.
+-- SECURITY DEFINER so the insert is not subject to the row level security of whoever changed the product,
+-- with a fixed search_path so the caller cannot make it resolve price_history to a table of their own.
+CREATE OR REPLACE FUNCTION record_product_price()
+RETURNS TRIGGER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.price IS DISTINCT FROM OLD.price OR NEW.currency IS DISTINCT FROM OLD.currency THEN
+    INSERT INTO price_history (product_id, price, currency) VALUES (NEW.id, NEW.price, NEW.currency);
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER record_products_price
+  AFTER INSERT OR UPDATE OF price, currency ON products
+  FOR EACH ROW
+  EXECUTE FUNCTION record_product_price();
+
+-- Price each product had at `since` (its last point before it), read for many products at once
+-- when a trend needs the price in effect as its window starts
+CREATE OR REPLACE FUNCTION opening_prices(product_ids UUID[], since TIMESTAMP WITH TIME ZONE)
+RETURNS TABLE (product_id UUID, price DECIMAL(10,2), currency CHAR(3), recorded_at TIMESTAMP WITH TIME ZONE) AS $$
+  SELECT DISTINCT ON (h.product_id) h.product_id, h.price, h.currency, h.recorded_at
+  FROM price_history h
+  WHERE h.product_id = ANY(product_ids) AND h.recorded_at < since
+  ORDER BY h.product_id, h.recorded_at DESC, h.id DESC;
+$$ LANGUAGE sql STABLE;
+
+-- Existing products start their history at their current price
+INSERT INTO price_history (product_id, price, currency, recorded_at)
+SELECT id, price, currency, updated_at FROM products;
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE price_history ENABLE ROW LEVEL SECURITY;
+
+-- History is public like products and read-only: rows are written by the trigger, and only moved to another
+-- product by scripts/dedupeProducts.js, which merges duplicates with the service role
+CREATE POLICY "Allow public read access" ON price_history
+  FOR SELECT USING (true);
+
+GRANT SELECT ON price_history TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION opening_prices(UUID[], TIMESTAMP WITH TIME ZONE) TO anon, authenticated;
@@ -0,0 +1,37 @@
+-- Recorded searches: the request, the strategy, the search metadata, which prompt and model answered, and the
+-- products returned, so a search can be listed, looked up and re-run to compare its results
+CREATE TABLE searches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  query TEXT NOT NULL,
+  strategy JSONB NOT NULL,
+  -- productCount, priceRange, brandCount and categoryCount from generateSearchMetadata
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  provider VARCHAR(50),
+  model VARCHAR(100),
+  -- Prompt template id, version and how the version was selected
+  prompt JSONB,
+  -- Products as returned, in ranked order, with the price they had then
+  results JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- Stored products among the results; ids of products deleted since are skipped when the search is read
+  product_ids UUID[] NOT NULL DEFAULT '{}',
+  -- API client that ran the search; only it may list, read or re-run the search
+  client_id VARCHAR(100),
+  -- Results came from a fallback (expired cache or catalog) because the provider was unavailable
+  degraded BOOLEAN NOT NULL DEFAULT false,
+  rerun_of UUID REFERENCES searches(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- A client's searches are listed most recent first
+CREATE INDEX idx_searches_client_created_at ON searches(client_id, created_at DESC);
+
+-- Find the searches that returned a product
+CREATE INDEX idx_searches_product_ids ON searches USING GIN (product_ids);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE searches ENABLE ROW LEVEL SECURITY;
+
+-- Searches record which client ran them and are not tied to a user, so no client role gets a policy:
+-- only the API server, through the service role (which bypasses RLS), reads and writes them
+REVOKE ALL ON searches FROM anon, authenticated;
+GRANT SELECT, INSERT, UPDATE ON searches TO service_role;